@@ -0,0 +1,64 @@
+// Backend2/config/mailer.js
+// Shared mail sender. The transport is chosen with MAIL_TRANSPORT:
+//   gmail (default) - Gmail with CLUB_EMAIL / CLUB_EMAIL_APP_PASSWORD
+//   smtp            - any SMTP server: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//                     (e.g. a local SMTP stub such as MailHog/smtp4dev on localhost:1025)
+//   json            - doesn't send anything; logs the recipient and subject (local development).
+//                     MAIL_DEBUG=true also logs the whole message, including codes and links in it.
+// Tests or scripts can swap the transport at runtime with setTransport().
+const nodemailer = require('nodemailer'); // For sending emails
+
+const createTransport = (type = process.env.MAIL_TRANSPORT || 'gmail') => {
+    switch (type) {
+        case 'smtp':
+            return nodemailer.createTransport({
+                host: process.env.SMTP_HOST || 'localhost',
+                port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined,
+                // Local stubs usually use self-signed certificates
+                tls: { rejectUnauthorized: process.env.SMTP_REJECT_UNAUTHORIZED !== 'false' }
+            });
+        case 'json':
+            return nodemailer.createTransport({ jsonTransport: true });
+        case 'gmail':
+            return nodemailer.createTransport({
+                service: 'gmail',
+                auth: {
+                    user: process.env.CLUB_EMAIL, // Your club email (sender)
+                    pass: process.env.CLUB_EMAIL_APP_PASSWORD, // Your generated App Password for Gmail
+                },
+            });
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${type}". Use gmail, smtp or json.`);
+    }
+};
+
+let transporter = createTransport();
+
+// Replaces the active transport. Accepts a Nodemailer transporter or a transport type name.
+const setTransport = (transportOrType) => {
+    transporter = typeof transportOrType === 'string' ? createTransport(transportOrType) : transportOrType;
+    return transporter;
+};
+
+const getTransport = () => transporter;
+
+// Sends an email from the club address. `mailOptions` are standard Nodemailer options (to, subject, html, ...)
+const sendMail = async (mailOptions) => {
+    const info = await transporter.sendMail({
+        from: process.env.MAIL_FROM || process.env.CLUB_EMAIL,
+        ...mailOptions
+    });
+    if (info && info.message && transporter.options && transporter.options.jsonTransport) {
+        console.log(`Email (json transport, not sent) to ${mailOptions.to}: ${mailOptions.subject}`);
+        if (process.env.MAIL_DEBUG === 'true') {
+            console.log(info.message.toString());
+        }
+    }
+    return info;
+};
+
+module.exports = { createTransport, setTransport, getTransport, sendMail };
@@ -1,38 +1,21 @@
 // Backend2/config/multerConfig.js
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 
-// Define the directory for uploaded files (should be in Backend2/uploads)
-const uploadDir = path.join(__dirname, '..', 'uploads');
+// Keep uploads in memory: middleware/imageUpload.js checks the real file type and stores
+// the resized variants through config/storage.js (the raw upload is never stored)
+const storage = multer.memoryStorage();
 
-// Ensure the uploads directory exists
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-    console.log(`Created uploads directory: ${uploadDir}`);
-}
-
-// Configure storage for Multer
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, uploadDir); // Save uploaded files to the 'uploads' directory
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-    }
-});
-
-// Configure Multer with file filter
+// Quick first check on name and mimetype; the file contents are checked by utils/images.js
 const fileFilter = (req, file, cb) => {
-    const filetypes = /jpeg|jpg|png|gif/;
+    const filetypes = /jpeg|jpg|png|gif|webp/;
     const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
     const mimetype = filetypes.test(file.mimetype);
 
     if (mimetype && extname) {
         return cb(null, true);
     } else {
-        cb(new Error('Only images (JPEG, JPG, PNG, GIF) are allowed!'), false);
+        cb(new Error('Only images (JPEG, JPG, PNG, GIF, WebP) are allowed!'), false);
     }
 };
 
@@ -0,0 +1,60 @@
+// Backend2/config/permissions.js
+// Admin roles and the permissions each role grants.
+// Routes check permissions (not roles) via authorizePermissions() in middleware/authMiddleware.js,
+// so a role can be widened or narrowed here without touching the routes.
+
+const ROLES = ['super-admin', 'event-manager', 'team-manager', 'volunteer', 'viewer'];
+
+const PERMISSIONS = {
+    ADMIN_READ: 'admin:read',         // Access the admin panel and read-only admin endpoints
+    EVENTS_WRITE: 'events:write',     // Create and edit events and speakers
+    EVENTS_DELETE: 'events:delete',   // Delete events and unused speakers
+    TEAM_WRITE: 'team:write',         // Create and edit team members
+    TEAM_DELETE: 'team:delete',
+    REGISTRATIONS_READ: 'registrations:read',     // View and export event registrants
+    REGISTRATIONS_MANAGE: 'registrations:manage', // Cancel registrations on a registrant's behalf
+    ATTENDANCE_CHECK_IN: 'attendance:check-in',   // Scan tickets / check registrants in at the door
+    CERTIFICATES_MANAGE: 'certificates:manage',   // Manage certificate templates; issue, email and revoke certificates
+    ACADEMIC_YEARS_MANAGE: 'academic-years:manage', // Add, edit and delete academic years
+    MEDIA_MANAGE: 'media:manage',     // Upload to, edit and delete from the media library; run the media sweep
+    USERS_READ: 'users:read',         // List admin accounts
+    USERS_MANAGE: 'users:manage',     // Invite, change roles, enable/disable and delete admin accounts
+    AUDIT_READ: 'audit:read',         // Read the audit log of admin changes (super-admin only)
+    WEBHOOKS_MANAGE: 'webhooks:manage', // Manage outbound webhooks and their deliveries (super-admin only)
+    NEWSLETTER_MANAGE: 'newsletter:manage' // Manage newsletter subscribers; compose and send campaigns
+};
+
+const ROLE_PERMISSIONS = {
+    'super-admin': Object.values(PERMISSIONS),
+    'event-manager': [
+        PERMISSIONS.ADMIN_READ,
+        PERMISSIONS.EVENTS_WRITE,
+        PERMISSIONS.EVENTS_DELETE,
+        PERMISSIONS.REGISTRATIONS_READ,
+        PERMISSIONS.REGISTRATIONS_MANAGE,
+        PERMISSIONS.ATTENDANCE_CHECK_IN,
+        PERMISSIONS.CERTIFICATES_MANAGE,
+        PERMISSIONS.MEDIA_MANAGE,
+        PERMISSIONS.NEWSLETTER_MANAGE
+    ],
+    'team-manager': [
+        PERMISSIONS.ADMIN_READ,
+        PERMISSIONS.TEAM_WRITE,
+        PERMISSIONS.TEAM_DELETE,
+        PERMISSIONS.MEDIA_MANAGE
+    ],
+    // Event-day helpers: can only check people in
+    'volunteer': [
+        PERMISSIONS.ADMIN_READ,
+        PERMISSIONS.ATTENDANCE_CHECK_IN
+    ],
+    'viewer': [
+        PERMISSIONS.ADMIN_READ
+    ]
+};
+
+const getPermissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissionsForRole(role).includes(permission);
+
+module.exports = { ROLES, PERMISSIONS, ROLE_PERMISSIONS, getPermissionsForRole, hasPermission };
@@ -0,0 +1,20 @@
+// Backend2/config/spreadsheetUpload.js
+// Multer instance for CSV/XLSX imports (e.g. POST /api/team-members/import).
+// Files stay in memory and are parsed by utils/spreadsheets.js; nothing is stored.
+const multer = require('multer');
+const path = require('path');
+
+const fileFilter = (req, file, cb) => {
+    if (['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+        return cb(null, true);
+    }
+    cb(new Error('Only CSV and XLSX files are allowed!'), false);
+};
+
+const spreadsheetUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }, // Same 5MB limit as image uploads
+    fileFilter
+});
+
+module.exports = spreadsheetUpload;
@@ -0,0 +1,199 @@
+// Backend2/config/storage.js
+// Where uploaded files live. The driver is chosen with STORAGE_DRIVER:
+//   local (default) - the 'uploads' directory, served by server.js at /uploads
+//   s3              - any S3-compatible object storage: S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID,
+//                     S3_SECRET_ACCESS_KEY, optional S3_ENDPOINT + S3_FORCE_PATH_STYLE=true for
+//                     MinIO-style servers (e.g. http://localhost:9000), S3_KEY_PREFIX (default 'uploads/')
+//                     and S3_PUBLIC_URL (CDN or bucket URL that objects are read from)
+// Documents store the URL returned by getUrl(); keyFromUrl() maps it back to its key for deletion.
+// Public buckets hand that URL out as-is. For private buckets set S3_SIGNED_URLS=true: the API then
+// swaps every stored URL in its JSON responses for a getSignedUrl() one (middleware/signedUrls.js),
+// valid for S3_SIGNED_URL_TTL_SECONDS (default 15 minutes). The drivers' signsUrls flag says which.
+// list() returns every stored file as { key, size, lastModified } (used by the media sweep).
+// Tests or scripts can swap the driver at runtime with setStorage().
+const path = require('path');
+const fs = require('fs');
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    HeadObjectCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const DEFAULT_SIGNED_URL_TTL_SECONDS = 15 * 60;
+
+// Keys are plain file names generated by the server; anything else is refused
+const KEY_REGEX = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+const assertValidKey = (key) => {
+    if (typeof key !== 'string' || !KEY_REGEX.test(key)) {
+        throw new Error(`Invalid storage key "${key}".`);
+    }
+};
+
+const createLocalStorage = ({ directory = path.join(__dirname, '..', 'uploads'), publicPath = '/uploads' } = {}) => {
+    fs.mkdirSync(directory, { recursive: true });
+    const filePath = (key) => {
+        assertValidKey(key);
+        return path.join(directory, key);
+    };
+
+    return {
+        name: 'local',
+        directory,
+        signsUrls: false,
+        put: (key, body) => fs.promises.writeFile(filePath(key), body),
+        get: (key) => fs.promises.readFile(filePath(key)),
+        delete: async (key) => {
+            try {
+                await fs.promises.unlink(filePath(key));
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err; // Already gone is fine
+            }
+        },
+        exists: async (key) => {
+            try {
+                await fs.promises.access(filePath(key));
+                return true;
+            } catch (err) {
+                return false;
+            }
+        },
+        // Files that couldn't have been written by put() (e.g. .gitkeep) are left out
+        list: async () => {
+            const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+            const files = [];
+            for (const entry of entries) {
+                if (!entry.isFile() || !KEY_REGEX.test(entry.name)) continue;
+                const stats = await fs.promises.stat(path.join(directory, entry.name));
+                files.push({ key: entry.name, size: stats.size, lastModified: stats.mtime });
+            }
+            return files;
+        },
+        getUrl: (key) => `${publicPath}/${key}`,
+        // Local files are public, so a "signed" URL is just the public one
+        getSignedUrl: async (key) => `${publicPath}/${key}`,
+        keyFromUrl: (url) => {
+            if (typeof url !== 'string' || !url.startsWith(`${publicPath}/`)) return null;
+            return path.basename(url);
+        }
+    };
+};
+
+const createS3Storage = ({
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || 'us-east-1',
+    endpoint = process.env.S3_ENDPOINT,
+    forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+    keyPrefix = process.env.S3_KEY_PREFIX !== undefined ? process.env.S3_KEY_PREFIX : 'uploads/',
+    publicUrl = process.env.S3_PUBLIC_URL,
+    signedUrls = process.env.S3_SIGNED_URLS === 'true',
+    signedUrlTtlSeconds = parseInt(process.env.S3_SIGNED_URL_TTL_SECONDS, 10) || DEFAULT_SIGNED_URL_TTL_SECONDS
+} = {}) => {
+    if (!bucket) {
+        throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3.');
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint: endpoint || undefined,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    // Where objects can be read publicly, without a trailing slash
+    const baseUrl = (publicUrl || (endpoint
+        ? `${endpoint.replace(/\/+$/, '')}/${bucket}`
+        : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/+$/, '');
+
+    const objectKey = (key) => {
+        assertValidKey(key);
+        return `${keyPrefix}${key}`;
+    };
+
+    return {
+        name: 's3',
+        client,
+        bucket,
+        signsUrls: signedUrls,
+        put: (key, body, { contentType, cacheControl } = {}) => client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: objectKey(key),
+            Body: body,
+            ContentType: contentType,
+            CacheControl: cacheControl
+        })),
+        get: async (key) => {
+            const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+            return Buffer.from(await result.Body.transformToByteArray());
+        },
+        // S3 deletes are idempotent: deleting a missing object succeeds
+        delete: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) })),
+        exists: async (key) => {
+            try {
+                await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+                return true;
+            } catch (err) {
+                if (err.name === 'NotFound' || (err.$metadata && err.$metadata.httpStatusCode === 404)) return false;
+                throw err;
+            }
+        },
+        // Objects under the key prefix, page by page; nested "folders" are not ours and are skipped
+        list: async () => {
+            const files = [];
+            let ContinuationToken;
+            do {
+                const result = await client.send(new ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: keyPrefix || undefined,
+                    ContinuationToken
+                }));
+                (result.Contents || []).forEach(object => {
+                    const key = object.Key.slice(keyPrefix.length);
+                    if (KEY_REGEX.test(key)) {
+                        files.push({ key, size: object.Size, lastModified: object.LastModified });
+                    }
+                });
+                ContinuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+            } while (ContinuationToken);
+            return files;
+        },
+        getUrl: (key) => `${baseUrl}/${objectKey(key)}`,
+        // Time-limited URL for buckets that aren't publicly readable
+        getSignedUrl: (key, { expiresIn = signedUrlTtlSeconds } = {}) =>
+            getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }), { expiresIn }),
+        keyFromUrl: (url) => {
+            const prefix = `${baseUrl}/${keyPrefix}`;
+            if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+            return url.slice(prefix.length);
+        }
+    };
+};
+
+const createStorage = (type = process.env.STORAGE_DRIVER || 'local', options) => {
+    switch (type) {
+        case 'local':
+            return createLocalStorage(options);
+        case 's3':
+            return createS3Storage(options);
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${type}". Use local or s3.`);
+    }
+};
+
+let storage = createStorage();
+
+// Replaces the active driver. Accepts a driver object or a driver type name.
+const setStorage = (storageOrType) => {
+    storage = typeof storageOrType === 'string' ? createStorage(storageOrType) : storageOrType;
+    return storage;
+};
+
+const getStorage = () => storage;
+
+module.exports = { createStorage, createLocalStorage, createS3Storage, setStorage, getStorage };
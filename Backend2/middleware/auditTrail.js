@@ -0,0 +1,84 @@
+// Backend2/middleware/auditTrail.js
+// Route middleware that records an admin mutation in the audit log (models/AuditLog.js).
+// Put it after authenticateToken/authorizePermissions and before any upload handling:
+//
+//   router.put('/:id', authenticateToken, authorizePermissions([...]), auditTrail('Event'), ...)
+//
+// The document named by req.params.id is read before the handler runs. The handler hands over
+// the document as it saved it with setAuditDocument(res, doc) (nothing for hard deletes), and once
+// the response has been sent the difference is logged with the actor, IP and time. Nothing is
+// logged when the handler answers with an error status. Logging never fails the request.
+const mongoose = require('mongoose');
+const { AUDITED_MODELS, recordAudit } = require('../utils/auditLog');
+
+const METHOD_ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// The document as the handler saved it, for the "after" side of the entry. Taken right away (with
+// populated paths back to IDs), so later changes by others or a populate() for the response don't
+// end up in this actor's entry.
+const setAuditDocument = (res, doc) => {
+    res.locals.auditDocument = doc && typeof doc.toObject === 'function'
+        ? doc.toObject({ depopulate: true, virtuals: false, transform: false })
+        : doc || null;
+};
+
+// Options:
+//   action      - defaults to create/update/delete from the HTTP method; a POST to a route with an
+//                 :id (e.g. /:id/disable) is an update
+//   idParam     - route parameter with the document ID (default 'id')
+//   lookup      - req => filter, for documents the route names by something other than their ID
+//                 (e.g. a certificate's verification ID)
+//   details     - (req, body) => object, for bulk actions that don't change a single document;
+//                 returning null skips the entry (e.g. a dry run)
+const auditTrail = (resource, { action, idParam = 'id', lookup, details } = {}) => {
+    const { Model } = AUDITED_MODELS[resource];
+
+    return async (req, res, next) => {
+        const paramId = req.params[idParam];
+        const entryAction = action || (req.method === 'POST' && paramId ? 'update' : METHOD_ACTIONS[req.method]);
+
+        let before = null;
+        if (!details && (lookup || (paramId && mongoose.isValidObjectId(paramId)))) {
+            try {
+                const filter = lookup ? lookup(req) : { _id: paramId };
+                before = await Model.findOne(filter).setOptions({ withDeleted: true }).lean();
+            } catch (err) {
+                console.error('Error reading document for the audit log:', err);
+            }
+        }
+
+        // Keep the response body: bulk actions describe themselves with it
+        let responseBody;
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            responseBody = body;
+            return json(body);
+        };
+
+        res.on('finish', async () => {
+            if (res.statusCode >= 400) return;
+            try {
+                const entry = { req, action: entryAction, resource, statusCode: res.statusCode };
+                if (details) {
+                    entry.details = details(req, responseBody || {});
+                    if (!entry.details) return;
+                    if (paramId && mongoose.isValidObjectId(paramId)) entry.documentId = paramId;
+                } else {
+                    // Soft-deleted documents are handed over too: their log shows deletedAt/deletedBy being set
+                    const after = res.locals.auditDocument || null;
+                    entry.documentId = (after && after._id) || (before && before._id) || null;
+                    if (!entry.documentId) return;
+                    entry.before = before;
+                    entry.after = after;
+                }
+                await recordAudit(entry);
+            } catch (err) {
+                console.error('Error writing audit log:', err);
+            }
+        });
+
+        next();
+    };
+};
+
+module.exports = { auditTrail, setAuditDocument };
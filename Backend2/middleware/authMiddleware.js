@@ -1,8 +1,15 @@
 // Backend2/middleware/authMiddleware.js
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { getPermissionsForRole } = require('../config/permissions');
 
 // Middleware to authenticate JWT token
-const authenticateToken = (req, res, next) => {
+// The account and the login session are re-read on every request so that disabling an admin,
+// changing their role, logging out or revoking a session takes effect immediately
+// instead of when the token expires.
+const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers.authorization;
 
     if (!authHeader) {
@@ -15,16 +22,46 @@ const authenticateToken = (req, res, next) => {
         return res.status(401).json({ message: 'Token format invalid, authorization denied' });
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        // Ensure your JWT payload from authRoutes.js login/verify-otp has a 'user' object
-        // e.g., jwt.sign({ user: { id: user._id, role: user.role } }, ...)
-        req.user = decoded.user;
-        next();
+        // JWT payload from authRoutes.js: { user: { id, role }, sid } plus a unique jti
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (err) {
         console.error('Token verification error:', err.message);
         return res.status(401).json({ message: 'Token is not valid or expired' });
     }
+
+    if (!decoded.user || !mongoose.isValidObjectId(decoded.user.id) || !mongoose.isValidObjectId(decoded.sid)) {
+        return res.status(401).json({ message: 'Token is not valid or expired' });
+    }
+
+    try {
+        const [user, session] = await Promise.all([
+            User.findById(decoded.user.id).select('name email role status'),
+            Session.findById(decoded.sid).select('user revokedAt expiresAt')
+        ]);
+
+        if (!user || user.status !== 'active') {
+            return res.status(401).json({ message: 'Account not found or disabled, authorization denied' });
+        }
+        if (!session || !session.user.equals(user._id) || !session.isActive()) {
+            return res.status(401).json({ message: 'Session has been logged out or revoked, authorization denied' });
+        }
+
+        req.user = {
+            id: user._id.toString(),
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            permissions: getPermissionsForRole(user.role),
+            sessionId: session._id.toString(),
+            tokenId: decoded.jti
+        };
+        next();
+    } catch (err) {
+        console.error('Error loading authenticated user:', err);
+        return res.status(500).json({ message: 'Server error during authentication.' });
+    }
 };
 
 // Middleware to authorize user roles
@@ -41,5 +78,23 @@ const authorizeRoles = (roles) => {
     };
 };
 
-// EXPORT BOTH FUNCTIONS AS PROPERTIES OF AN OBJECT
-module.exports = { authenticateToken, authorizeRoles };
\ No newline at end of file
+// Middleware to authorize fine-grained permissions (see config/permissions.js).
+// The user must hold every permission in the list.
+const authorizePermissions = (permissions) => {
+    return (req, res, next) => {
+        if (!req.user || !req.user.role) {
+            return res.status(403).json({ message: 'Access denied: No user or role information found in token.' });
+        }
+
+        const granted = getPermissionsForRole(req.user.role);
+        const missing = permissions.filter(permission => !granted.includes(permission));
+
+        if (missing.length > 0) {
+            return res.status(403).json({ message: `Access denied: Requires the following permissions: ${missing.join(', ')}` });
+        }
+        next();
+    };
+};
+
+// EXPORT THE FUNCTIONS AS PROPERTIES OF AN OBJECT
+module.exports = { authenticateToken, authorizeRoles, authorizePermissions };
@@ -0,0 +1,43 @@
+// Backend2/middleware/imageUpload.js
+// Runs after upload.single(...): turns the uploaded file (kept in memory by config/multerConfig.js)
+// into resized variants, records it in the media library and exposes it as
+// req.image = { type: 'upload', value, variants, media }.
+// Routes hand req.image to discardUpload() (utils/media.js) when it ends up unused.
+const { InvalidImageError, processImage, deleteImageFiles } = require('../utils/images');
+const { createMedia } = require('../utils/media');
+
+const processImageUpload = async (req, res, next) => {
+    if (!req.file) {
+        return next();
+    }
+
+    let processed;
+    try {
+        processed = await processImage(req.file.buffer, { prefix: req.file.fieldname });
+    } catch (err) {
+        console.error('Error processing uploaded image:', err);
+        if (err instanceof InvalidImageError) {
+            return res.status(400).json({ message: err.message });
+        }
+        // Storage failures (credentials, network, missing bucket) are ours, not the uploader's
+        return res.status(500).json({ message: 'Server error saving the uploaded image.' });
+    }
+
+    try {
+        const media = await createMedia(processed, {
+            buffer: req.file.buffer,
+            originalName: req.file.originalname,
+            size: req.file.size,
+            uploadedBy: req.user ? req.user.id : undefined
+        });
+        req.image = media.toImage();
+        req.file.buffer = null; // The raw upload isn't needed anymore
+        next();
+    } catch (err) {
+        console.error('Error recording uploaded image:', err);
+        await deleteImageFiles({ type: 'upload', ...processed });
+        res.status(500).json({ message: 'Server error saving the uploaded image.' });
+    }
+};
+
+module.exports = { processImageUpload };
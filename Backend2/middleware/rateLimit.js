@@ -0,0 +1,47 @@
+// Backend2/middleware/rateLimit.js
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+// Middleware factory limiting how often a client can hit a route.
+//   name     - identifies the limiter (counters of different limiters never mix)
+//   windowMs - length of the counting window
+//   max      - requests allowed per window
+//   key      - (req) => string identifying the client; defaults to the IP. Returning
+//              nothing skips the limiter (e.g. when the body has no email yet).
+const rateLimit = ({ name, windowMs, max, key = (req) => req.ip, message }) => {
+    return async (req, res, next) => {
+        const clientKey = key(req);
+        if (!clientKey) {
+            return next();
+        }
+
+        try {
+            const { count, resetAt } = await RateLimitCounter.hit(`${name}:${clientKey}`, windowMs);
+            const retryAfterSeconds = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+
+            res.set('RateLimit-Limit', String(max));
+            res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+            res.set('RateLimit-Reset', String(retryAfterSeconds));
+
+            if (count > max) {
+                res.set('Retry-After', String(retryAfterSeconds));
+                return res.status(429).json({
+                    message: message || 'Too many requests. Please try again later.',
+                    retryAfter: retryAfterSeconds
+                });
+            }
+            next();
+        } catch (err) {
+            // Don't lock everyone out because the counter store is unavailable
+            console.error(`Rate limiter "${name}" error:`, err);
+            next();
+        }
+    };
+};
+
+// Key helper: the lower-cased `email` field of the request body
+const emailKey = (req) => {
+    const email = req.body && req.body.email;
+    return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+};
+
+module.exports = { rateLimit, emailKey };
@@ -0,0 +1,45 @@
+// Backend2/middleware/signedUrls.js
+// App-wide middleware for private buckets (S3_SIGNED_URLS=true, see config/storage.js). Documents
+// keep the stored URL from getUrl(); on the way out every string in a JSON response that keyFromUrl()
+// recognises is replaced with a time-limited getSignedUrl() one. Does nothing when the active
+// driver doesn't sign URLs. Only JSON responses are covered: feeds and emails link the stored URL.
+const { getStorage } = require('../config/storage');
+
+// --- Helper: copy of `value` with every stored URL signed; `signed` caches URLs seen twice ---
+const signStoredUrls = async (value, storage, signed = new Map()) => {
+    if (typeof value === 'string') {
+        const key = storage.keyFromUrl(value);
+        if (!key) return value;
+        if (!signed.has(value)) signed.set(value, storage.getSignedUrl(key));
+        return signed.get(value);
+    }
+    if (Array.isArray(value)) {
+        return Promise.all(value.map(item => signStoredUrls(item, storage, signed)));
+    }
+    if (value && typeof value === 'object') {
+        const entries = await Promise.all(Object.entries(value).map(async ([field, item]) => [field, await signStoredUrls(item, storage, signed)]));
+        return Object.fromEntries(entries);
+    }
+    return value;
+};
+
+const signedUrls = (req, res, next) => {
+    const storage = getStorage();
+    if (!storage.signsUrls) return next();
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        // Documents and dates become plain JSON first, as res.json would send them
+        const plain = body === undefined ? body : JSON.parse(JSON.stringify(body));
+        signStoredUrls(plain, storage)
+            .then(signedBody => json(signedBody))
+            .catch(err => {
+                console.error('Error signing storage URLs:', err);
+                json(plain);
+            });
+        return res;
+    };
+    next();
+};
+
+module.exports = { signedUrls, signStoredUrls };
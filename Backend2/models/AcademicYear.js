@@ -0,0 +1,89 @@
+// Backend2/models/AcademicYear.js
+// Academic years the club runs in, e.g. 2025-26. Events and team members store the label and
+// are validated against this collection; an event's year is derived from its date when not given.
+const mongoose = require('mongoose');
+
+const LABEL_REGEX = /^(\d{4})-(\d{2})$/;
+
+const AcademicYearSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        required: [true, 'Academic year label is required'],
+        unique: true,
+        trim: true,
+        validate: {
+            validator: function(v) {
+                const match = LABEL_REGEX.exec(v);
+                return Boolean(match) && (parseInt(match[1], 10) + 1) % 100 === parseInt(match[2], 10);
+            },
+            message: props => `${props.value} is not a valid academic year label (expected e.g. 2025-26)!`
+        }
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Start date is required']
+    },
+    // Inclusive: the last moment of the year
+    endDate: {
+        type: Date,
+        required: [true, 'End date is required'],
+        validate: {
+            validator: function(v) {
+                if (!v || !this.startDate) return true;
+                return v > this.startDate;
+            },
+            message: 'End date must be after the start date'
+        }
+    },
+    // The year the site shows by default; only one year is current at a time
+    isCurrent: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+AcademicYearSchema.index({ startDate: 1, endDate: 1 });
+
+// Years must not overlap, otherwise an event date could belong to two of them
+AcademicYearSchema.pre('validate', async function() {
+    if (!this.startDate || !this.endDate || !(this.isModified('startDate') || this.isModified('endDate'))) {
+        return;
+    }
+    const overlapping = await this.constructor.findOne({
+        _id: { $ne: this._id },
+        startDate: { $lte: this.endDate },
+        endDate: { $gte: this.startDate }
+    });
+    if (overlapping) {
+        this.invalidate('startDate', `The dates overlap with academic year ${overlapping.label}.`);
+    }
+});
+
+// The academic year a date falls in, or null
+AcademicYearSchema.statics.findForDate = function(date) {
+    return this.findOne({ startDate: { $lte: date }, endDate: { $gte: date } });
+};
+
+// The year marked as current, or else the one today falls in, or null
+AcademicYearSchema.statics.findCurrent = async function() {
+    return (await this.findOne({ isCurrent: true })) || this.findForDate(new Date());
+};
+
+AcademicYearSchema.statics.labelExists = async function(label) {
+    return Boolean(await this.exists({ label }));
+};
+
+// Marks one year as current and clears the flag on every other year
+AcademicYearSchema.statics.setCurrent = async function(id) {
+    await this.updateMany({ _id: { $ne: id }, isCurrent: true }, { $set: { isCurrent: false } });
+    await this.updateOne({ _id: id }, { $set: { isCurrent: true } });
+};
+
+// Label for the year starting in `startYear`, e.g. 2025 -> '2025-26'
+AcademicYearSchema.statics.labelForStartYear = function(startYear) {
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+module.exports = mongoose.model('AcademicYear', AcademicYearSchema);
@@ -0,0 +1,79 @@
+// Backend2/models/AuditLog.js
+// Who changed what in the admin panel. Entries are written by middleware/auditTrail.js after a
+// successful create/update/delete and are never edited; old entries are only removed by the
+// retention prune in utils/auditLog.js.
+const mongoose = require('mongoose');
+
+const AUDIT_RESOURCES = [
+    'Event', 'EventSeries', 'TeamMember', 'User', 'Media', 'Webhook', 'Campaign', 'Subscriber',
+    'Speaker', 'Vertical', 'AcademicYear', 'CertificateTemplate', 'Certificate', 'Registration'
+];
+// create/update/delete/restore/purge touch one document (delete moves events and team members to
+// the trash, purge removes them from it); the others are bulk operations described in `details`
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'import', 'reorder', 'sweep', 'issue', 'send'];
+
+const AuditChangeSchema = new mongoose.Schema({
+    path: { type: String, required: true }, // Dotted field path, e.g. venue.name
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+const AuditLogSchema = new mongoose.Schema({
+    actor: { // Copied from req.user, so the entry still says who it was after the account is deleted
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        name: { type: String },
+        email: { type: String },
+        role: { type: String }
+    },
+    ip: { type: String },
+    userAgent: { type: String },
+    action: {
+        type: String,
+        enum: AUDIT_ACTIONS,
+        required: true
+    },
+    resource: {
+        type: String,
+        enum: AUDIT_RESOURCES,
+        required: true
+    },
+    documentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    documentLabel: { type: String, default: '' }, // e.g. the event name, kept for deleted documents
+    method: { type: String },
+    path: { type: String },
+    statusCode: { type: Number },
+    changes: { type: [AuditChangeSchema], default: [] },
+    details: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ resource: 1, documentId: 1, createdAt: -1 });
+AuditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+
+// --- Append-only: saved entries can't be changed or deleted through the model ---
+const appendOnlyError = () => new Error('Audit log entries cannot be changed or deleted.');
+
+AuditLogSchema.pre('save', function() {
+    if (!this.isNew) throw appendOnlyError();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'findOneAndDelete', 'deleteOne'].forEach(operation => {
+    AuditLogSchema.pre(operation, { document: false, query: true }, function() {
+        throw appendOnlyError();
+    });
+});
+AuditLogSchema.pre('deleteOne', { document: true, query: false }, function() {
+    throw appendOnlyError();
+});
+// deleteMany is the retention prune's (utils/auditLog.js), which sets the `retention` option
+AuditLogSchema.pre('deleteMany', function() {
+    if (!this.getOptions().retention) throw appendOnlyError();
+});
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
+module.exports.AUDIT_RESOURCES = AUDIT_RESOURCES;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
@@ -0,0 +1,70 @@
+// Backend2/models/Campaign.js
+// A newsletter email to every confirmed subscriber. The event kinds render an event with the
+// templates in utils/emailTemplates.js (the admin's `message` is added as an intro); a custom
+// campaign is just the subject and message. Sending queues one email per subscriber in the outbox
+// (models/EmailMessage.js), and the campaign is 'sent' once the queue has worked through them.
+const mongoose = require('mongoose');
+
+const CAMPAIGN_KINDS = ['event-announcement', 'event-reminder', 'event-report', 'custom'];
+const CAMPAIGN_STATUSES = ['draft', 'sending', 'sent', 'cancelled'];
+
+const campaignSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: {
+            values: CAMPAIGN_KINDS,
+            message: `Campaign kind must be one of: ${CAMPAIGN_KINDS.join(', ')}`
+        },
+        required: [true, 'Campaign kind is required']
+    },
+    event: { // Required for the event kinds
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        default: null
+    },
+    subject: { // Empty: the template's subject (required for custom campaigns)
+        type: String,
+        trim: true,
+        default: '',
+        maxlength: [200, 'Subject cannot exceed 200 characters']
+    },
+    message: { // Plain text; blank lines separate paragraphs
+        type: String,
+        default: '',
+        maxlength: [10000, 'Message cannot exceed 10000 characters']
+    },
+    status: {
+        type: String,
+        enum: CAMPAIGN_STATUSES,
+        default: 'draft'
+    },
+    automatic: { // Queued by the reminder job rather than an admin
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    recipientCount: { type: Number, default: 0 }, // Subscribers it was queued for
+    queuedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+campaignSchema.pre('validate', function() {
+    if (this.kind === 'custom') {
+        if (!this.subject) this.invalidate('subject', 'A custom campaign needs a subject.');
+        if (!this.message || !this.message.trim()) this.invalidate('message', 'A custom campaign needs a message.');
+    } else if (!this.event) {
+        this.invalidate('event', 'Choose the event this campaign is about.');
+    }
+});
+
+campaignSchema.index({ status: 1, createdAt: -1 });
+// An event gets at most one reminder, whether an admin or the reminder job queued it
+campaignSchema.index({ event: 1, kind: 1 }, { unique: true, partialFilterExpression: { kind: 'event-reminder' } });
+
+module.exports = mongoose.model('Campaign', campaignSchema);
+module.exports.CAMPAIGN_KINDS = CAMPAIGN_KINDS;
+module.exports.CAMPAIGN_STATUSES = CAMPAIGN_STATUSES;
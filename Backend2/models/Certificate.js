@@ -0,0 +1,94 @@
+// Backend2/models/Certificate.js
+// An issued participation certificate. Event and attendee details are copied in at issue time
+// so the certificate (and its public verification) stays the same if the event is edited later.
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Unambiguous characters (no 0/O, 1/I/L) so IDs can be typed from a printed certificate
+const ID_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+const CertificateSchema = new mongoose.Schema({
+    // Public ID printed on the certificate, e.g. TBH-7K3M-Q9XP-2WDR
+    verificationId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    registration: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Registration',
+        required: true
+    },
+    template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CertificateTemplate',
+        default: null // null = built-in default template
+    },
+    attendeeName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    attendeeEmail: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    eventName: {
+        type: String,
+        required: true
+    },
+    eventDate: {
+        type: Date,
+        required: true
+    },
+    eventTimezone: {
+        type: String,
+    },
+    academicYear: {
+        type: String,
+    },
+    speakers: [{
+        type: String
+    }],
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    emailedAt: {
+        type: Date,
+    },
+    emailError: {
+        type: String,
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+    }
+}, {
+    timestamps: true
+});
+
+// One certificate per registration
+CertificateSchema.index({ registration: 1 }, { unique: true });
+CertificateSchema.index({ event: 1, issuedAt: 1 });
+
+CertificateSchema.statics.generateVerificationId = function() {
+    const chars = Array.from({ length: 12 }, () => ID_ALPHABET[crypto.randomInt(ID_ALPHABET.length)]).join('');
+    return `TBH-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+};
+
+module.exports = mongoose.model('Certificate', CertificateSchema);
@@ -0,0 +1,71 @@
+// Backend2/models/CertificateTemplate.js
+const mongoose = require('mongoose');
+
+// Placeholders available in `title`, `bodyText` and `footerText`
+const TEMPLATE_PLACEHOLDERS = ['attendeeName', 'eventName', 'eventDate', 'speakers', 'academicYear', 'verificationId'];
+
+const HEX_COLOR_REGEX = /^#[0-9a-f]{6}$/i;
+
+const CertificateTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Template name is required'],
+        trim: true,
+        unique: true
+    },
+    title: {
+        type: String,
+        default: 'Certificate of Participation',
+        trim: true,
+        maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    // e.g. "for participating in {{eventName}} held on {{eventDate}}, with talks by {{speakers}}."
+    bodyText: {
+        type: String,
+        default: 'for participating in {{eventName}} held on {{eventDate}}, featuring {{speakers}}.',
+        maxlength: [600, 'Body text cannot exceed 600 characters']
+    },
+    footerText: {
+        type: String,
+        default: 'The Blockchain Club',
+        maxlength: [200, 'Footer text cannot exceed 200 characters']
+    },
+    signatories: [{
+        name: {
+            type: String,
+            required: [true, 'Signatory name is required'],
+            trim: true
+        },
+        designation: {
+            type: String,
+            trim: true,
+            default: ''
+        }
+    }],
+    primaryColor: {
+        type: String,
+        default: '#0056b3',
+        match: [HEX_COLOR_REGEX, 'Colors must be hex values like #0056b3']
+    },
+    accentColor: {
+        type: String,
+        default: '#d4a017',
+        match: [HEX_COLOR_REGEX, 'Colors must be hex values like #0056b3']
+    },
+    // Used when an issue request doesn't name a template
+    isDefault: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+CertificateTemplateSchema.path('signatories').validate(function(value) {
+    return !value || value.length <= 3;
+}, 'A certificate can have at most 3 signatories.');
+
+const CertificateTemplate = mongoose.model('CertificateTemplate', CertificateTemplateSchema);
+
+module.exports = CertificateTemplate;
+module.exports.TEMPLATE_PLACEHOLDERS = TEMPLATE_PLACEHOLDERS;
@@ -0,0 +1,51 @@
+// Backend2/models/EmailMessage.js
+// The outbox: an email waiting to be sent, or the record of one that was. Messages are sent by the
+// throttled queue in utils/mailQueue.js, which retries failures with backoff. Finished messages are
+// removed MAIL_LOG_RETENTION_DAYS after they were sent or gave up.
+const mongoose = require('mongoose');
+
+const EMAIL_STATUSES = ['pending', 'sent', 'failed', 'cancelled'];
+
+const emailMessageSchema = new mongoose.Schema({
+    campaign: { // null for one-off emails (e.g. subscription confirmations)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign',
+        default: null
+    },
+    subscriber: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subscriber',
+        default: null
+    },
+    template: { type: String, required: true }, // Which template rendered it, e.g. event-reminder
+    to: { type: String, required: true },
+    subject: { type: String, required: true },
+    html: { type: String, required: true },
+    text: { type: String, default: '' },
+    headers: { type: mongoose.Schema.Types.Mixed, default: undefined }, // e.g. List-Unsubscribe
+    priority: { // Higher goes first: confirmations don't wait behind a campaign
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: EMAIL_STATUSES,
+        default: 'pending'
+    },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: '' },
+    nextAttemptAt: { type: Date, default: Date.now },
+    sentAt: { type: Date, default: null },
+    expiresAt: { // Set once the message is finished
+        type: Date,
+        default: null,
+        index: { expires: 0 } // TTL index
+    }
+}, { timestamps: true });
+
+emailMessageSchema.index({ status: 1, priority: -1, nextAttemptAt: 1 });
+emailMessageSchema.index({ campaign: 1, status: 1 });
+emailMessageSchema.index({ subscriber: 1, status: 1 });
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
+module.exports.EMAIL_STATUSES = EMAIL_STATUSES;
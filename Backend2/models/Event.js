@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto'); // For preview tokens
+const AcademicYear = require('./AcademicYear');
+const ImageVariantsSchema = require('./schemas/imageVariants');
+const softDelete = require('./plugins/softDelete');
+const { DEFAULT_TIMEZONE, VENUE_MODES, isValidTimezone } = require('../utils/eventLogistics');
+
+// Simple URL regex validation (can be more robust if needed)
+const URL_REGEX = /^(https?|ftp):\/\/[^\s/$.?#].[^\s]*$/i;
+
+// draft: being prepared; scheduled: published by utils/eventPublishing.js at publishAt;
+// published: on the public site; archived/cancelled: taken off the public site
+const EVENT_STATUSES = ['draft', 'scheduled', 'published', 'archived', 'cancelled'];
+const PREVIEW_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Preview links are valid for 7 days
+// Fields shown in calendar apps (see calendarSequence)
+const CALENDAR_PATHS = ['eventName', 'eventDate', 'eventEndDate', 'timezone', 'venue', 'description', 'status'];
 
 const eventSchema = new mongoose.Schema({
     eventName: {
@@ -7,27 +22,71 @@ const eventSchema = new mongoose.Schema({
         trim: true, // Remove whitespace from both ends of a string
         minlength: [3, 'Event name must be at least 3 characters long']
     },
+    // Start of the event, stored in UTC (see `timezone` for the local wall-clock time)
     eventDate: {
         type: Date,
         required: [true, 'Event date is required'],
     },
-    eventDescription: {
+    eventEndDate: {
+        type: Date,
+        default: null,
+        validate: {
+            validator: function(v) {
+                if (!v || !this.eventDate) return true;
+                return v >= this.eventDate;
+            },
+            message: 'Event end date/time cannot be before the start date/time'
+        }
+    },
+    // IANA timezone the event times were entered in, e.g. 'Asia/Kolkata'
+    timezone: {
         type: String,
-        default: '', // Optional, but provides a default empty string
-        maxlength: [1000, 'Description cannot exceed 1000 characters']
+        default: DEFAULT_TIMEZONE,
+        trim: true,
+        validate: {
+            validator: isValidTimezone,
+            message: props => `${props.value} is not a valid timezone!`
+        }
     },
-    // Speakers will now be an array of objects
-    speakers: [{
-        name: {
+    venue: {
+        mode: {
+            type: String,
+            enum: {
+                values: VENUE_MODES,
+                message: `Venue mode must be one of: ${VENUE_MODES.join(', ')}`
+            },
+            default: 'physical'
+        },
+        room: {
             type: String,
-            required: [true, 'Speaker name is required'],
             trim: true
         },
-        id: {
-            type: Number, // Storing ID Number as a Number
-            required: [true, 'Speaker ID is required'],
-            min: [1, 'Speaker ID must be a positive number'] // Assuming IDs are positive
+        address: {
+            type: String,
+            trim: true
+        },
+        meetingUrl: {
+            type: String,
+            trim: true,
+            validate: {
+                validator: function(v) {
+                    if (!v) return true;
+                    return URL_REGEX.test(v);
+                },
+                message: props => `${props.value} is not a valid meeting URL!`
+            }
         }
+    },
+    // Replaces the old `eventDescription` field (see scripts/migrateEventDescription.js)
+    description: {
+        type: String,
+        default: '', // Optional, but provides a default empty string
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    // References to the speaker directory (models/Speaker.js), in the order they are listed on the event
+    speakers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Speaker'
     }],
     // Poster field to handle both uploaded files and external URLs
     poster: {
@@ -44,13 +103,21 @@ const eventSchema = new mongoose.Schema({
             validate: {
                 validator: function(v) {
                     if (this.type === 'url') {
-                        // Simple URL regex validation (can be more robust if needed)
-                        return /^(https?|ftp):\/\/[^\s/$.?#].[^\s]*$/i.test(v);
+                        return URL_REGEX.test(v);
                     }
                     return true; // No validation needed if type is 'upload'
                 },
                 message: props => `${props.value} is not a valid URL for poster type 'url'!`
             }
+        },
+        variants: { // Resized copies, for uploads only (value points at the full-size fallback)
+            type: ImageVariantsSchema,
+            default: undefined
+        },
+        media: { // Media library entry (models/Media.js) the upload belongs to
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Media',
+            default: undefined
         }
     },
     reportLink: {
@@ -60,33 +127,222 @@ const eventSchema = new mongoose.Schema({
         validate: {
             validator: function(v) {
                 if (v === null || v === '') return true; // Allow null or empty string
-                return /^(https?|ftp):\/\/[^\s/$.?#].[^\s]*$/i.test(v);
+                return URL_REGEX.test(v);
             },
             message: props => `${props.value} is not a valid URL for report link!`
         }
     },
+    // RSVP settings (see routes/registrationRoutes.js)
+    registration: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        capacity: { // null = unlimited seats
+            type: Number,
+            default: null,
+            min: [1, 'Registration capacity must be at least 1']
+        },
+        opensAt: {
+            type: Date,
+            default: null
+        },
+        closesAt: { // null = registration closes when the event starts
+            type: Date,
+            default: null,
+            validate: {
+                validator: function(v) {
+                    const opensAt = this.registration && this.registration.opensAt;
+                    if (!v || !opensAt) return true;
+                    return v > opensAt;
+                },
+                message: 'Registration must close after it opens'
+            }
+        },
+        waitlistEnabled: {
+            type: Boolean,
+            default: true
+        },
+        // Seats taken by confirmed registrations, kept in sync atomically by utils/registrations.js
+        confirmedCount: {
+            type: Number,
+            default: 0,
+            min: 0
+        }
+    },
+    // Label of an AcademicYear (models/AcademicYear.js); derived from eventDate when not given
     academicYear: {
         type: String,
-        required: [true, 'Academic year is required'],
-        enum: {
-            values: ['2024-25', '2025-26'],
-            message: 'Academic year must be 2024-25 or 2025-26'
+        required: [true, 'Academic year is required (no academic year covers the event date)'],
+        trim: true,
+        validate: {
+            validator: v => AcademicYear.labelExists(v),
+            message: props => `${props.value} is not a configured academic year!`
         }
+    },
+    // Only published events are shown by the public routes (see routes/eventRoutes.js)
+    status: {
+        type: String,
+        enum: {
+            values: EVENT_STATUSES,
+            message: `Status must be one of: ${EVENT_STATUSES.join(', ')}`
+        },
+        default: 'draft'
+    },
+    publishAt: { // When a scheduled event goes live; cleared for every other status
+        type: Date,
+        default: null
+    },
+    publishedAt: { // When the event first went live
+        type: Date,
+        default: null
+    },
+    // iCalendar SEQUENCE (see utils/calendar.js): bumped whenever something a calendar shows changes,
+    // so subscribed calendars replace their copy of the event
+    calendarSequence: {
+        type: Number,
+        default: 0
+    },
+    // Session of a recurring series (models/EventSeries.js); null for a one-off event
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EventSeries',
+        default: null
+    },
+    seriesOccurrence: { // Date ('YYYY-MM-DD', series timezone) of the occurrence this session was generated for
+        type: String,
+        default: null
+    },
+    // Inherited fields this session has its own value for, which edits to the series leave alone
+    // ('schedule' when the session was moved; see SERIES_FIELDS in utils/eventSeries.js)
+    seriesOverrides: {
+        type: [String],
+        default: undefined
+    },
+    // Link for reviewing the event page before it is published (see createPreviewToken)
+    preview: {
+        tokenHash: { type: String }, // SHA-256 of the token in the link
+        expiresAt: { type: Date }
     }
 }, {
-    timestamps: true // Adds createdAt and updatedAt timestamps automatically
+    timestamps: true, // Adds createdAt and updatedAt timestamps automatically
+    toJSON: {
+        // The preview token is only shown once, when it is created
+        transform: (doc, ret) => {
+            if (ret.preview) {
+                delete ret.preview.tokenHash;
+            }
+            return ret;
+        }
+    }
 });
 
-// Custom validation for speakers array: must not be empty and all elements must be valid
+// Custom validation for speakers array: must not be empty and must not list a speaker twice
 eventSchema.path('speakers').validate(function(value) {
     if (!value || value.length === 0) {
         return false; // Speakers array must not be empty
     }
-    // Ensure every speaker object has a name and a valid ID
-    return value.every(speaker => speaker && speaker.name && typeof speaker.id === 'number' && speaker.id >= 1);
-}, 'At least one speaker with a valid name and ID is required.');
+    const ids = value.map(speaker => String(speaker && speaker._id ? speaker._id : speaker));
+    return new Set(ids).size === ids.length;
+}, 'At least one speaker is required, and each speaker can only be listed once.');
+
+// Venue must carry the details its mode needs: a room/address to walk into and/or a link to join
+// (only checked when the venue is set or changed, so older events without a venue can still be edited)
+eventSchema.pre('validate', function(next) {
+    if (!this.isNew && !this.isModified('venue')) {
+        return next();
+    }
+
+    const venue = this.venue || {};
+    const hasPlace = Boolean(venue.room || venue.address);
+    const hasLink = Boolean(venue.meetingUrl);
+
+    if ((venue.mode === 'physical' || venue.mode === 'hybrid') && !hasPlace) {
+        this.invalidate('venue', `A ${venue.mode} event requires a room or address.`);
+    }
+    if ((venue.mode === 'online' || venue.mode === 'hybrid') && !hasLink) {
+        this.invalidate('venue', `${venue.mode === 'online' ? 'An online' : 'A hybrid'} event requires a meeting URL.`);
+    }
+    next();
+});
+
+// Fills in the academic year from the event date when it isn't given, and follows the date when it
+// moves into another year (unless the year was set explicitly in the same change)
+eventSchema.pre('validate', async function() {
+    if (!this.eventDate) return;
+    const dateMoved = !this.isNew && this.isModified('eventDate') && !this.isModified('academicYear');
+    if (this.academicYear && !dateMoved) return;
+
+    const year = await AcademicYear.findForDate(this.eventDate);
+    if (year) {
+        this.academicYear = year.label;
+    }
+});
+
+// Keeps publishAt/publishedAt in line with the status: a scheduled event needs a publish time in
+// the future, and an event that goes live records when it did
+eventSchema.pre('validate', function() {
+    if (this.status !== 'scheduled') {
+        this.publishAt = null;
+    } else if (!this.publishAt) {
+        this.invalidate('publishAt', 'A scheduled event requires a publish date/time.');
+    } else if ((this.isModified('publishAt') || this.isModified('status')) && this.publishAt <= new Date()) {
+        this.invalidate('publishAt', 'The publish date/time must be in the future. Publish the event instead.');
+    }
+
+    if (this.status === 'published' && !this.publishedAt) {
+        this.publishedAt = new Date();
+    }
+});
+
+// A changed time, place, description or status is a new revision for calendars
+eventSchema.pre('save', function() {
+    if (!this.isNew && CALENDAR_PATHS.some(path => this.isModified(path))) {
+        this.calendarSequence = (this.calendarSequence || 0) + 1;
+    }
+});
+
+// Generates a new preview token, stores its hash and returns the raw token (for the preview link).
+// Any earlier preview link stops working.
+eventSchema.methods.createPreviewToken = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.preview = {
+        tokenHash: Event.hashToken(token),
+        expiresAt: new Date(Date.now() + PREVIEW_TTL_MS)
+    };
+    return token;
+};
+
+eventSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// The event a preview link points at, whatever its status (trashed events excluded)
+eventSchema.statics.findByPreviewToken = function(token) {
+    return this.findOne({
+        'preview.tokenHash': this.hashToken(token),
+        'preview.expiresAt': { $gt: new Date() }
+    });
+};
+
+// --- Indexes backing the GET /api/events filters ---
+eventSchema.index({ eventDate: -1 });
+eventSchema.index({ academicYear: 1, eventDate: -1 });
+eventSchema.index({ speakers: 1, eventDate: -1 });
+eventSchema.index({ status: 1, eventDate: -1 });
+eventSchema.index({ status: 1, publishAt: 1 }); // Scheduled publishing
+eventSchema.index({ 'preview.tokenHash': 1 }, { sparse: true });
+eventSchema.index({ series: 1, seriesOccurrence: 1 });
+// Text index for ?q= search; matches in the name rank above matches in the description
+eventSchema.index(
+    { eventName: 'text', description: 'text' },
+    { name: 'event_text_search', weights: { eventName: 5, description: 1 } }
+);
 
+// Deleting an event moves it to the trash (see plugins/softDelete.js)
+eventSchema.plugin(softDelete);
 
 const Event = mongoose.model('Event', eventSchema);
 
-module.exports = Event;
\ No newline at end of file
+module.exports = Event;
+module.exports.EVENT_STATUSES = EVENT_STATUSES;
\ No newline at end of file
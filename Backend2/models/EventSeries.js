@@ -0,0 +1,169 @@
+// Backend2/models/EventSeries.js
+// A series of recurring sessions, e.g. the weekly "Blockchain Basics". Each session is an Event
+// with `series` set; the series holds the fields its sessions inherit (unless a session overrides
+// them) and the recurrence rule the sessions are generated from (see utils/eventSeries.js).
+const mongoose = require('mongoose');
+const ImageVariantsSchema = require('./schemas/imageVariants');
+const { DEFAULT_TIMEZONE, VENUE_MODES, isValidTimezone } = require('../utils/eventLogistics');
+
+const URL_REGEX = /^(https?|ftp):\/\/[^\s/$.?#].[^\s]*$/i;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']; // RRULE BYDAY codes
+
+// RRULE-style recurrence. Dates are local dates ('YYYY-MM-DD') in the series' timezone.
+const RecurrenceSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        enum: {
+            values: RECURRENCE_FREQUENCIES,
+            message: `Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`
+        },
+        default: 'weekly'
+    },
+    interval: { // Every `interval` days/weeks, e.g. 2 with weekly = biweekly
+        type: Number,
+        default: 1,
+        min: [1, 'Recurrence interval must be at least 1'],
+        max: [52, 'Recurrence interval cannot exceed 52']
+    },
+    byDay: { // Weekly only: the weekdays sessions fall on (the start date's weekday when empty)
+        type: [{ type: String, enum: { values: WEEKDAYS, message: `Weekdays must be among: ${WEEKDAYS.join(', ')}` } }],
+        default: []
+    },
+    startDate: { // Date of the first session
+        type: String,
+        required: [true, 'Recurrence start date is required'],
+        match: [DATE_ONLY_REGEX, 'Recurrence start date must be in YYYY-MM-DD format']
+    },
+    startTime: {
+        type: String,
+        required: [true, 'Session start time is required'],
+        match: [TIME_REGEX, 'Session start time must be in HH:MM (24-hour) format']
+    },
+    durationMinutes: {
+        type: Number,
+        default: 60,
+        min: [1, 'Session duration must be at least 1 minute'],
+        max: [24 * 60, 'Session duration cannot exceed 24 hours']
+    },
+    count: { // Number of occurrences (skipped ones included, as with RRULE COUNT + EXDATE)
+        type: Number,
+        default: null,
+        min: [1, 'Recurrence count must be at least 1']
+    },
+    until: { // Last date a session can fall on
+        type: String,
+        default: null,
+        match: [DATE_ONLY_REGEX, 'Recurrence end date must be in YYYY-MM-DD format']
+    },
+    exceptions: { // Dates that are skipped (EXDATE), including sessions deleted from the series
+        type: [{ type: String, match: [DATE_ONLY_REGEX, 'Exception dates must be in YYYY-MM-DD format'] }],
+        default: []
+    }
+}, { _id: false });
+
+const EventSeriesSchema = new mongoose.Schema({
+    title: { // The sessions' eventName
+        type: String,
+        required: [true, 'Series title is required'],
+        trim: true,
+        minlength: [3, 'Series title must be at least 3 characters long']
+    },
+    description: {
+        type: String,
+        default: '',
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    speakers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Speaker'
+    }],
+    timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        trim: true,
+        validate: {
+            validator: isValidTimezone,
+            message: props => `${props.value} is not a valid timezone!`
+        }
+    },
+    venue: { // Same shape as Event.venue; each session checks it against its mode
+        mode: {
+            type: String,
+            enum: {
+                values: VENUE_MODES,
+                message: `Venue mode must be one of: ${VENUE_MODES.join(', ')}`
+            },
+            default: 'physical'
+        },
+        room: { type: String, trim: true },
+        address: { type: String, trim: true },
+        meetingUrl: { type: String, trim: true }
+    },
+    poster: {
+        type: {
+            type: String,
+            required: [true, 'Poster type is required'],
+            enum: ['upload', 'url']
+        },
+        value: {
+            type: String,
+            required: [true, 'Poster value (filepath or URL) is required'],
+            trim: true,
+            validate: {
+                validator: function(v) {
+                    return this.type !== 'url' || URL_REGEX.test(v);
+                },
+                message: props => `${props.value} is not a valid URL for poster type 'url'!`
+            }
+        },
+        variants: { type: ImageVariantsSchema, default: undefined },
+        media: { type: mongoose.Schema.Types.ObjectId, ref: 'Media', default: undefined }
+    },
+    // RSVP settings for each session (registration opens right away and closes when the session starts)
+    registration: {
+        enabled: { type: Boolean, default: false },
+        capacity: { type: Number, default: null, min: [1, 'Registration capacity must be at least 1'] },
+        waitlistEnabled: { type: Boolean, default: true }
+    },
+    recurrence: {
+        type: RecurrenceSchema,
+        required: [true, 'A recurrence rule is required']
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true } // Includes `rrule`
+});
+
+// A series has to end, either after a number of sessions or on a date
+EventSeriesSchema.pre('validate', function() {
+    const recurrence = this.recurrence;
+    if (!recurrence) return;
+    if (!recurrence.count && !recurrence.until) {
+        this.invalidate('recurrence', 'A recurrence rule needs a count or an end date.');
+    }
+    if (recurrence.until && recurrence.startDate && recurrence.until < recurrence.startDate) {
+        this.invalidate('recurrence.until', 'The recurrence end date cannot be before its start date.');
+    }
+});
+
+// The rule as an RRULE string, e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;COUNT=12
+EventSeriesSchema.virtual('rrule').get(function() {
+    const recurrence = this.recurrence;
+    if (!recurrence) return null;
+    const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+    if (recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+    if (recurrence.frequency === 'weekly' && recurrence.byDay.length > 0) parts.push(`BYDAY=${recurrence.byDay.join(',')}`);
+    if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+    if (recurrence.until) parts.push(`UNTIL=${recurrence.until.replace(/-/g, '')}`);
+    return parts.join(';');
+});
+
+EventSeriesSchema.index({ title: 1 });
+
+module.exports = mongoose.model('EventSeries', EventSeriesSchema);
+module.exports.RECURRENCE_FREQUENCIES = RECURRENCE_FREQUENCIES;
+module.exports.WEEKDAYS = WEEKDAYS;
@@ -0,0 +1,100 @@
+// Backend2/models/Media.js
+// An uploaded image in the media library: its stored files (see utils/images.js) and which
+// documents use it. An image can be reused by several events/members/speakers; once nothing
+// references it any more it is removed by the media sweep (utils/mediaSweep.js).
+const mongoose = require('mongoose');
+const ImageVariantsSchema = require('./schemas/imageVariants');
+
+const REFERENCE_MODELS = ['Event', 'EventSeries', 'TeamMember', 'Speaker'];
+
+const MediaSchema = new mongoose.Schema({
+    originalName: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    mimeType: { // From the file contents, not the client
+        type: String,
+    },
+    size: { // Bytes of the original upload
+        type: Number,
+        default: 0
+    },
+    storedSize: { // Bytes of all stored variants together
+        type: Number,
+        default: 0
+    },
+    width: Number,  // Of the full-size variant
+    height: Number,
+    value: { // URL of the full-size fallback (what poster.value/photo.value hold)
+        type: String,
+        required: true
+    },
+    variants: {
+        type: ImageVariantsSchema,
+        default: undefined
+    },
+    // Every stored file URL, for deletion and orphan detection
+    files: [{
+        type: String
+    }],
+    alt: { // Optional description for screen readers
+        type: String,
+        trim: true,
+        maxlength: [300, 'Alt text cannot exceed 300 characters']
+    },
+    pinned: { // Uploaded to the library on purpose: kept by the sweep even while unused
+        type: Boolean,
+        default: false
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    references: [{
+        model: {
+            type: String,
+            enum: REFERENCE_MODELS,
+            required: true
+        },
+        document: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        field: { // e.g. 'poster', 'photo'
+            type: String,
+            required: true
+        },
+        _id: false
+    }],
+    // Set when the last reference goes away; the sweep only removes media unused for a while
+    unreferencedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true }
+});
+
+MediaSchema.virtual('referenceCount').get(function() {
+    return (this.references || []).length;
+});
+
+MediaSchema.index({ 'references.model': 1, 'references.document': 1 });
+MediaSchema.index({ unreferencedAt: 1 });
+MediaSchema.index({ files: 1 });
+MediaSchema.index({ createdAt: -1 });
+
+// The { type, value, variants, media } object stored on Event.poster / TeamMember.photo / Speaker.photo
+MediaSchema.methods.toImage = function() {
+    return {
+        type: 'upload',
+        value: this.value,
+        variants: this.variants ? this.variants.toObject() : undefined,
+        media: this._id
+    };
+};
+
+module.exports = mongoose.model('Media', MediaSchema);
+module.exports.REFERENCE_MODELS = REFERENCE_MODELS;
@@ -0,0 +1,153 @@
+// Backend2/models/OtpCode.js
+// Login OTPs, one document per admin email. Codes are stored as HMAC hashes, are single-use,
+// and the document also tracks the resend cooldown and the failed-attempt lockout.
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const OTP_TTL_MS = (parseInt(process.env.OTP_TTL_MINUTES, 10) || 10) * 60 * 1000;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const OTP_LOCKOUT_MS = (parseInt(process.env.OTP_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+const OTP_RESEND_COOLDOWN_MS = (parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60) * 1000;
+
+const otpCodeSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    codeHash: {
+        type: String,
+    },
+    codeExpiresAt: {
+        type: Date,
+    },
+    failedAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastSentAt: {
+        type: Date,
+    },
+    lockedUntil: {
+        type: Date,
+    },
+    // When the whole record may be forgotten (after the code, cooldown and lockout have all passed)
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 } // TTL index
+    }
+});
+
+// --- Helpers ---
+const hashCode = (code) => crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET || 'otp')
+    .update(String(code))
+    .digest('hex');
+
+// Constant-time comparison of two hex digests
+const hashesMatch = (a, b) => {
+    const bufA = Buffer.from(a, 'hex');
+    const bufB = Buffer.from(b, 'hex');
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// --- Statics ---
+
+// Creates a new code for `email`, unless the email is locked out or still in the resend cooldown.
+// Returns { status: 'issued', code } | { status: 'cooldown' | 'locked', retryAfter (seconds) }
+otpCodeSchema.statics.issue = async function(email) {
+    const now = new Date();
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0'); // 6-digit OTP
+    const codeExpiresAt = new Date(now.getTime() + OTP_TTL_MS);
+
+    try {
+        // Atomic: only matches (or inserts) when no cooldown or lockout is active,
+        // so two concurrent requests can't both send a code.
+        await this.findOneAndUpdate(
+            {
+                email,
+                $and: [
+                    { $or: [{ lastSentAt: null }, { lastSentAt: { $lte: new Date(now.getTime() - OTP_RESEND_COOLDOWN_MS) } }] },
+                    { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] }
+                ]
+            },
+            {
+                $set: {
+                    codeHash: hashCode(code),
+                    codeExpiresAt,
+                    failedAttempts: 0,
+                    lastSentAt: now,
+                    lockedUntil: null,
+                    expiresAt: codeExpiresAt
+                }
+            },
+            { upsert: true }
+        );
+        return { status: 'issued', code };
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+    }
+
+    // The upsert collided with an existing record that is in cooldown or locked out
+    const record = await this.findOne({ email });
+    if (record && record.lockedUntil && record.lockedUntil > now) {
+        return { status: 'locked', retryAfter: secondsUntil(record.lockedUntil) };
+    }
+    const cooldownEnds = new Date((record && record.lastSentAt ? record.lastSentAt.getTime() : now.getTime()) + OTP_RESEND_COOLDOWN_MS);
+    return { status: 'cooldown', retryAfter: secondsUntil(cooldownEnds) };
+};
+
+// Checks a code. A correct code is consumed (single use); wrong codes count towards the lockout.
+// Returns { status: 'valid' } | { status: 'invalid', attemptsLeft } | { status: 'locked', retryAfter }
+otpCodeSchema.statics.verify = async function(email, code) {
+    const now = new Date();
+    const record = await this.findOne({ email });
+
+    if (record && record.lockedUntil && record.lockedUntil > now) {
+        return { status: 'locked', retryAfter: secondsUntil(record.lockedUntil) };
+    }
+    if (!record || !record.codeHash || !record.codeExpiresAt || record.codeExpiresAt <= now) {
+        return { status: 'invalid', attemptsLeft: null };
+    }
+
+    if (typeof code !== 'string' || !hashesMatch(hashCode(code.trim()), record.codeHash)) {
+        const updated = await this.findOneAndUpdate(
+            { _id: record._id, codeHash: record.codeHash },
+            { $inc: { failedAttempts: 1 } },
+            { new: true }
+        );
+        const failedAttempts = updated ? updated.failedAttempts : OTP_MAX_ATTEMPTS;
+
+        if (failedAttempts >= OTP_MAX_ATTEMPTS) {
+            // Lock the email out and throw the code away
+            const lockedUntil = new Date(now.getTime() + OTP_LOCKOUT_MS);
+            await this.updateOne(
+                { _id: record._id },
+                { $set: { lockedUntil, expiresAt: lockedUntil }, $unset: { codeHash: 1, codeExpiresAt: 1 } }
+            );
+            return { status: 'locked', retryAfter: secondsUntil(lockedUntil) };
+        }
+        return { status: 'invalid', attemptsLeft: OTP_MAX_ATTEMPTS - failedAttempts };
+    }
+
+    // Consume the code atomically so the same code can't be used twice in parallel requests
+    const consumed = await this.findOneAndUpdate(
+        { _id: record._id, codeHash: record.codeHash },
+        { $unset: { codeHash: 1, codeExpiresAt: 1 }, $set: { failedAttempts: 0 } }
+    );
+    return consumed ? { status: 'valid' } : { status: 'invalid', attemptsLeft: null };
+};
+
+// Forgets the code for `email` (e.g. when the email could not be delivered)
+otpCodeSchema.statics.discard = function(email) {
+    return this.deleteOne({ email, lockedUntil: { $not: { $gt: new Date() } } });
+};
+
+const OtpCode = mongoose.model('OtpCode', otpCodeSchema);
+
+module.exports = OtpCode;
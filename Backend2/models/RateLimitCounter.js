@@ -0,0 +1,49 @@
+// Backend2/models/RateLimitCounter.js
+// Fixed-window request counters used by middleware/rateLimit.js.
+// Stored in MongoDB so limits hold across restarts and multiple server instances.
+const mongoose = require('mongoose');
+
+const rateLimitCounterSchema = new mongoose.Schema({
+    // `<limiter name>:<client key>:<window start>`
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    // End of the window; MongoDB's TTL monitor deletes the counter afterwards
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 }
+    }
+});
+
+// Records one hit for `key` in the current window and returns { count, resetAt }
+rateLimitCounterSchema.statics.hit = async function(key, windowMs) {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = new Date(windowStart + windowMs);
+    const windowKey = `${key}:${windowStart}`;
+
+    const increment = () => this.findOneAndUpdate(
+        { key: windowKey },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+        { upsert: true, new: true }
+    );
+
+    let counter;
+    try {
+        counter = await increment();
+    } catch (err) {
+        // Two requests upserting the same new window at once: the loser retries as a plain update
+        if (err.code !== 11000) throw err;
+        counter = await increment();
+    }
+
+    return { count: counter.count, resetAt };
+};
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
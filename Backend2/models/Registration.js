@@ -0,0 +1,109 @@
+// Backend2/models/Registration.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const RegistrationSchema = new mongoose.Schema({
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        lowercase: true,
+        trim: true,
+        match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please fill a valid email address']
+    },
+    idNumber: { // College ID number (optional)
+        type: String,
+        trim: true
+    },
+    phoneNumber: {
+        type: String,
+        trim: true,
+        match: [/^\+?[0-9]{10,15}$/, 'Please fill a valid phone number'] // Same rule as TeamMember
+    },
+    // confirmed: has a seat; waitlisted: waiting for a seat; cancelled: by the registrant or an admin
+    status: {
+        type: String,
+        enum: ['confirmed', 'waitlisted', 'cancelled'],
+        required: true
+    },
+    registeredAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Waitlist order (oldest first)
+    waitlistedAt: {
+        type: Date,
+    },
+    promotedAt: {
+        type: Date,
+    },
+    cancelledAt: {
+        type: Date,
+    },
+    cancelledBy: {
+        type: String,
+        enum: ['registrant', 'admin'],
+    },
+    // SHA-256 of the token in the self-service cancellation link
+    cancelTokenHash: {
+        type: String,
+    },
+    checkedInAt: {
+        type: Date,
+    },
+    checkedInBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    checkInMethod: { // qr: scanned ticket; manual: looked up by name at the door
+        type: String,
+        enum: ['qr', 'manual'],
+    },
+    // Repeat scans of an already used ticket (a shared screenshot shows up here)
+    duplicateScanCount: {
+        type: Number,
+        default: 0
+    },
+    lastScannedAt: {
+        type: Date,
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.cancelTokenHash;
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+// One registration per email per event (a cancelled registration is reused on re-registration)
+RegistrationSchema.index({ event: 1, email: 1 }, { unique: true });
+RegistrationSchema.index({ event: 1, status: 1, waitlistedAt: 1 });
+RegistrationSchema.index({ event: 1, checkedInAt: 1 });
+
+// Generates a new cancellation token, stores its hash and returns the raw token (for the email link)
+RegistrationSchema.methods.createCancelToken = function() {
+    const token = crypto.randomBytes(24).toString('base64url');
+    this.cancelTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    return token;
+};
+
+RegistrationSchema.methods.matchesCancelToken = function(token) {
+    if (!this.cancelTokenHash || typeof token !== 'string') return false;
+    const hash = crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(hash, Buffer.from(this.cancelTokenHash, 'hex'));
+};
+
+module.exports = mongoose.model('Registration', RegistrationSchema);
@@ -0,0 +1,195 @@
+// Backend2/models/Session.js
+// One document per admin login. The session holds the (hashed) refresh token, which is rotated
+// on every refresh; access tokens carry the session id (`sid`) so revoking the session also
+// invalidates every access token issued for it.
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+const SESSION_MAX_AGE_MS = (parseInt(process.env.SESSION_MAX_AGE_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+// Two tabs refreshing with the same token at the same moment is not an attack
+const REUSE_GRACE_MS = 10 * 1000;
+const ROTATED_HISTORY_SIZE = 20;
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // The token that was rotated out last, and when (for the concurrent-refresh grace period)
+    previousTokenHash: {
+        type: String,
+    },
+    lastRotatedAt: {
+        type: Date,
+    },
+    // Older rotated-out tokens; presenting one of these means the token was stolen and replayed
+    rotatedTokenHashes: {
+        type: [String],
+        default: []
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+    },
+    // Sessions can't be extended by refreshing beyond this point
+    maxExpiresAt: {
+        type: Date,
+        required: true
+    },
+    // Sliding expiry; MongoDB deletes the session afterwards (TTL index)
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 }
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        // Never send token hashes to the client
+        transform: (doc, ret) => {
+            delete ret.refreshTokenHash;
+            delete ret.previousTokenHash;
+            delete ret.rotatedTokenHashes;
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+// --- Helpers ---
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Refresh tokens look like `<sessionId>.<random secret>` so the session can be found without a scan
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+const parseRefreshToken = (refreshToken) => {
+    if (typeof refreshToken !== 'string') return null;
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+    return { sessionId };
+};
+
+const nextExpiry = (maxExpiresAt) => new Date(Math.min(Date.now() + REFRESH_TOKEN_TTL_MS, maxExpiresAt.getTime()));
+
+// --- Instance methods ---
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.revoke = function(reason = 'revoked') {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    return this.save();
+};
+
+// --- Statics ---
+
+// Starts a session for `user` and returns { session, refreshToken }
+sessionSchema.statics.start = async function(user, { userAgent = '', ip = '' } = {}) {
+    const session = new this({
+        user: user._id,
+        userAgent: String(userAgent).slice(0, 500),
+        ip,
+        maxExpiresAt: new Date(Date.now() + SESSION_MAX_AGE_MS)
+    });
+    const refreshToken = buildRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    session.expiresAt = nextExpiry(session.maxExpiresAt);
+    await session.save();
+    return { session, refreshToken };
+};
+
+// Exchanges a refresh token for a new one.
+// Returns { status: 'rotated', session, refreshToken } | { status: 'invalid' | 'expired' | 'revoked' | 'conflict' }
+// | { status: 'reused', session } (the session has been revoked because an old token was replayed)
+sessionSchema.statics.rotate = async function(refreshToken, { ip } = {}) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return { status: 'invalid' };
+
+    const session = await this.findById(parsed.sessionId);
+    if (!session) return { status: 'invalid' };
+
+    const presentedHash = hashToken(refreshToken);
+    const now = new Date();
+
+    if (presentedHash !== session.refreshTokenHash) {
+        const recentlyRotated = session.lastRotatedAt && now - session.lastRotatedAt < REUSE_GRACE_MS;
+        if (presentedHash === session.previousTokenHash && recentlyRotated) {
+            return { status: 'conflict' };
+        }
+        if (presentedHash === session.previousTokenHash || session.rotatedTokenHashes.includes(presentedHash)) {
+            if (!session.revokedAt) {
+                await session.revoke('refresh-token-reuse');
+            }
+            return { status: 'reused', session };
+        }
+        return { status: 'invalid' };
+    }
+
+    if (session.revokedAt) return { status: 'revoked' };
+    if (session.expiresAt <= now) return { status: 'expired' };
+
+    const newRefreshToken = buildRefreshToken(session._id);
+    const history = session.previousTokenHash ? [session.previousTokenHash] : [];
+
+    // Only succeeds if nobody rotated this token in the meantime
+    const updated = await this.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+        {
+            $set: {
+                refreshTokenHash: hashToken(newRefreshToken),
+                previousTokenHash: presentedHash,
+                lastRotatedAt: now,
+                lastUsedAt: now,
+                expiresAt: nextExpiry(session.maxExpiresAt),
+                ...(ip ? { ip } : {})
+            },
+            $push: { rotatedTokenHashes: { $each: history, $slice: -ROTATED_HISTORY_SIZE } }
+        },
+        { new: true }
+    );
+    if (!updated) return { status: 'conflict' };
+
+    return { status: 'rotated', session: updated, refreshToken: newRefreshToken };
+};
+
+// Finds the session a refresh token belongs to, if the token is the current one
+sessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+    const session = await this.findById(parsed.sessionId);
+    return session && session.refreshTokenHash === hashToken(refreshToken) ? session : null;
+};
+
+// Revokes every active session of a user, optionally keeping one (e.g. the current session)
+sessionSchema.statics.revokeAllForUser = function(userId, { except = null, reason = 'revoked-all' } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+    return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
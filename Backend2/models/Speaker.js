@@ -0,0 +1,85 @@
+// Backend2/models/Speaker.js
+// A guest or member speaker. Events reference speakers by ObjectId (see models/Event.js).
+const mongoose = require('mongoose');
+const ImageVariantsSchema = require('./schemas/imageVariants');
+
+// Simple URL regex validation (same rule as models/Event.js)
+const URL_REGEX = /^(https?|ftp):\/\/[^\s/$.?#].[^\s]*$/i;
+
+const optionalUrl = (label) => ({
+    type: String,
+    trim: true,
+    validate: {
+        validator: function(v) {
+            if (!v) return true;
+            return URL_REGEX.test(v);
+        },
+        message: props => `${props.value} is not a valid ${label} URL!`
+    }
+});
+
+const SpeakerSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Speaker name is required'],
+        trim: true,
+        maxlength: [100, 'Speaker name cannot exceed 100 characters']
+    },
+    bio: {
+        type: String,
+        default: '',
+        maxlength: [1000, 'Bio cannot exceed 1000 characters']
+    },
+    photo: {
+        type: {
+            type: String,
+            enum: ['upload', 'url'],
+            default: 'url'
+        },
+        value: { // Path to uploaded file or external URL
+            type: String,
+            default: 'https://via.placeholder.com/150'
+        },
+        variants: { // Resized copies, for uploads only
+            type: ImageVariantsSchema,
+            default: undefined
+        },
+        media: { // Media library entry (models/Media.js) the upload belongs to
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Media',
+            default: undefined
+        }
+    },
+    affiliation: { // Company, college or community, e.g. "Polygon Labs"
+        type: String,
+        trim: true,
+        maxlength: [150, 'Affiliation cannot exceed 150 characters']
+    },
+    socialLinks: {
+        linkedin: optionalUrl('LinkedIn'),
+        twitter: optionalUrl('Twitter/X'),
+        github: optionalUrl('GitHub'),
+        website: optionalUrl('website')
+    },
+    // Set when the speaker is (or was) a club member
+    teamMember: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TeamMember',
+        default: null
+    },
+    // Numeric ID from the old embedded { name, id } speakers (see scripts/migrateSpeakers.js)
+    legacyId: {
+        type: Number,
+        unique: true,
+        sparse: true
+    }
+}, {
+    timestamps: true
+});
+
+SpeakerSchema.index({ name: 1 });
+SpeakerSchema.index({ teamMember: 1 }, { sparse: true });
+// Text index for ?q= search
+SpeakerSchema.index({ name: 'text', affiliation: 'text' }, { name: 'speaker_text_search', weights: { name: 5, affiliation: 1 } });
+
+module.exports = mongoose.model('Speaker', SpeakerSchema);
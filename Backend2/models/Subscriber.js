@@ -0,0 +1,88 @@
+// Backend2/models/Subscriber.js
+// A newsletter subscriber. Sign-ups are double opt-in: a subscriber starts out 'pending' and only
+// gets newsletters once they follow the link in the confirmation email (see utils/newsletter.js).
+// Unconfirmed sign-ups are removed when their confirmation link expires.
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const SUBSCRIBER_STATUSES = ['pending', 'subscribed', 'unsubscribed'];
+const CONFIRMATION_TTL_MS = 48 * 60 * 60 * 1000;
+
+const subscriberSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please fill a valid email address']
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    status: {
+        type: String,
+        enum: SUBSCRIBER_STATUSES,
+        default: 'pending'
+    },
+    // Link in the confirmation email (see createConfirmation)
+    confirmation: {
+        tokenHash: { type: String }, // SHA-256 of the token in the link
+        expiresAt: { type: Date }
+    },
+    // Consent record: when and from where the sign-up was requested and confirmed
+    requestedAt: { type: Date },
+    requestIp: { type: String },
+    subscribedAt: { type: Date, default: null },
+    confirmIp: { type: String },
+    unsubscribedAt: { type: Date, default: null },
+    expiresAt: { // Set while pending, so sign-ups that are never confirmed go away
+        type: Date,
+        default: null,
+        index: { expires: 0 } // TTL index
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            if (ret.confirmation) {
+                delete ret.confirmation.tokenHash;
+            }
+            return ret;
+        }
+    }
+});
+
+subscriberSchema.index({ status: 1 });
+subscriberSchema.index({ 'confirmation.tokenHash': 1 }, { sparse: true });
+
+// Starts (or restarts) the opt-in: a new confirmation token whose hash is stored. Returns the raw
+// token, to be emailed.
+subscriberSchema.methods.createConfirmation = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + CONFIRMATION_TTL_MS);
+    this.confirmation = { tokenHash: Subscriber.hashToken(token), expiresAt };
+    if (this.status !== 'subscribed') {
+        this.expiresAt = expiresAt;
+    }
+    return token;
+};
+
+// --- Statics ---
+subscriberSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+subscriberSchema.statics.findByConfirmationToken = function(token) {
+    return this.findOne({
+        'confirmation.tokenHash': this.hashToken(token),
+        'confirmation.expiresAt': { $gt: new Date() }
+    });
+};
+
+const Subscriber = mongoose.model('Subscriber', subscriberSchema);
+
+module.exports = Subscriber;
+module.exports.SUBSCRIBER_STATUSES = SUBSCRIBER_STATUSES;
@@ -1,5 +1,47 @@
-// Backend/models/TeamMember.js
+// Backend2/models/TeamMember.js
+// A person on the team. What they did in each academic year is in `tenures`, so one member can
+// move from "Member" in 2024-25 to "Lead" in 2025-26 without losing history. Tenures also place the
+// member on that year's org chart: their vertical, whether they lead it, and who they report to.
 const mongoose = require('mongoose');
+const AcademicYear = require('./AcademicYear');
+const ImageVariantsSchema = require('./schemas/imageVariants');
+const softDelete = require('./plugins/softDelete');
+
+// One role a member held in one academic year. A member has one tenure per year and vertical.
+const TenureSchema = new mongoose.Schema({
+    academicYear: {
+        type: String, // Label of an AcademicYear, e.g. 2025-26
+        required: [true, 'Tenure academic year is required'],
+        trim: true,
+        validate: {
+            validator: v => AcademicYear.labelExists(v),
+            message: props => `${props.value} is not a configured academic year!`
+        }
+    },
+    position: {
+        type: String,
+        required: [true, 'Tenure position is required'],
+        trim: true
+    },
+    vertical: { // models/Vertical.js; null for club-wide roles (President, Secretary, ...)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vertical',
+        default: null
+    },
+    isLead: { // Leads the vertical that year
+        type: Boolean,
+        default: false
+    },
+    reportsTo: { // The member this role reports to that year (see utils/orgChart.js)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TeamMember',
+        default: null
+    },
+    displayOrder: { // Order within that year's vertical (or the club-wide roles)
+        type: Number,
+        default: 99
+    }
+});
 
 const TeamMemberSchema = new mongoose.Schema({
     name: {
@@ -22,18 +64,36 @@ const TeamMemberSchema = new mongoose.Schema({
         value: { // Path to uploaded file, URL, or identifier for imported
             type: String,
             default: 'https://via.placeholder.com/150' // Default placeholder image
+        },
+        variants: { // Resized copies, for uploads only
+            type: ImageVariantsSchema,
+            default: undefined
+        },
+        media: { // Media library entry (models/Media.js) the upload belongs to
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Media',
+            default: undefined
         }
     },
+    tenures: {
+        type: [TenureSchema],
+        validate: [{
+            validator: v => Array.isArray(v) && v.length > 0,
+            message: 'A team member needs at least one tenure (position and academic year).'
+        }, {
+            validator: v => new Set(v.map(t => `${t.academicYear}|${t.vertical || ''}`)).size === v.length,
+            message: 'A team member can only have one tenure per academic year and vertical.'
+        }]
+    },
+    // The latest tenure, copied by the pre-validate hook below. Kept for sorting and for clients
+    // that only know a single position/year; set tenures (or use setTenure) to change them.
     position: {
         type: String,
-        required: true,
         trim: true
     },
     academicYear: {
-        type: String, // e.g., 2024, 2025
-        required: true,
-        trim: true // Add trim for string types
-
+        type: String,
+        trim: true
     },
     displayOrder: { // Custom order for display on frontend
         type: Number,
@@ -43,6 +103,10 @@ const TeamMemberSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    isLinkedinIdPublic: { // LinkedIn profiles have always been shown on the team page
+        type: Boolean,
+        default: true
+    },
     phoneNumber: {
         type: String,
         trim: true,
@@ -66,4 +130,94 @@ const TeamMemberSchema = new mongoose.Schema({
     }
 });
 
-module.exports = mongoose.model('TeamMember', TeamMemberSchema);
\ No newline at end of file
+// Tenures newest year first; within a year by display order
+const byLatestTenure = (a, b) => b.academicYear.localeCompare(a.academicYear) || a.displayOrder - b.displayOrder;
+
+// Members created the old way (a single position/academicYear) get that as their first tenure;
+// afterwards the top-level fields always mirror the latest tenure.
+TeamMemberSchema.pre('validate', function() {
+    if (this.tenures.length === 0 && this.position && this.academicYear) {
+        this.tenures.push({ academicYear: this.academicYear, position: this.position, displayOrder: this.displayOrder });
+    }
+    const [latest] = [...this.tenures].sort(byLatestTenure);
+    if (latest) {
+        this.position = latest.position;
+        this.academicYear = latest.academicYear;
+        this.displayOrder = latest.displayOrder;
+    }
+});
+
+// --- Helper: the ID of a (possibly populated) reference, as a string; '' for none ---
+const refId = (value) => (value ? String(value._id || value) : '');
+
+// Adds a tenure, or updates the one the member already has for that academic year and vertical.
+// Fields left undefined keep their current value. Returns the tenure subdocument.
+TeamMemberSchema.methods.setTenure = function({ academicYear, position, vertical = null, isLead, reportsTo, displayOrder }) {
+    const existing = this.tenures.find(t => t.academicYear === academicYear && refId(t.vertical) === refId(vertical));
+    const changes = { position, isLead, reportsTo, displayOrder };
+    Object.keys(changes).forEach(key => changes[key] === undefined && delete changes[key]);
+    if (existing) {
+        existing.set(changes);
+        return existing;
+    }
+    this.tenures.push({ academicYear, vertical: vertical || null, ...changes });
+    return this.tenures[this.tenures.length - 1];
+};
+
+// Tenures newest first
+TeamMemberSchema.methods.getTenureHistory = function() {
+    return [...this.tenures].sort(byLatestTenure);
+};
+
+// Contact fields and the flag that decides whether the public site may show each one.
+// A contact field without a flag here is never public.
+const CONTACT_VISIBILITY_FLAGS = {
+    phoneNumber: 'isPhoneNumberPublic',
+    telegramLink: 'isTelegramLinkPublic',
+    linkedinId: 'isLinkedinIdPublic'
+};
+
+// Shown to everyone. Anything not listed (idNumber, private contact details, future fields)
+// stays admin-only unless it is added here on purpose.
+const PUBLIC_FIELDS = ['name', 'position', 'academicYear', 'displayOrder', 'createdAt'];
+
+// The public view of a member (GET /api/team-members). Admin routes return the full document.
+TeamMemberSchema.methods.toPublicJSON = function() {
+    const member = { _id: this._id };
+    PUBLIC_FIELDS.forEach(field => {
+        member[field] = this[field];
+    });
+    member.tenures = this.getTenureHistory().map(tenure => ({
+        _id: tenure._id,
+        academicYear: tenure.academicYear,
+        position: tenure.position,
+        // { _id, name } when populated
+        vertical: tenure.vertical && tenure.vertical.name ? { _id: tenure.vertical._id, name: tenure.vertical.name } : tenure.vertical,
+        isLead: tenure.isLead,
+        reportsTo: tenure.reportsTo,
+        displayOrder: tenure.displayOrder
+    }));
+    if (this.photo) {
+        member.photo = { type: this.photo.type, value: this.photo.value };
+        if (this.photo.variants) member.photo.variants = this.photo.variants.toObject();
+    }
+    Object.entries(CONTACT_VISIBILITY_FLAGS).forEach(([field, flag]) => {
+        if (this[flag] === true && this[field]) {
+            member[field] = this[field];
+        }
+    });
+    return member;
+};
+
+// --- Indexes backing the GET /api/team-members filters ---
+TeamMemberSchema.index({ academicYear: 1, displayOrder: 1, name: 1 });
+TeamMemberSchema.index({ 'tenures.academicYear': 1, 'tenures.position': 1 });
+TeamMemberSchema.index({ 'tenures.vertical': 1, 'tenures.academicYear': 1 });
+// Text index for ?q= search on name and position
+TeamMemberSchema.index({ name: 'text', position: 'text' }, { name: 'team_member_text_search' });
+
+// Deleting a member moves them to the trash (see plugins/softDelete.js)
+TeamMemberSchema.plugin(softDelete);
+
+module.exports = mongoose.model('TeamMember', TeamMemberSchema);
+module.exports.CONTACT_VISIBILITY_FLAGS = CONTACT_VISIBILITY_FLAGS;
\ No newline at end of file
@@ -1,36 +1,74 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); // For hashing the admin secret key
+const crypto = require('crypto'); // For invitation tokens
+const { ROLES } = require('../config/permissions');
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Invitations are valid for 7 days
 
 const userSchema = new mongoose.Schema({
-    // The admin's unique secret key, hashed for security
+    name: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // The admin's personal secret key, hashed for security.
+    // Empty until an invited admin accepts their invitation and chooses one.
     adminSecret: {
         type: String,
-        required: true,
-        unique: true,
     },
     // The email address associated with the admin, used for sending OTPs
     email: {
         type: String,
-        required: true,
-        unique: true, // Assuming only one admin email for this system
+        required: [true, 'Email is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please fill a valid email address']
     },
-    // Temporary OTP for authentication
-    otp: {
+    role: {
         type: String,
+        enum: {
+            values: ROLES,
+            message: `Role must be one of: ${ROLES.join(', ')}`
+        },
+        default: 'viewer'
     },
-    // Expiration time for the OTP
-    otpExpires: {
+    // invited: waiting for the invitation to be accepted; disabled: cannot log in
+    status: {
+        type: String,
+        enum: ['invited', 'active', 'disabled'],
+        default: 'invited'
+    },
+    invitation: {
+        tokenHash: { type: String }, // SHA-256 of the token sent by email
+        expiresAt: { type: Date },
+        invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    },
+    lastLoginAt: {
         type: Date,
     },
 }, {
-    timestamps: true // Adds createdAt and updatedAt timestamps automatically
+    timestamps: true, // Adds createdAt and updatedAt timestamps automatically
+    toJSON: {
+        // Never send secrets or tokens to the client
+        transform: (doc, ret) => {
+            delete ret.adminSecret;
+            if (ret.invitation) {
+                delete ret.invitation.tokenHash;
+            }
+            delete ret.__v;
+            return ret;
+        }
+    }
 });
 
+userSchema.index({ 'invitation.tokenHash': 1 }, { sparse: true });
+
 // --- Mongoose Middleware (Pre-save hook) ---
 // Hash the adminSecret before saving the user document
 userSchema.pre('save', async function(next) {
     // Only hash if the adminSecret has been modified (or is new)
-    if (!this.isModified('adminSecret')) {
+    if (!this.isModified('adminSecret') || !this.adminSecret) {
         return next();
     }
     try {
@@ -42,6 +80,64 @@ userSchema.pre('save', async function(next) {
     }
 });
 
+// --- Instance methods ---
+userSchema.methods.compareAdminSecret = function(candidate) {
+    if (!this.adminSecret || typeof candidate !== 'string') {
+        return Promise.resolve(false);
+    }
+    return bcrypt.compare(candidate, this.adminSecret);
+};
+
+// Generates a new invitation token, stores its hash and returns the raw token (to be emailed)
+userSchema.methods.createInvitation = function(invitedBy) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.invitation = {
+        tokenHash: User.hashToken(token),
+        expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+        invitedBy
+    };
+    return token;
+};
+
+// --- Statics ---
+userSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+userSchema.statics.findByInvitationToken = function(token) {
+    return this.findOne({
+        status: 'invited',
+        'invitation.tokenHash': this.hashToken(token),
+        'invitation.expiresAt': { $gt: new Date() }
+    });
+};
+
+// Creates the club account from .env (CLUB_EMAIL / ADMIN_SECRET) as a super-admin when there are
+// no accounts at all, so a fresh database is never locked out. Once any account exists it does
+// nothing: an admin who disables or demotes the club account doesn't get it back on a restart.
+userSchema.statics.ensureBootstrapAdmin = async function() {
+    const email = process.env.CLUB_EMAIL;
+    const secret = process.env.ADMIN_SECRET;
+    if (!email || !secret) {
+        return null;
+    }
+
+    if (await this.exists({})) {
+        return null;
+    }
+
+    const user = await this.create({
+        email,
+        name: 'Club Admin',
+        adminSecret: secret,
+        role: 'super-admin',
+        status: 'active'
+    });
+
+    console.log(`Bootstrap super-admin created: ${user.email}`);
+    return user;
+};
+
 const User = mongoose.model('User', userSchema);
 
-module.exports = User;
\ No newline at end of file
+module.exports = User;
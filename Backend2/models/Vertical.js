@@ -0,0 +1,37 @@
+// Backend2/models/Vertical.js
+// A vertical (department) of the club, e.g. Tech, Design or Outreach. Team member tenures point
+// at a vertical; tenures without one are club-wide roles such as President.
+const mongoose = require('mongoose');
+
+const VerticalSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Vertical name is required'],
+        unique: true,
+        trim: true,
+        maxlength: [60, 'Vertical name cannot exceed 60 characters']
+    },
+    description: {
+        type: String,
+        default: '',
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    displayOrder: { // Order of the verticals on the org chart
+        type: Number,
+        default: 99
+    }
+}, {
+    timestamps: true,
+    collation: { locale: 'en', strength: 2 } // "Tech" and "tech" are the same vertical
+});
+
+// Finds a vertical by ID or (case-insensitive) name, or null
+VerticalSchema.statics.findByIdOrName = function(value) {
+    const text = String(value).trim();
+    if (mongoose.isValidObjectId(text) && /^[0-9a-f]{24}$/i.test(text)) {
+        return this.findById(text);
+    }
+    return this.findOne({ name: text }).collation({ locale: 'en', strength: 2 });
+};
+
+module.exports = mongoose.model('Vertical', VerticalSchema);
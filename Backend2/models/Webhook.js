@@ -0,0 +1,81 @@
+// Backend2/models/Webhook.js
+// An outbound webhook subscription: a URL that gets a signed JSON POST whenever one of the
+// subscribed events happens (e.g. the Discord and Telegram bots announcing new events).
+// Deliveries and their retries are in models/WebhookDelivery.js; sending is in utils/webhooks.js.
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// What a webhook can subscribe to. Events only fire while they are public: event.published when an
+// event goes live (published on creation, by a status change or by scheduled publishing; an event
+// created as published also fires event.created), event.updated for changes to a published event
+// (including cancelling or archiving it) and event.deleted when it is deleted or unpublished.
+// Drafts and scheduled events never fire anything.
+const WEBHOOK_EVENTS = [
+    'event.created',
+    'event.updated',
+    'event.published',
+    'event.deleted',
+    'event.restored',
+    'teamMember.created',
+    'teamMember.updated',
+    'teamMember.deleted',
+    'teamMember.restored'
+];
+
+const WEBHOOK_URL_REGEX = /^https?:\/\/[^\s/$.?#].[^\s]*$/i;
+
+const webhookSchema = new mongoose.Schema({
+    name: { // e.g. "Discord announcements bot"
+        type: String,
+        required: [true, 'Webhook name is required'],
+        trim: true,
+        maxlength: [100, 'Webhook name cannot exceed 100 characters']
+    },
+    url: { // Plain http is allowed so a bot (or a test receiver) on the same machine can be used
+        type: String,
+        required: [true, 'Webhook URL is required'],
+        trim: true,
+        match: [WEBHOOK_URL_REGEX, 'Webhook URL must be an http(s) URL']
+    },
+    events: {
+        type: [{ type: String, enum: { values: WEBHOOK_EVENTS, message: `Webhook events must be among: ${WEBHOOK_EVENTS.join(', ')}` } }],
+        validate: {
+            validator: value => Array.isArray(value) && value.length > 0,
+            message: 'Subscribe the webhook to at least one event.'
+        }
+    },
+    // Key for the X-Webhook-Signature HMAC. Only shown when the webhook is created or the secret rotated.
+    secret: {
+        type: String,
+        required: true
+    },
+    active: { // Inactive webhooks get no new deliveries; ones already queued are still sent
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    lastDeliveryAt: { type: Date, default: null },
+    lastDeliveryStatus: { type: String, default: null } // 'succeeded' or 'failed' (after the last retry)
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.secret;
+            return ret;
+        }
+    }
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+// Sets a new random secret and returns it
+webhookSchema.methods.generateSecret = function() {
+    this.secret = `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+    return this.secret;
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -0,0 +1,57 @@
+// Backend2/models/WebhookDelivery.js
+// One event sent (or to be sent) to one webhook, with the outcome of every attempt. Pending
+// deliveries are picked up by the delivery job in utils/webhooks.js and retried with exponential
+// backoff; finished ones are removed WEBHOOK_DELIVERY_RETENTION_DAYS after their last attempt.
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const DeliveryAttemptSchema = new mongoose.Schema({
+    at: { type: Date, required: true },
+    responseStatus: { type: Number, default: null }, // null when no response came back
+    responseBody: { type: String, default: '' },      // First few hundred characters
+    error: { type: String, default: '' },             // Network error or timeout
+    durationMs: { type: Number }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true
+    },
+    event: { // e.g. event.created, or 'ping' for test deliveries
+        type: String,
+        required: true
+    },
+    // The exact JSON body that is posted. Its `id` stays the same when the delivery is redelivered,
+    // so receivers can drop duplicates.
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: DELIVERY_STATUSES,
+        default: 'pending'
+    },
+    attempts: { type: [DeliveryAttemptSchema], default: [] },
+    nextAttemptAt: { type: Date, default: Date.now }, // When a pending delivery is due
+    deliveredAt: { type: Date, default: null },
+    redeliveryOf: { // Set on deliveries queued by the redeliver endpoint
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery',
+        default: null
+    },
+    expiresAt: { // Set once the delivery is finished
+        type: Date,
+        default: null,
+        index: { expires: 0 } // TTL index
+    }
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
@@ -0,0 +1,51 @@
+// Backend2/models/plugins/softDelete.js
+// Soft deletion for Event and TeamMember: deleting moves a document to the trash (deletedAt/deletedBy
+// set) instead of removing it, and utils/trash.js removes it for good once the retention period is over.
+//
+// Reads (find, findOne, findById, countDocuments, exists, findOneAndUpdate) skip trashed documents
+// unless the query asks for them, either with a `deletedAt` condition or with
+// `.setOptions({ withDeleted: true })`. Bulk updates and deletes see every document, so e.g.
+// renaming an academic year also renames it on trashed events.
+const mongoose = require('mongoose');
+
+const READ_OPERATIONS = ['find', 'findOne', 'countDocuments', 'findOneAndUpdate'];
+
+const softDelete = (schema) => {
+    schema.add({
+        deletedAt: { type: Date, default: null },
+        deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+    });
+    schema.index({ deletedAt: 1 });
+
+    READ_OPERATIONS.forEach(operation => {
+        schema.pre(operation, function() {
+            if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+            this.where({ deletedAt: null });
+        });
+    });
+
+    schema.virtual('isDeleted').get(function() {
+        return Boolean(this.deletedAt);
+    });
+
+    // Moves the document to the trash. `userId` is the admin who deleted it.
+    schema.methods.softDelete = function(userId) {
+        this.deletedAt = new Date();
+        this.deletedBy = userId || null;
+        return this.save({ validateBeforeSave: false });
+    };
+
+    // Takes the document out of the trash
+    schema.methods.restore = function() {
+        this.deletedAt = null;
+        this.deletedBy = null;
+        return this.save({ validateBeforeSave: false });
+    };
+
+    // The trash: { deletedAt: { $ne: null } }, with trashed documents included
+    schema.statics.findDeleted = function(filter = {}) {
+        return this.find({ ...filter, deletedAt: { $ne: null } });
+    };
+};
+
+module.exports = softDelete;
@@ -0,0 +1,19 @@
+// Backend2/models/schemas/imageVariants.js
+// Resized copies of an uploaded image (see utils/images.js), shared by Event.poster,
+// TeamMember.photo and Speaker.photo. Empty for images given as an external URL.
+const mongoose = require('mongoose');
+
+const VariantSchema = new mongoose.Schema({
+    webp: String,     // /uploads/...-card.webp
+    fallback: String, // JPEG, or PNG for transparent images
+    width: Number,
+    height: Number
+}, { _id: false });
+
+const ImageVariantsSchema = new mongoose.Schema({
+    thumbnail: VariantSchema, // 200px
+    card: VariantSchema,      // 600px
+    full: VariantSchema       // 1600px
+}, { _id: false });
+
+module.exports = ImageVariantsSchema;
@@ -0,0 +1,183 @@
+// Backend2/routes/academicYearRoutes.js
+// Academic years, mounted under /api/academic-years
+const express = require('express');
+const router = express.Router();
+const AcademicYear = require('../models/AcademicYear');
+const Event = require('../models/Event');
+const TeamMember = require('../models/TeamMember');
+const { parseDateParam } = require('../utils/listQuery');
+const { DEFAULT_TIMEZONE, formatInTimezone } = require('../utils/eventLogistics');
+
+// Import authenticateToken and authorizePermissions using DESTRUCTURING
+const { authenticateToken, authorizePermissions } = require('../middleware/authMiddleware');
+const { auditTrail, setAuditDocument } = require('../middleware/auditTrail');
+const { PERMISSIONS } = require('../config/permissions');
+
+// --- Helper: reads label/startDate/endDate/isCurrent from the body (only the fields that were sent) ---
+// Plain dates (YYYY-MM-DD) are read in the club's timezone; endDate covers the whole day.
+const buildAcademicYearFields = (body) => {
+    const fields = {};
+    if (body.label !== undefined) fields.label = String(body.label).trim();
+    if (body.startDate !== undefined) fields.startDate = parseDateParam(String(body.startDate), 'startDate');
+    if (body.endDate !== undefined) fields.endDate = parseDateParam(String(body.endDate), 'endDate', { endOfDay: true });
+    if (body.isCurrent !== undefined) fields.isCurrent = body.isCurrent === true || body.isCurrent === 'true';
+    return fields;
+};
+
+// --- Helper to handle save errors ---
+const sendAcademicYearError = (res, err, action) => {
+    console.error(`Error ${action} academic year:`, err);
+    if (err.kind === 'ObjectId') {
+        return res.status(400).json({ message: 'Invalid Academic Year ID format.' });
+    }
+    if (err.code === 11000) {
+        return res.status(409).json({ message: 'An academic year with this label already exists.' });
+    }
+    if (err.name === 'ValidationError') {
+        const messages = Object.values(err.errors).map(val => val.message);
+        return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: `Server error ${action} academic year.` });
+};
+
+// @route   GET /api/academic-years
+// @desc    All academic years, newest first, plus the current one (for the frontend filters)
+// @access  Public
+router.get('/', async (req, res) => {
+    try {
+        const years = await AcademicYear.find().sort({ startDate: -1 });
+        const current = years.find(year => year.isCurrent) || null;
+        res.json({ data: years, current: current ? current.label : null });
+    } catch (err) {
+        console.error('Error fetching academic years:', err);
+        res.status(500).json({ message: 'Server error fetching academic years.' });
+    }
+});
+
+// @route   POST /api/academic-years
+// @desc    Add an academic year ({ label?, startDate, endDate, isCurrent }). The label defaults to
+//          the one for the start date's year, e.g. a year starting in June 2026 is 2026-27.
+// @access  Private (academic-years:manage)
+router.post(
+    '/',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.ACADEMIC_YEARS_MANAGE]),
+    auditTrail('AcademicYear'),
+    async (req, res) => {
+        let fields;
+        try {
+            fields = buildAcademicYearFields(req.body);
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        if (!fields.startDate || !fields.endDate) {
+            return res.status(400).json({ message: 'Start date and end date are required.' });
+        }
+        if (!fields.label) {
+            const startYear = parseInt(formatInTimezone(fields.startDate, DEFAULT_TIMEZONE).date.slice(0, 4), 10);
+            fields.label = AcademicYear.labelForStartYear(startYear);
+        }
+
+        try {
+            const year = await AcademicYear.create({ ...fields, isCurrent: false });
+            if (fields.isCurrent) {
+                await AcademicYear.setCurrent(year._id);
+                year.isCurrent = true;
+            }
+            setAuditDocument(res, year);
+            res.status(201).json({ message: 'Academic year added successfully!', academicYear: year });
+        } catch (err) {
+            sendAcademicYearError(res, err, 'creating');
+        }
+    }
+);
+
+// @route   PUT /api/academic-years/:id
+// @desc    Update an academic year. Renaming it also renames it on its events and team members.
+// @access  Private (academic-years:manage)
+router.put(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.ACADEMIC_YEARS_MANAGE]),
+    auditTrail('AcademicYear'),
+    async (req, res) => {
+        let fields;
+        try {
+            fields = buildAcademicYearFields(req.body);
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const year = await AcademicYear.findById(req.params.id);
+            if (!year) {
+                return res.status(404).json({ message: 'Academic year not found' });
+            }
+
+            const previousLabel = year.label;
+            const { isCurrent, ...rest } = fields;
+            year.set(rest);
+            await year.save();
+
+            if (year.label !== previousLabel) {
+                await Event.updateMany({ academicYear: previousLabel }, { $set: { academicYear: year.label } });
+                await TeamMember.updateMany({ academicYear: previousLabel }, { $set: { academicYear: year.label } });
+                await TeamMember.updateMany(
+                    { 'tenures.academicYear': previousLabel },
+                    { $set: { 'tenures.$[tenure].academicYear': year.label } },
+                    { arrayFilters: [{ 'tenure.academicYear': previousLabel }] }
+                );
+            }
+
+            if (isCurrent === true) {
+                await AcademicYear.setCurrent(year._id);
+                year.isCurrent = true;
+            } else if (isCurrent === false && year.isCurrent) {
+                await AcademicYear.updateOne({ _id: year._id }, { $set: { isCurrent: false } });
+                year.isCurrent = false;
+            }
+
+            setAuditDocument(res, year);
+            res.json({ message: 'Academic year updated successfully!', academicYear: year });
+        } catch (err) {
+            sendAcademicYearError(res, err, 'updating');
+        }
+    }
+);
+
+// @route   DELETE /api/academic-years/:id
+// @desc    Delete an academic year that no event or team member uses
+// @access  Private (academic-years:manage)
+router.delete(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.ACADEMIC_YEARS_MANAGE]),
+    auditTrail('AcademicYear'),
+    async (req, res) => {
+        try {
+            const year = await AcademicYear.findById(req.params.id);
+            if (!year) {
+                return res.status(404).json({ message: 'Academic year not found' });
+            }
+
+            const [eventCount, memberCount] = await Promise.all([
+                // Trashed events and members count too, so they can still be restored
+                Event.countDocuments({ academicYear: year.label }).setOptions({ withDeleted: true }),
+                TeamMember.countDocuments({ $or: [{ academicYear: year.label }, { 'tenures.academicYear': year.label }] }).setOptions({ withDeleted: true })
+            ]);
+            if (eventCount > 0 || memberCount > 0) {
+                return res.status(409).json({
+                    message: `${year.label} is used by ${eventCount} event(s) and ${memberCount} team member(s) and cannot be deleted.`
+                });
+            }
+
+            await AcademicYear.findByIdAndDelete(year._id);
+            res.json({ message: 'Academic year deleted successfully!' });
+        } catch (err) {
+            sendAcademicYearError(res, err, 'deleting');
+        }
+    }
+);
+
+module.exports = router;
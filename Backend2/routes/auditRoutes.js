@@ -0,0 +1,137 @@
+// Backend2/routes/auditRoutes.js
+// The audit log of admin changes, mounted under /api/admin/audit (read-only: entries are written
+// by middleware/auditTrail.js and removed only by the retention prune in utils/auditLog.js).
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { AUDIT_RESOURCES, AUDIT_ACTIONS } = require('../models/AuditLog');
+const {
+    getParam,
+    parseDateParam,
+    parseSearchParam,
+    parseSortParam,
+    parsePagination,
+    paginate
+} = require('../utils/listQuery');
+
+// Import authenticateToken and authorizePermissions using DESTRUCTURING
+const { authenticateToken, authorizePermissions } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+
+const AUDIT_SORT_FIELDS = { createdAt: 'createdAt' };
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// --- Helper: comma-separated values of a query parameter, each one of `allowed` ---
+const parseListParam = (value, name, allowed) => {
+    if (value === undefined) return undefined;
+    const values = value.split(',').map(item => item.trim()).filter(Boolean);
+    const unknown = values.filter(item => !allowed.includes(item));
+    if (unknown.length > 0) {
+        throw new Error(`"${name}" must be one of: ${allowed.join(', ')}.`);
+    }
+    return values.length > 1 ? { $in: values } : values[0];
+};
+
+// --- Helper: an ObjectId query parameter ---
+const parseIdParam = (value, name) => {
+    if (value === undefined) return undefined;
+    if (!mongoose.isValidObjectId(value)) {
+        throw new Error(`"${name}" must be a valid ID.`);
+    }
+    return new mongoose.Types.ObjectId(value);
+};
+
+// --- Helper to build the Mongo filter/sort for GET /api/admin/audit from the query string ---
+const buildAuditListQuery = (query) => {
+    const filter = {};
+
+    const resource = parseListParam(getParam(query, 'resource'), 'resource', AUDIT_RESOURCES);
+    if (resource) filter.resource = resource;
+
+    const action = parseListParam(getParam(query, 'action'), 'action', AUDIT_ACTIONS);
+    if (action) filter.action = action;
+
+    const actor = parseIdParam(getParam(query, 'actor'), 'actor');
+    if (actor) filter['actor.user'] = actor;
+
+    const documentId = parseIdParam(getParam(query, 'documentId'), 'documentId');
+    if (documentId) filter.documentId = documentId;
+
+    const ip = getParam(query, 'ip');
+    if (ip) filter.ip = ip;
+
+    const from = parseDateParam(getParam(query, 'from'), 'from');
+    const to = parseDateParam(getParam(query, 'to'), 'to', { endOfDay: true });
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+    }
+
+    // Matches the document's name or the actor's name/email
+    const q = parseSearchParam(getParam(query, 'q'));
+    if (q) {
+        const pattern = new RegExp(escapeRegex(q), 'i');
+        filter.$or = [{ documentLabel: pattern }, { 'actor.name': pattern }, { 'actor.email': pattern }];
+    }
+
+    return {
+        filter,
+        sort: parseSortParam(getParam(query, 'sort'), AUDIT_SORT_FIELDS, { createdAt: -1 }),
+        pagination: parsePagination(query, { defaultLimit: 50 })
+    };
+};
+
+// @route   GET /api/admin/audit
+// @desc    Browse the audit log, newest first
+//          ?resource=Event,TeamMember&action=delete&actor=<user id>&documentId=&ip=&from=2025-06-01&to=&q=&page=&limit=
+// @access  Private (audit:read)
+router.get(
+    '/',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.AUDIT_READ]),
+    async (req, res) => {
+        let listQuery;
+        try {
+            listQuery = buildAuditListQuery(req.query);
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const result = await paginate(AuditLog, listQuery);
+            res.json(result);
+        } catch (err) {
+            console.error('Error fetching audit log:', err);
+            res.status(500).json({ message: 'Server error fetching audit log.' });
+        }
+    }
+);
+
+// @route   GET /api/admin/audit/:id
+// @desc    A single audit log entry
+// @access  Private (audit:read)
+router.get(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.AUDIT_READ]),
+    async (req, res) => {
+        try {
+            const entry = await AuditLog.findById(req.params.id);
+            if (!entry) {
+                return res.status(404).json({ message: 'Audit log entry not found.' });
+            }
+            res.json(entry);
+        } catch (err) {
+            console.error('Error fetching audit log entry:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Audit Log ID format.' });
+            }
+            res.status(500).json({ message: 'Server error fetching audit log entry.' });
+        }
+    }
+);
+
+module.exports = router;
@@ -2,25 +2,62 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User'); // Import the User model
-const bcrypt = require('bcryptjs'); // For comparing the admin secret
+const OtpCode = require('../models/OtpCode'); // Hashed, single-use login OTPs
+const Session = require('../models/Session'); // Login sessions holding rotating refresh tokens
 const jwt = require('jsonwebtoken'); // For generating JWT
-const nodemailer = require('nodemailer'); // For sending emails
-const crypto = require('crypto'); // For generating random OTPs
-
-// Configure Nodemailer transporter
-const transporter = nodemailer.createTransport({
-    service: 'gmail', // Use 'gmail' or configure for your email provider
-    auth: {
-        user: process.env.CLUB_EMAIL, // Your club email (sender)
-        pass: process.env.CLUB_EMAIL_APP_PASSWORD, // Your generated App Password for Gmail
-    },
+const crypto = require('crypto'); // For unique token IDs
+const { sendMail } = require('../config/mailer'); // Shared Nodemailer transporter
+const { authenticateToken, authorizeRoles } = require('../middleware/authMiddleware');
+const { rateLimit, emailKey } = require('../middleware/rateLimit');
+
+const MIN_ADMIN_SECRET_LENGTH = 8;
+
+// --- Rate limits for the OTP endpoints (stored in MongoDB, shared by all server instances) ---
+const otpRequestsPerIp = rateLimit({
+    name: 'generate-otp-ip',
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.OTP_IP_LIMIT_PER_15_MIN, 10) || 20,
+    message: 'Too many OTP requests from this network. Please try again later.'
 });
+const otpRequestsPerEmail = rateLimit({
+    name: 'generate-otp-email',
+    windowMs: 60 * 60 * 1000,
+    max: parseInt(process.env.OTP_EMAIL_LIMIT_PER_HOUR, 10) || 5,
+    key: emailKey,
+    message: 'Too many OTP requests for this email. Please try again later.'
+});
+const otpVerificationsPerIp = rateLimit({
+    name: 'verify-otp-ip',
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.OTP_VERIFY_IP_LIMIT_PER_15_MIN, 10) || 30,
+    message: 'Too many login attempts from this network. Please try again later.'
+});
+
+// Short-lived access tokens; sessions are kept alive with the refresh token instead
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// --- Utility Function to sign an access token for a session ---
+const issueAccessToken = (user, session) => {
+    // Generate JWT payload with the 'user' object containing id and role
+    const payload = {
+        user: { // This 'user' object is what authMiddleware.js expects
+            id: user._id,
+            role: user.role
+        },
+        sid: session._id.toString() // Lets the middleware reject tokens of revoked sessions
+    };
+    return jwt.sign(payload, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_TTL,
+        jwtid: crypto.randomUUID()
+    });
+};
+
+const formatWait = (seconds) => (seconds >= 60 ? `${Math.ceil(seconds / 60)} minute(s)` : `${seconds} second(s)`);
 
 // --- Utility Function to send OTP email ---
 const sendOtpEmail = async (email, otp) => {
     const mailOptions = {
-        from: process.env.CLUB_EMAIL,
-        to: email, // This email is the one passed into the function (should be CLUB_EMAIL)
+        to: email, // The admin account's email address
         subject: 'Your Blockchain Club Admin Login OTP',
         html: `
             <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
@@ -36,39 +73,58 @@ const sendOtpEmail = async (email, otp) => {
         `,
     };
 
-    await transporter.sendMail(mailOptions);
+    await sendMail(mailOptions);
 };
 
-// Dummy store for OTPs (in a real app, use database like Redis or a proper DB field)
-const otpStore = {}; // { email: { otp: '...', expires: Date } }
-
 // @route   POST /api/auth/generate-otp
-// @desc    Generate and send OTP for admin login, after verifying admin secret
+// @desc    Generate and send OTP for admin login, after verifying the admin's personal secret
 // @access  Public
-router.post('/generate-otp', async (req, res) => {
-    const { email, adminSecret } = req.body; // Now expecting adminSecret
+router.post('/generate-otp', otpRequestsPerIp, otpRequestsPerEmail, async (req, res) => {
+    const { adminSecret, email: emailInput } = req.body || {};
+    const email = typeof emailInput === 'string' ? emailInput.trim().toLowerCase() : '';
 
-    // 1. Validate the incoming email against your configured admin email
-    if (email !== process.env.CLUB_EMAIL) {
-        return res.status(400).json({ message: 'Invalid admin email.' });
+    if (!email || !adminSecret) {
+        return res.status(400).json({ message: 'Email and admin secret are required.' });
     }
 
-    // 2. Verify the Admin Secret Key
-    // IMPORTANT: For simplicity, we're comparing plain text.
-    // In a production environment, you should hash ADMIN_SECRET in .env
-    // and use bcrypt.compare(adminSecret, hashedSecret)
-    if (adminSecret !== process.env.ADMIN_SECRET) {
-        return res.status(401).json({ message: 'Invalid Admin Secret Key.' });
-    }
+    try {
+        // 1. Find an active admin account for this email
+        const user = await User.findOne({ email });
 
-    // If email and secret are correct, proceed to generate and send OTP
-    const otp = crypto.randomBytes(3).toString('hex'); // 6-character hex OTP
-    const expires = Date.now() + 10 * 60 * 1000; // OTP valid for 10 minutes
+        // 2. Verify the admin's secret key (hashed with bcrypt in the User model).
+        // The same message is used for unknown emails so accounts can't be probed.
+        if (!user || !(await user.compareAdminSecret(adminSecret))) {
+            return res.status(401).json({ message: 'Invalid email or admin secret.' });
+        }
+        if (user.status !== 'active') {
+            return res.status(403).json({ message: 'This admin account is not active.' });
+        }
 
-    otpStore[email] = { otp, expires }; // Store the OTP in memory
+        // If email and secret are correct, proceed to generate and send OTP
+        const result = await OtpCode.issue(email);
 
-    try {
-        await sendOtpEmail(email, otp);
+        if (result.status === 'locked') {
+            res.set('Retry-After', String(result.retryAfter));
+            return res.status(429).json({
+                message: `Too many failed attempts. Try again in ${formatWait(result.retryAfter)}.`,
+                retryAfter: result.retryAfter
+            });
+        }
+        if (result.status === 'cooldown') {
+            res.set('Retry-After', String(result.retryAfter));
+            return res.status(429).json({
+                message: `An OTP was sent recently. You can request a new one in ${formatWait(result.retryAfter)}.`,
+                retryAfter: result.retryAfter
+            });
+        }
+
+        try {
+            await sendOtpEmail(email, result.code);
+        } catch (mailError) {
+            // Let the admin retry straight away instead of waiting out the cooldown
+            await OtpCode.discard(email);
+            throw mailError;
+        }
         res.json({ message: 'OTP sent to admin email.' });
     } catch (error) {
         console.error('Error sending OTP email:', error);
@@ -79,65 +135,243 @@ router.post('/generate-otp', async (req, res) => {
 // @route   POST /api/auth/verify-otp
 // @desc    Verify OTP and return JWT for admin login
 // @access  Public
-router.post('/verify-otp', async (req, res) => {
-    const { email, otp } = req.body;
+router.post('/verify-otp', otpVerificationsPerIp, async (req, res) => {
+    const { otp, email: emailInput } = req.body || {};
+    const email = typeof emailInput === 'string' ? emailInput.trim().toLowerCase() : '';
 
-    // Validate the incoming email against your configured admin email
-    if (email !== process.env.CLUB_EMAIL) {
-       return res.status(400).json({ message: 'Invalid admin email.' });
+    if (!email || !otp) {
+        return res.status(400).json({ message: 'Email and OTP are required.' });
     }
 
-    const storedOtpData = otpStore[email];
+    try {
+        // Checks the hashed code (constant-time) and consumes it if valid
+        const result = await OtpCode.verify(email, String(otp));
+
+        if (result.status === 'locked') {
+            res.set('Retry-After', String(result.retryAfter));
+            return res.status(429).json({
+                message: `Too many failed attempts. Try again in ${formatWait(result.retryAfter)}.`,
+                retryAfter: result.retryAfter
+            });
+        }
+        if (result.status !== 'valid') {
+            return res.status(400).json({ message: 'Invalid or expired OTP.', attemptsLeft: result.attemptsLeft });
+        }
+
+        // Find the admin user in your database
+        const adminUser = await User.findOne({ email });
+
+        if (!adminUser || adminUser.status !== 'active') {
+            return res.status(403).json({ message: 'This admin account is not active.' });
+        }
+
+        adminUser.lastLoginAt = new Date();
+        await adminUser.save();
+
+        // Start a session: short-lived access token + rotating refresh token
+        const { session, refreshToken } = await Session.start(adminUser, {
+            userAgent: req.get('user-agent'),
+            ip: req.ip
+        });
+        const token = issueAccessToken(adminUser, session);
 
-    // Check if OTP exists, matches, and is not expired
-    if (!storedOtpData || storedOtpData.otp !== otp || Date.now() > storedOtpData.expires) {
-        return res.status(400).json({ message: 'Invalid or expired OTP.' });
+        res.json({ message: 'Logged in successfully!', token, refreshToken, user: adminUser });
+    } catch (err) {
+        console.error('Login error:', err);
+        res.status(500).json({ message: 'Server error during login.' });
     }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and a new refresh token (rotation).
+//          Replaying an already used refresh token revokes the whole session.
+// @access  Public (requires a refresh token)
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body || {};
 
-    // If OTP is valid, clear it from store to prevent reuse
-    delete otpStore[email];
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required.' });
+    }
 
     try {
-        // Find the admin user in your database
-        let adminUser = await User.findOne({ email: email, role: 'admin' });
-
-        if (!adminUser) {
-            console.warn(`Admin user with email ${email} not found in DB. Using placeholder for JWT.`);
-            adminUser = { _id: 'admin_id_placeholder_from_authroutes', role: 'admin' };
-        }
-
-        // Generate JWT payload with the 'user' object containing id and role
-        const payload = {
-            user: { // This 'user' object is what authMiddleware.js expects
-                id: adminUser._id,
-                role: adminUser.role
-            }
-        };
-
-        // Sign the JWT
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' }, // Token valid for 1 hour
-            (err, token) => {
-                if (err) throw err;
-                res.json({ message: 'Logged in successfully!', token });
-            }
+        const result = await Session.rotate(refreshToken, { ip: req.ip });
+
+        if (result.status === 'reused') {
+            console.warn(`Refresh token reuse detected for session ${result.session._id}; session revoked.`);
+            return res.status(401).json({ message: 'Refresh token has already been used. Session revoked, please log in again.' });
+        }
+        if (result.status === 'conflict') {
+            return res.status(409).json({ message: 'This refresh token was just used. Use the newest tokens.' });
+        }
+        if (result.status !== 'rotated') {
+            return res.status(401).json({ message: 'Invalid or expired refresh token. Please log in again.' });
+        }
+
+        const user = await User.findById(result.session.user);
+        if (!user || user.status !== 'active') {
+            await result.session.revoke('account-inactive');
+            return res.status(401).json({ message: 'Account not found or disabled.' });
+        }
+
+        const token = issueAccessToken(user, result.session);
+        res.json({ message: 'Token refreshed.', token, refreshToken: result.refreshToken });
+    } catch (err) {
+        console.error('Token refresh error:', err);
+        res.status(500).json({ message: 'Server error refreshing token.' });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session. Works with the refresh token in the body (also once the access
+//          token has expired, whatever Authorization header is sent) or with a valid access token.
+// @access  Public (requires an access or refresh token)
+router.post('/logout', async (req, res, next) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+        if (req.headers.authorization) {
+            return next(); // Handled below, after authenticateToken
+        }
+        return res.status(400).json({ message: 'A refresh token or an access token is required.' });
+    }
+
+    try {
+        const session = await Session.findByRefreshToken(refreshToken);
+        if (!session) {
+            return res.status(401).json({ message: 'Invalid refresh token.' });
+        }
+        if (!session.revokedAt) {
+            await session.revoke('logout');
+        }
+        res.json({ message: 'Logged out successfully.' });
+    } catch (err) {
+        console.error('Logout error:', err);
+        res.status(500).json({ message: 'Server error during logout.' });
+    }
+}, authenticateToken, async (req, res) => {
+    try {
+        await Session.updateOne(
+            { _id: req.user.sessionId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
         );
+        res.json({ message: 'Logged out successfully.' });
     } catch (err) {
-        console.error('Login error:', err);
-        res.status(500).json({ message: 'Server error during login.' });
+        console.error('Logout error:', err);
+        res.status(500).json({ message: 'Server error during logout.' });
+    }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the logged-in admin's active sessions (devices)
+// @access  Private (any active admin)
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user.id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+
+        res.json(sessions.map(session => ({
+            ...session.toJSON(),
+            current: session._id.toString() === req.user.sessionId
+        })));
+    } catch (err) {
+        console.error('Error fetching sessions:', err);
+        res.status(500).json({ message: 'Server error fetching sessions.' });
+    }
+});
+
+// @route   POST /api/auth/sessions/revoke-all
+// @desc    Log out everywhere. Pass { keepCurrent: true } to stay logged in on this device.
+// @access  Private (any active admin)
+router.post('/sessions/revoke-all', authenticateToken, async (req, res) => {
+    try {
+        const { keepCurrent: keepCurrentParam } = req.body || {};
+        const keepCurrent = keepCurrentParam === true || keepCurrentParam === 'true';
+        const result = await Session.revokeAllForUser(req.user.id, {
+            except: keepCurrent ? req.user.sessionId : null
+        });
+        res.json({ message: `${result.modifiedCount} session(s) revoked.` });
+    } catch (err) {
+        console.error('Error revoking sessions:', err);
+        res.status(500).json({ message: 'Server error revoking sessions.' });
     }
 });
 
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the logged-in admin's sessions
+// @access  Private (any active admin)
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+        if (!session) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+        if (!session.revokedAt) {
+            await session.revoke('revoked-by-user');
+        }
+        res.json({ message: 'Session revoked successfully!' });
+    } catch (err) {
+        console.error('Error revoking session:', err);
+        if (err.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid Session ID format.' });
+        }
+        res.status(500).json({ message: 'Server error revoking session.' });
+    }
+});
+
+// @route   POST /api/auth/accept-invite
+// @desc    Accept an admin invitation: choose a personal admin secret and activate the account
+// @access  Public (requires the invitation token from the email)
+router.post('/accept-invite', async (req, res) => {
+    const { token, adminSecret, name } = req.body || {};
+
+    if (!token || !adminSecret) {
+        return res.status(400).json({ message: 'Invitation token and admin secret are required.' });
+    }
+    if (typeof adminSecret !== 'string' || adminSecret.length < MIN_ADMIN_SECRET_LENGTH) {
+        return res.status(400).json({ message: `Admin secret must be at least ${MIN_ADMIN_SECRET_LENGTH} characters long.` });
+    }
+
+    try {
+        const user = await User.findByInvitationToken(token);
+        if (!user) {
+            return res.status(400).json({ message: 'Invalid or expired invitation.' });
+        }
+
+        user.adminSecret = adminSecret; // Hashed by the pre-save hook
+        if (name) {
+            user.name = name;
+        }
+        user.status = 'active';
+        user.invitation = undefined;
+        await user.save();
+
+        res.json({ message: 'Invitation accepted. You can now log in.', user });
+    } catch (err) {
+        console.error('Error accepting invitation:', err);
+        if (err.name === 'ValidationError') {
+            const messages = Object.values(err.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server error accepting invitation.' });
+    }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get the logged-in admin's account and permissions
+// @access  Private (any active admin)
+router.get('/me', authenticateToken, (req, res) => {
+    res.json({ user: req.user }); // Includes the permissions granted by the user's role
+});
+
 // This route demonstrates how to use the authentication middleware.
 // It will only be accessible after a successful verify-otp and with a valid JWT.
 // @route   GET /api/auth/test-protected
 // @desc    Test a protected route (requires JWT)
-// @access  Private (Admin Only - via token verification)
-const { authenticateToken, authorizeRoles } = require('../middleware/authMiddleware');
-router.get('/test-protected', authenticateToken, authorizeRoles(['admin']), (req, res) => {
+// @access  Private (Super-admin only - via token verification)
+router.get('/test-protected', authenticateToken, authorizeRoles(['super-admin']), (req, res) => {
     res.json({ message: 'You have access to protected data!', user: req.user });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,38 @@
+// Backend2/routes/calendarRoutes.js
+// The subscribable iCalendar feed of club events, mounted under /api/calendar.ics
+// (single events: GET /api/events/:id/ics). See utils/calendar.js for the format.
+const express = require('express');
+const router = express.Router();
+const Event = require('../models/Event');
+const { getParam } = require('../utils/listQuery');
+const { CALENDAR_FILTER, buildCalendar, sendCalendar } = require('../utils/calendar');
+
+// @route   GET /api/calendar.ics
+// @desc    Every published (or cancelled) event as one calendar to subscribe to, optionally
+//          for some academic years only: ?academicYear=2025-26 or ?academicYear=2024-25,2025-26
+// @access  Public
+router.get('/', async (req, res) => {
+    const filter = { ...CALENDAR_FILTER };
+    let name = 'The Blockchain Club Events';
+
+    const academicYear = getParam(req.query, 'academicYear');
+    if (academicYear) {
+        const years = academicYear.split(',').map(year => year.trim()).filter(Boolean);
+        filter.academicYear = years.length > 1 ? { $in: years } : years[0];
+        name += ` (${years.join(', ')})`;
+    }
+
+    try {
+        const events = await Event.find(filter)
+            .sort({ eventDate: 1 })
+            .select('eventName eventDate eventEndDate venue description status calendarSequence createdAt updatedAt');
+
+        res.set('Cache-Control', 'public, max-age=300');
+        sendCalendar(res, buildCalendar(events, { name }));
+    } catch (err) {
+        console.error('Error generating calendar feed:', err);
+        res.status(500).json({ message: 'Server error generating calendar feed.' });
+    }
+});
+
+module.exports = router;
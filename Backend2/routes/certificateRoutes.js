@@ -0,0 +1,246 @@
+// Backend2/routes/certificateRoutes.js
+// Certificate templates (admin) and public certificate verification, mounted under /api/certificates
+const express = require('express');
+const router = express.Router();
+const Certificate = require('../models/Certificate');
+const CertificateTemplate = require('../models/CertificateTemplate');
+const { TEMPLATE_PLACEHOLDERS } = require('../models/CertificateTemplate');
+const { BUILT_IN_TEMPLATE, renderCertificatePdf } = require('../utils/certificates');
+
+// Import authenticateToken and authorizePermissions using DESTRUCTURING
+const { authenticateToken, authorizePermissions } = require('../middleware/authMiddleware');
+const { auditTrail, setAuditDocument } = require('../middleware/auditTrail');
+const { PERMISSIONS } = require('../config/permissions');
+
+const TEMPLATE_FIELDS = ['name', 'title', 'bodyText', 'footerText', 'signatories', 'primaryColor', 'accentColor', 'isDefault'];
+
+// --- Helper: picks the editable template fields from a request body ---
+const pickTemplateFields = (body) => {
+    const fields = {};
+    TEMPLATE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    if (typeof fields.signatories === 'string') {
+        try {
+            fields.signatories = JSON.parse(fields.signatories);
+        } catch (e) {
+            throw new Error('Signatories must be a valid JSON array.');
+        }
+    }
+    if (fields.isDefault !== undefined) {
+        fields.isDefault = fields.isDefault === true || fields.isDefault === 'true';
+    }
+    return fields;
+};
+
+// --- Helper: only one template can be the default ---
+const clearOtherDefaults = (template) => {
+    if (!template.isDefault) return Promise.resolve();
+    return CertificateTemplate.updateMany({ _id: { $ne: template._id }, isDefault: true }, { $set: { isDefault: false } });
+};
+
+// --- Helper: normalises a typed verification ID (case, surrounding spaces) ---
+const normaliseVerificationId = (value) => String(value).trim().toUpperCase();
+
+// --- Helper to handle template save errors ---
+const sendTemplateError = (res, err, action) => {
+    console.error(`Error ${action} certificate template:`, err);
+    if (err.kind === 'ObjectId') {
+        return res.status(400).json({ message: 'Invalid Template ID format.' });
+    }
+    if (err.code === 11000) {
+        return res.status(409).json({ message: 'A template with this name already exists.' });
+    }
+    if (err.name === 'ValidationError') {
+        const messages = Object.values(err.errors).map(val => val.message);
+        return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: `Server error ${action} certificate template.` });
+};
+
+// @route   GET /api/certificates/templates
+// @desc    List certificate templates and the placeholders they can use
+// @access  Private (certificates:manage)
+router.get(
+    '/templates',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.CERTIFICATES_MANAGE]),
+    async (req, res) => {
+        try {
+            const templates = await CertificateTemplate.find().sort({ isDefault: -1, name: 1 });
+            res.json({ data: templates, builtIn: BUILT_IN_TEMPLATE, placeholders: TEMPLATE_PLACEHOLDERS });
+        } catch (err) {
+            console.error('Error fetching certificate templates:', err);
+            res.status(500).json({ message: 'Server error fetching certificate templates.' });
+        }
+    }
+);
+
+// @route   POST /api/certificates/templates
+// @desc    Create a certificate template
+// @access  Private (certificates:manage)
+router.post(
+    '/templates',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.CERTIFICATES_MANAGE]),
+    auditTrail('CertificateTemplate'),
+    async (req, res) => {
+        let fields;
+        try {
+            fields = pickTemplateFields(req.body || {});
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const template = await CertificateTemplate.create(fields);
+            await clearOtherDefaults(template);
+            setAuditDocument(res, template);
+            res.status(201).json(template);
+        } catch (err) {
+            sendTemplateError(res, err, 'creating');
+        }
+    }
+);
+
+// @route   PUT /api/certificates/templates/:id
+// @desc    Update a certificate template. Already issued certificates render with the new design.
+// @access  Private (certificates:manage)
+router.put(
+    '/templates/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.CERTIFICATES_MANAGE]),
+    auditTrail('CertificateTemplate'),
+    async (req, res) => {
+        let fields;
+        try {
+            fields = pickTemplateFields(req.body || {});
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const template = await CertificateTemplate.findById(req.params.id);
+            if (!template) {
+                return res.status(404).json({ message: 'Certificate template not found' });
+            }
+            template.set(fields);
+            await template.save();
+            await clearOtherDefaults(template);
+            setAuditDocument(res, template);
+            res.json(template);
+        } catch (err) {
+            sendTemplateError(res, err, 'updating');
+        }
+    }
+);
+
+// @route   DELETE /api/certificates/templates/:id
+// @desc    Delete a certificate template that no certificate uses
+// @access  Private (certificates:manage)
+router.delete(
+    '/templates/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.CERTIFICATES_MANAGE]),
+    auditTrail('CertificateTemplate'),
+    async (req, res) => {
+        try {
+            const inUse = await Certificate.countDocuments({ template: req.params.id });
+            if (inUse > 0) {
+                return res.status(409).json({ message: `This template is used by ${inUse} issued certificate(s) and cannot be deleted.` });
+            }
+
+            const template = await CertificateTemplate.findByIdAndDelete(req.params.id);
+            if (!template) {
+                return res.status(404).json({ message: 'Certificate template not found' });
+            }
+            res.json({ message: 'Certificate template deleted successfully' });
+        } catch (err) {
+            sendTemplateError(res, err, 'deleting');
+        }
+    }
+);
+
+// @route   GET /api/certificates/:verificationId
+// @desc    Verify a certificate by the ID printed on it
+// @access  Public
+router.get('/:verificationId', async (req, res) => {
+    try {
+        const certificate = await Certificate.findOne({ verificationId: normaliseVerificationId(req.params.verificationId) });
+        if (!certificate) {
+            return res.status(404).json({ valid: false, message: 'No certificate was issued with this ID.' });
+        }
+
+        res.json({
+            valid: !certificate.revokedAt,
+            message: certificate.revokedAt ? 'This certificate has been revoked.' : 'This certificate is valid.',
+            certificate: {
+                verificationId: certificate.verificationId,
+                attendeeName: certificate.attendeeName,
+                eventName: certificate.eventName,
+                eventDate: certificate.eventDate,
+                academicYear: certificate.academicYear,
+                speakers: certificate.speakers,
+                issuedAt: certificate.issuedAt,
+                revokedAt: certificate.revokedAt
+            }
+        });
+    } catch (err) {
+        console.error('Error verifying certificate:', err);
+        res.status(500).json({ message: 'Server error verifying certificate.' });
+    }
+});
+
+// @route   GET /api/certificates/:verificationId/pdf
+// @desc    Download a certificate as PDF
+// @access  Public (the verification ID acts as the link)
+router.get('/:verificationId/pdf', async (req, res) => {
+    try {
+        const certificate = await Certificate.findOne({ verificationId: normaliseVerificationId(req.params.verificationId) });
+        if (!certificate || certificate.revokedAt) {
+            return res.status(404).json({ message: 'Certificate not found' });
+        }
+
+        const template = (certificate.template && await CertificateTemplate.findById(certificate.template)) || BUILT_IN_TEMPLATE;
+        const pdf = await renderCertificatePdf(certificate, template);
+
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `inline; filename="certificate-${certificate.verificationId}.pdf"`);
+        res.send(pdf);
+    } catch (err) {
+        console.error('Error rendering certificate:', err);
+        res.status(500).json({ message: 'Server error rendering certificate.' });
+    }
+});
+
+// @route   POST /api/certificates/:verificationId/revoke
+// @desc    Revoke a certificate ({ reason }); verification will report it as invalid
+// @access  Private (certificates:manage)
+router.post(
+    '/:verificationId/revoke',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.CERTIFICATES_MANAGE]),
+    auditTrail('Certificate', {
+        action: 'update',
+        lookup: req => ({ verificationId: normaliseVerificationId(req.params.verificationId) })
+    }),
+    async (req, res) => {
+        try {
+            const certificate = await Certificate.findOneAndUpdate(
+                { verificationId: normaliseVerificationId(req.params.verificationId), revokedAt: null },
+                { $set: { revokedAt: new Date(), revokedReason: (req.body || {}).reason || undefined } },
+                { new: true }
+            );
+            if (!certificate) {
+                return res.status(404).json({ message: 'Certificate not found or already revoked.' });
+            }
+            setAuditDocument(res, certificate);
+            res.json({ message: 'Certificate revoked.', certificate });
+        } catch (err) {
+            console.error('Error revoking certificate:', err);
+            res.status(500).json({ message: 'Server error revoking certificate.' });
+        }
+    }
+);
+
+module.exports = router;
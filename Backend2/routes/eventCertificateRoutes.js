@@ -0,0 +1,168 @@
+// Backend2/routes/eventCertificateRoutes.js
+// Issuing and emailing an event's certificates, mounted under /api/events/:eventId/certificates
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Gives access to :eventId from the mount path
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Certificate = require('../models/Certificate');
+const CertificateTemplate = require('../models/CertificateTemplate');
+const { BUILT_IN_TEMPLATE, resolveTemplate, issueCertificates, emailCertificates } = require('../utils/certificates');
+
+// Import authenticateToken and authorizePermissions using DESTRUCTURING
+const { authenticateToken, authorizePermissions } = require('../middleware/authMiddleware');
+const { auditTrail } = require('../middleware/auditTrail');
+const { PERMISSIONS } = require('../config/permissions');
+
+// --- Helper: emails certificates after the response has been sent ---
+const emailInBackground = (certificates, template) => {
+    if (certificates.length === 0) return;
+    emailCertificates(certificates, template)
+        .catch(err => console.error('Error sending certificate emails:', err));
+};
+
+// @route   GET /api/events/:eventId/certificates
+// @desc    List the certificates issued for an event
+// @access  Private (certificates:manage)
+router.get(
+    '/',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.CERTIFICATES_MANAGE]),
+    async (req, res) => {
+        try {
+            const certificates = await Certificate.find({ event: req.params.eventId }).sort({ attendeeName: 1 });
+            const summary = {
+                issued: certificates.length,
+                emailed: certificates.filter(c => c.emailedAt).length,
+                emailFailed: certificates.filter(c => !c.emailedAt && c.emailError).length,
+                revoked: certificates.filter(c => c.revokedAt).length
+            };
+            res.json({ data: certificates, summary });
+        } catch (err) {
+            console.error('Error fetching certificates:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Event ID format.' });
+            }
+            res.status(500).json({ message: 'Server error fetching certificates.' });
+        }
+    }
+);
+
+// @route   POST /api/events/:eventId/certificates/issue
+// @desc    Issue certificates to checked-in attendees who don't have one yet
+//          ({ templateId?, registrationIds?, sendEmail = true }). Emails go out in the background.
+// @access  Private (certificates:manage)
+router.post(
+    '/issue',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.CERTIFICATES_MANAGE]),
+    auditTrail('Certificate', {
+        action: 'issue',
+        details: (req, body) => body.issued > 0 && { event: req.params.eventId, issued: body.issued, skipped: body.skipped }
+    }),
+    async (req, res) => {
+        const { templateId, registrationIds, sendEmail: sendEmailParam } = req.body || {};
+        const sendEmail = sendEmailParam !== false && sendEmailParam !== 'false';
+
+        if (registrationIds !== undefined &&
+            (!Array.isArray(registrationIds) || !registrationIds.every(id => mongoose.isValidObjectId(id)))) {
+            return res.status(400).json({ message: '"registrationIds" must be an array of registration IDs.' });
+        }
+        if (templateId && !mongoose.isValidObjectId(templateId)) {
+            return res.status(400).json({ message: 'Invalid Template ID format.' });
+        }
+
+        try {
+            const event = await Event.findById(req.params.eventId).populate('speakers', 'name');
+            if (!event) {
+                return res.status(404).json({ message: 'Event not found' });
+            }
+
+            let template;
+            try {
+                template = await resolveTemplate(templateId);
+            } catch (e) {
+                return res.status(404).json({ message: e.message });
+            }
+
+            const { issued, skipped } = await issueCertificates(event, {
+                template,
+                registrationIds,
+                issuedBy: req.user.id
+            });
+
+            if (sendEmail) {
+                emailInBackground(issued, template);
+            }
+
+            res.status(201).json({
+                message: issued.length === 0
+                    ? 'No new certificates to issue. Only checked-in attendees without a certificate receive one.'
+                    : `Issued ${issued.length} certificate(s).${sendEmail ? ' Emails are being sent.' : ''}`,
+                issued: issued.length,
+                skipped,
+                certificates: issued
+            });
+        } catch (err) {
+            console.error('Error issuing certificates:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Event ID format.' });
+            }
+            res.status(500).json({ message: 'Server error issuing certificates.' });
+        }
+    }
+);
+
+// @route   POST /api/events/:eventId/certificates/send
+// @desc    Email certificates that haven't been emailed yet (e.g. after a mail failure),
+//          or re-send specific ones with { certificateIds }
+// @access  Private (certificates:manage)
+router.post(
+    '/send',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.CERTIFICATES_MANAGE]),
+    auditTrail('Certificate', {
+        action: 'send',
+        details: (req, body) => body.count > 0 && { event: req.params.eventId, count: body.count, certificateIds: (req.body || {}).certificateIds }
+    }),
+    async (req, res) => {
+        const { certificateIds } = req.body || {};
+        if (certificateIds !== undefined &&
+            (!Array.isArray(certificateIds) || !certificateIds.every(id => mongoose.isValidObjectId(id)))) {
+            return res.status(400).json({ message: '"certificateIds" must be an array of certificate IDs.' });
+        }
+
+        try {
+            const filter = { event: req.params.eventId, revokedAt: null };
+            if (certificateIds) {
+                filter._id = { $in: certificateIds };
+            } else {
+                filter.emailedAt = null;
+            }
+            const certificates = await Certificate.find(filter);
+
+            // Certificates of one event can use different templates; send each group with its own
+            const groups = new Map();
+            certificates.forEach(certificate => {
+                const key = certificate.template ? certificate.template.toString() : '';
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(certificate);
+            });
+            const templates = await CertificateTemplate.find({ _id: { $in: [...groups.keys()].filter(Boolean) } });
+
+            groups.forEach((group, key) => {
+                const template = templates.find(t => t._id.toString() === key) || BUILT_IN_TEMPLATE;
+                emailInBackground(group, template);
+            });
+
+            res.json({ message: `Sending ${certificates.length} certificate email(s).`, count: certificates.length });
+        } catch (err) {
+            console.error('Error sending certificates:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Event ID format.' });
+            }
+            res.status(500).json({ message: 'Server error sending certificates.' });
+        }
+    }
+);
+
+module.exports = router;
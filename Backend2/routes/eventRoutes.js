@@ -1,51 +1,278 @@
 // Backend2/routes/eventRoutes.js
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Event = require('../models/Event'); // Assuming your model is in models/Event.js
+const { EVENT_STATUSES } = require('../models/Event');
+const { DEFAULT_TIMEZONE, parseDateTimeInput, buildEventLogistics } = require('../utils/eventLogistics');
+const { buildRegistrationSettings, promoteFromWaitlist } = require('../utils/registrations');
+const { EVENT_SPEAKERS_POPULATE, parseSpeakerIds, assertSpeakersExist } = require('../utils/speakers');
+const {
+    getParam,
+    parseBooleanParam,
+    parseDateParam,
+    parseSearchParam,
+    parseSortParam,
+    parsePagination,
+    paginate
+} = require('../utils/listQuery');
 
-// Import authenticateToken and authorizeRoles using DESTRUCTURING
-const { authenticateToken, authorizeRoles } = require('../middleware/authMiddleware');
+// Import authenticateToken and authorizePermissions using DESTRUCTURING
+const { authenticateToken, authorizePermissions } = require('../middleware/authMiddleware');
+const { auditTrail, setAuditDocument } = require('../middleware/auditTrail');
+const { PERMISSIONS } = require('../config/permissions');
 
-// Import the configured Multer instance
+// Import the configured Multer instance and the image pipeline that runs after it
 const upload = require('../config/multerConfig');
+const { processImageUpload } = require('../middleware/imageUpload');
+const { resolveMediaImage, retainImage, releaseImage, discardUpload } = require('../utils/media');
+const { purgeDocument, getPurgeDate } = require('../utils/trash');
+const {
+    SERIES_EDIT_SCOPES,
+    applyToFollowing,
+    getSessionChanges,
+    markOverrides,
+    excludeFromSeries,
+    includeInSeries
+} = require('../utils/eventSeries');
+const { CALENDAR_FILTER, buildCalendar, sendCalendar } = require('../utils/calendar');
+const { triggerChangeWebhooks } = require('../utils/webhooks');
 
-const path = require('path');
-const fs = require('fs');
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
 
-// --- Helper function to delete old poster file if it exists ---
-const deleteOldPoster = (posterPath) => {
-    if (posterPath && posterPath.startsWith('/uploads/')) {
-        const filePath = path.join(__dirname, '..', posterPath);
-        fs.unlink(filePath, (err) => {
-            if (err) {
-                console.error('Error deleting old poster file:', filePath, err);
-            } else {
-                console.log('Old poster file deleted:', filePath);
+// --- Sortable fields for GET /api/events (public name -> document path) ---
+const EVENT_SORT_FIELDS = {
+    eventDate: 'eventDate',
+    eventName: 'eventName',
+    academicYear: 'academicYear',
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    publishAt: 'publishAt',
+    publishedAt: 'publishedAt'
+};
+
+// --- Helper to build the Mongo filter/sort for GET /api/events from the query string ---
+// The public list only has published events; the admin list has every status (?status=draft,scheduled)
+const buildEventListQuery = (query, { admin = false } = {}) => {
+    const filter = {};
+
+    if (!admin) {
+        filter.status = 'published';
+    } else {
+        const status = getParam(query, 'status');
+        if (status) {
+            const statuses = status.split(',').map(value => value.trim()).filter(Boolean);
+            if (statuses.some(value => !EVENT_STATUSES.includes(value))) {
+                throw new Error(`"status" must be one of: ${EVENT_STATUSES.join(', ')}.`);
             }
-        });
+            filter.status = statuses.length > 1 ? { $in: statuses } : statuses[0];
+        }
+    }
+
+    const academicYear = getParam(query, 'academicYear');
+    if (academicYear) {
+        // Accepts a single year or a comma-separated list: ?academicYear=2024-25,2025-26
+        const years = academicYear.split(',').map(year => year.trim()).filter(Boolean);
+        filter.academicYear = years.length > 1 ? { $in: years } : years[0];
+    }
+
+    const from = parseDateParam(getParam(query, 'from'), 'from');
+    const to = parseDateParam(getParam(query, 'to'), 'to', { endOfDay: true });
+    if (from && to && from > to) {
+        throw new Error('"from" must be before "to".');
+    }
+    if (from || to) {
+        filter.eventDate = {};
+        if (from) filter.eventDate.$gte = from;
+        if (to) filter.eventDate.$lte = to;
+    }
+
+    // upcoming=true also includes events that have started but not yet ended
+    const upcoming = parseBooleanParam(getParam(query, 'upcoming'), 'upcoming');
+    if (upcoming !== undefined) {
+        const now = new Date();
+        filter.$and = [
+            upcoming
+                ? { $or: [{ eventDate: { $gte: now } }, { eventEndDate: { $gte: now } }] }
+                : { eventDate: { $lt: now }, $or: [{ eventEndDate: null }, { eventEndDate: { $lt: now } }] }
+        ];
+    }
+
+    const speakerId = getParam(query, 'speakerId');
+    if (speakerId !== undefined) {
+        if (!mongoose.isValidObjectId(speakerId)) {
+            throw new Error('"speakerId" must be a speaker ID.');
+        }
+        filter.speakers = speakerId;
+    }
+
+    const seriesId = getParam(query, 'series');
+    if (seriesId !== undefined) {
+        if (!mongoose.isValidObjectId(seriesId)) {
+            throw new Error('"series" must be an event series ID.');
+        }
+        filter.series = seriesId;
+    }
+
+    const q = parseSearchParam(getParam(query, 'q'));
+    if (q) {
+        filter.$text = { $search: q };
+    }
+
+    // Upcoming lists read naturally soonest-first; everything else newest-first
+    const defaultSort = upcoming ? { eventDate: 1 } : { eventDate: -1 };
+    const sort = parseSortParam(getParam(query, 'sort'), EVENT_SORT_FIELDS, defaultSort, { hasSearch: Boolean(q) });
+
+    return { filter, sort, pagination: parsePagination(query) };
+};
+
+// --- Helper: status/publishAt from the body (only the parts that were sent) ---
+// A publishAt without a status schedules the event; the Event schema checks the combination.
+// publishAt is read in the event's timezone unless it carries an offset.
+const buildStatusFields = (body, timezone = DEFAULT_TIMEZONE) => {
+    const fields = {};
+    if (body.status !== undefined && body.status !== '') {
+        if (!EVENT_STATUSES.includes(body.status)) {
+            throw new Error(`Status must be one of: ${EVENT_STATUSES.join(', ')}.`);
+        }
+        fields.status = body.status;
     }
+    if (body.publishAt !== undefined && body.publishAt !== '' && body.publishAt !== null) {
+        fields.publishAt = parseDateTimeInput(body.publishAt, timezone, 'Publish');
+        if (!fields.status) fields.status = 'scheduled';
+    }
+    return fields;
 };
 
+const getPreviewUrl = (token) => `${FRONTEND_URL}/events/preview/${encodeURIComponent(token)}`;
+
 // @route   GET /api/events
-// @desc    Get all events
+// @desc    List published events with filtering, text search, sorting and pagination
+//          ?academicYear=2025-26&from=2025-09-01&to=2025-12-31&upcoming=true&q=solidity
+//          &speakerId=<speaker id>&series=<series id>&sort=-eventDate&page=1&limit=20 (or &cursor=<nextCursor>)
 // @access  Public
 router.get('/', async (req, res) => {
+    let listQuery;
     try {
-        // Sort by date, most recent first
-        const events = await Event.find().sort({ eventDate: -1 });
-        res.json(events);
+        listQuery = buildEventListQuery(req.query);
+    } catch (e) {
+        return res.status(400).json({ message: e.message });
+    }
+
+    try {
+        const result = await paginate(Event, { ...listQuery, populate: EVENT_SPEAKERS_POPULATE });
+        res.json(result);
     } catch (err) {
         console.error('Error fetching events:', err);
         res.status(500).json({ message: 'Server error fetching events.' });
     }
 });
 
+// @route   GET /api/events/trash
+// @desc    Deleted events, most recently deleted first, with the date each will be purged (?q=&page=&limit=)
+// @access  Private (events:delete)
+router.get(
+    '/trash',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_DELETE]),
+    async (req, res) => {
+        let listQuery;
+        try {
+            const q = parseSearchParam(getParam(req.query, 'q'));
+            listQuery = {
+                filter: { deletedAt: { $ne: null }, ...(q ? { $text: { $search: q } } : {}) },
+                sort: { deletedAt: -1 },
+                pagination: parsePagination(req.query, { defaultLimit: 50 }),
+                populate: { path: 'deletedBy', select: 'name email' }
+            };
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const result = await paginate(Event, listQuery);
+            res.json({
+                ...result,
+                data: result.data.map(event => ({ ...event.toJSON(), purgeAt: getPurgeDate(event.deletedAt) }))
+            });
+        } catch (err) {
+            console.error('Error fetching deleted events:', err);
+            res.status(500).json({ message: 'Server error fetching deleted events.' });
+        }
+    }
+);
+
+// @route   GET /api/events/admin
+// @desc    Same list as GET /api/events, with events of every status (?status=draft,scheduled&...)
+// @access  Private (events:write)
+router.get(
+    '/admin',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_WRITE]),
+    async (req, res) => {
+        let listQuery;
+        try {
+            listQuery = buildEventListQuery(req.query, { admin: true });
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const result = await paginate(Event, { ...listQuery, populate: EVENT_SPEAKERS_POPULATE });
+            res.json(result);
+        } catch (err) {
+            console.error('Error fetching events:', err);
+            res.status(500).json({ message: 'Server error fetching events.' });
+        }
+    }
+);
+
+// @route   GET /api/events/admin/:id
+// @desc    A single event, whatever its status
+// @access  Private (events:write)
+router.get(
+    '/admin/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_WRITE]),
+    async (req, res) => {
+        try {
+            const event = await Event.findById(req.params.id).populate(EVENT_SPEAKERS_POPULATE);
+            if (!event) {
+                return res.status(404).json({ message: 'Event not found' });
+            }
+            res.json(event);
+        } catch (err) {
+            console.error('Error fetching event:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Event ID format.' });
+            }
+            res.status(500).json({ message: 'Server error fetching event.' });
+        }
+    }
+);
+
+// @route   GET /api/events/preview/:token
+// @desc    The event a preview link points at, whatever its status, so a draft page can be reviewed
+// @access  Public (requires the preview token)
+router.get('/preview/:token', async (req, res) => {
+    try {
+        const event = await Event.findByPreviewToken(req.params.token).populate(EVENT_SPEAKERS_POPULATE);
+        if (!event) {
+            return res.status(404).json({ message: 'Preview link is invalid or has expired.' });
+        }
+        res.json(event);
+    } catch (err) {
+        console.error('Error fetching event preview:', err);
+        res.status(500).json({ message: 'Server error fetching event preview.' });
+    }
+});
+
 // @route   GET /api/events/:id
-// @desc    Get a single event by ID
+// @desc    Get a single published event by ID
 // @access  Public
 router.get('/:id', async (req, res) => {
     try {
-        const event = await Event.findById(req.params.id);
+        const event = await Event.findOne({ _id: req.params.id, status: 'published' }).populate(EVENT_SPEAKERS_POPULATE);
         if (!event) {
             return res.status(404).json({ message: 'Event not found' });
         }
@@ -59,87 +286,108 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// @route   GET /api/events/:id/ics
+// @desc    The event as an iCalendar (.ics) file to add to a calendar (cancelled events come with
+//          STATUS:CANCELLED, so importing the file again removes them)
+// @access  Public
+router.get('/:id/ics', async (req, res) => {
+    try {
+        const event = await Event.findOne({ _id: req.params.id, ...CALENDAR_FILTER });
+        if (!event) {
+            return res.status(404).json({ message: 'Event not found' });
+        }
+
+        const fileName = `${event.eventName.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.ics`;
+        sendCalendar(res, buildCalendar([event], { name: event.eventName }), fileName);
+    } catch (err) {
+        console.error('Error generating event calendar file:', err);
+        if (err.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid Event ID format.' });
+        }
+        res.status(500).json({ message: 'Server error generating calendar file.' });
+    }
+});
+
 // @route   POST /api/events
-// @desc    Add a new event
-// @access  Private (Admin Only)
+// @desc    Add a new event. It starts as a draft unless a status (or a publishAt, to schedule it) is sent.
+// @access  Private (events:write)
 router.post(
     '/',
     authenticateToken,
-    authorizeRoles(['admin']),
+    authorizePermissions([PERMISSIONS.EVENTS_WRITE]),
+    auditTrail('Event'),
     upload.single('posterFile'), // 'posterFile' is the field name for the uploaded file
+    processImageUpload, // Resized variants in req.image
     async (req, res) => {
         try {
             const {
                 eventName,
                 eventDate,
-                eventTime,
-                eventLocation,
-                eventLink,
                 academicYear,
-                description,
-                speakers, // This should be a JSON string if sent via form-data
-                posterType // 'upload', 'url'
+                speakers, // JSON array of speaker IDs (a JSON string if sent via form-data)
+                posterType // 'upload', 'url', 'media' (posterValue is a media library ID)
             } = req.body;
 
-            let posterValue;
-            let actualPosterType = posterType;
-
-            // Determine the poster source
-            if (req.file) { // If a file was uploaded via Multer
-                posterValue = `/uploads/${req.file.filename}`;
-                actualPosterType = 'upload';
+            // Determine the poster source (library media is looked up below)
+            let poster;
+            if (req.image) { // If a file was uploaded (already resized by processImageUpload)
+                poster = req.image;
+            } else if (posterType === 'media') {
+                poster = null;
             } else if (posterType === 'url' && req.body.posterValue) {
-                posterValue = req.body.posterValue;
+                poster = { type: 'url', value: req.body.posterValue };
             } else {
-                posterValue = 'https://via.placeholder.com/300x200?text=No+Poster'; // Default placeholder
-                actualPosterType = 'url';
+                poster = { type: 'url', value: 'https://via.placeholder.com/300x200?text=No+Poster' }; // Default placeholder
             }
 
-            // Basic validation
-            if (!eventName || !eventDate || !academicYear || !eventLocation) {
-                // If file was uploaded but validation fails, delete the file to prevent orphans
-                if (req.file) {
-                    fs.unlink(req.file.path, (err) => {
-                        if (err) console.error('Error deleting orphaned uploaded file:', err);
-                    });
-                }
-                return res.status(400).json({ message: 'Event name, date, academic year, and location are required.' });
+            // Basic validation (venue requirements are enforced by the Event schema;
+            // the academic year is derived from the date when not given)
+            if (!eventName || !eventDate) {
+                // If a file was uploaded but validation fails, delete it to prevent orphans
+                await discardUpload(req.image);
+                return res.status(400).json({ message: 'Event name and date are required.' });
             }
 
-            // Parse speakers if it's a JSON string
-            let parsedSpeakers = [];
-            if (speakers) {
-                try {
-                    parsedSpeakers = JSON.parse(speakers);
-                    // Basic validation for parsedSpeakers to ensure it's an array of objects
-                    if (!Array.isArray(parsedSpeakers) || !parsedSpeakers.every(s => typeof s === 'object' && s !== null)) {
-                        throw new Error('Speakers must be a valid JSON array of objects.');
-                    }
-                } catch (e) {
-                    console.error('Error parsing speakers JSON:', e);
-                    return res.status(400).json({ message: 'Invalid speakers format. Must be a valid JSON array.' });
+            // Start/end time, timezone, venue, description, RSVP settings and speakers
+            let logistics;
+            let registration;
+            let statusFields;
+            let speakerIds = [];
+            try {
+                logistics = buildEventLogistics(req.body);
+                statusFields = buildStatusFields(req.body, logistics.timezone);
+                registration = buildRegistrationSettings(req.body, null, logistics.timezone);
+                if (speakers) {
+                    speakerIds = parseSpeakerIds(speakers);
+                    await assertSpeakersExist(speakerIds);
                 }
+                if (!poster) {
+                    poster = await resolveMediaImage(req.body.posterValue);
+                }
+            } catch (e) {
+                await discardUpload(req.image);
+                return res.status(400).json({ message: e.message });
             }
 
             const newEvent = new Event({
                 eventName,
-                eventDate: new Date(eventDate), // Ensure date is parsed
-                eventTime,
-                eventLocation,
-                eventLink,
-                academicYear,
-                description,
-                speakers: parsedSpeakers,
-                poster: {
-                    type: actualPosterType,
-                    value: posterValue
-                }
+                academicYear: academicYear || undefined,
+                ...logistics,
+                ...statusFields,
+                registration,
+                speakers: speakerIds,
+                poster
             });
 
             const savedEvent = await newEvent.save();
+            setAuditDocument(res, savedEvent);
+            triggerChangeWebhooks('Event', 'create', null, savedEvent);
+            await retainImage(savedEvent.poster, { model: 'Event', document: savedEvent._id, field: 'poster' });
+            await savedEvent.populate(EVENT_SPEAKERS_POPULATE);
             res.status(201).json({ message: 'Event saved successfully!', event: savedEvent });
 
         } catch (err) {
+            await discardUpload(req.image);
             console.error('Error saving event:', err);
             if (err.name === 'ValidationError') {
                 const messages = Object.values(err.errors).map(val => val.message);
@@ -151,84 +399,140 @@ router.post(
 );
 
 // @route   PUT /api/events/:id
-// @desc    Update an existing event
-// @access  Private (Admin Only)
+// @desc    Update an existing event (status and publishAt included, see PUT /api/events/:id/status).
+//          For a session of a series, scope=this (default) changes only this session and scope=following
+//          also changes every later session of the series (see utils/eventSeries.js).
+// @access  Private (events:write)
 router.put(
     '/:id',
     authenticateToken,
-    authorizeRoles(['admin']),
+    authorizePermissions([PERMISSIONS.EVENTS_WRITE]),
+    auditTrail('Event'),
     upload.single('posterFile'),
+    processImageUpload,
     async (req, res) => {
         try {
             const {
                 eventName,
-                eventDate,
-                eventTime,
-                eventLocation,
-                eventLink,
                 academicYear,
-                description,
                 speakers,
-                posterType // 'upload', 'url'
+                posterType // 'upload', 'url', 'media' (posterValue is a media library ID)
             } = req.body;
 
             const existingEvent = await Event.findById(req.params.id);
             if (!existingEvent) {
-                if (req.file) { // If new file uploaded but event not found, delete it
-                    fs.unlink(req.file.path, (err) => { if (err) console.error('Error deleting new file:', err); });
-                }
+                await discardUpload(req.image); // If new file uploaded but event not found, delete it
                 return res.status(404).json({ message: 'Event not found.' });
             }
+            const before = existingEvent.toObject();
+
+            const scope = req.body.scope || req.query.scope || 'this';
+            if (!SERIES_EDIT_SCOPES.includes(scope)) {
+                await discardUpload(req.image);
+                return res.status(400).json({ message: `Scope must be one of: ${SERIES_EDIT_SCOPES.join(', ')}.` });
+            }
+            if (scope === 'following' && !existingEvent.series) {
+                await discardUpload(req.image);
+                return res.status(400).json({ message: 'Only a session of a series can be edited with scope=following.' });
+            }
 
             let updateFields = {
                 eventName,
-                eventDate: new Date(eventDate),
-                eventTime,
-                eventLocation,
-                eventLink,
-                academicYear,
-                description,
+                academicYear
             };
 
-            // Parse speakers if provided
-            if (speakers !== undefined) {
-                try {
-                    updateFields.speakers = JSON.parse(speakers);
-                    if (!Array.isArray(updateFields.speakers) || !updateFields.speakers.every(s => typeof s === 'object' && s !== null)) {
-                        throw new Error('Speakers must be a valid JSON array of objects.');
-                    }
-                } catch (e) {
-                    console.error('Error parsing speakers JSON during update:', e);
-                    return res.status(400).json({ message: 'Invalid speakers format for update.' });
+            // Start/end time, timezone, venue, description, RSVP settings, speakers and a reused
+            // library poster (only the parts that were sent)
+            let registrationSettings;
+            let libraryPoster = null;
+            try {
+                Object.assign(updateFields, buildEventLogistics(req.body, existingEvent));
+                Object.assign(updateFields, buildStatusFields(req.body, updateFields.timezone));
+                registrationSettings = buildRegistrationSettings(req.body, existingEvent, updateFields.timezone);
+                if (speakers !== undefined) {
+                    updateFields.speakers = parseSpeakerIds(speakers);
+                    await assertSpeakersExist(updateFields.speakers);
+                }
+                if (!req.image && posterType === 'media') {
+                    libraryPoster = await resolveMediaImage(req.body.posterValue);
                 }
+            } catch (e) {
+                await discardUpload(req.image);
+                return res.status(400).json({ message: e.message });
             }
 
-            // Handle poster updates
-            if (req.file) { // New file uploaded
-                deleteOldPoster(existingEvent.poster.value);
-                updateFields.poster = { type: 'upload', value: `/uploads/${req.file.filename}` };
+            // Handle poster updates. The old poster is only released once the update has been saved.
+            // (a plain copy: the document's nested poster reflects the new value once it is set)
+            const currentPoster = existingEvent.toObject().poster;
+            let posterToRelease = null;
+            if (req.image) { // New file uploaded
+                posterToRelease = currentPoster;
+                updateFields.poster = req.image;
+            } else if (libraryPoster) { // Existing library image reused
+                posterToRelease = currentPoster;
+                updateFields.poster = libraryPoster;
             } else if (posterType) { // Frontend specified type (URL), but no file uploaded
                 if (posterType === 'url') {
-                    if (existingEvent.poster.type === 'upload') { // If old was upload, delete it
-                        deleteOldPoster(existingEvent.poster.value);
+                    if (currentPoster.type === 'upload') { // If old was upload, release it
+                        posterToRelease = currentPoster;
                     }
                     updateFields.poster = { type: 'url', value: req.body.posterValue };
                 } else {
                     return res.status(400).json({ message: 'Invalid poster type specified for update.' });
                 }
             }
-            // If no req.file and no posterType, poster remains unchanged.
+            // If no upload and no posterType, poster remains unchanged.
 
+            // Dotted paths so the seat counter (registration.confirmedCount) is never overwritten
+            if (registrationSettings) {
+                Object.entries(registrationSettings).forEach(([key, value]) => {
+                    updateFields[`registration.${key}`] = value;
+                });
+            }
 
-            const updatedEvent = await Event.findByIdAndUpdate(
-                req.params.id,
-                { $set: updateFields },
-                { new: true, runValidators: true }
-            );
+            // Fields that were not sent are left as they are
+            Object.keys(updateFields).forEach(key => {
+                if (updateFields[key] === undefined) delete updateFields[key];
+            });
 
-            res.json({ message: 'Event updated successfully!', event: updatedEvent });
+            // Apply to the loaded document and save, so update runs exactly the same
+            // schema validation (including cross-field checks) as create
+            existingEvent.set(updateFields);
+            const seriesChanges = existingEvent.series ? getSessionChanges(existingEvent) : null;
+            if (seriesChanges && scope === 'this') {
+                markOverrides(existingEvent, seriesChanges);
+            }
+            const updatedEvent = await existingEvent.save();
+
+            // Released before retaining, so re-selecting the same library image keeps its reference
+            const posterRef = { model: 'Event', document: updatedEvent._id, field: 'poster' };
+            if (posterToRelease) {
+                await releaseImage(posterToRelease, posterRef);
+            }
+            if (updateFields.poster) {
+                await retainImage(updatedEvent.poster, posterRef);
+            }
+
+            // More seats (or a waitlist that was just re-enabled) may let waitlisted people in
+            if (registrationSettings) {
+                await promoteFromWaitlist(updatedEvent);
+            }
+
+            let responseEvent = updatedEvent;
+            if (seriesChanges && scope === 'following') {
+                await applyToFollowing(updatedEvent, { ...seriesChanges, userId: req.user.id });
+                // Re-read: the session may have moved to a new series and dropped its overrides
+                responseEvent = await Event.findById(updatedEvent._id);
+            }
+
+            setAuditDocument(res, responseEvent);
+            triggerChangeWebhooks('Event', 'update', before, responseEvent);
+            await responseEvent.populate(EVENT_SPEAKERS_POPULATE);
+
+            res.json({ message: 'Event updated successfully!', event: responseEvent });
 
         } catch (err) {
+            await discardUpload(req.image);
             console.error('Error updating event:', err);
             if (err.kind === 'ObjectId') {
                 return res.status(400).json({ message: 'Invalid Event ID format.' });
@@ -242,13 +546,122 @@ router.put(
     }
 );
 
+// @route   PUT /api/events/:id/status
+// @desc    Publish, schedule, unpublish, archive or cancel an event: { status, publishAt }.
+//          Scheduled events are published by utils/eventPublishing.js once publishAt has passed.
+// @access  Private (events:write)
+router.put(
+    '/:id/status',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_WRITE]),
+    auditTrail('Event'),
+    async (req, res) => {
+        try {
+            const event = await Event.findById(req.params.id);
+            if (!event) {
+                return res.status(404).json({ message: 'Event not found.' });
+            }
+
+            let statusFields;
+            try {
+                statusFields = buildStatusFields(req.body || {}, event.timezone);
+            } catch (e) {
+                return res.status(400).json({ message: e.message });
+            }
+            if (!statusFields.status) {
+                return res.status(400).json({ message: 'A status or publishAt is required.' });
+            }
+
+            const before = event.toObject();
+            event.set(statusFields);
+            await event.save();
+            setAuditDocument(res, event);
+            triggerChangeWebhooks('Event', 'update', before, event);
+            await event.populate(EVENT_SPEAKERS_POPULATE);
+            res.json({ message: `Event is now ${event.status}.`, event });
+        } catch (err) {
+            console.error('Error changing event status:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Event ID format.' });
+            }
+            if (err.name === 'ValidationError') {
+                const messages = Object.values(err.errors).map(val => val.message);
+                return res.status(400).json({ message: messages.join(', ') });
+            }
+            res.status(500).json({ message: 'Server error changing event status.' });
+        }
+    }
+);
+
+// @route   POST /api/events/:id/preview
+// @desc    Create a preview link for the event (valid for 7 days). The token is only returned here;
+//          creating a new link replaces the previous one.
+// @access  Private (events:write)
+router.post(
+    '/:id/preview',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_WRITE]),
+    async (req, res) => {
+        try {
+            const event = await Event.findById(req.params.id);
+            if (!event) {
+                return res.status(404).json({ message: 'Event not found.' });
+            }
+
+            const token = event.createPreviewToken();
+            await event.save({ validateBeforeSave: false });
+            res.status(201).json({
+                message: 'Preview link created.',
+                token,
+                url: getPreviewUrl(token),
+                expiresAt: event.preview.expiresAt
+            });
+        } catch (err) {
+            console.error('Error creating event preview link:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Event ID format.' });
+            }
+            res.status(500).json({ message: 'Server error creating preview link.' });
+        }
+    }
+);
+
+// @route   DELETE /api/events/:id/preview
+// @desc    Revoke the event's preview link
+// @access  Private (events:write)
+router.delete(
+    '/:id/preview',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_WRITE]),
+    async (req, res) => {
+        try {
+            const event = await Event.findById(req.params.id);
+            if (!event) {
+                return res.status(404).json({ message: 'Event not found.' });
+            }
+
+            event.preview = undefined;
+            await event.save({ validateBeforeSave: false });
+            res.json({ message: 'Preview link revoked.' });
+        } catch (err) {
+            console.error('Error revoking event preview link:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Event ID format.' });
+            }
+            res.status(500).json({ message: 'Server error revoking preview link.' });
+        }
+    }
+);
+
 // @route   DELETE /api/events/:id
-// @desc    Delete an event
-// @access  Private (Admin Only)
+// @desc    Move an event to the trash. It disappears from the site but keeps its registrations and
+//          poster until it is purged (TRASH_RETENTION_DAYS, see utils/trash.js) or restored.
+// @access  Private (events:delete)
 router.delete(
     '/:id',
     authenticateToken,
-    authorizeRoles(['admin']),
+    authorizePermissions([PERMISSIONS.EVENTS_DELETE]),
+    auditTrail('Event'),
     async (req, res) => {
         try {
             const event = await Event.findById(req.params.id);
@@ -257,14 +670,13 @@ router.delete(
                 return res.status(404).json({ message: 'Event not found' });
             }
 
-            // Optional: If event poster is stored locally, delete the old file from the server
-            if (event.poster && event.poster.type === 'upload' && event.poster.value) {
-                deleteOldPoster(event.poster.value);
-            }
+            const before = event.toObject();
+            await event.softDelete(req.user.id);
+            setAuditDocument(res, event);
+            triggerChangeWebhooks('Event', 'delete', before, event);
+            await excludeFromSeries(event); // A deleted session isn't recreated by its series
 
-            await Event.findByIdAndDelete(req.params.id);
-
-            res.json({ message: 'Event deleted successfully!' });
+            res.json({ message: 'Event moved to the trash.', purgeAt: getPurgeDate(event.deletedAt) });
 
         } catch (err) {
             console.error('Error deleting event:', err);
@@ -276,4 +688,64 @@ router.delete(
     }
 );
 
+// @route   POST /api/events/:id/restore
+// @desc    Take an event out of the trash
+// @access  Private (events:delete)
+router.post(
+    '/:id/restore',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_DELETE]),
+    auditTrail('Event', { action: 'restore' }),
+    async (req, res) => {
+        try {
+            const event = await Event.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+            if (!event) {
+                return res.status(404).json({ message: 'Event not found in the trash.' });
+            }
+
+            const before = event.toObject();
+            await event.restore();
+            setAuditDocument(res, event);
+            triggerChangeWebhooks('Event', 'restore', before, event);
+            await includeInSeries(event);
+            await event.populate(EVENT_SPEAKERS_POPULATE);
+            res.json({ message: 'Event restored successfully!', event });
+        } catch (err) {
+            console.error('Error restoring event:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Event ID format.' });
+            }
+            res.status(500).json({ message: 'Server error restoring event.' });
+        }
+    }
+);
+
+// @route   DELETE /api/events/:id/permanent
+// @desc    Purge an event from the trash now, with its registrations; its poster is released
+//          (the media sweep removes it once nothing else uses it)
+// @access  Private (events:delete)
+router.delete(
+    '/:id/permanent',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_DELETE]),
+    auditTrail('Event', { action: 'purge' }),
+    async (req, res) => {
+        try {
+            const event = await Event.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+            if (!event) {
+                return res.status(404).json({ message: 'Event not found in the trash. Delete it first.' });
+            }
+
+            await purgeDocument(event);
+            res.json({ message: 'Event deleted permanently.' });
+        } catch (err) {
+            console.error('Error purging event:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Event ID format.' });
+            }
+            res.status(500).json({ message: 'Server error purging event.' });
+        }
+    }
+);
+
 module.exports = router;
\ No newline at end of file
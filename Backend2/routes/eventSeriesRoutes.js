@@ -0,0 +1,390 @@
+// Backend2/routes/eventSeriesRoutes.js
+// Recurring event series, mounted under /api/event-series. Creating a series generates its sessions
+// as events; editing it updates the sessions that don't override the changed fields, and a new
+// recurrence rule reschedules the upcoming ones (see utils/eventSeries.js). Single sessions are
+// edited through PUT /api/events/:id (scope=this or scope=following).
+const express = require('express');
+const router = express.Router();
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const { EVENT_STATUSES } = require('../models/Event');
+const { DEFAULT_TIMEZONE, isValidTimezone, buildEventVenue } = require('../utils/eventLogistics');
+const { buildRegistrationSettings } = require('../utils/registrations');
+const { EVENT_SPEAKERS_POPULATE, parseSpeakerIds, assertSpeakersExist } = require('../utils/speakers');
+const { getParam, parseSearchParam, parsePagination, paginate } = require('../utils/listQuery');
+const {
+    SERIES_FIELDS,
+    buildRecurrence,
+    getOccurrenceDates,
+    createSessions,
+    syncSessions,
+    deleteSeries
+} = require('../utils/eventSeries');
+const { triggerChangeWebhooks } = require('../utils/webhooks');
+
+// Import authenticateToken and authorizePermissions using DESTRUCTURING
+const { authenticateToken, authorizePermissions } = require('../middleware/authMiddleware');
+const { auditTrail, setAuditDocument } = require('../middleware/auditTrail');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Import the configured Multer instance and the image pipeline that runs after it
+const upload = require('../config/multerConfig');
+const { processImageUpload } = require('../middleware/imageUpload');
+const { resolveMediaImage, retainImage, releaseImage, discardUpload } = require('../utils/media');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// --- Helper: the series fields from the body (only the parts that were sent) ---
+// title (or eventName), description, speakers, timezone, venue and registration settings
+// (registrationEnabled, registrationCapacity, waitlistEnabled). Throws an Error with a user-facing message.
+const buildSeriesFields = async (body, existingSeries = null) => {
+    const fields = {};
+    const title = body.title !== undefined ? body.title : body.eventName;
+    if (title !== undefined) fields.title = title;
+    if (body.description !== undefined) fields.description = body.description;
+
+    if (body.timezone !== undefined && body.timezone !== '') {
+        const timezone = String(body.timezone).trim();
+        if (!isValidTimezone(timezone)) {
+            throw new Error(`"${timezone}" is not a valid IANA timezone (e.g. Asia/Kolkata).`);
+        }
+        fields.timezone = timezone;
+    }
+
+    const venue = buildEventVenue(body, existingSeries);
+    if (venue !== undefined) fields.venue = venue;
+
+    // Sessions open registration right away and close it when they start, so only these settings apply
+    const registration = buildRegistrationSettings(body, existingSeries);
+    if (registration) {
+        fields.registration = {
+            enabled: registration.enabled,
+            capacity: registration.capacity,
+            waitlistEnabled: registration.waitlistEnabled
+        };
+    }
+
+    if (body.speakers !== undefined) {
+        fields.speakers = parseSpeakerIds(body.speakers);
+        await assertSpeakersExist(fields.speakers);
+    }
+    return fields;
+};
+
+// --- Helper: a series and its sessions (every session, or only the published ones) ---
+const loadSeriesWithSessions = async (id, { publishedOnly = false } = {}) => {
+    const series = await EventSeries.findById(id).populate(EVENT_SPEAKERS_POPULATE);
+    if (!series) return null;
+
+    const filter = { series: series._id };
+    if (publishedOnly) filter.status = 'published';
+    const sessions = await Event.find(filter).sort({ eventDate: 1 }).populate(EVENT_SPEAKERS_POPULATE);
+    return { series, sessions };
+};
+
+// --- Helper to handle errors ---
+const sendSeriesError = (res, err, action) => {
+    console.error(`Error ${action} event series:`, err);
+    if (err.kind === 'ObjectId') {
+        return res.status(400).json({ message: 'Invalid Event Series ID format.' });
+    }
+    if (err.name === 'ValidationError') {
+        const messages = Object.values(err.errors).map(val => val.message);
+        return res.status(400).json({ message: messages.join(', ') });
+    }
+    if (err.name !== 'Error') { // Helpers throw plain Errors with a user-facing message
+        return res.status(500).json({ message: `Server error ${action} event series.` });
+    }
+    res.status(400).json({ message: err.message });
+};
+
+// @route   GET /api/event-series
+// @desc    Series with at least one published session, newest first (?q=&page=&limit=)
+// @access  Public
+router.get('/', async (req, res) => {
+    let listQuery;
+    try {
+        const q = parseSearchParam(getParam(req.query, 'q'));
+        listQuery = {
+            filter: q ? { title: new RegExp(escapeRegex(q), 'i') } : {},
+            sort: { createdAt: -1 },
+            pagination: parsePagination(req.query),
+            populate: EVENT_SPEAKERS_POPULATE
+        };
+    } catch (e) {
+        return res.status(400).json({ message: e.message });
+    }
+
+    try {
+        // distinct() isn't covered by the soft-delete hooks, so trashed sessions are left out here
+        const publishedSeries = await Event.distinct('series', { status: 'published', deletedAt: null, series: { $ne: null } });
+        listQuery.filter._id = { $in: publishedSeries };
+        const result = await paginate(EventSeries, listQuery);
+        res.json(result);
+    } catch (err) {
+        console.error('Error fetching event series:', err);
+        res.status(500).json({ message: 'Server error fetching event series.' });
+    }
+});
+
+// @route   GET /api/event-series/admin
+// @desc    Every series, newest first (?q=&page=&limit=)
+// @access  Private (events:write)
+router.get(
+    '/admin',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_WRITE]),
+    async (req, res) => {
+        let listQuery;
+        try {
+            const q = parseSearchParam(getParam(req.query, 'q'));
+            listQuery = {
+                filter: q ? { title: new RegExp(escapeRegex(q), 'i') } : {},
+                sort: { createdAt: -1 },
+                pagination: parsePagination(req.query),
+                populate: EVENT_SPEAKERS_POPULATE
+            };
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const result = await paginate(EventSeries, listQuery);
+            res.json(result);
+        } catch (err) {
+            console.error('Error fetching event series:', err);
+            res.status(500).json({ message: 'Server error fetching event series.' });
+        }
+    }
+);
+
+// @route   GET /api/event-series/admin/:id
+// @desc    A series with all of its sessions, whatever their status
+// @access  Private (events:write)
+router.get(
+    '/admin/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_WRITE]),
+    async (req, res) => {
+        try {
+            const result = await loadSeriesWithSessions(req.params.id);
+            if (!result) {
+                return res.status(404).json({ message: 'Event series not found.' });
+            }
+            res.json(result);
+        } catch (err) {
+            sendSeriesError(res, err, 'fetching');
+        }
+    }
+);
+
+// @route   GET /api/event-series/:id
+// @desc    A series with its published sessions, soonest first
+// @access  Public
+router.get('/:id', async (req, res) => {
+    try {
+        const result = await loadSeriesWithSessions(req.params.id, { publishedOnly: true });
+        if (!result || result.sessions.length === 0) {
+            return res.status(404).json({ message: 'Event series not found.' });
+        }
+        res.json(result);
+    } catch (err) {
+        sendSeriesError(res, err, 'fetching');
+    }
+});
+
+// @route   POST /api/event-series
+// @desc    Add a series and generate its sessions. Besides the series fields (see buildSeriesFields)
+//          and the poster (posterFile, or posterType + posterValue as for events) it takes the
+//          recurrence: an `rrule` (e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=TU;COUNT=12) or frequency,
+//          interval, byDay, count, until; plus startDate, startTime, durationMinutes and exceptions.
+//          Sessions start as drafts unless status=published is sent.
+// @access  Private (events:write)
+router.post(
+    '/',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_WRITE]),
+    auditTrail('EventSeries'),
+    upload.single('posterFile'),
+    processImageUpload,
+    async (req, res) => {
+        const { posterType, posterValue } = req.body;
+        const status = req.body.status || 'draft';
+        if (!['draft', 'published'].includes(status)) {
+            await discardUpload(req.image);
+            return res.status(400).json({ message: 'New sessions can only be drafts or published. Schedule them one by one.' });
+        }
+
+        let series;
+        try {
+            const fields = await buildSeriesFields(req.body);
+            let poster = req.image;
+            if (!poster && posterType === 'media') {
+                poster = await resolveMediaImage(posterValue);
+            } else if (!poster && posterType === 'url' && posterValue) {
+                poster = { type: 'url', value: posterValue };
+            } else if (!poster) {
+                poster = { type: 'url', value: 'https://via.placeholder.com/300x200?text=No+Poster' }; // Default placeholder
+            }
+
+            series = new EventSeries({
+                timezone: DEFAULT_TIMEZONE,
+                ...fields,
+                poster,
+                recurrence: buildRecurrence(req.body)
+            });
+            await series.validate();
+            getOccurrenceDates(series.recurrence); // Throws when the rule produces too many sessions
+
+            await series.save();
+            await retainImage(series.poster, { model: 'EventSeries', document: series._id, field: 'poster' });
+        } catch (err) {
+            await discardUpload(req.image);
+            return sendSeriesError(res, err, 'creating');
+        }
+
+        try {
+            const sessions = await createSessions(series, { status });
+            setAuditDocument(res, series);
+            await series.populate(EVENT_SPEAKERS_POPULATE);
+            res.status(201).json({ message: `Event series saved with ${sessions.length} session(s)!`, series, sessions });
+        } catch (err) {
+            // A session was invalid (e.g. a physical venue without a room): nothing was saved, so the series goes too
+            await EventSeries.deleteOne({ _id: series._id });
+            await releaseImage(series.poster, { model: 'EventSeries', document: series._id, field: 'poster' });
+            sendSeriesError(res, err, 'creating');
+        }
+    }
+);
+
+// @route   PUT /api/event-series/:id
+// @desc    Update a series. Changed fields are copied to every session that doesn't override them;
+//          a changed recurrence, time or timezone reschedules the upcoming sessions (sessions the
+//          rule no longer produces go to the trash, new occurrences get a session).
+// @access  Private (events:write)
+router.put(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_WRITE]),
+    auditTrail('EventSeries'),
+    upload.single('posterFile'),
+    processImageUpload,
+    async (req, res) => {
+        const { posterType, posterValue } = req.body;
+        try {
+            const series = await EventSeries.findById(req.params.id);
+            if (!series) {
+                await discardUpload(req.image);
+                return res.status(404).json({ message: 'Event series not found.' });
+            }
+
+            const currentPoster = series.toObject().poster;
+            let newPoster = req.image || null;
+            try {
+                series.set(await buildSeriesFields(req.body, series));
+                const recurrence = buildRecurrence(req.body, series.toObject().recurrence);
+                if (recurrence) series.recurrence = recurrence;
+
+                if (!newPoster && posterType === 'media') {
+                    newPoster = await resolveMediaImage(posterValue);
+                } else if (!newPoster && posterType === 'url') {
+                    newPoster = { type: 'url', value: posterValue };
+                } else if (!newPoster && posterType) {
+                    throw new Error('Invalid poster type specified for update.');
+                }
+                if (newPoster) series.poster = newPoster;
+
+                await series.validate();
+                getOccurrenceDates(series.recurrence);
+            } catch (e) {
+                await discardUpload(req.image);
+                return sendSeriesError(res, e, 'updating');
+            }
+
+            const fields = Object.keys(SERIES_FIELDS).filter(field => series.isModified(SERIES_FIELDS[field]));
+            const rescheduled = series.isModified('recurrence') || series.isModified('timezone');
+            await series.save();
+            setAuditDocument(res, series);
+
+            const posterRef = { model: 'EventSeries', document: series._id, field: 'poster' };
+            if (newPoster) {
+                await releaseImage(currentPoster, posterRef);
+                await retainImage(series.poster, posterRef);
+            }
+
+            const sessions = await syncSessions(series, { fields, rescheduled, userId: req.user.id });
+            await series.populate(EVENT_SPEAKERS_POPULATE);
+            res.json({ message: 'Event series updated successfully!', series, sessions });
+        } catch (err) {
+            await discardUpload(req.image);
+            sendSeriesError(res, err, 'updating');
+        }
+    }
+);
+
+// @route   PUT /api/event-series/:id/status
+// @desc    Publish, unpublish, archive or cancel the sessions of a series: { status, upcomingOnly }.
+//          Cancelled sessions are left alone; change them one by one. Schedule sessions one by one too.
+// @access  Private (events:write)
+router.put(
+    '/:id/status',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_WRITE]),
+    auditTrail('EventSeries', {
+        details: (req, body) => body.sessions !== undefined && { status: req.body.status, sessions: body.sessions }
+    }),
+    async (req, res) => {
+        const { status } = req.body || {};
+        const statuses = EVENT_STATUSES.filter(value => value !== 'scheduled');
+        if (!statuses.includes(status)) {
+            return res.status(400).json({ message: `Status must be one of: ${statuses.join(', ')}.` });
+        }
+
+        try {
+            const series = await EventSeries.findById(req.params.id);
+            if (!series) {
+                return res.status(404).json({ message: 'Event series not found.' });
+            }
+
+            const filter = { series: series._id, status: { $nin: ['cancelled', status] } };
+            if (req.body.upcomingOnly === true || req.body.upcomingOnly === 'true') {
+                filter.eventDate = { $gte: new Date() };
+            }
+            const sessions = await Event.find(filter);
+            for (const session of sessions) {
+                const before = session.toObject();
+                session.status = status;
+                await session.save();
+                triggerChangeWebhooks('Event', 'update', before, session);
+            }
+            res.json({ message: `${sessions.length} session(s) are now ${status}.`, sessions: sessions.length });
+        } catch (err) {
+            sendSeriesError(res, err, 'updating');
+        }
+    }
+);
+
+// @route   DELETE /api/event-series/:id
+// @desc    Delete a series. Its sessions go to the trash as one-off events (restorable from there).
+// @access  Private (events:delete)
+router.delete(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_DELETE]),
+    auditTrail('EventSeries'),
+    async (req, res) => {
+        try {
+            const series = await EventSeries.findById(req.params.id);
+            if (!series) {
+                return res.status(404).json({ message: 'Event series not found.' });
+            }
+
+            const sessions = await deleteSeries(series, req.user.id);
+            res.json({ message: `Event series deleted; ${sessions} session(s) moved to the trash.` });
+        } catch (err) {
+            sendSeriesError(res, err, 'deleting');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// Backend2/routes/feedRoutes.js
+// Syndication feeds of published events, mounted under /api/feeds (see utils/feeds.js).
+// Feed readers can poll cheaply: every feed has an ETag and Last-Modified, and a matching
+// If-None-Match / If-Modified-Since gets an empty 304.
+const express = require('express');
+const router = express.Router();
+const Event = require('../models/Event');
+const { getParam, parseIntegerParam } = require('../utils/listQuery');
+const { FEED_FORMATS, toFeedEntry, getFeedValidators } = require('../utils/feeds');
+
+const DEFAULT_FEED_LIMIT = 50;
+const MAX_FEED_LIMIT = 100;
+
+// --- Helper: the published events in a feed, newest published first ---
+const buildFeedQuery = (query) => {
+    const filter = { status: 'published' };
+    const academicYear = getParam(query, 'academicYear');
+    if (academicYear) {
+        const years = academicYear.split(',').map(year => year.trim()).filter(Boolean);
+        filter.academicYear = years.length > 1 ? { $in: years } : years[0];
+    }
+    const limit = parseIntegerParam(getParam(query, 'limit'), 'limit', { min: 1, max: MAX_FEED_LIMIT }) || DEFAULT_FEED_LIMIT;
+    return { filter, limit };
+};
+
+// @route   GET /api/feeds/events.rss | events.atom | events.json
+// @desc    Published events as RSS 2.0, Atom 1.0 or JSON Feed 1.1 (?academicYear=2025-26&limit=50)
+// @access  Public
+Object.entries(FEED_FORMATS).forEach(([format, { contentType, build }]) => {
+    router.get(`/events.${format}`, async (req, res) => {
+        let feedQuery;
+        try {
+            feedQuery = buildFeedQuery(req.query);
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const events = await Event.find(feedQuery.filter)
+                .sort({ publishedAt: -1, _id: -1 })
+                .limit(feedQuery.limit)
+                .populate('speakers', 'name');
+
+            const { etag, lastModified } = getFeedValidators(events, format);
+            res.set('ETag', etag);
+            res.set('Last-Modified', lastModified.toUTCString());
+            res.set('Cache-Control', 'public, max-age=300');
+            if (req.fresh) {
+                return res.status(304).end();
+            }
+
+            // Behind a proxy the request URL is only right with TRUST_PROXY set, so production sets API_URL
+            const baseUrl = (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+            const feedUrl = `${baseUrl}${req.originalUrl}`;
+            const entries = events.map(event => toFeedEntry(event, baseUrl));
+            res.set('Content-Type', contentType);
+            res.send(build(entries, { feedUrl, updated: lastModified }));
+        } catch (err) {
+            console.error(`Error generating ${format} feed:`, err);
+            res.status(500).json({ message: 'Server error generating feed.' });
+        }
+    });
+});
+
+module.exports = router;
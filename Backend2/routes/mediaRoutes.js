@@ -0,0 +1,244 @@
+// Backend2/routes/mediaRoutes.js
+// Media library for the admin panel, mounted under /api/media.
+// Library items can be reused as posters/photos: send posterType=media (events) or
+// photoType=media (team members, speakers) with the media ID as posterValue/photoValue.
+const express = require('express');
+const router = express.Router();
+const Media = require('../models/Media');
+const { findMediaUsage, deleteMedia } = require('../utils/media');
+const { sweepMedia, summarizeSweep } = require('../utils/mediaSweep');
+const {
+    getParam,
+    parseBooleanParam,
+    parseSearchParam,
+    parseSortParam,
+    parsePagination,
+    paginate
+} = require('../utils/listQuery');
+
+// Import authenticateToken and authorizePermissions using DESTRUCTURING
+const { authenticateToken, authorizePermissions } = require('../middleware/authMiddleware');
+const { auditTrail, setAuditDocument } = require('../middleware/auditTrail');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Import the configured Multer instance and the image pipeline that runs after it
+const upload = require('../config/multerConfig');
+const { processImageUpload } = require('../middleware/imageUpload');
+
+// --- Sortable fields for GET /api/media (public name -> document path) ---
+const MEDIA_SORT_FIELDS = {
+    createdAt: 'createdAt',
+    name: 'originalName',
+    size: 'storedSize'
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @route   GET /api/media
+// @desc    Browse the media library (?q=&unused=true&pinned=&sort=-createdAt&page=&limit=)
+// @access  Private (admin:read)
+router.get(
+    '/',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.ADMIN_READ]),
+    async (req, res) => {
+        let listQuery;
+        try {
+            const filter = {};
+            const q = parseSearchParam(getParam(req.query, 'q'));
+            if (q) {
+                const pattern = new RegExp(escapeRegex(q), 'i');
+                filter.$or = [{ originalName: pattern }, { alt: pattern }];
+            }
+            const unused = parseBooleanParam(getParam(req.query, 'unused'), 'unused');
+            if (unused !== undefined) {
+                filter.references = unused ? { $size: 0 } : { $not: { $size: 0 } };
+            }
+            const pinned = parseBooleanParam(getParam(req.query, 'pinned'), 'pinned');
+            if (pinned !== undefined) {
+                filter.pinned = pinned;
+            }
+            listQuery = {
+                filter,
+                sort: parseSortParam(getParam(req.query, 'sort'), MEDIA_SORT_FIELDS, { createdAt: -1 }),
+                pagination: parsePagination(req.query, { defaultLimit: 50 }),
+                populate: { path: 'uploadedBy', select: 'name email' }
+            };
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const result = await paginate(Media, listQuery);
+            res.json(result);
+        } catch (err) {
+            console.error('Error fetching media:', err);
+            res.status(500).json({ message: 'Server error fetching media.' });
+        }
+    }
+);
+
+// @route   POST /api/media/sweep
+// @desc    Find (and unless dryRun=false, only report) unused media and orphaned files.
+//          Body: { dryRun = true, graceHours? }
+// @access  Private (media:manage)
+router.post(
+    '/sweep',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.MEDIA_MANAGE]),
+    auditTrail('Media', { action: 'sweep', details: (req, body) => (body.dryRun === false ? { summary: summarizeSweep(body) } : null) }),
+    async (req, res) => {
+        const body = req.body || {};
+        const dryRun = body.dryRun !== false && body.dryRun !== 'false';
+        let graceHours;
+        if (body.graceHours !== undefined) {
+            graceHours = Number(body.graceHours);
+            if (!Number.isFinite(graceHours) || graceHours < 0) {
+                return res.status(400).json({ message: 'graceHours must be a number of hours (0 or more).' });
+            }
+        }
+
+        try {
+            const report = await sweepMedia({ dryRun, graceHours });
+            res.json(report);
+        } catch (err) {
+            console.error('Error sweeping media:', err);
+            res.status(500).json({ message: 'Server error sweeping media.' });
+        }
+    }
+);
+
+// @route   GET /api/media/:id
+// @desc    A media item with the events, team members and speakers using it
+// @access  Private (admin:read)
+router.get(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.ADMIN_READ]),
+    async (req, res) => {
+        try {
+            const media = await Media.findById(req.params.id).populate('uploadedBy', 'name email');
+            if (!media) {
+                return res.status(404).json({ message: 'Media not found.' });
+            }
+            const usedBy = await findMediaUsage(media);
+            res.json({ ...media.toJSON(), usedBy });
+        } catch (err) {
+            console.error('Error fetching media item:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Media ID format.' });
+            }
+            res.status(500).json({ message: 'Server error fetching media item.' });
+        }
+    }
+);
+
+// @route   POST /api/media
+// @desc    Upload an image to the library (file in `file`, optional `alt`). Library uploads are
+//          pinned, so the sweep keeps them while they are unused.
+// @access  Private (media:manage)
+router.post(
+    '/',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.MEDIA_MANAGE]),
+    auditTrail('Media'),
+    upload.single('file'),
+    processImageUpload,
+    async (req, res) => {
+        if (!req.image) {
+            return res.status(400).json({ message: 'An image file is required.' });
+        }
+
+        try {
+            const media = await Media.findByIdAndUpdate(
+                req.image.media,
+                { pinned: true, alt: req.body.alt },
+                { new: true, runValidators: true }
+            );
+            setAuditDocument(res, media);
+            res.status(201).json({ message: 'Media uploaded successfully!', media });
+        } catch (err) {
+            // The upload is recorded either way; it stays unpinned and the sweep collects it
+            console.error('Error saving media:', err);
+            if (err.name === 'ValidationError') {
+                const messages = Object.values(err.errors).map(val => val.message);
+                return res.status(400).json({ message: messages.join(', ') });
+            }
+            res.status(500).json({ message: 'Server error saving media.' });
+        }
+    }
+);
+
+// @route   PUT /api/media/:id
+// @desc    Update alt text or pinning ({ alt, pinned })
+// @access  Private (media:manage)
+router.put(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.MEDIA_MANAGE]),
+    auditTrail('Media'),
+    async (req, res) => {
+        const body = req.body || {};
+        const updateFields = {};
+        if (body.alt !== undefined) updateFields.alt = body.alt;
+        if (body.pinned !== undefined) updateFields.pinned = body.pinned === true || body.pinned === 'true';
+
+        try {
+            const media = await Media.findByIdAndUpdate(req.params.id, updateFields, { new: true, runValidators: true });
+            if (!media) {
+                return res.status(404).json({ message: 'Media not found.' });
+            }
+            setAuditDocument(res, media);
+            res.json({ message: 'Media updated successfully!', media });
+        } catch (err) {
+            console.error('Error updating media:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Media ID format.' });
+            }
+            if (err.name === 'ValidationError') {
+                const messages = Object.values(err.errors).map(val => val.message);
+                return res.status(400).json({ message: messages.join(', ') });
+            }
+            res.status(500).json({ message: 'Server error updating media.' });
+        }
+    }
+);
+
+// @route   DELETE /api/media/:id
+// @desc    Delete a media item and its files. Refused while anything still uses it.
+// @access  Private (media:manage)
+router.delete(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.MEDIA_MANAGE]),
+    auditTrail('Media'),
+    async (req, res) => {
+        try {
+            const media = await Media.findById(req.params.id);
+            if (!media) {
+                return res.status(404).json({ message: 'Media not found.' });
+            }
+
+            const usedBy = await findMediaUsage(media);
+            if (usedBy.length > 0) {
+                const inTrash = usedBy.filter(usage => usage.inTrash).length;
+                return res.status(409).json({
+                    message: `This image is still used by ${usedBy.length} item(s)${inTrash ? `, ${inTrash} of them in the trash` : ''}. ` +
+                        `Replace it there${inTrash ? ' or purge them from the trash' : ''} first.`,
+                    usedBy
+                });
+            }
+
+            const deletedFiles = await deleteMedia(media);
+            res.json({ message: 'Media deleted successfully!', deletedFiles });
+        } catch (err) {
+            console.error('Error deleting media:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Media ID format.' });
+            }
+            res.status(500).json({ message: 'Server error deleting media.' });
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,473 @@
+// Backend2/routes/newsletterRoutes.js
+// The newsletter, mounted under /api/newsletter: public sign-up, confirmation and unsubscribe, and
+// the admin side (subscribers and campaigns). How emails are built and sent is described in
+// utils/newsletter.js and utils/mailQueue.js.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Subscriber = require('../models/Subscriber');
+const Campaign = require('../models/Campaign');
+const EmailMessage = require('../models/EmailMessage');
+const { SUBSCRIBER_STATUSES } = require('../models/Subscriber');
+const { CAMPAIGN_KINDS, CAMPAIGN_STATUSES } = require('../models/Campaign');
+const { getParam, parseSearchParam, parsePagination, paginate } = require('../utils/listQuery');
+const {
+    verifyUnsubscribeToken,
+    subscribe,
+    confirmSubscription,
+    unsubscribe,
+    loadCampaignEvent,
+    renderCampaign,
+    queueCampaign,
+    sendTestEmail
+} = require('../utils/newsletter');
+const { cancelQueuedEmails } = require('../utils/mailQueue');
+
+// Import authenticateToken and authorizePermissions using DESTRUCTURING
+const { authenticateToken, authorizePermissions } = require('../middleware/authMiddleware');
+const { auditTrail, setAuditDocument } = require('../middleware/auditTrail');
+const { PERMISSIONS } = require('../config/permissions');
+const { rateLimit, emailKey } = require('../middleware/rateLimit');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// --- Rate limits for sign-ups (each one sends an email) ---
+const subscriptionsPerIp = rateLimit({
+    name: 'newsletter-subscribe-ip',
+    windowMs: 60 * 60 * 1000,
+    max: parseInt(process.env.NEWSLETTER_IP_LIMIT_PER_HOUR, 10) || 20,
+    message: 'Too many sign-ups from this network. Please try again later.'
+});
+const subscriptionsPerEmail = rateLimit({
+    name: 'newsletter-subscribe-email',
+    windowMs: 60 * 60 * 1000,
+    max: parseInt(process.env.NEWSLETTER_EMAIL_LIMIT_PER_HOUR, 10) || 3,
+    key: emailKey,
+    message: 'Too many sign-ups for this email. Please check your inbox for the confirmation email.'
+});
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// --- Helper: the campaign fields sent in a create/update body ---
+const buildCampaignFields = (body) => {
+    const fields = {};
+    ['kind', 'subject', 'message'].forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    if (body.event !== undefined) {
+        if (body.event && !mongoose.isValidObjectId(body.event)) {
+            throw new Error('Invalid Event ID format.');
+        }
+        fields.event = body.event || null;
+    }
+    return fields;
+};
+
+// --- Helper: how many of a campaign's emails are pending, sent, failed and cancelled ---
+const getDeliveryCounts = async (campaignId) => {
+    const counts = { pending: 0, sent: 0, failed: 0, cancelled: 0 };
+    const groups = await EmailMessage.aggregate([
+        { $match: { campaign: campaignId } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    groups.forEach(({ _id, count }) => { counts[_id] = count; });
+    return counts;
+};
+
+// --- Helper to handle errors ---
+const sendNewsletterError = (res, err, action, resource = 'campaign') => {
+    console.error(`Error ${action} ${resource}:`, err);
+    if (err.kind === 'ObjectId') {
+        return res.status(400).json({ message: `Invalid ${resource === 'campaign' ? 'Campaign' : 'Subscriber'} ID format.` });
+    }
+    if (err.name === 'ValidationError') {
+        const messages = Object.values(err.errors).map(val => val.message);
+        return res.status(400).json({ message: messages.join(', ') });
+    }
+    if (err.code === 11000) { // Campaigns: the reminder index; sign-ups: the same email twice at once
+        return res.status(409).json({ message: resource === 'campaign' ? 'This event already has a reminder campaign.' : 'Please try again.' });
+    }
+    if (err.name !== 'Error') { // Helpers throw plain Errors with a user-facing message
+        return res.status(500).json({ message: `Server error ${action} ${resource}.` });
+    }
+    res.status(400).json({ message: err.message });
+};
+
+// --- Public ---
+
+// @route   POST /api/newsletter/subscribe
+// @desc    Sign up for the newsletter: { email, name }. Sends a confirmation email (double opt-in).
+//          The response is the same whether or not the address is already subscribed.
+// @access  Public
+router.post('/subscribe', subscriptionsPerIp, subscriptionsPerEmail, async (req, res) => {
+    const { email, name } = req.body || {};
+    if (typeof email !== 'string' || !EMAIL_REGEX.test(email.trim())) {
+        return res.status(400).json({ message: 'Please provide a valid email address.' });
+    }
+
+    try {
+        await subscribe({ email, name: typeof name === 'string' ? name : undefined, ip: req.ip });
+        res.status(202).json({ message: 'Almost done! Check your inbox for an email to confirm your subscription.' });
+    } catch (err) {
+        sendNewsletterError(res, err, 'saving', 'subscription');
+    }
+});
+
+// @route   POST /api/newsletter/confirm
+// @desc    Confirm a subscription with the token from the confirmation email: { token }
+// @access  Public
+router.post('/confirm', async (req, res) => {
+    try {
+        const subscriber = await confirmSubscription(req.body && req.body.token, { ip: req.ip });
+        res.json({ message: 'Your subscription is confirmed. Thank you!', email: subscriber.email });
+    } catch (err) {
+        sendNewsletterError(res, err, 'confirming', 'subscription');
+    }
+});
+
+// @route   POST /api/newsletter/unsubscribe?token=...
+// @desc    Unsubscribe with the token from a newsletter email (in the query string or as { token }).
+//          This is also the List-Unsubscribe URL that mail clients POST to for one-click unsubscribe.
+// @access  Public
+router.post('/unsubscribe', async (req, res) => {
+    const token = getParam(req.query, 'token') || (req.body && req.body.token);
+    let subscriberId;
+    try {
+        subscriberId = verifyUnsubscribeToken(token || '');
+    } catch (e) {
+        return res.status(400).json({ message: e.message });
+    }
+
+    try {
+        const subscriber = await Subscriber.findById(subscriberId);
+        if (subscriber) {
+            await unsubscribe(subscriber);
+        }
+        // Also fine when an admin removed the subscriber in the meantime
+        res.json({ message: 'You have been unsubscribed and won\'t receive our newsletter any more.' });
+    } catch (err) {
+        sendNewsletterError(res, err, 'unsubscribing', 'subscriber');
+    }
+});
+
+// --- Subscribers (admin) ---
+
+// @route   GET /api/newsletter/subscribers
+// @desc    List subscribers, newest first (?status=subscribed&q=&page=&limit=)
+// @access  Private (newsletter:manage)
+router.get(
+    '/subscribers',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.NEWSLETTER_MANAGE]),
+    async (req, res) => {
+        let listQuery;
+        try {
+            const filter = {};
+            const status = getParam(req.query, 'status');
+            if (status) {
+                if (!SUBSCRIBER_STATUSES.includes(status)) {
+                    throw new Error(`"status" must be one of: ${SUBSCRIBER_STATUSES.join(', ')}.`);
+                }
+                filter.status = status;
+            }
+            const q = parseSearchParam(getParam(req.query, 'q'));
+            if (q) {
+                const pattern = new RegExp(escapeRegex(q), 'i');
+                filter.$or = [{ email: pattern }, { name: pattern }];
+            }
+            listQuery = { filter, sort: { createdAt: -1 }, pagination: parsePagination(req.query, { defaultLimit: 50 }) };
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const result = await paginate(Subscriber, listQuery);
+            res.json(result);
+        } catch (err) {
+            sendNewsletterError(res, err, 'fetching', 'subscribers');
+        }
+    }
+);
+
+// @route   DELETE /api/newsletter/subscribers/:id
+// @desc    Remove a subscriber completely (e.g. when they ask for their data to be deleted)
+// @access  Private (newsletter:manage)
+router.delete(
+    '/subscribers/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.NEWSLETTER_MANAGE]),
+    auditTrail('Subscriber'),
+    async (req, res) => {
+        try {
+            const subscriber = await Subscriber.findById(req.params.id);
+            if (!subscriber) {
+                return res.status(404).json({ message: 'Subscriber not found.' });
+            }
+            await cancelQueuedEmails({ subscriber: subscriber._id });
+            await subscriber.deleteOne();
+            res.json({ message: 'Subscriber removed successfully!' });
+        } catch (err) {
+            sendNewsletterError(res, err, 'deleting', 'subscriber');
+        }
+    }
+);
+
+// --- Campaigns (admin) ---
+
+// @route   GET /api/newsletter/campaigns
+// @desc    List campaigns, newest first (?status=sent&kind=event-reminder&event=<event id>&page=&limit=)
+// @access  Private (newsletter:manage)
+router.get(
+    '/campaigns',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.NEWSLETTER_MANAGE]),
+    async (req, res) => {
+        let listQuery;
+        try {
+            const filter = {};
+            const status = getParam(req.query, 'status');
+            if (status) {
+                if (!CAMPAIGN_STATUSES.includes(status)) {
+                    throw new Error(`"status" must be one of: ${CAMPAIGN_STATUSES.join(', ')}.`);
+                }
+                filter.status = status;
+            }
+            const kind = getParam(req.query, 'kind');
+            if (kind) {
+                if (!CAMPAIGN_KINDS.includes(kind)) {
+                    throw new Error(`"kind" must be one of: ${CAMPAIGN_KINDS.join(', ')}.`);
+                }
+                filter.kind = kind;
+            }
+            const event = getParam(req.query, 'event');
+            if (event) {
+                if (!mongoose.isValidObjectId(event)) {
+                    throw new Error('"event" must be a valid ID.');
+                }
+                filter.event = event;
+            }
+            listQuery = {
+                filter,
+                sort: { createdAt: -1 },
+                pagination: parsePagination(req.query),
+                populate: { path: 'event', select: 'eventName eventDate status' }
+            };
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const result = await paginate(Campaign, listQuery);
+            res.json(result);
+        } catch (err) {
+            sendNewsletterError(res, err, 'fetching', 'campaigns');
+        }
+    }
+);
+
+// @route   POST /api/newsletter/campaigns
+// @desc    Compose a campaign as a draft: { kind, event, subject, message }. Event kinds
+//          (event-announcement, event-reminder, event-report) take an event and use its template,
+//          with `message` as an optional intro; custom campaigns need a subject and message.
+// @access  Private (newsletter:manage)
+router.post(
+    '/campaigns',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.NEWSLETTER_MANAGE]),
+    auditTrail('Campaign'),
+    async (req, res) => {
+        try {
+            const campaign = new Campaign({ ...buildCampaignFields(req.body || {}), createdBy: req.user.id });
+            await campaign.validate();
+            await loadCampaignEvent(campaign); // The event has to exist
+            await campaign.save();
+            setAuditDocument(res, campaign);
+            res.status(201).json({ message: 'Campaign saved as a draft!', campaign });
+        } catch (err) {
+            sendNewsletterError(res, err, 'creating');
+        }
+    }
+);
+
+// @route   GET /api/newsletter/campaigns/:id
+// @desc    A campaign with how many of its emails are pending, sent, failed and cancelled
+// @access  Private (newsletter:manage)
+router.get(
+    '/campaigns/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.NEWSLETTER_MANAGE]),
+    async (req, res) => {
+        try {
+            const campaign = await Campaign.findById(req.params.id).populate({ path: 'event', select: 'eventName eventDate status' });
+            if (!campaign) {
+                return res.status(404).json({ message: 'Campaign not found.' });
+            }
+            res.json({ ...campaign.toJSON(), deliveries: await getDeliveryCounts(campaign._id) });
+        } catch (err) {
+            sendNewsletterError(res, err, 'fetching');
+        }
+    }
+);
+
+// @route   GET /api/newsletter/campaigns/:id/preview
+// @desc    The campaign's email as subscribers will see it: { subject, html, text }
+// @access  Private (newsletter:manage)
+router.get(
+    '/campaigns/:id/preview',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.NEWSLETTER_MANAGE]),
+    async (req, res) => {
+        try {
+            const campaign = await Campaign.findById(req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ message: 'Campaign not found.' });
+            }
+            const event = await loadCampaignEvent(campaign);
+            const { subject, html, text } = renderCampaign(campaign, event, { email: req.user.email, name: req.user.name });
+            res.json({ subject, html, text });
+        } catch (err) {
+            sendNewsletterError(res, err, 'previewing');
+        }
+    }
+);
+
+// @route   PUT /api/newsletter/campaigns/:id
+// @desc    Edit a draft campaign
+// @access  Private (newsletter:manage)
+router.put(
+    '/campaigns/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.NEWSLETTER_MANAGE]),
+    auditTrail('Campaign'),
+    async (req, res) => {
+        try {
+            const campaign = await Campaign.findById(req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ message: 'Campaign not found.' });
+            }
+            if (campaign.status !== 'draft') {
+                return res.status(409).json({ message: 'Only draft campaigns can be edited.' });
+            }
+            campaign.set(buildCampaignFields(req.body || {}));
+            await campaign.validate();
+            if (campaign.isModified('event') || campaign.isModified('kind')) {
+                await loadCampaignEvent(campaign);
+            }
+            await campaign.save();
+            setAuditDocument(res, campaign);
+            res.json({ message: 'Campaign updated successfully!', campaign });
+        } catch (err) {
+            sendNewsletterError(res, err, 'updating');
+        }
+    }
+);
+
+// @route   DELETE /api/newsletter/campaigns/:id
+// @desc    Delete a draft campaign
+// @access  Private (newsletter:manage)
+router.delete(
+    '/campaigns/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.NEWSLETTER_MANAGE]),
+    auditTrail('Campaign'),
+    async (req, res) => {
+        try {
+            const campaign = await Campaign.findById(req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ message: 'Campaign not found.' });
+            }
+            if (campaign.status !== 'draft') {
+                return res.status(409).json({ message: 'Only draft campaigns can be deleted. Cancel a campaign that is being sent.' });
+            }
+            await campaign.deleteOne();
+            res.json({ message: 'Campaign deleted successfully!' });
+        } catch (err) {
+            sendNewsletterError(res, err, 'deleting');
+        }
+    }
+);
+
+// @route   POST /api/newsletter/campaigns/:id/test
+// @desc    Email a test copy of the campaign to { email } (default: your own address)
+// @access  Private (newsletter:manage)
+router.post(
+    '/campaigns/:id/test',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.NEWSLETTER_MANAGE]),
+    async (req, res) => {
+        const email = (req.body && req.body.email) || req.user.email;
+        if (typeof email !== 'string' || !EMAIL_REGEX.test(email.trim())) {
+            return res.status(400).json({ message: 'Please provide a valid email address.' });
+        }
+
+        try {
+            const campaign = await Campaign.findById(req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ message: 'Campaign not found.' });
+            }
+            await sendTestEmail(campaign, email.trim().toLowerCase(), req.user.name);
+            res.status(202).json({ message: `Test email queued for ${email.trim().toLowerCase()}.` });
+        } catch (err) {
+            sendNewsletterError(res, err, 'testing');
+        }
+    }
+);
+
+// @route   POST /api/newsletter/campaigns/:id/send
+// @desc    Send a draft campaign to every confirmed subscriber. The emails are queued and sent at
+//          the mail queue's rate; the campaign becomes 'sent' once all of them are out.
+// @access  Private (newsletter:manage)
+router.post(
+    '/campaigns/:id/send',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.NEWSLETTER_MANAGE]),
+    auditTrail('Campaign'),
+    async (req, res) => {
+        try {
+            const campaign = await Campaign.findById(req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ message: 'Campaign not found.' });
+            }
+            if (campaign.status !== 'draft') {
+                return res.status(409).json({ message: 'Only draft campaigns can be sent.' });
+            }
+            const queued = await queueCampaign(campaign);
+            setAuditDocument(res, queued);
+            res.status(202).json({ message: `Campaign queued for ${queued.recipientCount} subscriber(s).`, campaign: queued });
+        } catch (err) {
+            sendNewsletterError(res, err, 'sending');
+        }
+    }
+);
+
+// @route   POST /api/newsletter/campaigns/:id/cancel
+// @desc    Stop a campaign that is being sent: emails not sent yet are dropped
+// @access  Private (newsletter:manage)
+router.post(
+    '/campaigns/:id/cancel',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.NEWSLETTER_MANAGE]),
+    auditTrail('Campaign'),
+    async (req, res) => {
+        try {
+            const campaign = await Campaign.findOneAndUpdate(
+                { _id: req.params.id, status: 'sending' },
+                { $set: { status: 'cancelled', completedAt: new Date() } },
+                { new: true }
+            );
+            if (!campaign) {
+                const exists = await Campaign.exists({ _id: req.params.id });
+                return exists
+                    ? res.status(409).json({ message: 'Only campaigns that are being sent can be cancelled.' })
+                    : res.status(404).json({ message: 'Campaign not found.' });
+            }
+            setAuditDocument(res, campaign);
+            const cancelled = await cancelQueuedEmails({ campaign: campaign._id });
+            res.json({ message: `Campaign cancelled; ${cancelled} email(s) will not be sent.`, campaign });
+        } catch (err) {
+            sendNewsletterError(res, err, 'cancelling');
+        }
+    }
+);
+
+module.exports = router;
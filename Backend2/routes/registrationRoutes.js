@@ -0,0 +1,547 @@
+// Backend2/routes/registrationRoutes.js
+// Event registration (RSVP) routes, mounted under /api/events/:eventId
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Gives access to :eventId from the mount path
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const {
+    getRegistrationState,
+    claimSeat,
+    releaseSeat,
+    getWaitlistPosition,
+    sendRegistrationEmailSafely,
+    cancelRegistration
+} = require('../utils/registrations');
+const { getParam, parseSortParam, parsePagination, paginate } = require('../utils/listQuery');
+const { toCsvValue } = require('../utils/spreadsheets');
+const {
+    createCheckInToken,
+    verifyCheckInToken,
+    renderCheckInQr,
+    checkInRegistration
+} = require('../utils/checkIn');
+
+// Import authenticateToken and authorizePermissions using DESTRUCTURING
+const { authenticateToken, authorizePermissions } = require('../middleware/authMiddleware');
+const { auditTrail, setAuditDocument } = require('../middleware/auditTrail');
+const { PERMISSIONS } = require('../config/permissions');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const REGISTRATION_STATUSES = ['confirmed', 'waitlisted', 'cancelled'];
+
+const REGISTRATION_STATE_MESSAGES = {
+    'disabled': 'Registration is not enabled for this event.',
+    'not-open': 'Registration for this event has not opened yet.',
+    'closed': 'Registration for this event is closed.'
+};
+
+const registrationsPerIp = rateLimit({
+    name: 'event-register-ip',
+    windowMs: 60 * 60 * 1000,
+    max: parseInt(process.env.REGISTRATION_IP_LIMIT_PER_HOUR, 10) || 30,
+    message: 'Too many registrations from this network. Please try again later.'
+});
+
+// --- Helper: escapes user text for use inside a RegExp ---
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// --- Helper: sends a check-in QR code as PNG (default) or SVG ---
+const sendQr = async (res, token, format) => {
+    if (format === 'svg') {
+        res.set('Content-Type', 'image/svg+xml');
+        return res.send(await renderCheckInQr(token, 'svg'));
+    }
+    res.set('Content-Type', 'image/png');
+    res.send(await renderCheckInQr(token, 'png'));
+};
+
+// --- Helper: JSON response for a check-in attempt ---
+const sendCheckInResult = (res, { status, registration }) => {
+    const registrant = {
+        _id: registration._id,
+        name: registration.name,
+        email: registration.email,
+        idNumber: registration.idNumber,
+        status: registration.status,
+        checkedInAt: registration.checkedInAt,
+        checkInMethod: registration.checkInMethod
+    };
+
+    if (status === 'checked-in') {
+        return res.json({ message: `Checked in: ${registration.name}`, registration: registrant });
+    }
+    if (status === 'already-checked-in') {
+        return res.status(409).json({
+            message: `${registration.name} is already checked in.`,
+            registration: registrant,
+            duplicateScanCount: registration.duplicateScanCount
+        });
+    }
+    return res.status(400).json({ message: `Cannot check in a ${registration.status} registration.`, registration: registrant });
+};
+
+// --- Helper to build the filter for the admin registrations list/export ---
+const buildRegistrationFilter = (eventId, query) => {
+    const filter = { event: eventId };
+
+    const status = getParam(query, 'status');
+    if (status) {
+        if (!REGISTRATION_STATUSES.includes(status)) {
+            throw new Error(`"status" must be one of: ${REGISTRATION_STATUSES.join(', ')}.`);
+        }
+        filter.status = status;
+    }
+
+    const q = getParam(query, 'q');
+    if (q) {
+        const pattern = new RegExp(escapeRegex(q), 'i');
+        filter.$or = [{ name: pattern }, { email: pattern }, { idNumber: pattern }];
+    }
+
+    return filter;
+};
+
+// @route   POST /api/events/:eventId/register
+// @desc    Register for a published event. Confirms a seat if one is free, otherwise joins the waitlist.
+// @access  Public
+router.post('/register', registrationsPerIp, async (req, res) => {
+    const { name, idNumber, phoneNumber, email: emailInput } = req.body || {};
+    const email = typeof emailInput === 'string' ? emailInput.trim().toLowerCase() : '';
+
+    if (!name || !email) {
+        return res.status(400).json({ message: 'Name and email are required.' });
+    }
+
+    let seatClaimed = false;
+    try {
+        const event = await Event.findOne({ _id: req.params.eventId, status: 'published' });
+        if (!event) {
+            return res.status(404).json({ message: 'Event not found' });
+        }
+
+        const state = getRegistrationState(event);
+        if (state !== 'open') {
+            return res.status(400).json({ message: REGISTRATION_STATE_MESSAGES[state] });
+        }
+
+        let registration = await Registration.findOne({ event: event._id, email });
+        if (registration && registration.status !== 'cancelled') {
+            return res.status(409).json({
+                message: `You are already registered for this event (${registration.status}).`,
+                status: registration.status
+            });
+        }
+
+        seatClaimed = await claimSeat(event._id);
+        if (!seatClaimed && !event.registration.waitlistEnabled) {
+            return res.status(409).json({ message: 'This event is full.' });
+        }
+
+        const now = new Date();
+        const fields = {
+            name,
+            idNumber,
+            phoneNumber,
+            status: seatClaimed ? 'confirmed' : 'waitlisted',
+            registeredAt: now,
+            waitlistedAt: seatClaimed ? undefined : now,
+            promotedAt: undefined,
+            cancelledAt: undefined,
+            cancelledBy: undefined,
+            checkedInAt: undefined,
+            checkedInBy: undefined,
+            checkInMethod: undefined,
+            duplicateScanCount: 0,
+            lastScannedAt: undefined
+        };
+
+        // Someone who cancelled earlier re-uses their registration document
+        if (registration) {
+            registration.set(fields);
+        } else {
+            registration = new Registration({ event: event._id, email, ...fields });
+        }
+        const cancelToken = registration.createCancelToken();
+        await registration.save();
+
+        const waitlistPosition = seatClaimed ? null : await getWaitlistPosition(registration);
+        sendRegistrationEmailSafely(registration.status, event, registration, { cancelToken, waitlistPosition });
+
+        res.status(201).json({
+            message: seatClaimed
+                ? 'Registration confirmed! A confirmation email is on its way.'
+                : `The event is full. You have been added to the waitlist at position ${waitlistPosition}.`,
+            registration: {
+                _id: registration._id,
+                name: registration.name,
+                email: registration.email,
+                status: registration.status,
+                registeredAt: registration.registeredAt
+            },
+            waitlistPosition
+        });
+
+    } catch (err) {
+        // Give back the seat if the registration itself could not be stored
+        if (seatClaimed) {
+            await releaseSeat(req.params.eventId).catch(releaseErr => console.error('Error releasing seat:', releaseErr));
+        }
+        console.error('Error registering for event:', err);
+        if (err.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid Event ID format.' });
+        }
+        if (err.code === 11000) {
+            return res.status(409).json({ message: 'You are already registered for this event.' });
+        }
+        if (err.name === 'ValidationError') {
+            const messages = Object.values(err.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server error registering for event.' });
+    }
+});
+
+// @route   POST /api/events/:eventId/registrations/:registrationId/cancel
+// @desc    Cancel your own registration using the token from the confirmation email
+// @access  Public (requires the cancellation token)
+router.post('/registrations/:registrationId/cancel', async (req, res) => {
+    try {
+        const registration = await Registration.findOne({ _id: req.params.registrationId, event: req.params.eventId });
+        if (!registration || !registration.matchesCancelToken((req.body || {}).token)) {
+            return res.status(404).json({ message: 'Registration not found or link is no longer valid.' });
+        }
+
+        const event = await Event.findById(req.params.eventId);
+        if (!event) {
+            return res.status(404).json({ message: 'Event not found' });
+        }
+
+        const cancelled = await cancelRegistration(event, registration, 'registrant');
+        if (!cancelled) {
+            return res.status(400).json({ message: 'This registration is already cancelled.' });
+        }
+
+        res.json({ message: 'Your registration has been cancelled.' });
+    } catch (err) {
+        console.error('Error cancelling registration:', err);
+        if (err.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid ID format.' });
+        }
+        res.status(500).json({ message: 'Server error cancelling registration.' });
+    }
+});
+
+// @route   GET /api/events/:eventId/registrations
+// @desc    List an event's registrations (?status=&q=&sort=&page=&limit=) with seat counts
+// @access  Private (registrations:read)
+router.get(
+    '/registrations',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.REGISTRATIONS_READ]),
+    async (req, res) => {
+        let listQuery;
+        try {
+            listQuery = {
+                filter: buildRegistrationFilter(req.params.eventId, req.query),
+                sort: parseSortParam(
+                    getParam(req.query, 'sort'),
+                    { registeredAt: 'registeredAt', name: 'name', status: 'status', checkedInAt: 'checkedInAt' },
+                    { registeredAt: 1 }
+                ),
+                pagination: parsePagination(req.query, { defaultLimit: 50, maxLimit: 500 })
+            };
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const event = await Event.findById(req.params.eventId).select('eventName registration');
+            if (!event) {
+                return res.status(404).json({ message: 'Event not found' });
+            }
+
+            const [result, counts] = await Promise.all([
+                paginate(Registration, listQuery),
+                Registration.aggregate([
+                    { $match: { event: event._id } },
+                    { $group: { _id: '$status', count: { $sum: 1 } } }
+                ])
+            ]);
+
+            const summary = { confirmed: 0, waitlisted: 0, cancelled: 0, capacity: event.registration.capacity };
+            counts.forEach(({ _id, count }) => { summary[_id] = count; });
+
+            res.json({ ...result, summary });
+        } catch (err) {
+            console.error('Error fetching registrations:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Event ID format.' });
+            }
+            res.status(500).json({ message: 'Server error fetching registrations.' });
+        }
+    }
+);
+
+// @route   GET /api/events/:eventId/registrations/export
+// @desc    Download an event's registrations as CSV (?status= to filter)
+// @access  Private (registrations:read)
+router.get(
+    '/registrations/export',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.REGISTRATIONS_READ]),
+    async (req, res) => {
+        let filter;
+        try {
+            filter = buildRegistrationFilter(req.params.eventId, req.query);
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const event = await Event.findById(req.params.eventId).select('eventName');
+            if (!event) {
+                return res.status(404).json({ message: 'Event not found' });
+            }
+
+            const registrations = await Registration.find(filter).sort({ status: 1, registeredAt: 1 });
+
+            const header = ['Name', 'Email', 'ID Number', 'Phone Number', 'Status', 'Registered At', 'Waitlisted At', 'Promoted At', 'Cancelled At', 'Checked In At'];
+            const rows = registrations.map(r => [
+                r.name, r.email, r.idNumber, r.phoneNumber, r.status,
+                r.registeredAt, r.waitlistedAt, r.promotedAt, r.cancelledAt, r.checkedInAt
+            ]);
+            const csv = [header, ...rows].map(row => row.map(toCsvValue).join(',')).join('\r\n');
+
+            const fileName = `${event.eventName.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-registrations.csv`;
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+            res.send('\uFEFF' + csv); // BOM so Excel opens UTF-8 names correctly
+        } catch (err) {
+            console.error('Error exporting registrations:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Event ID format.' });
+            }
+            res.status(500).json({ message: 'Server error exporting registrations.' });
+        }
+    }
+);
+
+// @route   POST /api/events/:eventId/check-in
+// @desc    Check a registrant in by scanning their QR ticket ({ token })
+// @access  Private (attendance:check-in)
+router.post(
+    '/check-in',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.ATTENDANCE_CHECK_IN]),
+    async (req, res) => {
+        const { token } = req.body || {};
+        if (!token) {
+            return res.status(400).json({ message: 'Check-in code is required.' });
+        }
+
+        let ticket;
+        try {
+            ticket = verifyCheckInToken(token);
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+        if (ticket.eventId !== req.params.eventId) {
+            return res.status(400).json({ message: 'This ticket is for a different event.' });
+        }
+
+        try {
+            const registration = await Registration.findOne({ _id: ticket.registrationId, event: req.params.eventId });
+            if (!registration) {
+                return res.status(404).json({ message: 'Registration not found' });
+            }
+
+            const result = await checkInRegistration(registration, { by: req.user.id, method: 'qr' });
+            sendCheckInResult(res, result);
+        } catch (err) {
+            console.error('Error checking in with QR code:', err);
+            res.status(500).json({ message: 'Server error during check-in.' });
+        }
+    }
+);
+
+// @route   POST /api/events/:eventId/registrations/:registrationId/check-in
+// @desc    Check a registrant in manually (e.g. looked up by name at the door)
+// @access  Private (attendance:check-in)
+router.post(
+    '/registrations/:registrationId/check-in',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.ATTENDANCE_CHECK_IN]),
+    async (req, res) => {
+        try {
+            const registration = await Registration.findOne({ _id: req.params.registrationId, event: req.params.eventId });
+            if (!registration) {
+                return res.status(404).json({ message: 'Registration not found' });
+            }
+
+            const result = await checkInRegistration(registration, { by: req.user.id, method: 'manual' });
+            sendCheckInResult(res, result);
+        } catch (err) {
+            console.error('Error checking in registration:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid ID format.' });
+            }
+            res.status(500).json({ message: 'Server error checking in registration.' });
+        }
+    }
+);
+
+// @route   GET /api/events/:eventId/registrations/:registrationId/qr
+// @desc    A registrant's check-in QR code (?format=png|svg), e.g. to print or resend
+// @access  Private (registrations:read)
+router.get(
+    '/registrations/:registrationId/qr',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.REGISTRATIONS_READ]),
+    async (req, res) => {
+        try {
+            const registration = await Registration.findOne({ _id: req.params.registrationId, event: req.params.eventId });
+            if (!registration) {
+                return res.status(404).json({ message: 'Registration not found' });
+            }
+            if (registration.status !== 'confirmed') {
+                return res.status(400).json({ message: `A ${registration.status} registration has no check-in code.` });
+            }
+
+            await sendQr(res, createCheckInToken(registration), getParam(req.query, 'format'));
+        } catch (err) {
+            console.error('Error generating QR code:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid ID format.' });
+            }
+            res.status(500).json({ message: 'Server error generating QR code.' });
+        }
+    }
+);
+
+// @route   GET /api/events/:eventId/ticket?token=...&format=png|svg
+// @desc    Renders the registrant's own ticket as a QR code (the token is the one from their email)
+// @access  Public (requires the check-in token)
+router.get('/ticket', async (req, res) => {
+    const token = getParam(req.query, 'token') || '';
+    let ticket;
+    try {
+        ticket = verifyCheckInToken(token);
+    } catch (e) {
+        return res.status(400).json({ message: e.message });
+    }
+    if (ticket.eventId !== req.params.eventId) {
+        return res.status(400).json({ message: 'This ticket is for a different event.' });
+    }
+
+    try {
+        await sendQr(res, token, getParam(req.query, 'format'));
+    } catch (err) {
+        console.error('Error generating QR code:', err);
+        res.status(500).json({ message: 'Server error generating QR code.' });
+    }
+});
+
+// @route   GET /api/events/:eventId/attendance
+// @desc    Attendance statistics: confirmed vs checked in, check-in methods, duplicate scans and
+//          a 15-minute check-in timeline
+// @access  Private (registrations:read)
+router.get(
+    '/attendance',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.REGISTRATIONS_READ]),
+    async (req, res) => {
+        try {
+            const event = await Event.findById(req.params.eventId).select('eventName eventDate registration');
+            if (!event) {
+                return res.status(404).json({ message: 'Event not found' });
+            }
+
+            const bucketMs = 15 * 60 * 1000;
+            const [totals] = await Registration.aggregate([
+                { $match: { event: event._id, status: 'confirmed' } },
+                {
+                    $group: {
+                        _id: null,
+                        confirmed: { $sum: 1 },
+                        checkedIn: { $sum: { $cond: [{ $ifNull: ['$checkedInAt', false] }, 1, 0] } },
+                        viaQr: { $sum: { $cond: [{ $eq: ['$checkInMethod', 'qr'] }, 1, 0] } },
+                        viaManual: { $sum: { $cond: [{ $eq: ['$checkInMethod', 'manual'] }, 1, 0] } },
+                        duplicateScans: { $sum: '$duplicateScanCount' },
+                        firstCheckInAt: { $min: '$checkedInAt' },
+                        lastCheckInAt: { $max: '$checkedInAt' }
+                    }
+                }
+            ]);
+            const timeline = await Registration.aggregate([
+                { $match: { event: event._id, status: 'confirmed', checkedInAt: { $ne: null } } },
+                {
+                    $group: {
+                        _id: { $subtract: [{ $toLong: '$checkedInAt' }, { $mod: [{ $toLong: '$checkedInAt' }, bucketMs] }] },
+                        count: { $sum: 1 }
+                    }
+                },
+                { $sort: { _id: 1 } }
+            ]);
+
+            const stats = totals || { confirmed: 0, checkedIn: 0, viaQr: 0, viaManual: 0, duplicateScans: 0, firstCheckInAt: null, lastCheckInAt: null };
+
+            res.json({
+                event: { _id: event._id, eventName: event.eventName, eventDate: event.eventDate, capacity: event.registration.capacity },
+                confirmed: stats.confirmed,
+                checkedIn: stats.checkedIn,
+                notCheckedIn: stats.confirmed - stats.checkedIn,
+                attendanceRate: stats.confirmed ? Math.round((stats.checkedIn / stats.confirmed) * 1000) / 10 : 0, // percent
+                byMethod: { qr: stats.viaQr, manual: stats.viaManual },
+                duplicateScans: stats.duplicateScans,
+                firstCheckInAt: stats.firstCheckInAt,
+                lastCheckInAt: stats.lastCheckInAt,
+                timeline: timeline.map(bucket => ({ from: new Date(bucket._id), count: bucket.count }))
+            });
+        } catch (err) {
+            console.error('Error fetching attendance:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Event ID format.' });
+            }
+            res.status(500).json({ message: 'Server error fetching attendance.' });
+        }
+    }
+);
+
+// @route   DELETE /api/events/:eventId/registrations/:registrationId
+// @desc    Cancel a registration on the registrant's behalf (promotes the next person on the waitlist)
+// @access  Private (registrations:manage)
+router.delete(
+    '/registrations/:registrationId',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.REGISTRATIONS_MANAGE]),
+    auditTrail('Registration', { action: 'update', idParam: 'registrationId' }), // Cancelled, not deleted
+    async (req, res) => {
+        try {
+            const registration = await Registration.findOne({ _id: req.params.registrationId, event: req.params.eventId });
+            if (!registration) {
+                return res.status(404).json({ message: 'Registration not found' });
+            }
+
+            const event = await Event.findById(req.params.eventId);
+            if (!event) {
+                return res.status(404).json({ message: 'Event not found' });
+            }
+
+            const cancelled = await cancelRegistration(event, registration, 'admin');
+            if (!cancelled) {
+                return res.status(400).json({ message: 'This registration is already cancelled.' });
+            }
+            setAuditDocument(res, cancelled);
+
+            res.json({ message: 'Registration cancelled successfully!', registration: cancelled });
+        } catch (err) {
+            console.error('Error cancelling registration:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid ID format.' });
+            }
+            res.status(500).json({ message: 'Server error cancelling registration.' });
+        }
+    }
+);
+
+module.exports = router;
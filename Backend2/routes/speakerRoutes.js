@@ -0,0 +1,344 @@
+// Backend2/routes/speakerRoutes.js
+// Speaker directory, mounted under /api/speakers
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Speaker = require('../models/Speaker');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const TeamMember = require('../models/TeamMember');
+const { EVENT_SPEAKERS_POPULATE } = require('../utils/speakers');
+const {
+    getParam,
+    parseSearchParam,
+    parseSortParam,
+    parsePagination,
+    paginate
+} = require('../utils/listQuery');
+
+// Import authenticateToken and authorizePermissions using DESTRUCTURING
+const { authenticateToken, authorizePermissions } = require('../middleware/authMiddleware');
+const { auditTrail, setAuditDocument } = require('../middleware/auditTrail');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Import the configured Multer instance and the image pipeline that runs after it
+const upload = require('../config/multerConfig');
+const { processImageUpload } = require('../middleware/imageUpload');
+const { resolveMediaImage, retainImage, releaseImage, discardUpload } = require('../utils/media');
+
+// --- Sortable fields for GET /api/speakers (public name -> document path) ---
+const SPEAKER_SORT_FIELDS = {
+    name: 'name',
+    affiliation: 'affiliation',
+    createdAt: 'createdAt'
+};
+
+// --- Helper: reads socialLinks as JSON (`socialLinks`) or flat fields (linkedin, twitter, github, website) ---
+const parseSocialLinks = (body) => {
+    let links = body.socialLinks;
+    if (typeof links === 'string') {
+        try {
+            links = JSON.parse(links);
+        } catch (e) {
+            throw new Error('Social links must be a valid JSON object.');
+        }
+    }
+    if (links !== undefined && (links === null || typeof links !== 'object' || Array.isArray(links))) {
+        throw new Error('Social links must be a valid JSON object.');
+    }
+
+    const result = {};
+    ['linkedin', 'twitter', 'github', 'website'].forEach(key => {
+        const value = links ? links[key] : body[key];
+        if (value !== undefined) result[key] = value;
+    });
+    return result;
+};
+
+// --- Helper: validates the optional team member link ('' or null clears it) ---
+const parseTeamMember = async (value) => {
+    if (value === undefined) return undefined;
+    if (value === null || value === '' || value === 'null') return null;
+    if (!mongoose.isValidObjectId(value)) {
+        throw new Error('Invalid Team Member ID format.');
+    }
+    if (!(await TeamMember.exists({ _id: value }))) {
+        throw new Error('Linked team member not found.');
+    }
+    return value;
+};
+
+// @route   GET /api/speakers
+// @desc    List speakers with text search, sorting and pagination (?q=&teamMember=&sort=name&page=&limit=)
+// @access  Public
+router.get('/', async (req, res) => {
+    let listQuery;
+    try {
+        const filter = {};
+        const q = parseSearchParam(getParam(req.query, 'q'));
+        if (q) {
+            filter.$text = { $search: q };
+        }
+        const teamMember = getParam(req.query, 'teamMember');
+        if (teamMember) {
+            if (!mongoose.isValidObjectId(teamMember)) {
+                throw new Error('"teamMember" must be a team member ID.');
+            }
+            filter.teamMember = teamMember;
+        }
+        listQuery = {
+            filter,
+            sort: parseSortParam(getParam(req.query, 'sort'), SPEAKER_SORT_FIELDS, { name: 1 }, { hasSearch: Boolean(q) }),
+            pagination: parsePagination(req.query, { defaultLimit: 50 })
+        };
+    } catch (e) {
+        return res.status(400).json({ message: e.message });
+    }
+
+    try {
+        const result = await paginate(Speaker, listQuery);
+        res.json(result);
+    } catch (err) {
+        console.error('Error fetching speakers:', err);
+        res.status(500).json({ message: 'Server error fetching speakers.' });
+    }
+});
+
+// @route   GET /api/speakers/:id
+// @desc    Get a single speaker, with the linked team member if any
+// @access  Public
+router.get('/:id', async (req, res) => {
+    try {
+        const speaker = await Speaker.findById(req.params.id).populate('teamMember', 'name position academicYear photo');
+        if (!speaker) {
+            return res.status(404).json({ message: 'Speaker not found' });
+        }
+        res.json(speaker);
+    } catch (err) {
+        console.error('Error fetching speaker:', err);
+        if (err.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid Speaker ID format.' });
+        }
+        res.status(500).json({ message: 'Server error fetching speaker.' });
+    }
+});
+
+// @route   GET /api/speakers/:id/events
+// @desc    All published events a speaker spoke at, newest first (?page=&limit=)
+// @access  Public
+router.get('/:id/events', async (req, res) => {
+    let pagination;
+    try {
+        pagination = parsePagination(req.query);
+    } catch (e) {
+        return res.status(400).json({ message: e.message });
+    }
+
+    try {
+        const speaker = await Speaker.findById(req.params.id).select('name');
+        if (!speaker) {
+            return res.status(404).json({ message: 'Speaker not found' });
+        }
+
+        const result = await paginate(Event, {
+            filter: { speakers: speaker._id, status: 'published' },
+            sort: { eventDate: -1 },
+            pagination,
+            populate: EVENT_SPEAKERS_POPULATE
+        });
+        res.json({ speaker, ...result });
+    } catch (err) {
+        console.error('Error fetching speaker events:', err);
+        if (err.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid Speaker ID format.' });
+        }
+        res.status(500).json({ message: 'Server error fetching speaker events.' });
+    }
+});
+
+// @route   POST /api/speakers
+// @desc    Add a speaker (photo as an upload in `photo`, or photoType=url|media with photoValue)
+// @access  Private (events:write)
+router.post(
+    '/',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_WRITE]),
+    auditTrail('Speaker'),
+    upload.single('photo'),
+    processImageUpload,
+    async (req, res) => {
+        const { name, bio, affiliation, photoType } = req.body;
+
+        if (!name) {
+            await discardUpload(req.image);
+            return res.status(400).json({ message: 'Speaker name is required.' });
+        }
+
+        let socialLinks;
+        let teamMember;
+        let photo;
+        try {
+            socialLinks = parseSocialLinks(req.body);
+            teamMember = await parseTeamMember(req.body.teamMember);
+            if (req.image) {
+                photo = req.image;
+            } else if (photoType === 'media') { // Reuse an image from the media library
+                photo = await resolveMediaImage(req.body.photoValue);
+            } else if (photoType === 'url' && req.body.photoValue) {
+                photo = { type: 'url', value: req.body.photoValue };
+            }
+        } catch (e) {
+            await discardUpload(req.image);
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const speaker = await Speaker.create({ name, bio, affiliation, socialLinks, teamMember, photo });
+            setAuditDocument(res, speaker);
+            await retainImage(speaker.photo, { model: 'Speaker', document: speaker._id, field: 'photo' });
+            res.status(201).json({ message: 'Speaker saved successfully!', speaker });
+        } catch (err) {
+            await discardUpload(req.image);
+            console.error('Error saving speaker:', err);
+            if (err.name === 'ValidationError') {
+                const messages = Object.values(err.errors).map(val => val.message);
+                return res.status(400).json({ message: messages.join(', ') });
+            }
+            res.status(500).json({ message: 'Server error saving speaker.' });
+        }
+    }
+);
+
+// @route   PUT /api/speakers/:id
+// @desc    Update a speaker. Events show the change straight away since they reference the speaker.
+// @access  Private (events:write)
+router.put(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_WRITE]),
+    auditTrail('Speaker'),
+    upload.single('photo'),
+    processImageUpload,
+    async (req, res) => {
+        const { name, bio, affiliation, photoType } = req.body;
+
+        let socialLinks;
+        let teamMember;
+        let libraryPhoto = null;
+        try {
+            socialLinks = parseSocialLinks(req.body);
+            teamMember = await parseTeamMember(req.body.teamMember);
+            if (!req.image && photoType === 'media') {
+                libraryPhoto = await resolveMediaImage(req.body.photoValue);
+            }
+        } catch (e) {
+            await discardUpload(req.image);
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const speaker = await Speaker.findById(req.params.id);
+            if (!speaker) {
+                await discardUpload(req.image);
+                return res.status(404).json({ message: 'Speaker not found.' });
+            }
+
+            const updateFields = { name, bio, affiliation, teamMember };
+            Object.entries(socialLinks).forEach(([key, value]) => {
+                updateFields[`socialLinks.${key}`] = value;
+            });
+
+            // The old photo is only released once the update has been saved
+            // (a plain copy: the document's nested photo reflects the new value once it is set)
+            const currentPhoto = speaker.toObject().photo;
+            let photoToRelease = null;
+            if (req.image) {
+                photoToRelease = currentPhoto;
+                updateFields.photo = req.image;
+            } else if (libraryPhoto) {
+                photoToRelease = currentPhoto;
+                updateFields.photo = libraryPhoto;
+            } else if (photoType) {
+                if (photoType !== 'url') {
+                    return res.status(400).json({ message: 'Invalid photo type specified for update.' });
+                }
+                photoToRelease = currentPhoto;
+                updateFields.photo = { type: 'url', value: req.body.photoValue };
+            }
+
+            Object.keys(updateFields).forEach(key => {
+                if (updateFields[key] === undefined) delete updateFields[key];
+            });
+
+            speaker.set(updateFields);
+            const updatedSpeaker = await speaker.save();
+            setAuditDocument(res, updatedSpeaker);
+
+            // Released before retaining, so re-selecting the same library image keeps its reference
+            const photoRef = { model: 'Speaker', document: updatedSpeaker._id, field: 'photo' };
+            if (photoToRelease) {
+                await releaseImage(photoToRelease, photoRef);
+            }
+            if (updateFields.photo) {
+                await retainImage(updatedSpeaker.photo, photoRef);
+            }
+
+            res.json({ message: 'Speaker updated successfully!', speaker: updatedSpeaker });
+        } catch (err) {
+            await discardUpload(req.image);
+            console.error('Error updating speaker:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Speaker ID format.' });
+            }
+            if (err.name === 'ValidationError') {
+                const messages = Object.values(err.errors).map(val => val.message);
+                return res.status(400).json({ message: messages.join(', ') });
+            }
+            res.status(500).json({ message: 'Server error updating speaker.' });
+        }
+    }
+);
+
+// @route   DELETE /api/speakers/:id
+// @desc    Delete a speaker who isn't listed on any event
+// @access  Private (events:delete)
+router.delete(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.EVENTS_DELETE]),
+    auditTrail('Speaker'),
+    async (req, res) => {
+        try {
+            const speaker = await Speaker.findById(req.params.id);
+            if (!speaker) {
+                return res.status(404).json({ message: 'Speaker not found' });
+            }
+
+            const eventCount = await Event.countDocuments({ speakers: speaker._id }).setOptions({ withDeleted: true });
+            if (eventCount > 0) {
+                return res.status(409).json({
+                    message: `This speaker is listed on ${eventCount} event(s). Remove them from those events first.`
+                });
+            }
+            const seriesCount = await EventSeries.countDocuments({ speakers: speaker._id });
+            if (seriesCount > 0) {
+                return res.status(409).json({
+                    message: `This speaker is listed on ${seriesCount} event series. Remove them from those series first.`
+                });
+            }
+
+            await Speaker.findByIdAndDelete(speaker._id);
+            await releaseImage(speaker.photo, { model: 'Speaker', document: speaker._id, field: 'photo' });
+
+            res.json({ message: 'Speaker deleted successfully!' });
+        } catch (err) {
+            console.error('Error deleting speaker:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Speaker ID format.' });
+            }
+            res.status(500).json({ message: 'Server error deleting speaker.' });
+        }
+    }
+);
+
+module.exports = router;
@@ -1,46 +1,507 @@
 // Backend2/routes/teamRoutes.js
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const TeamMember = require('../models/TeamMember');
+const { CONTACT_VISIBILITY_FLAGS } = require('../models/TeamMember');
+const AcademicYear = require('../models/AcademicYear');
+const {
+    getParam,
+    parseSearchParam,
+    parseSortParam,
+    parsePagination,
+    paginate
+} = require('../utils/listQuery');
 
-// Import authenticateToken and authorizeRoles using DESTRUCTURING
-const { authenticateToken, authorizeRoles } = require('../middleware/authMiddleware');
+// Import authenticateToken and authorizePermissions using DESTRUCTURING
+const { authenticateToken, authorizePermissions } = require('../middleware/authMiddleware');
+const { auditTrail, setAuditDocument } = require('../middleware/auditTrail');
+const { PERMISSIONS } = require('../config/permissions');
 
-// Import the configured Multer instance
+// Import the configured Multer instance and the image pipeline that runs after it
 const upload = require('../config/multerConfig');
+const { processImageUpload } = require('../middleware/imageUpload');
+const { resolveMediaImage, retainImage, releaseImage, discardUpload } = require('../utils/media');
+const { purgeDocument, getPurgeDate } = require('../utils/trash');
 
-const path = require('path');
-const fs = require('fs');
+// CSV/XLSX import and export
+const spreadsheetUpload = require('../config/spreadsheetUpload');
+const { readSpreadsheet, sendSpreadsheet } = require('../utils/spreadsheets');
+const { TEAM_COLUMNS, parseColumnMapping, importTeamMembers, teamMemberToRow } = require('../utils/teamImport');
 
-// --- Helper function to delete old photo file if it exists ---
-const deleteOldPhoto = (photoPath) => {
-    if (photoPath && photoPath.startsWith('/uploads/')) {
-        const filePath = path.join(__dirname, '..', photoPath);
-        fs.unlink(filePath, (err) => {
-            if (err) {
-                console.error('Error deleting old photo file:', filePath, err);
-            } else {
-                console.log('Old photo file deleted:', filePath);
-            }
-        });
+// Verticals, leads and reporting lines
+const { resolveTenureRefs, checkReportingLines, buildOrgChart, reorderTenures } = require('../utils/orgChart');
+const { triggerChangeWebhooks } = require('../utils/webhooks');
+
+// --- Sortable fields for GET /api/team-members (public name -> document path) ---
+const TEAM_SORT_FIELDS = {
+    displayOrder: 'displayOrder',
+    name: 'name',
+    position: 'position',
+    academicYear: 'academicYear',
+    createdAt: 'createdAt'
+};
+
+// --- Helper to build the Mongo filter/sort for GET /api/team-members from the query string ---
+// academicYear, position and vertical match a tenure, so a member shows up under every year they served
+const buildTeamListQuery = (query) => {
+    const filter = {};
+    const tenureMatch = {};
+
+    const academicYear = getParam(query, 'academicYear');
+    if (academicYear) {
+        const years = academicYear.split(',').map(year => year.trim()).filter(Boolean);
+        tenureMatch.academicYear = years.length > 1 ? { $in: years } : years[0];
+    }
+
+    const position = getParam(query, 'position');
+    if (position) {
+        tenureMatch.position = position;
+    }
+
+    const vertical = getParam(query, 'vertical');
+    if (vertical) {
+        if (vertical !== 'none' && !mongoose.isValidObjectId(vertical)) {
+            throw new Error('"vertical" must be a vertical ID, or "none" for club-wide roles.');
+        }
+        tenureMatch.vertical = vertical === 'none' ? null : new mongoose.Types.ObjectId(vertical);
+    }
+
+    if (Object.keys(tenureMatch).length > 0) {
+        filter.tenures = { $elemMatch: tenureMatch };
+    }
+
+    const q = parseSearchParam(getParam(query, 'q'));
+    if (q) {
+        filter.$text = { $search: q };
     }
+
+    const defaultSort = { displayOrder: 1, academicYear: 1, name: 1 };
+    const sort = parseSortParam(getParam(query, 'sort'), TEAM_SORT_FIELDS, defaultSort, { hasSearch: Boolean(q) });
+
+    // The team page usually shows everyone at once, so the default page is larger than for events
+    return { filter, sort, pagination: parsePagination(query, { defaultLimit: 100 }) };
+};
+
+// --- Helper: contact visibility from the flat flags (isPhoneNumberPublic=true) and/or a `visibility`
+// JSON object ({ "phoneNumber": true, "linkedinId": false }). Only the flags that were sent are returned. ---
+const parseContactVisibility = (body) => {
+    let visibility = body.visibility;
+    if (typeof visibility === 'string') {
+        try {
+            visibility = JSON.parse(visibility);
+        } catch (e) {
+            throw new Error('Visibility must be a valid JSON object.');
+        }
+    }
+    if (visibility !== undefined && (visibility === null || typeof visibility !== 'object' || Array.isArray(visibility))) {
+        throw new Error('Visibility must be a valid JSON object.');
+    }
+    Object.keys(visibility || {}).forEach(field => {
+        if (!CONTACT_VISIBILITY_FLAGS[field]) {
+            throw new Error(`"${field}" is not a contact field. Visibility can be set for: ${Object.keys(CONTACT_VISIBILITY_FLAGS).join(', ')}.`);
+        }
+    });
+
+    const flags = {};
+    Object.entries(CONTACT_VISIBILITY_FLAGS).forEach(([field, flag]) => {
+        const value = visibility && visibility[field] !== undefined ? visibility[field] : body[flag];
+        if (value !== undefined) {
+            flags[flag] = value === true || value === 'true';
+        }
+    });
+    return flags;
+};
+
+// --- Helper: display order from a form field; undefined when not sent ---
+const parseDisplayOrder = (value) => {
+    if (value === undefined || value === '') return undefined;
+    return typeof value === 'number' ? value : (parseInt(value) || 99);
+};
+
+// --- Helper: an optional reference from a form field; '' or 'null' clears it ---
+const parseOptionalRef = (value) => {
+    if (value === undefined) return undefined;
+    if (value === null || value === '' || value === 'null') return null;
+    return String(value).trim();
+};
+
+// --- Helper: one tenure from the body ({ academicYear, position, vertical, isLead, reportsTo, displayOrder }) ---
+// vertical is a vertical ID or name and reportsTo a member ID; resolve them with resolveTenureRefs.
+const parseTenure = (body) => ({
+    academicYear: body.academicYear === undefined ? undefined : String(body.academicYear).trim(),
+    position: body.position,
+    vertical: parseOptionalRef(body.vertical),
+    isLead: body.isLead === undefined ? undefined : (body.isLead === true || body.isLead === 'true'),
+    reportsTo: parseOptionalRef(body.reportsTo),
+    displayOrder: parseDisplayOrder(body.displayOrder)
+});
+
+// Body fields of PUT /api/team-members/:id that change a tenure
+const TENURE_BODY_FIELDS = ['academicYear', 'position', 'vertical', 'isLead', 'reportsTo', 'displayOrder'];
+
+// --- Helper: the full tenure list (`tenures`, a JSON array or a JSON string in form-data) ---
+const parseTenures = (value) => {
+    if (value === undefined) return undefined;
+    let tenures = value;
+    if (typeof tenures === 'string') {
+        try {
+            tenures = JSON.parse(tenures);
+        } catch (e) {
+            throw new Error('Tenures must be a valid JSON array.');
+        }
+    }
+    if (!Array.isArray(tenures) || tenures.some(t => !t || typeof t !== 'object')) {
+        throw new Error('Tenures must be a valid JSON array of { academicYear, position, vertical, isLead, reportsTo, displayOrder }.');
+    }
+    return tenures.map(parseTenure);
+};
+
+// --- Helper: the member's tenure for a year as it appears on a roster ---
+const toRosterEntry = (member, tenure) => ({
+    ...member.toPublicJSON(),
+    tenure: {
+        _id: tenure._id,
+        position: tenure.position,
+        vertical: tenure.vertical,
+        isLead: tenure.isLead,
+        reportsTo: tenure.reportsTo,
+        displayOrder: tenure.displayOrder
+    }
+});
+
+// --- Helper: the academic year from ?academicYear=, or the current one (null if none is configured) ---
+const resolveAcademicYearParam = async (query) => {
+    const academicYear = getParam(query, 'academicYear');
+    if (academicYear) return academicYear;
+    const current = await AcademicYear.findCurrent();
+    return current ? current.label : null;
 };
 
 // @route   GET /api/team-members
-// @desc    Get all team members
+// @desc    List team members with filtering, text search, sorting and pagination
+//          ?academicYear=2025-26&position=Lead&q=ravi&sort=displayOrder,name&page=1&limit=50
+//          Public view: contact details only where the member made them public (see TeamMember.toPublicJSON)
 // @access  Public
 router.get('/', async (req, res) => {
+    let listQuery;
     try {
-        const teamMembers = await TeamMember.find().sort({ displayOrder: 1, academicYear: 1, name: 1 });
-        res.json(teamMembers);
+        listQuery = buildTeamListQuery(req.query);
+    } catch (e) {
+        return res.status(400).json({ message: e.message });
+    }
+
+    try {
+        const result = await paginate(TeamMember, listQuery);
+        res.json({ ...result, data: result.data.map(member => member.toPublicJSON()) });
     } catch (err) {
         console.error('Error fetching team members:', err);
         res.status(500).json({ message: 'Server error fetching team members.' });
     }
 });
 
+// @route   GET /api/team-members/roster
+// @desc    The team of one academic year (?academicYear=2025-26, default: the current year), one entry
+//          per tenure in that year ordered by display order, with the member's public view
+// @access  Public
+router.get('/roster', async (req, res) => {
+    try {
+        const academicYear = await resolveAcademicYearParam(req.query);
+        if (!academicYear) {
+            return res.status(404).json({ message: 'No current academic year is configured.' });
+        }
+
+        const members = await TeamMember.find({ 'tenures.academicYear': academicYear }).populate('tenures.vertical', 'name');
+        const data = [];
+        members.forEach(member => {
+            member.tenures
+                .filter(tenure => tenure.academicYear === academicYear)
+                .forEach(tenure => data.push(toRosterEntry(member, tenure)));
+        });
+        data.sort((a, b) => a.tenure.displayOrder - b.tenure.displayOrder || a.name.localeCompare(b.name));
+
+        res.json({ academicYear, data });
+    } catch (err) {
+        console.error('Error fetching team roster:', err);
+        res.status(500).json({ message: 'Server error fetching team roster.' });
+    }
+});
+
+// @route   GET /api/team-members/org-chart
+// @desc    The team of one academic year as a tree (?academicYear=, default: the current year):
+//          club-wide roles, then each vertical with its leads and members, with the people
+//          reporting to someone nested under them (see utils/orgChart.js)
+// @access  Public
+router.get('/org-chart', async (req, res) => {
+    try {
+        const academicYear = await resolveAcademicYearParam(req.query);
+        if (!academicYear) {
+            return res.status(404).json({ message: 'No current academic year is configured.' });
+        }
+        res.json(await buildOrgChart(academicYear));
+    } catch (err) {
+        console.error('Error building org chart:', err);
+        res.status(500).json({ message: 'Server error building org chart.' });
+    }
+});
+
+// @route   PUT /api/team-members/order
+// @desc    Reorder the members of one vertical in one year, e.g. after a drag and drop:
+//          { academicYear, vertical (ID, or null for club-wide roles), order: [tenure IDs, first to last] }.
+//          The order must list every tenure of that vertical and year; all of them move together or none do.
+// @access  Private (team:write)
+router.put(
+    '/order',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.TEAM_WRITE]),
+    auditTrail('TeamMember', {
+        action: 'reorder',
+        details: (req) => {
+            const { academicYear, vertical, order } = req.body || {};
+            return { academicYear, vertical: vertical || null, order };
+        }
+    }),
+    async (req, res) => {
+        const { academicYear, order, vertical: verticalParam } = req.body || {};
+        const vertical = parseOptionalRef(verticalParam) || null;
+        if (!academicYear) {
+            return res.status(400).json({ message: 'Academic year is required.' });
+        }
+        if (vertical && !mongoose.isValidObjectId(vertical)) {
+            return res.status(400).json({ message: 'Invalid Vertical ID format.' });
+        }
+
+        try {
+            await reorderTenures({ academicYear: String(academicYear), vertical, order });
+            res.json({ message: 'Order saved successfully!', orgChart: await buildOrgChart(String(academicYear)) });
+        } catch (err) {
+            console.error('Error reordering team members:', err);
+            if (err.name === 'ValidationError') {
+                const messages = Object.values(err.errors).map(val => val.message);
+                return res.status(400).json({ message: messages.join(', ') });
+            }
+            if (err.name === 'CastError') {
+                return res.status(400).json({ message: 'Invalid tenure ID in "order".' });
+            }
+            // Anything else thrown by reorderTenures is about the request
+            if (/^Mongo/.test(err.name)) {
+                return res.status(500).json({ message: 'Server error reordering team members.' });
+            }
+            res.status(400).json({ message: err.message });
+        }
+    }
+);
+
+// @route   GET /api/team-members/alumni
+// @desc    Members with no tenure in the current academic year or later, most recent first
+//          (?q=&sort=&page=&limit=)
+// @access  Public
+router.get('/alumni', async (req, res) => {
+    let listQuery;
+    try {
+        const q = parseSearchParam(getParam(req.query, 'q'));
+        listQuery = {
+            filter: q ? { $text: { $search: q } } : {},
+            sort: parseSortParam(getParam(req.query, 'sort'), TEAM_SORT_FIELDS, { academicYear: -1, name: 1 }, { hasSearch: Boolean(q) }),
+            pagination: parsePagination(req.query, { defaultLimit: 100 })
+        };
+    } catch (e) {
+        return res.status(400).json({ message: e.message });
+    }
+
+    try {
+        const current = await AcademicYear.findCurrent();
+        if (!current) {
+            return res.status(404).json({ message: 'No current academic year is configured.' });
+        }
+        // The top-level academicYear is the member's latest tenure
+        listQuery.filter.academicYear = { $lt: current.label };
+
+        const result = await paginate(TeamMember, listQuery);
+        res.json({ currentAcademicYear: current.label, ...result, data: result.data.map(member => member.toPublicJSON()) });
+    } catch (err) {
+        console.error('Error fetching alumni:', err);
+        res.status(500).json({ message: 'Server error fetching alumni.' });
+    }
+});
+
+// @route   GET /api/team-members/trash
+// @desc    Deleted team members, most recently deleted first, with the date each will be purged
+//          (?q=&page=&limit=). Full documents, like GET /admin.
+// @access  Private (team:delete)
+router.get(
+    '/trash',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.TEAM_DELETE]),
+    async (req, res) => {
+        let listQuery;
+        try {
+            const q = parseSearchParam(getParam(req.query, 'q'));
+            listQuery = {
+                filter: { deletedAt: { $ne: null }, ...(q ? { $text: { $search: q } } : {}) },
+                sort: { deletedAt: -1 },
+                pagination: parsePagination(req.query, { defaultLimit: 100 }),
+                populate: { path: 'deletedBy', select: 'name email' }
+            };
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const result = await paginate(TeamMember, listQuery);
+            res.json({
+                ...result,
+                data: result.data.map(member => ({ ...member.toJSON(), purgeAt: getPurgeDate(member.deletedAt) }))
+            });
+        } catch (err) {
+            console.error('Error fetching deleted team members:', err);
+            res.status(500).json({ message: 'Server error fetching deleted team members.' });
+        }
+    }
+);
+
+// @route   GET /api/team-members/admin
+// @desc    Same list as GET /api/team-members, with every field (ID numbers, private contact details)
+// @access  Private (team:write)
+router.get(
+    '/admin',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.TEAM_WRITE]),
+    async (req, res) => {
+        let listQuery;
+        try {
+            listQuery = buildTeamListQuery(req.query);
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const result = await paginate(TeamMember, listQuery);
+            res.json(result);
+        } catch (err) {
+            console.error('Error fetching team members:', err);
+            res.status(500).json({ message: 'Server error fetching team members.' });
+        }
+    }
+);
+
+// @route   GET /api/team-members/admin/:id
+// @desc    A single team member with every field
+// @access  Private (team:write)
+router.get(
+    '/admin/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.TEAM_WRITE]),
+    async (req, res) => {
+        try {
+            const teamMember = await TeamMember.findById(req.params.id);
+            if (!teamMember) {
+                return res.status(404).json({ message: 'Team member not found' });
+            }
+            res.json(teamMember);
+        } catch (err) {
+            console.error('Error fetching team member:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Team Member ID format.' });
+            }
+            res.status(500).json({ message: 'Server error fetching team member.' });
+        }
+    }
+);
+
+// @route   GET /api/team-members/export
+// @desc    Download team members as CSV or XLSX, in the column layout the import reads
+//          (one row per tenure) ?academicYear=2025-26&position=&vertical=&q=&sort=&format=csv|xlsx
+// @access  Private (team:write) - includes private phone numbers
+router.get(
+    '/export',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.TEAM_WRITE]),
+    async (req, res) => {
+        let listQuery;
+        const format = getParam(req.query, 'format') || 'csv';
+        try {
+            if (!['csv', 'xlsx'].includes(format)) {
+                throw new Error('"format" must be csv or xlsx.');
+            }
+            listQuery = buildTeamListQuery(req.query);
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const members = await TeamMember.find(listQuery.filter).sort(listQuery.sort).populate('tenures.vertical', 'name');
+            const academicYear = getParam(req.query, 'academicYear');
+            // One row per tenure, limited to the tenures the filter asked for
+            const tenureMatch = (listQuery.filter.tenures && listQuery.filter.tenures.$elemMatch) || {};
+            const sameValue = (actual, expected) => String(actual && actual._id ? actual._id : actual) === String(expected);
+            const matchesTenure = (tenure) => Object.entries(tenureMatch).every(([field, value]) => (
+                value && value.$in ? value.$in.some(v => sameValue(tenure[field], v)) : sameValue(tenure[field], value)
+            ));
+            await sendSpreadsheet(res, {
+                format,
+                fileName: `team-members${academicYear ? `-${academicYear.replace(/[^a-z0-9-]+/gi, '_')}` : ''}`,
+                sheetName: 'Team Members',
+                headers: TEAM_COLUMNS.map(column => column.header),
+                rows: members.flatMap(member => member.getTenureHistory()
+                    .filter(matchesTenure)
+                    .map(tenure => teamMemberToRow(member, tenure)))
+            });
+        } catch (err) {
+            console.error('Error exporting team members:', err);
+            res.status(500).json({ message: 'Server error exporting team members.' });
+        }
+    }
+);
+
+// @route   POST /api/team-members/import
+// @desc    Create or update team members from a CSV/XLSX file (`file`), matched on ID number.
+//          Form fields: mapping (JSON { field: 'Column header' }, optional when the headers match
+//          the export), academicYear (for rows without one), dryRun=true to only preview,
+//          skipInvalid=true to import the valid rows even if some rows have errors.
+// @access  Private (team:write)
+router.post(
+    '/import',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.TEAM_WRITE]),
+    auditTrail('TeamMember', { action: 'import', details: (req, body) => (body.applied ? { fileName: req.file && req.file.originalname, summary: body.summary } : null) }),
+    spreadsheetUpload.single('file'),
+    async (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ message: 'A CSV or XLSX file is required.' });
+        }
+
+        const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+        let report;
+        try {
+            const sheet = await readSpreadsheet(req.file.buffer, req.file.originalname);
+            report = await importTeamMembers(sheet, {
+                mapping: parseColumnMapping(req.body.mapping),
+                academicYear: req.body.academicYear ? String(req.body.academicYear).trim() : undefined,
+                dryRun,
+                skipInvalid: req.body.skipInvalid === true || req.body.skipInvalid === 'true'
+            });
+        } catch (err) {
+            console.error('Error importing team members:', err);
+            if (/^Mongo/.test(err.name)) { // Database trouble rather than a problem with the file
+                return res.status(500).json({ message: 'Server error importing team members.' });
+            }
+            return res.status(400).json({ message: err.message });
+        }
+
+        const { summary } = report;
+        if (dryRun) {
+            return res.json({ message: `Preview: ${summary.create} to create, ${summary.update} to update, ${summary.error} with errors.`, ...report });
+        }
+        if (!report.applied) {
+            return res.status(400).json({ message: `${summary.error} row(s) have errors. Nothing was imported.`, ...report });
+        }
+        res.json({ message: `Import finished: ${summary.create} created, ${summary.update} updated, ${summary.error} with errors.`, ...report });
+    }
+);
+
 // @route   GET /api/team-members/:id
-// @desc    Get a single team member by ID
+// @desc    Get a single team member by ID (public view)
 // @access  Public
 router.get('/:id', async (req, res) => {
     try {
@@ -48,7 +509,7 @@ router.get('/:id', async (req, res) => {
         if (!teamMember) {
             return res.status(404).json({ message: 'Team member not found' });
         }
-        res.json(teamMember);
+        res.json(teamMember.toPublicJSON());
     } catch (err) {
         console.error('Error fetching team member:', err);
         if (err.kind === 'ObjectId') {
@@ -58,14 +519,48 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// @route   GET /api/team-members/:id/history
+// @desc    Every position a member held, newest first, and whether they are on the current team
+// @access  Public
+router.get('/:id/history', async (req, res) => {
+    try {
+        const teamMember = await TeamMember.findById(req.params.id).populate('tenures.vertical', 'name');
+        if (!teamMember) {
+            return res.status(404).json({ message: 'Team member not found' });
+        }
+
+        const member = teamMember.toPublicJSON();
+        const current = await AcademicYear.findCurrent();
+        const years = [...new Set(member.tenures.map(tenure => tenure.academicYear))];
+        res.json({
+            member,
+            tenures: member.tenures,
+            firstAcademicYear: years[years.length - 1] || null,
+            latestAcademicYear: years[0] || null,
+            isCurrent: Boolean(current && years.includes(current.label)),
+            isAlumni: Boolean(current && years.length > 0 && years[0] < current.label)
+        });
+    } catch (err) {
+        console.error('Error fetching team member history:', err);
+        if (err.kind === 'ObjectId') {
+            return res.status(400).json({ message: 'Invalid Team Member ID format.' });
+        }
+        res.status(500).json({ message: 'Server error fetching team member history.' });
+    }
+});
+
 // @route   POST /api/team-members
-// @desc    Add a new team member
-// @access  Private (Admin Only)
+// @desc    Add a new team member. Roles are given either as position/academicYear/vertical/isLead/
+//          reportsTo/displayOrder (the first tenure) or as `tenures` (JSON array of those objects).
+//          vertical is a vertical ID or name; reportsTo the ID of a member on the team that year.
+// @access  Private (team:write)
 router.post(
     '/',
     authenticateToken,
-    authorizeRoles(['admin']),
+    authorizePermissions([PERMISSIONS.TEAM_WRITE]),
+    auditTrail('TeamMember'),
     upload.single('photo'),
+    processImageUpload, // Resized variants in req.image
     async (req, res) => {
         try {
             const {
@@ -73,143 +568,197 @@ router.post(
                 idNumber,
                 position,
                 academicYear,
-                displayOrder,
                 linkedinId,
                 phoneNumber,
-                isPhoneNumberPublic,
                 telegramLink,
-                isTelegramLinkPublic,
                 photoType
             } = req.body;
 
-            let photoValue;
-            let actualPhotoType = photoType;
-
-            if (req.file) {
-                photoValue = `/uploads/${req.file.filename}`;
-                actualPhotoType = 'upload';
+            let photo;
+            if (req.image) { // Already resized by processImageUpload
+                photo = req.image;
+            } else if (photoType === 'media') { // Reuse an image from the media library
+                try {
+                    photo = await resolveMediaImage(req.body.photoValue);
+                } catch (e) {
+                    return res.status(400).json({ message: e.message });
+                }
             } else if (photoType === 'url' && req.body.photoValue) {
-                photoValue = req.body.photoValue;
+                photo = { type: 'url', value: req.body.photoValue };
             } else if (photoType === 'import' && req.body.photoValue) {
-                photoValue = req.body.photoValue;
+                photo = { type: 'import', value: req.body.photoValue };
             } else {
-                photoValue = 'https://via.placeholder.com/150';
-                actualPhotoType = 'url';
+                photo = { type: 'url', value: 'https://via.placeholder.com/150' };
             }
 
-            if (!name || !position || !academicYear) {
-                if (req.file) {
-                    fs.unlink(req.file.path, (err) => {
-                        if (err) console.error('Error deleting orphaned uploaded file:', err);
-                    });
-                }
+            if (!name || ((!position || !academicYear) && req.body.tenures === undefined)) {
+                await discardUpload(req.image);
                 return res.status(400).json({ message: 'Name, position, and academic year are required.' });
             }
 
-            const newTeamMember = new TeamMember({
-                name,
-                idNumber,
-                photo: {
-                    type: actualPhotoType,
-                    value: photoValue
-                },
-                position,
-                academicYear,
-                displayOrder: typeof displayOrder === 'number' ? displayOrder : (parseInt(displayOrder) || 99),
-                linkedinId,
-                phoneNumber,
-                isPhoneNumberPublic: isPhoneNumberPublic === 'true' || isPhoneNumberPublic === true,
-                telegramLink,
-                isTelegramLinkPublic: isTelegramLinkPublic === 'true' || isTelegramLinkPublic === true
-            });
+            // Flags that aren't sent keep the schema defaults (phone and Telegram private)
+            let newTeamMember;
+            try {
+                const visibilityFlags = parseContactVisibility(req.body);
+                const tenures = await Promise.all((parseTenures(req.body.tenures) || [parseTenure(req.body)]).map(resolveTenureRefs));
+                newTeamMember = new TeamMember({
+                    name,
+                    idNumber,
+                    photo,
+                    tenures,
+                    linkedinId,
+                    phoneNumber,
+                    telegramLink,
+                    ...visibilityFlags
+                });
+                await checkReportingLines(newTeamMember);
+            } catch (e) {
+                if (/^Mongo/.test(e.name)) throw e;
+                await discardUpload(req.image);
+                return res.status(400).json({ message: e.message });
+            }
 
             const savedTeamMember = await newTeamMember.save();
+            setAuditDocument(res, savedTeamMember);
+            triggerChangeWebhooks('TeamMember', 'create', null, savedTeamMember);
+            await retainImage(savedTeamMember.photo, { model: 'TeamMember', document: savedTeamMember._id, field: 'photo' });
             res.status(201).json({ message: 'Team member saved successfully!', teamMember: savedTeamMember });
 
         } catch (err) {
+            await discardUpload(req.image);
             console.error('Error saving team member:', err);
             if (err.name === 'ValidationError') {
                 const messages = Object.values(err.errors).map(val => val.message);
                 return res.status(400).json({ message: messages.join(', ') });
             }
+            if (err.code === 11000) {
+                return res.status(409).json({ message: 'A team member with this ID number already exists (it may be in the trash).' });
+            }
             res.status(500).json({ message: 'Server error saving team member.' });
         }
     }
 );
 
 // @route   PUT /api/team-members/:id
-// @desc    Update an existing team member
-// @access  Private (Admin Only)
+// @desc    Update an existing team member. position/academicYear/vertical/isLead/reportsTo/displayOrder
+//          update the tenure for that academic year and vertical (adding it if the member has none;
+//          without academicYear, the latest tenure); `tenures` replaces them all.
+// @access  Private (team:write)
 router.put(
     '/:id',
     authenticateToken,
-    authorizeRoles(['admin']),
+    authorizePermissions([PERMISSIONS.TEAM_WRITE]),
+    auditTrail('TeamMember'),
     upload.single('photo'),
+    processImageUpload, // Resized variants in req.image
     async (req, res) => {
         try {
             const {
                 name,
                 idNumber,
-                position,
-                academicYear,
-                displayOrder,
                 linkedinId,
                 phoneNumber,
-                isPhoneNumberPublic,
                 telegramLink,
-                isTelegramLinkPublic,
                 photoType
             } = req.body;
 
             const existingTeamMember = await TeamMember.findById(req.params.id);
             if (!existingTeamMember) {
-                if (req.file) {
-                    fs.unlink(req.file.path, (err) => { if (err) console.error('Error deleting newly uploaded file:', err); });
-                }
+                await discardUpload(req.image);
                 return res.status(404).json({ message: 'Team member not found.' });
             }
+            const before = existingTeamMember.toObject();
+
+            // Visibility flags that aren't sent are left as they are
+            let visibilityFlags;
+            let tenures;
+            try {
+                visibilityFlags = parseContactVisibility(req.body);
+                tenures = parseTenures(req.body.tenures);
+                if (tenures) tenures = await Promise.all(tenures.map(resolveTenureRefs));
+            } catch (e) {
+                if (/^Mongo/.test(e.name)) throw e;
+                await discardUpload(req.image);
+                return res.status(400).json({ message: e.message });
+            }
 
             let updateFields = {
                 name,
                 idNumber,
-                position,
-                academicYear,
-                displayOrder: typeof displayOrder === 'number' ? displayOrder : (parseInt(displayOrder) || 99),
                 linkedinId,
                 phoneNumber,
-                isPhoneNumberPublic: isPhoneNumberPublic === 'true' || isPhoneNumberPublic === true,
                 telegramLink,
-                isTelegramLinkPublic: isTelegramLinkPublic === 'true' || isTelegramLinkPublic === true
+                ...visibilityFlags
             };
 
-            if (req.file) {
-                deleteOldPhoto(existingTeamMember.photo.value);
-                updateFields.photo = { type: 'upload', value: `/uploads/${req.file.filename}` };
+            // The old photo is only released once the update has been saved
+            // (a plain copy: the document's nested photo reflects the new value once it is set)
+            const currentPhoto = existingTeamMember.toObject().photo;
+            let photoToRelease = null;
+            if (req.image) {
+                photoToRelease = currentPhoto;
+                updateFields.photo = req.image;
             } else if (photoType) {
                 if (photoType === 'url') {
-                    if (existingTeamMember.photo.type === 'upload') {
-                        deleteOldPhoto(existingTeamMember.photo.value);
-                    }
+                    photoToRelease = currentPhoto;
                     updateFields.photo = { type: 'url', value: req.body.photoValue };
                 } else if (photoType === 'import') {
-                    if (existingTeamMember.photo.type === 'upload') {
-                        deleteOldPhoto(existingTeamMember.photo.value);
-                    }
+                    photoToRelease = currentPhoto;
                     updateFields.photo = { type: 'import', value: req.body.photoValue };
+                } else if (photoType === 'media') { // Reuse an image from the media library
+                    try {
+                        updateFields.photo = await resolveMediaImage(req.body.photoValue);
+                    } catch (e) {
+                        return res.status(400).json({ message: e.message });
+                    }
+                    photoToRelease = currentPhoto;
                 } else {
                     return res.status(400).json({ message: 'Invalid photo type specified for update.' });
                 }
             }
 
-            const updatedTeamMember = await TeamMember.findByIdAndUpdate(
-                req.params.id,
-                { $set: updateFields },
-                { new: true, runValidators: true }
-            );
+            // Fields that weren't sent are left as they are
+            Object.keys(updateFields).forEach(key => updateFields[key] === undefined && delete updateFields[key]);
+            existingTeamMember.set(updateFields);
+
+            try {
+                if (tenures) {
+                    existingTeamMember.tenures = tenures;
+                } else if (TENURE_BODY_FIELDS.some(field => req.body[field] !== undefined)) {
+                    // Without a year, the change applies to the member's latest tenure
+                    const tenure = await resolveTenureRefs(parseTenure(req.body));
+                    const [latest] = existingTeamMember.getTenureHistory();
+                    existingTeamMember.setTenure({
+                        ...tenure,
+                        academicYear: tenure.academicYear || existingTeamMember.academicYear,
+                        vertical: tenure.vertical === undefined && !tenure.academicYear && latest ? latest.vertical : tenure.vertical,
+                        position: tenure.position || undefined
+                    });
+                }
+                await checkReportingLines(existingTeamMember);
+            } catch (e) {
+                if (/^Mongo/.test(e.name)) throw e;
+                await discardUpload(req.image);
+                return res.status(400).json({ message: e.message });
+            }
+
+            const updatedTeamMember = await existingTeamMember.save();
+            setAuditDocument(res, updatedTeamMember);
+            triggerChangeWebhooks('TeamMember', 'update', before, updatedTeamMember);
+
+            // Released before retaining, so re-selecting the same library image keeps its reference
+            const photoRef = { model: 'TeamMember', document: updatedTeamMember._id, field: 'photo' };
+            if (photoToRelease) {
+                await releaseImage(photoToRelease, photoRef);
+            }
+            if (updateFields.photo) {
+                await retainImage(updatedTeamMember.photo, photoRef);
+            }
 
             res.json({ message: 'Team member updated successfully!', teamMember: updatedTeamMember });
 
         } catch (err) {
+            await discardUpload(req.image);
             console.error('Error updating team member:', err);
             if (err.kind === 'ObjectId') {
                 return res.status(400).json({ message: 'Invalid Team Member ID format.' });
@@ -218,18 +767,158 @@ router.put(
                 const messages = Object.values(err.errors).map(val => val.message);
                 return res.status(400).json({ message: messages.join(', ') });
             }
+            if (err.code === 11000) {
+                return res.status(409).json({ message: 'A team member with this ID number already exists (it may be in the trash).' });
+            }
             res.status(500).json({ message: 'Server error updating team member.' });
         }
     }
 );
 
+// @route   POST /api/team-members/:id/tenures
+// @desc    Add a tenure ({ academicYear, position, vertical, isLead, reportsTo, displayOrder }), e.g. when a
+//          member returns for another year. Updates the existing one if the member already has that year and vertical.
+// @access  Private (team:write)
+router.post(
+    '/:id/tenures',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.TEAM_WRITE]),
+    auditTrail('TeamMember'),
+    async (req, res) => {
+        const parsed = parseTenure(req.body);
+        if (!parsed.academicYear || !parsed.position) {
+            return res.status(400).json({ message: 'Position and academic year are required.' });
+        }
+
+        try {
+            const teamMember = await TeamMember.findById(req.params.id);
+            if (!teamMember) {
+                return res.status(404).json({ message: 'Team member not found.' });
+            }
+            const before = teamMember.toObject();
+
+            let saved;
+            try {
+                saved = teamMember.setTenure(await resolveTenureRefs(parsed));
+                await checkReportingLines(teamMember);
+            } catch (e) {
+                if (/^Mongo/.test(e.name)) throw e;
+                return res.status(400).json({ message: e.message });
+            }
+            const updatedTeamMember = await teamMember.save();
+            setAuditDocument(res, updatedTeamMember);
+            triggerChangeWebhooks('TeamMember', 'update', before, updatedTeamMember);
+            res.status(201).json({ message: 'Tenure saved successfully!', tenure: saved, teamMember: updatedTeamMember });
+        } catch (err) {
+            console.error('Error saving tenure:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Team Member ID format.' });
+            }
+            if (err.name === 'ValidationError') {
+                const messages = Object.values(err.errors).map(val => val.message);
+                return res.status(400).json({ message: messages.join(', ') });
+            }
+            res.status(500).json({ message: 'Server error saving tenure.' });
+        }
+    }
+);
+
+// @route   PUT /api/team-members/:id/tenures/:tenureId
+// @desc    Update one tenure (academicYear, position, vertical, isLead, reportsTo, displayOrder; fields
+//          not sent are kept)
+// @access  Private (team:write)
+router.put(
+    '/:id/tenures/:tenureId',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.TEAM_WRITE]),
+    auditTrail('TeamMember'),
+    async (req, res) => {
+        try {
+            const teamMember = await TeamMember.findById(req.params.id);
+            if (!teamMember) {
+                return res.status(404).json({ message: 'Team member not found.' });
+            }
+            const tenure = teamMember.tenures.id(req.params.tenureId);
+            if (!tenure) {
+                return res.status(404).json({ message: 'Tenure not found.' });
+            }
+            const before = teamMember.toObject();
+
+            try {
+                const updateFields = await resolveTenureRefs(parseTenure(req.body));
+                Object.keys(updateFields).forEach(key => updateFields[key] === undefined && delete updateFields[key]);
+                tenure.set(updateFields);
+                await checkReportingLines(teamMember);
+            } catch (e) {
+                if (/^Mongo/.test(e.name)) throw e;
+                return res.status(400).json({ message: e.message });
+            }
+
+            const updatedTeamMember = await teamMember.save();
+            setAuditDocument(res, updatedTeamMember);
+            triggerChangeWebhooks('TeamMember', 'update', before, updatedTeamMember);
+            res.json({ message: 'Tenure updated successfully!', tenure, teamMember: updatedTeamMember });
+        } catch (err) {
+            console.error('Error updating tenure:', err);
+            if (err.kind === 'ObjectId' || err.name === 'CastError') {
+                return res.status(400).json({ message: 'Invalid Team Member or Tenure ID format.' });
+            }
+            if (err.name === 'ValidationError') {
+                const messages = Object.values(err.errors).map(val => val.message);
+                return res.status(400).json({ message: messages.join(', ') });
+            }
+            res.status(500).json({ message: 'Server error updating tenure.' });
+        }
+    }
+);
+
+// @route   DELETE /api/team-members/:id/tenures/:tenureId
+// @desc    Remove one tenure. A member keeps at least one; delete the member to remove the last.
+// @access  Private (team:write)
+router.delete(
+    '/:id/tenures/:tenureId',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.TEAM_WRITE]),
+    auditTrail('TeamMember', { action: 'update' }),
+    async (req, res) => {
+        try {
+            const teamMember = await TeamMember.findById(req.params.id);
+            if (!teamMember) {
+                return res.status(404).json({ message: 'Team member not found.' });
+            }
+            const tenure = teamMember.tenures.id(req.params.tenureId);
+            if (!tenure) {
+                return res.status(404).json({ message: 'Tenure not found.' });
+            }
+            if (teamMember.tenures.length === 1) {
+                return res.status(409).json({ message: 'This is the member\'s only tenure. Delete the team member instead.' });
+            }
+
+            const before = teamMember.toObject();
+            tenure.deleteOne();
+            const updatedTeamMember = await teamMember.save();
+            setAuditDocument(res, updatedTeamMember);
+            triggerChangeWebhooks('TeamMember', 'update', before, updatedTeamMember);
+            res.json({ message: 'Tenure removed successfully!', teamMember: updatedTeamMember });
+        } catch (err) {
+            console.error('Error removing tenure:', err);
+            if (err.kind === 'ObjectId' || err.name === 'CastError') {
+                return res.status(400).json({ message: 'Invalid Team Member or Tenure ID format.' });
+            }
+            res.status(500).json({ message: 'Server error removing tenure.' });
+        }
+    }
+);
+
 // @route   DELETE /api/team-members/:id
-// @desc    Delete a team member
-// @access  Private (Admin Only)
+// @desc    Move a team member to the trash. They disappear from the site but keep their photo
+//          until they are purged (TRASH_RETENTION_DAYS, see utils/trash.js) or restored.
+// @access  Private (team:delete)
 router.delete(
     '/:id',
     authenticateToken,
-    authorizeRoles(['admin']),
+    authorizePermissions([PERMISSIONS.TEAM_DELETE]),
+    auditTrail('TeamMember'),
     async (req, res) => {
         try {
             const teamMember = await TeamMember.findById(req.params.id);
@@ -238,13 +927,11 @@ router.delete(
                 return res.status(404).json({ message: 'Team member not found' });
             }
 
-            if (teamMember.photo && teamMember.photo.type === 'upload' && teamMember.photo.value) {
-                deleteOldPhoto(teamMember.photo.value);
-            }
-
-            await TeamMember.findByIdAndDelete(req.params.id);
+            await teamMember.softDelete(req.user.id);
+            setAuditDocument(res, teamMember);
+            triggerChangeWebhooks('TeamMember', 'delete', null, teamMember);
 
-            res.json({ message: 'Team member deleted successfully!' });
+            res.json({ message: 'Team member moved to the trash.', purgeAt: getPurgeDate(teamMember.deletedAt) });
 
         } catch (err) {
             console.error('Error deleting team member:', err);
@@ -256,4 +943,61 @@ router.delete(
     }
 );
 
+// @route   POST /api/team-members/:id/restore
+// @desc    Take a team member out of the trash
+// @access  Private (team:delete)
+router.post(
+    '/:id/restore',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.TEAM_DELETE]),
+    auditTrail('TeamMember', { action: 'restore' }),
+    async (req, res) => {
+        try {
+            const teamMember = await TeamMember.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+            if (!teamMember) {
+                return res.status(404).json({ message: 'Team member not found in the trash.' });
+            }
+
+            await teamMember.restore();
+            setAuditDocument(res, teamMember);
+            triggerChangeWebhooks('TeamMember', 'restore', null, teamMember);
+            res.json({ message: 'Team member restored successfully!', teamMember });
+        } catch (err) {
+            console.error('Error restoring team member:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Team Member ID format.' });
+            }
+            res.status(500).json({ message: 'Server error restoring team member.' });
+        }
+    }
+);
+
+// @route   DELETE /api/team-members/:id/permanent
+// @desc    Purge a team member from the trash now; their photo is released (the media sweep
+//          removes it once nothing else uses it)
+// @access  Private (team:delete)
+router.delete(
+    '/:id/permanent',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.TEAM_DELETE]),
+    auditTrail('TeamMember', { action: 'purge' }),
+    async (req, res) => {
+        try {
+            const teamMember = await TeamMember.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+            if (!teamMember) {
+                return res.status(404).json({ message: 'Team member not found in the trash. Delete them first.' });
+            }
+
+            await purgeDocument(teamMember);
+            res.json({ message: 'Team member deleted permanently.' });
+        } catch (err) {
+            console.error('Error purging team member:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid Team Member ID format.' });
+            }
+            res.status(500).json({ message: 'Server error purging team member.' });
+        }
+    }
+);
+
 module.exports = router;
\ No newline at end of file
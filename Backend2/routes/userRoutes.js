@@ -0,0 +1,385 @@
+// Backend2/routes/userRoutes.js
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { sendMail } = require('../config/mailer');
+const { escapeHtml } = require('../utils/html');
+const { ROLES, PERMISSIONS } = require('../config/permissions');
+
+// Import authenticateToken and authorizePermissions using DESTRUCTURING
+const { authenticateToken, authorizePermissions } = require('../middleware/authMiddleware');
+const { auditTrail, setAuditDocument } = require('../middleware/auditTrail');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// --- Utility Function to send the invitation email ---
+const sendInvitationEmail = async (user, token, inviter) => {
+    const acceptUrl = `${FRONTEND_URL}/admin/accept-invite?token=${encodeURIComponent(token)}`;
+    const mailOptions = {
+        to: user.email,
+        subject: 'You have been invited to the Blockchain Club Admin Panel',
+        html: `
+            <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+                <h2 style="color: #0056b3;">Admin Panel Invitation</h2>
+                <p>Hello ${escapeHtml(user.name || 'there')},</p>
+                <p>${escapeHtml(inviter && inviter.name ? inviter.name : 'A club admin')} has invited you to the Blockchain Club Admin Panel as <strong>${escapeHtml(user.role)}</strong>.</p>
+                <p><a href="${acceptUrl}" style="color: #0056b3;">Accept the invitation</a> and choose your personal admin secret.</p>
+                <p>This invitation is valid for <strong>7 days</strong>.</p>
+                <p>If you were not expecting this, please ignore this email.</p>
+                <p>Thank you,</p>
+                <p>The Blockchain Club Team</p>
+            </div>
+        `,
+    };
+
+    await sendMail(mailOptions);
+};
+
+// --- Helper: true if the change would leave no active super-admin ---
+const wouldRemoveLastSuperAdmin = async (user, { role = user.role, status = user.status } = {}) => {
+    const isActiveSuperAdmin = user.role === 'super-admin' && user.status === 'active';
+    const staysActiveSuperAdmin = role === 'super-admin' && status === 'active';
+    if (!isActiveSuperAdmin || staysActiveSuperAdmin) {
+        return false;
+    }
+    const others = await User.countDocuments({ _id: { $ne: user._id }, role: 'super-admin', status: 'active' });
+    return others === 0;
+};
+
+// @route   GET /api/users
+// @desc    List admin accounts (optionally ?role=&status=)
+// @access  Private (users:read)
+router.get(
+    '/',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.USERS_READ]),
+    async (req, res) => {
+        try {
+            const filter = {};
+            if (typeof req.query.role === 'string' && req.query.role) filter.role = req.query.role;
+            if (typeof req.query.status === 'string' && req.query.status) filter.status = req.query.status;
+
+            const users = await User.find(filter).sort({ role: 1, email: 1 });
+            res.json(users);
+        } catch (err) {
+            console.error('Error fetching users:', err);
+            res.status(500).json({ message: 'Server error fetching users.' });
+        }
+    }
+);
+
+// @route   GET /api/users/:id
+// @desc    Get a single admin account
+// @access  Private (users:read)
+router.get(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.USERS_READ]),
+    async (req, res) => {
+        try {
+            const user = await User.findById(req.params.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+            res.json(user);
+        } catch (err) {
+            console.error('Error fetching user:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid User ID format.' });
+            }
+            res.status(500).json({ message: 'Server error fetching user.' });
+        }
+    }
+);
+
+// @route   POST /api/users/invite
+// @desc    Invite a new admin by email with a role
+// @access  Private (users:manage)
+router.post(
+    '/invite',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.USERS_MANAGE]),
+    auditTrail('User'),
+    async (req, res) => {
+        try {
+            const { name, role } = req.body;
+            const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+            if (!email || !role) {
+                return res.status(400).json({ message: 'Email and role are required.' });
+            }
+            if (!ROLES.includes(role)) {
+                return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+            }
+
+            const existingUser = await User.findOne({ email });
+            if (existingUser) {
+                return res.status(409).json({ message: 'An account with this email already exists.' });
+            }
+
+            const user = new User({ email, name, role, status: 'invited' });
+            const token = user.createInvitation(req.user.id);
+            await user.save();
+            setAuditDocument(res, user);
+
+            try {
+                await sendInvitationEmail(user, token, req.user);
+            } catch (mailErr) {
+                // The account is kept so the invitation can be resent
+                console.error('Error sending invitation email:', mailErr);
+                return res.status(201).json({
+                    message: 'User invited, but the invitation email could not be sent. Use resend-invite to try again.',
+                    user
+                });
+            }
+
+            res.status(201).json({ message: 'Invitation sent successfully!', user });
+        } catch (err) {
+            console.error('Error inviting user:', err);
+            if (err.name === 'ValidationError') {
+                const messages = Object.values(err.errors).map(val => val.message);
+                return res.status(400).json({ message: messages.join(', ') });
+            }
+            res.status(500).json({ message: 'Server error inviting user.' });
+        }
+    }
+);
+
+// @route   POST /api/users/:id/resend-invite
+// @desc    Issue a fresh invitation token and email it again
+// @access  Private (users:manage)
+router.post(
+    '/:id/resend-invite',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.USERS_MANAGE]),
+    auditTrail('User'),
+    async (req, res) => {
+        try {
+            const user = await User.findById(req.params.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+            if (user.status !== 'invited') {
+                return res.status(400).json({ message: 'This user has already accepted their invitation.' });
+            }
+
+            const token = user.createInvitation(req.user.id);
+            await user.save();
+            setAuditDocument(res, user);
+            await sendInvitationEmail(user, token, req.user);
+
+            res.json({ message: 'Invitation resent successfully!' });
+        } catch (err) {
+            console.error('Error resending invitation:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid User ID format.' });
+            }
+            res.status(500).json({ message: 'Server error resending invitation.' });
+        }
+    }
+);
+
+// @route   PUT /api/users/:id
+// @desc    Update an admin's name or role
+// @access  Private (users:manage)
+router.put(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.USERS_MANAGE]),
+    auditTrail('User'),
+    async (req, res) => {
+        try {
+            const { name, role } = req.body;
+
+            const user = await User.findById(req.params.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            if (role !== undefined) {
+                if (!ROLES.includes(role)) {
+                    return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+                }
+                if (await wouldRemoveLastSuperAdmin(user, { role })) {
+                    return res.status(400).json({ message: 'Cannot change the role of the last active super-admin.' });
+                }
+                user.role = role;
+            }
+            if (name !== undefined) {
+                user.name = name;
+            }
+
+            const updatedUser = await user.save();
+            setAuditDocument(res, updatedUser);
+            res.json({ message: 'User updated successfully!', user: updatedUser });
+        } catch (err) {
+            console.error('Error updating user:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid User ID format.' });
+            }
+            if (err.name === 'ValidationError') {
+                const messages = Object.values(err.errors).map(val => val.message);
+                return res.status(400).json({ message: messages.join(', ') });
+            }
+            res.status(500).json({ message: 'Server error updating user.' });
+        }
+    }
+);
+
+// @route   GET /api/users/:id/sessions
+// @desc    List an admin's active sessions
+// @access  Private (users:manage)
+router.get(
+    '/:id/sessions',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.USERS_MANAGE]),
+    async (req, res) => {
+        try {
+            const sessions = await Session.find({
+                user: req.params.id,
+                revokedAt: null,
+                expiresAt: { $gt: new Date() }
+            }).sort({ lastUsedAt: -1 });
+            res.json(sessions);
+        } catch (err) {
+            console.error('Error fetching user sessions:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid User ID format.' });
+            }
+            res.status(500).json({ message: 'Server error fetching user sessions.' });
+        }
+    }
+);
+
+// @route   POST /api/users/:id/sessions/revoke-all
+// @desc    Log an admin out of every device (e.g. after a lost laptop or leaked token)
+// @access  Private (users:manage)
+router.post(
+    '/:id/sessions/revoke-all',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.USERS_MANAGE]),
+    auditTrail('User', { details: (req, body) => ({ message: body.message }) }),
+    async (req, res) => {
+        try {
+            const user = await User.findById(req.params.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            const result = await Session.revokeAllForUser(user._id, { reason: 'revoked-by-admin' });
+            res.json({ message: `${result.modifiedCount} session(s) revoked.` });
+        } catch (err) {
+            console.error('Error revoking user sessions:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid User ID format.' });
+            }
+            res.status(500).json({ message: 'Server error revoking user sessions.' });
+        }
+    }
+);
+
+// @route   POST /api/users/:id/disable
+// @desc    Disable an admin account (they can no longer log in or use existing tokens)
+// @access  Private (users:manage)
+router.post(
+    '/:id/disable',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.USERS_MANAGE]),
+    auditTrail('User'),
+    async (req, res) => {
+        try {
+            const user = await User.findById(req.params.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+            if (user._id.toString() === req.user.id) {
+                return res.status(400).json({ message: 'You cannot disable your own account.' });
+            }
+            if (await wouldRemoveLastSuperAdmin(user, { status: 'disabled' })) {
+                return res.status(400).json({ message: 'Cannot disable the last active super-admin.' });
+            }
+
+            user.status = 'disabled';
+            const updatedUser = await user.save();
+            setAuditDocument(res, updatedUser);
+            await Session.revokeAllForUser(user._id, { reason: 'account-disabled' });
+            res.json({ message: 'User disabled successfully!', user: updatedUser });
+        } catch (err) {
+            console.error('Error disabling user:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid User ID format.' });
+            }
+            res.status(500).json({ message: 'Server error disabling user.' });
+        }
+    }
+);
+
+// @route   POST /api/users/:id/enable
+// @desc    Re-enable a disabled admin account
+// @access  Private (users:manage)
+router.post(
+    '/:id/enable',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.USERS_MANAGE]),
+    auditTrail('User'),
+    async (req, res) => {
+        try {
+            const user = await User.findById(req.params.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+            if (user.status !== 'disabled') {
+                return res.status(400).json({ message: 'Only disabled accounts can be enabled.' });
+            }
+
+            // Accounts disabled before accepting their invitation go back to 'invited'
+            user.status = user.adminSecret ? 'active' : 'invited';
+            const updatedUser = await user.save();
+            setAuditDocument(res, updatedUser);
+            res.json({ message: 'User enabled successfully!', user: updatedUser });
+        } catch (err) {
+            console.error('Error enabling user:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid User ID format.' });
+            }
+            res.status(500).json({ message: 'Server error enabling user.' });
+        }
+    }
+);
+
+// @route   DELETE /api/users/:id
+// @desc    Delete an admin account
+// @access  Private (users:manage)
+router.delete(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.USERS_MANAGE]),
+    auditTrail('User'),
+    async (req, res) => {
+        try {
+            const user = await User.findById(req.params.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+            if (user._id.toString() === req.user.id) {
+                return res.status(400).json({ message: 'You cannot delete your own account.' });
+            }
+            if (await wouldRemoveLastSuperAdmin(user, { status: 'deleted' })) {
+                return res.status(400).json({ message: 'Cannot delete the last active super-admin.' });
+            }
+
+            await User.findByIdAndDelete(req.params.id);
+            await Session.revokeAllForUser(user._id, { reason: 'account-deleted' });
+            res.json({ message: 'User deleted successfully!' });
+        } catch (err) {
+            console.error('Error deleting user:', err);
+            if (err.kind === 'ObjectId') {
+                return res.status(400).json({ message: 'Invalid User ID format.' });
+            }
+            res.status(500).json({ message: 'Server error deleting user.' });
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,158 @@
+// Backend2/routes/verticalRoutes.js
+// Verticals (departments) of the club, mounted under /api/verticals.
+// Members are placed in a vertical through their tenures (see routes/teamRoutes.js).
+const express = require('express');
+const router = express.Router();
+const Vertical = require('../models/Vertical');
+const TeamMember = require('../models/TeamMember');
+const { reorderVerticals } = require('../utils/orgChart');
+
+// Import authenticateToken and authorizePermissions using DESTRUCTURING
+const { authenticateToken, authorizePermissions } = require('../middleware/authMiddleware');
+const { auditTrail, setAuditDocument } = require('../middleware/auditTrail');
+const { PERMISSIONS } = require('../config/permissions');
+
+// --- Helper: reads name/description/displayOrder from the body (only the fields that were sent) ---
+const buildVerticalFields = (body) => {
+    const fields = {};
+    if (body.name !== undefined) fields.name = String(body.name).trim();
+    if (body.description !== undefined) fields.description = String(body.description);
+    if (body.displayOrder !== undefined && body.displayOrder !== '') {
+        fields.displayOrder = typeof body.displayOrder === 'number' ? body.displayOrder : (parseInt(body.displayOrder) || 99);
+    }
+    return fields;
+};
+
+// --- Helper to handle save errors ---
+const sendVerticalError = (res, err, action) => {
+    console.error(`Error ${action} vertical:`, err);
+    if (err.kind === 'ObjectId') {
+        return res.status(400).json({ message: 'Invalid Vertical ID format.' });
+    }
+    if (err.code === 11000) {
+        return res.status(409).json({ message: 'A vertical with this name already exists.' });
+    }
+    if (err.name === 'ValidationError') {
+        const messages = Object.values(err.errors).map(val => val.message);
+        return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: `Server error ${action} vertical.` });
+};
+
+// @route   GET /api/verticals
+// @desc    All verticals in org chart order
+// @access  Public
+router.get('/', async (req, res) => {
+    try {
+        const verticals = await Vertical.find().sort({ displayOrder: 1, name: 1 });
+        res.json({ data: verticals });
+    } catch (err) {
+        console.error('Error fetching verticals:', err);
+        res.status(500).json({ message: 'Server error fetching verticals.' });
+    }
+});
+
+// @route   POST /api/verticals
+// @desc    Add a vertical ({ name, description, displayOrder })
+// @access  Private (team:write)
+router.post(
+    '/',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.TEAM_WRITE]),
+    auditTrail('Vertical'),
+    async (req, res) => {
+        const fields = buildVerticalFields(req.body);
+        if (!fields.name) {
+            return res.status(400).json({ message: 'Vertical name is required.' });
+        }
+
+        try {
+            const vertical = await Vertical.create(fields);
+            setAuditDocument(res, vertical);
+            res.status(201).json({ message: 'Vertical added successfully!', vertical });
+        } catch (err) {
+            sendVerticalError(res, err, 'creating');
+        }
+    }
+);
+
+// @route   PUT /api/verticals/order
+// @desc    Reorder all verticals, e.g. after a drag and drop: { order: [vertical IDs, first to last] }.
+//          All of them move together or none do.
+// @access  Private (team:write)
+router.put(
+    '/order',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.TEAM_WRITE]),
+    auditTrail('Vertical', { action: 'reorder', details: req => ({ order: (req.body || {}).order }) }),
+    async (req, res) => {
+        try {
+            await reorderVerticals((req.body || {}).order);
+            const verticals = await Vertical.find().sort({ displayOrder: 1, name: 1 });
+            res.json({ message: 'Order saved successfully!', data: verticals });
+        } catch (err) {
+            console.error('Error reordering verticals:', err);
+            if (err.name === 'CastError') {
+                return res.status(400).json({ message: 'Invalid vertical ID in "order".' });
+            }
+            if (/^Mongo/.test(err.name)) {
+                return res.status(500).json({ message: 'Server error reordering verticals.' });
+            }
+            res.status(400).json({ message: err.message });
+        }
+    }
+);
+
+// @route   PUT /api/verticals/:id
+// @desc    Update a vertical
+// @access  Private (team:write)
+router.put(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.TEAM_WRITE]),
+    auditTrail('Vertical'),
+    async (req, res) => {
+        try {
+            const vertical = await Vertical.findByIdAndUpdate(req.params.id, buildVerticalFields(req.body), { new: true, runValidators: true });
+            if (!vertical) {
+                return res.status(404).json({ message: 'Vertical not found.' });
+            }
+            setAuditDocument(res, vertical);
+            res.json({ message: 'Vertical updated successfully!', vertical });
+        } catch (err) {
+            sendVerticalError(res, err, 'updating');
+        }
+    }
+);
+
+// @route   DELETE /api/verticals/:id
+// @desc    Delete a vertical no tenure is in, counting members in the trash (move those members first)
+// @access  Private (team:delete)
+router.delete(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.TEAM_DELETE]),
+    auditTrail('Vertical'),
+    async (req, res) => {
+        try {
+            const vertical = await Vertical.findById(req.params.id);
+            if (!vertical) {
+                return res.status(404).json({ message: 'Vertical not found.' });
+            }
+
+            const memberCount = await TeamMember.countDocuments({ 'tenures.vertical': vertical._id }).setOptions({ withDeleted: true });
+            if (memberCount > 0) {
+                return res.status(409).json({
+                    message: `${vertical.name} has ${memberCount} team member(s) in it, in this or past years, and cannot be deleted.`
+                });
+            }
+
+            await Vertical.findByIdAndDelete(vertical._id);
+            res.json({ message: 'Vertical deleted successfully!' });
+        } catch (err) {
+            sendVerticalError(res, err, 'deleting');
+        }
+    }
+);
+
+module.exports = router;
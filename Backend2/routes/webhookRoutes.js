@@ -0,0 +1,328 @@
+// Backend2/routes/webhookRoutes.js
+// Outbound webhook subscriptions and their delivery log, mounted under /api/admin/webhooks.
+// What gets sent, how it is signed and when it is retried is described in utils/webhooks.js.
+const express = require('express');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+const { DELIVERY_STATUSES } = require('../models/WebhookDelivery');
+const { getParam, parseBooleanParam, parsePagination, paginate } = require('../utils/listQuery');
+const { pingWebhook, redeliver } = require('../utils/webhooks');
+
+// Import authenticateToken and authorizePermissions using DESTRUCTURING
+const { authenticateToken, authorizePermissions } = require('../middleware/authMiddleware');
+const { auditTrail, setAuditDocument } = require('../middleware/auditTrail');
+const { PERMISSIONS } = require('../config/permissions');
+
+// --- Helper: the subscribed events from an array or a comma-separated string ---
+const parseEvents = (value) => {
+    const events = (Array.isArray(value) ? value : String(value).split(','))
+        .map(event => String(event).trim())
+        .filter(Boolean);
+    return [...new Set(events)];
+};
+
+// --- Helper: the webhook fields sent in a create/update body ---
+const buildWebhookFields = (body) => {
+    const fields = {};
+    if (body.name !== undefined) fields.name = body.name;
+    if (body.url !== undefined) fields.url = body.url;
+    if (body.events !== undefined) fields.events = parseEvents(body.events);
+    if (body.active !== undefined) {
+        fields.active = typeof body.active === 'boolean' ? body.active : parseBooleanParam(String(body.active), 'active');
+    }
+    return fields;
+};
+
+// --- Helper: the outcome of a delivery's first attempt, for response messages ---
+const describeOutcome = (delivery) => {
+    if (delivery.status === 'succeeded') return 'succeeded';
+    return delivery.status === 'pending' ? 'failed; it will be retried' : 'failed';
+};
+
+// --- Helper to handle errors. `resource` names what was being handled, `idLabel` whose ID was bad ---
+const sendWebhookError = (res, err, action, { resource = 'webhook', idLabel = 'Webhook' } = {}) => {
+    console.error(`Error ${action} ${resource}:`, err);
+    if (err.kind === 'ObjectId') {
+        return res.status(400).json({ message: `Invalid ${idLabel} ID format.` });
+    }
+    if (err.name === 'ValidationError') {
+        const messages = Object.values(err.errors).map(val => val.message);
+        return res.status(400).json({ message: messages.join(', ') });
+    }
+    if (err.name !== 'Error') { // Helpers throw plain Errors with a user-facing message
+        return res.status(500).json({ message: `Server error ${action} ${resource}.` });
+    }
+    res.status(400).json({ message: err.message });
+};
+
+// @route   GET /api/admin/webhooks
+// @desc    List webhooks (?active=true&event=event.created&page=&limit=)
+// @access  Private (webhooks:manage)
+router.get(
+    '/',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.WEBHOOKS_MANAGE]),
+    async (req, res) => {
+        let listQuery;
+        try {
+            const filter = {};
+            const active = parseBooleanParam(getParam(req.query, 'active'), 'active');
+            if (active !== undefined) filter.active = active;
+            const event = getParam(req.query, 'event');
+            if (event) {
+                if (!WEBHOOK_EVENTS.includes(event)) {
+                    throw new Error(`"event" must be one of: ${WEBHOOK_EVENTS.join(', ')}.`);
+                }
+                filter.events = event;
+            }
+            listQuery = { filter, sort: { createdAt: -1 }, pagination: parsePagination(req.query) };
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            const result = await paginate(Webhook, listQuery);
+            res.json(result);
+        } catch (err) {
+            sendWebhookError(res, err, 'fetching', { resource: 'webhooks' });
+        }
+    }
+);
+
+// @route   GET /api/admin/webhooks/events
+// @desc    The events a webhook can subscribe to
+// @access  Private (webhooks:manage)
+router.get(
+    '/events',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.WEBHOOKS_MANAGE]),
+    (req, res) => {
+        res.json({ events: WEBHOOK_EVENTS });
+    }
+);
+
+// @route   POST /api/admin/webhooks
+// @desc    Add a webhook: { name, url, events: ['event.created', ...], active }. The response has
+//          the signing secret, which is not shown again (rotate it to get a new one).
+// @access  Private (webhooks:manage)
+router.post(
+    '/',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.WEBHOOKS_MANAGE]),
+    auditTrail('Webhook'),
+    async (req, res) => {
+        try {
+            const webhook = new Webhook({ ...buildWebhookFields(req.body || {}), createdBy: req.user.id });
+            const secret = webhook.generateSecret();
+            await webhook.save();
+            setAuditDocument(res, webhook);
+            res.status(201).json({ message: 'Webhook added successfully!', webhook, secret });
+        } catch (err) {
+            sendWebhookError(res, err, 'adding');
+        }
+    }
+);
+
+// @route   GET /api/admin/webhooks/deliveries/:deliveryId
+// @desc    A single delivery with its payload and every attempt
+// @access  Private (webhooks:manage)
+router.get(
+    '/deliveries/:deliveryId',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.WEBHOOKS_MANAGE]),
+    async (req, res) => {
+        try {
+            const delivery = await WebhookDelivery.findById(req.params.deliveryId).populate('webhook', 'name url');
+            if (!delivery) {
+                return res.status(404).json({ message: 'Webhook delivery not found.' });
+            }
+            res.json(delivery);
+        } catch (err) {
+            sendWebhookError(res, err, 'fetching', { resource: 'webhook delivery', idLabel: 'Webhook Delivery' });
+        }
+    }
+);
+
+// @route   POST /api/admin/webhooks/deliveries/:deliveryId/redeliver
+// @desc    Send a delivery again (same payload and X-Webhook-Id) as a new delivery, e.g. after
+//          fixing the receiver. Responds once the first attempt is made; retries follow as usual.
+// @access  Private (webhooks:manage)
+router.post(
+    '/deliveries/:deliveryId/redeliver',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.WEBHOOKS_MANAGE]),
+    async (req, res) => {
+        try {
+            const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+            if (!delivery) {
+                return res.status(404).json({ message: 'Webhook delivery not found.' });
+            }
+            if (!(await Webhook.exists({ _id: delivery.webhook }))) {
+                return res.status(404).json({ message: 'The webhook for this delivery no longer exists.' });
+            }
+
+            const copy = await redeliver(delivery);
+            res.status(201).json({ message: `Redelivery ${describeOutcome(copy)}.`, delivery: copy });
+        } catch (err) {
+            sendWebhookError(res, err, 'redelivering', { resource: 'webhook delivery', idLabel: 'Webhook Delivery' });
+        }
+    }
+);
+
+// @route   GET /api/admin/webhooks/:id
+// @desc    A single webhook
+// @access  Private (webhooks:manage)
+router.get(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.WEBHOOKS_MANAGE]),
+    async (req, res) => {
+        try {
+            const webhook = await Webhook.findById(req.params.id);
+            if (!webhook) {
+                return res.status(404).json({ message: 'Webhook not found.' });
+            }
+            res.json(webhook);
+        } catch (err) {
+            sendWebhookError(res, err, 'fetching');
+        }
+    }
+);
+
+// @route   PUT /api/admin/webhooks/:id
+// @desc    Update a webhook's name, url, events or active flag
+// @access  Private (webhooks:manage)
+router.put(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.WEBHOOKS_MANAGE]),
+    auditTrail('Webhook'),
+    async (req, res) => {
+        try {
+            const webhook = await Webhook.findById(req.params.id);
+            if (!webhook) {
+                return res.status(404).json({ message: 'Webhook not found.' });
+            }
+            webhook.set(buildWebhookFields(req.body || {}));
+            await webhook.save();
+            setAuditDocument(res, webhook);
+            res.json({ message: 'Webhook updated successfully!', webhook });
+        } catch (err) {
+            sendWebhookError(res, err, 'updating');
+        }
+    }
+);
+
+// @route   DELETE /api/admin/webhooks/:id
+// @desc    Delete a webhook and its delivery log (queued deliveries are not sent)
+// @access  Private (webhooks:manage)
+router.delete(
+    '/:id',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.WEBHOOKS_MANAGE]),
+    auditTrail('Webhook'),
+    async (req, res) => {
+        try {
+            const webhook = await Webhook.findById(req.params.id);
+            if (!webhook) {
+                return res.status(404).json({ message: 'Webhook not found.' });
+            }
+            await webhook.deleteOne();
+            await WebhookDelivery.deleteMany({ webhook: webhook._id });
+            res.json({ message: 'Webhook deleted successfully!' });
+        } catch (err) {
+            sendWebhookError(res, err, 'deleting');
+        }
+    }
+);
+
+// @route   POST /api/admin/webhooks/:id/rotate-secret
+// @desc    Replace the signing secret. Deliveries are signed with the new one from now on, so update
+//          the receiver right away. The response has the new secret, which is not shown again.
+// @access  Private (webhooks:manage)
+router.post(
+    '/:id/rotate-secret',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.WEBHOOKS_MANAGE]),
+    auditTrail('Webhook', { details: () => ({ secretRotated: true }) }),
+    async (req, res) => {
+        try {
+            const webhook = await Webhook.findById(req.params.id);
+            if (!webhook) {
+                return res.status(404).json({ message: 'Webhook not found.' });
+            }
+            const secret = webhook.generateSecret();
+            await webhook.save();
+            res.json({ message: 'Webhook secret rotated.', webhook, secret });
+        } catch (err) {
+            sendWebhookError(res, err, 'rotating the secret of');
+        }
+    }
+);
+
+// @route   POST /api/admin/webhooks/:id/ping
+// @desc    Send a test 'ping' delivery to the webhook's URL and return the outcome
+// @access  Private (webhooks:manage)
+router.post(
+    '/:id/ping',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.WEBHOOKS_MANAGE]),
+    async (req, res) => {
+        try {
+            const webhook = await Webhook.findById(req.params.id);
+            if (!webhook) {
+                return res.status(404).json({ message: 'Webhook not found.' });
+            }
+            const delivery = await pingWebhook(webhook);
+            res.status(201).json({ message: `Ping ${describeOutcome(delivery)}.`, delivery });
+        } catch (err) {
+            sendWebhookError(res, err, 'pinging');
+        }
+    }
+);
+
+// @route   GET /api/admin/webhooks/:id/deliveries
+// @desc    The webhook's delivery log, newest first, without payloads (?status=failed&event=event.created&page=&limit=)
+// @access  Private (webhooks:manage)
+router.get(
+    '/:id/deliveries',
+    authenticateToken,
+    authorizePermissions([PERMISSIONS.WEBHOOKS_MANAGE]),
+    async (req, res) => {
+        let listQuery;
+        try {
+            const filter = { webhook: req.params.id };
+            const status = getParam(req.query, 'status');
+            if (status) {
+                if (!DELIVERY_STATUSES.includes(status)) {
+                    throw new Error(`"status" must be one of: ${DELIVERY_STATUSES.join(', ')}.`);
+                }
+                filter.status = status;
+            }
+            const event = getParam(req.query, 'event');
+            if (event) filter.event = event;
+            listQuery = {
+                filter,
+                sort: { createdAt: -1 },
+                pagination: parsePagination(req.query, { defaultLimit: 50 }),
+                projection: { payload: 0 }
+            };
+        } catch (e) {
+            return res.status(400).json({ message: e.message });
+        }
+
+        try {
+            if (!(await Webhook.exists({ _id: req.params.id }))) {
+                return res.status(404).json({ message: 'Webhook not found.' });
+            }
+            const result = await paginate(WebhookDelivery, listQuery);
+            res.json(result);
+        } catch (err) {
+            sendWebhookError(res, err, 'fetching', { resource: 'webhook deliveries' });
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,91 @@
+// Backend2/scripts/migrateAcademicYears.js
+// One-off migration to the AcademicYear collection:
+//  - normalises team member years written as "2024" or "2024-2025" to "2024-25"
+//  - creates an AcademicYear for every label used by events and team members, running from
+//    the 1st of ACADEMIC_YEAR_START_MONTH (default 6 = June) for twelve months
+//  - marks the year covering today as current if no year is current yet
+// Labels that can't be understood are listed so they can be fixed by hand.
+//
+// Usage: npm run migrate:academic-years
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const AcademicYear = require('../models/AcademicYear');
+const Event = require('../models/Event');
+const TeamMember = require('../models/TeamMember');
+const { DEFAULT_TIMEZONE, zonedTimeToUtc } = require('../utils/eventLogistics');
+
+const START_MONTH = parseInt(process.env.ACADEMIC_YEAR_START_MONTH, 10) || 6;
+
+// '2024' / '2024-25' / '2024-2025' / '2024/25' -> start year 2024; anything else -> null
+const parseStartYear = (label) => {
+    const match = /^(\d{4})(?:\s*[-/]\s*(\d{2}|\d{4}))?$/.exec(String(label).trim());
+    if (!match) return null;
+    const startYear = parseInt(match[1], 10);
+    if (match[2] && parseInt(match[2], 10) % 100 !== (startYear + 1) % 100) return null;
+    return startYear;
+};
+
+const yearStart = (startYear) => zonedTimeToUtc(`${startYear}-${String(START_MONTH).padStart(2, '0')}-01`, '00:00', DEFAULT_TIMEZONE);
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const labels = new Set([
+        ...(await Event.collection.distinct('academicYear')),
+        ...(await TeamMember.collection.distinct('academicYear'))
+    ].filter(Boolean));
+
+    const unknown = [];
+    const startYears = new Set();
+    for (const label of labels) {
+        const startYear = parseStartYear(label);
+        if (startYear === null) {
+            unknown.push(label);
+            continue;
+        }
+        startYears.add(startYear);
+
+        const normalised = AcademicYear.labelForStartYear(startYear);
+        if (normalised !== label) {
+            // Raw collections: the new academicYear validator would reject the old label
+            const [events, members] = await Promise.all([
+                Event.collection.updateMany({ academicYear: label }, { $set: { academicYear: normalised } }),
+                TeamMember.collection.updateMany({ academicYear: label }, { $set: { academicYear: normalised } })
+            ]);
+            console.log(`Renamed "${label}" to ${normalised} on ${events.modifiedCount} event(s) and ${members.modifiedCount} team member(s).`);
+        }
+    }
+
+    let createdCount = 0;
+    for (const startYear of [...startYears].sort()) {
+        const label = AcademicYear.labelForStartYear(startYear);
+        if (await AcademicYear.labelExists(label)) continue;
+        await AcademicYear.create({
+            label,
+            startDate: yearStart(startYear),
+            endDate: new Date(yearStart(startYear + 1).getTime() - 1)
+        });
+        createdCount++;
+    }
+    console.log(`Created ${createdCount} academic year(s).`);
+
+    if (!(await AcademicYear.exists({ isCurrent: true }))) {
+        const current = await AcademicYear.findForDate(new Date());
+        if (current) {
+            await AcademicYear.setCurrent(current._id);
+            console.log(`Marked ${current.label} as the current academic year.`);
+        }
+    }
+
+    if (unknown.length > 0) {
+        console.log(`Could not interpret these academic years, please fix them by hand: ${unknown.join(', ')}`);
+    }
+};
+
+run()
+    .catch(err => {
+        console.error('Academic year migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,42 @@
+// Backend2/scripts/migrateEventDescription.js
+// One-off migration: copies the legacy `eventDescription` field into `description`
+// (unless `description` is already set) and removes the old field.
+//
+// Usage: npm run migrate:event-description
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    // Use the raw collection: `eventDescription` is no longer part of the schema,
+    // so Mongoose would strip it from the filter and update.
+    const result = await Event.collection.updateMany(
+        { eventDescription: { $exists: true } },
+        [
+            {
+                $set: {
+                    description: {
+                        $cond: [
+                            { $gt: [{ $strLenCP: { $ifNull: ['$description', ''] } }, 0] },
+                            '$description',
+                            { $ifNull: ['$eventDescription', ''] }
+                        ]
+                    }
+                }
+            },
+            { $unset: 'eventDescription' }
+        ]
+    );
+
+    console.log(`Migrated ${result.modifiedCount} of ${result.matchedCount} event(s) with a legacy eventDescription.`);
+};
+
+run()
+    .catch(err => {
+        console.error('Event description migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,29 @@
+// Backend2/scripts/migrateEventStatus.js
+// One-off migration: events created before the draft/publish workflow have no status and would
+// drop off the public site (which only shows published events). Marks them published, as of
+// when they were created.
+//
+// Usage: npm run migrate:event-status
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    // Raw collection, so trashed events are migrated too
+    const result = await Event.collection.updateMany(
+        { status: { $exists: false } },
+        [{ $set: { status: 'published', publishedAt: { $ifNull: ['$createdAt', '$$NOW'] }, publishAt: null } }]
+    );
+
+    console.log(`Marked ${result.modifiedCount} of ${result.matchedCount} event(s) without a status as published.`);
+};
+
+run()
+    .catch(err => {
+        console.error('Event status migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,72 @@
+// Backend2/scripts/migrateImageVariants.js
+// One-off migration: runs posters and photos uploaded before the image pipeline existed through it,
+// so they get resized WebP variants, correct orientation and no EXIF data. The original file is
+// removed once the document points at the new files. Files that are missing or unreadable are listed.
+//
+// Usage: npm run migrate:image-variants
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { getStorage } = require('../config/storage');
+const Event = require('../models/Event');
+const TeamMember = require('../models/TeamMember');
+const Speaker = require('../models/Speaker');
+const { processImage, deleteImageFiles } = require('../utils/images');
+
+const TARGETS = [
+    { Model: Event, field: 'poster', prefix: 'posterFile' },
+    { Model: TeamMember, field: 'photo', prefix: 'photo' },
+    { Model: Speaker, field: 'photo', prefix: 'photo' }
+];
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const failures = [];
+    for (const { Model, field, prefix } of TARGETS) {
+        const docs = await Model.collection.find({
+            [`${field}.type`]: 'upload',
+            [`${field}.variants`]: { $exists: false }
+        }).toArray();
+
+        let migratedCount = 0;
+        for (const doc of docs) {
+            const original = doc[field].value;
+            let image;
+            try {
+                const key = getStorage().keyFromUrl(original);
+                if (!key) throw new Error('not in the configured storage');
+                const buffer = await getStorage().get(key);
+                const { value, variants } = await processImage(buffer, { prefix });
+                image = { type: 'upload', value, variants };
+            } catch (err) {
+                failures.push(`${Model.modelName} ${doc._id}: ${original} (${err.message})`);
+                continue;
+            }
+
+            // Raw collection: only the image changes, no validation or timestamps
+            const result = await Model.collection.updateOne(
+                { _id: doc._id, [`${field}.value`]: original },
+                { $set: { [field]: image } }
+            );
+            if (result.modifiedCount === 1) {
+                await deleteImageFiles({ type: 'upload', value: original });
+                migratedCount++;
+            } else {
+                await deleteImageFiles(image); // Changed while we were processing it
+            }
+        }
+        console.log(`${Model.modelName}: created variants for ${migratedCount} of ${docs.length} upload(s).`);
+    }
+
+    if (failures.length > 0) {
+        console.log(`Could not process ${failures.length} upload(s):\n  ${failures.join('\n  ')}`);
+    }
+};
+
+run()
+    .catch(err => {
+        console.error('Image variant migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
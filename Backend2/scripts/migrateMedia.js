@@ -0,0 +1,81 @@
+// Backend2/scripts/migrateMedia.js
+// One-off migration into the media library: creates a Media document for every uploaded poster/photo
+// saved before the library existed, links it from the document (`poster.media` / `photo.media`) and
+// records the reference. Documents sharing the same file share one Media document.
+// Safe to re-run: images that already have a media ID are skipped.
+// Run `npm run media:sweep` afterwards to see files that nothing references.
+//
+// Usage: npm run migrate:media
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const path = require('path');
+const Media = require('../models/Media');
+const { getStorage } = require('../config/storage');
+const { getImageUrls } = require('../utils/images');
+const { IMAGE_FIELDS } = require('../utils/media');
+
+const MIME_TYPES = {
+    '.webp': 'image/webp',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif'
+};
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    await Media.syncIndexes();
+
+    // File sizes, so storedSize is right for the migrated entries
+    const storage = getStorage();
+    const sizes = new Map((await storage.list()).map(file => [storage.getUrl(file.key), file.size]));
+
+    for (const { Model, field } of IMAGE_FIELDS) {
+        // Raw collection: only the media link changes, no validation or timestamps
+        const docs = await Model.collection.find({
+            [`${field}.type`]: 'upload',
+            [`${field}.media`]: { $exists: false }
+        }).toArray();
+
+        let created = 0;
+        let linked = 0;
+        for (const doc of docs) {
+            const image = doc[field];
+            const ref = { model: Model.modelName, document: doc._id, field };
+
+            let media = await Media.findOne({ value: image.value });
+            if (media) {
+                await Media.updateOne({ _id: media._id }, { $addToSet: { references: ref }, $set: { unreferencedAt: null } });
+            } else {
+                const files = getImageUrls(image);
+                const full = image.variants && image.variants.full;
+                media = await Media.create({
+                    originalName: path.basename(image.value),
+                    mimeType: MIME_TYPES[path.extname(image.value).toLowerCase()],
+                    storedSize: files.reduce((sum, url) => sum + (sizes.get(url) || 0), 0),
+                    width: full ? full.width : undefined,
+                    height: full ? full.height : undefined,
+                    value: image.value,
+                    variants: image.variants,
+                    files,
+                    createdAt: doc.createdAt,
+                    references: [ref],
+                    unreferencedAt: null
+                });
+                created++;
+            }
+
+            await Model.collection.updateOne({ _id: doc._id }, { $set: { [`${field}.media`]: media._id } });
+            linked++;
+        }
+        console.log(`${Model.modelName}: linked ${linked} upload(s), ${created} new media entr${created === 1 ? 'y' : 'ies'}.`);
+    }
+};
+
+run()
+    .catch(err => {
+        console.error('Media migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
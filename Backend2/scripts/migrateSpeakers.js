@@ -0,0 +1,90 @@
+// Backend2/scripts/migrateSpeakers.js
+// One-off migration from embedded { name, id } speakers on events to the speaker directory:
+//  - creates one Speaker per legacy numeric ID (the ID is kept in `legacyId`)
+//  - speakers without a usable ID are matched by name (case and extra spaces ignored)
+//  - rewrites each event's `speakers` to an array of Speaker ObjectIds
+//  - drops the old `speakers.id_1` index
+// Safe to re-run: events that already reference speakers are left alone.
+//
+// Usage: npm run migrate:speakers
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Speaker = require('../models/Speaker');
+
+const normaliseName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    await Speaker.syncIndexes();
+    const dropped = await Event.syncIndexes();
+    console.log(`Dropped event indexes: ${dropped.length ? dropped.join(', ') : 'none'}`);
+
+    const byLegacyId = new Map();
+    const byName = new Map();
+    (await Speaker.find()).forEach(speaker => {
+        if (speaker.legacyId) byLegacyId.set(speaker.legacyId, speaker);
+        byName.set(normaliseName(speaker.name), speaker);
+    });
+
+    // Legacy ID -> every spelling seen, to point out speakers worth tidying up by hand
+    const spellings = new Map();
+    let createdCount = 0;
+
+    const findOrCreateSpeaker = async ({ name, id }) => {
+        const legacyId = Number.isInteger(id) && id >= 1 ? id : null;
+        const trimmedName = String(name || '').trim().replace(/\s+/g, ' ');
+
+        if (legacyId) {
+            if (!spellings.has(legacyId)) spellings.set(legacyId, new Set());
+            spellings.get(legacyId).add(trimmedName);
+        }
+
+        let speaker = (legacyId && byLegacyId.get(legacyId)) || byName.get(normaliseName(trimmedName));
+        if (!speaker) {
+            speaker = await Speaker.create({ name: trimmedName || `Speaker ${legacyId}`, legacyId: legacyId || undefined });
+            createdCount++;
+        } else if (legacyId && !speaker.legacyId && !byLegacyId.has(legacyId)) {
+            speaker.legacyId = legacyId;
+            await speaker.save();
+        }
+
+        if (legacyId && !byLegacyId.has(legacyId)) byLegacyId.set(legacyId, speaker);
+        if (!byName.has(normaliseName(speaker.name))) byName.set(normaliseName(speaker.name), speaker);
+        return speaker;
+    };
+
+    // Raw collection: the schema now expects ObjectIds, so Mongoose would fail to cast the old objects
+    const events = await Event.collection.find({ 'speakers.name': { $exists: true } }).toArray();
+    let migratedCount = 0;
+
+    for (const event of events) {
+        const speakerIds = [];
+        for (const entry of event.speakers) {
+            const speakerId = entry instanceof mongoose.Types.ObjectId ? entry : (await findOrCreateSpeaker(entry))._id;
+            if (!speakerIds.some(existing => existing.equals(speakerId))) {
+                speakerIds.push(speakerId);
+            }
+        }
+
+        await Event.collection.updateOne({ _id: event._id }, { $set: { speakers: speakerIds } });
+        migratedCount++;
+    }
+
+    console.log(`Migrated speakers on ${migratedCount} event(s); created ${createdCount} speaker(s).`);
+
+    spellings.forEach((names, legacyId) => {
+        if (names.size > 1) {
+            console.log(`Speaker ${legacyId} was spelled ${names.size} ways: ${[...names].join(' / ')}`);
+        }
+    });
+};
+
+run()
+    .catch(err => {
+        console.error('Speaker migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
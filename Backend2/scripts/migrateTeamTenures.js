@@ -0,0 +1,82 @@
+// Backend2/scripts/migrateTeamTenures.js
+// One-off migration to tenure history on team members: each member saved with a single
+// position/academicYear/displayOrder gets that as their first tenure (a club-wide role; put
+// members in verticals afterwards). Tenures that still carry a free-text `team` get a Vertical
+// of that name instead.
+// Members recorded twice for different years (same name, no ID number) are not merged; fix
+// those by hand with POST /api/team-members/:id/tenures and delete the duplicate.
+// Safe to re-run: members that already have tenures are left alone.
+//
+// Usage: npm run migrate:team-tenures
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const TeamMember = require('../models/TeamMember');
+const Vertical = require('../models/Vertical');
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const members = await TeamMember.collection
+        .find({ $or: [{ tenures: { $exists: false } }, { tenures: { $size: 0 } }] })
+        .toArray();
+
+    let migratedCount = 0;
+    const skipped = [];
+    for (const member of members) {
+        if (!member.position || !member.academicYear) {
+            skipped.push(`${member.name} (${member._id})`);
+            continue;
+        }
+        // Raw collection: the member hasn't got the tenure the schema now requires yet
+        await TeamMember.collection.updateOne({ _id: member._id }, {
+            $set: {
+                tenures: [{
+                    _id: new mongoose.Types.ObjectId(),
+                    academicYear: member.academicYear,
+                    position: member.position,
+                    vertical: null,
+                    isLead: false,
+                    reportsTo: null,
+                    displayOrder: typeof member.displayOrder === 'number' ? member.displayOrder : 99
+                }]
+            }
+        });
+        migratedCount++;
+    }
+
+    // Free-text teams -> verticals
+    const withTeams = await TeamMember.collection.find({ 'tenures.team': { $exists: true } }).toArray();
+    const verticalIds = new Map();
+    let verticalTenureCount = 0;
+    for (const member of withTeams) {
+        const tenures = [];
+        for (const { team, ...tenure } of member.tenures) {
+            if (team && !tenure.vertical) {
+                if (!verticalIds.has(team.toLowerCase())) {
+                    const vertical = await Vertical.findByIdOrName(team) || await Vertical.create({ name: team });
+                    verticalIds.set(team.toLowerCase(), vertical._id);
+                }
+                tenure.vertical = verticalIds.get(team.toLowerCase());
+                verticalTenureCount++;
+            }
+            tenures.push({ vertical: null, isLead: false, reportsTo: null, ...tenure });
+        }
+        await TeamMember.collection.updateOne({ _id: member._id }, { $set: { tenures } });
+    }
+
+    await Vertical.syncIndexes();
+    await TeamMember.syncIndexes();
+    console.log(`Added a first tenure to ${migratedCount} team member(s).`);
+    console.log(`Moved ${verticalTenureCount} tenure(s) into ${verticalIds.size} vertical(s).`);
+    if (skipped.length > 0) {
+        console.log(`No position or academic year, please fix these by hand: ${skipped.join(', ')}`);
+    }
+};
+
+run()
+    .catch(err => {
+        console.error('Team tenure migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
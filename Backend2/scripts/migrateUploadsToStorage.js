@@ -0,0 +1,135 @@
+// Backend2/scripts/migrateUploadsToStorage.js
+// Copies posters and photos stored in the local 'uploads' directory to the configured storage
+// (normally STORAGE_DRIVER=s3) and points the documents and media library entries at the new URLs.
+// Pass --delete-local to remove the local files once everything has been updated.
+// Safe to re-run: documents that no longer reference /uploads/ files are skipped.
+//
+// Usage: STORAGE_DRIVER=s3 npm run migrate:uploads-to-storage [-- --delete-local]
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const path = require('path');
+const Event = require('../models/Event');
+const TeamMember = require('../models/TeamMember');
+const Speaker = require('../models/Speaker');
+const Media = require('../models/Media');
+const { createLocalStorage, getStorage } = require('../config/storage');
+const { getImageUrls } = require('../utils/images');
+
+const TARGETS = [
+    { Model: Event, field: 'poster' },
+    { Model: TeamMember, field: 'photo' },
+    { Model: Speaker, field: 'photo' }
+];
+
+const CONTENT_TYPES = {
+    '.webp': 'image/webp',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif'
+};
+
+const deleteLocal = process.argv.includes('--delete-local');
+
+// Returns a copy of the image with every URL in `urlMap` replaced
+const replaceUrls = (image, urlMap) => {
+    const copy = JSON.parse(JSON.stringify(image));
+    const swap = (url) => urlMap.get(url) || url;
+    copy.value = swap(copy.value);
+    Object.values(copy.variants || {}).forEach(variant => {
+        variant.webp = swap(variant.webp);
+        variant.fallback = swap(variant.fallback);
+    });
+    return copy;
+};
+
+const run = async () => {
+    const source = createLocalStorage();
+    const target = getStorage();
+    if (target.name === 'local') {
+        throw new Error('The configured storage is the local disk already. Set STORAGE_DRIVER (e.g. s3) first.');
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const missing = [];
+    const urlMap = new Map(); // Every local URL copied so far -> its new URL
+
+    // Copies one local file (once); resolves to false when it is missing on disk
+    const copyFile = async (url, owner) => {
+        if (urlMap.has(url)) return true;
+        const key = source.keyFromUrl(url);
+        if (!(await source.exists(key))) {
+            missing.push(`${owner}: ${url}`);
+            return false;
+        }
+        await target.put(key, await source.get(key), {
+            contentType: CONTENT_TYPES[path.extname(key).toLowerCase()],
+            cacheControl: 'public, max-age=31536000, immutable'
+        });
+        urlMap.set(url, target.getUrl(key));
+        return true;
+    };
+
+    for (const { Model, field } of TARGETS) {
+        // Raw collection: documents are rewritten without validation or timestamps
+        const docs = await Model.collection.find({ [`${field}.type`]: 'upload' }).toArray();
+        let movedCount = 0;
+
+        for (const doc of docs) {
+            const localUrls = getImageUrls(doc[field]).filter(url => source.keyFromUrl(url));
+            if (localUrls.length === 0) continue;
+
+            let copied = false;
+            for (const url of localUrls) {
+                if (await copyFile(url, `${Model.modelName} ${doc._id}`)) copied = true;
+            }
+            if (!copied) continue;
+
+            await Model.collection.updateOne({ _id: doc._id }, { $set: { [field]: replaceUrls(doc[field], urlMap) } });
+            movedCount++;
+        }
+        console.log(`${Model.modelName}: moved the files of ${movedCount} document(s) to ${target.name}.`);
+    }
+
+    // Media library entries: mostly the files copied above, plus library uploads nothing uses yet
+    const mediaDocs = await Media.collection.find({}).toArray();
+    let mediaCount = 0;
+    for (const media of mediaDocs) {
+        const localUrls = (media.files || []).filter(url => source.keyFromUrl(url));
+        if (localUrls.length === 0) continue;
+
+        for (const url of localUrls) {
+            await copyFile(url, `Media ${media._id}`);
+        }
+
+        const image = replaceUrls({ value: media.value, variants: media.variants }, urlMap);
+        await Media.collection.updateOne({ _id: media._id }, {
+            $set: {
+                value: image.value,
+                variants: image.variants,
+                files: media.files.map(url => urlMap.get(url) || url)
+            }
+        });
+        mediaCount++;
+    }
+    console.log(`Media: moved the files of ${mediaCount} library entr${mediaCount === 1 ? 'y' : 'ies'} to ${target.name}.`);
+
+    if (deleteLocal) {
+        for (const url of urlMap.keys()) {
+            await source.delete(source.keyFromUrl(url));
+        }
+    }
+
+    if (missing.length > 0) {
+        console.log(`These files were referenced but not found on disk:\n  ${missing.join('\n  ')}`);
+    }
+};
+
+run()
+    .catch(err => {
+        console.error('Upload migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,32 @@
+// Backend2/scripts/migrateUsers.js
+// One-off migration to multi-admin accounts:
+//  - drops the old unique index on `adminSecret` (invited users have no secret yet)
+//  - marks accounts created before roles existed as active super-admins
+//
+// Usage: npm run migrate:users
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    // Brings the collection's indexes in line with the schema (drops adminSecret_1)
+    const dropped = await User.syncIndexes();
+    console.log(`Dropped indexes: ${dropped.length ? dropped.join(', ') : 'none'}`);
+
+    // Raw collection so that schema defaults don't hide documents that have no role stored
+    const result = await User.collection.updateMany(
+        { role: { $exists: false } },
+        { $set: { role: 'super-admin', status: 'active' } }
+    );
+    console.log(`Promoted ${result.modifiedCount} legacy admin account(s) to super-admin.`);
+};
+
+run()
+    .catch(err => {
+        console.error('User migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,45 @@
+// Backend2/scripts/sweepMedia.js
+// Runs the media sweep (utils/mediaSweep.js) once and prints the report. Without --delete it is a
+// dry run that only lists the unused media and orphaned files; --grace-hours=N overrides
+// MEDIA_SWEEP_GRACE_HOURS.
+//
+// Usage: npm run media:sweep [-- --delete --grace-hours=N]
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { sweepMedia, summarizeSweep } = require('../utils/mediaSweep');
+
+const dryRun = !process.argv.includes('--delete');
+const graceArg = process.argv.find(arg => arg.startsWith('--grace-hours='));
+
+const run = async () => {
+    let graceHours;
+    if (graceArg) {
+        graceHours = Number(graceArg.split('=')[1]);
+        if (!Number.isFinite(graceHours) || graceHours < 0) {
+            throw new Error('--grace-hours must be a number of hours (0 or more).');
+        }
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    const report = await sweepMedia({ dryRun, graceHours });
+
+    report.media.removed.forEach(media => {
+        console.log(`  media ${media.id}  ${media.value}  (${media.storedSize || 0} bytes, unused since ${media.unreferencedAt.toISOString()})`);
+    });
+    report.files.removed.forEach(file => {
+        console.log(`  file  ${file.key}  (${file.size || 0} bytes, last modified ${file.lastModified.toISOString()})`);
+    });
+    report.errors.forEach(error => console.error(`  error ${error}`));
+    console.log(summarizeSweep(report));
+    if (dryRun) {
+        console.log('Nothing was deleted. Re-run with --delete to remove these.');
+    }
+};
+
+run()
+    .catch(err => {
+        console.error('Media sweep failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
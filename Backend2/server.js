@@ -4,26 +4,61 @@ require('dotenv').config(); // Load environment variables first
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const path = require('path');
 const multer = require('multer'); // Used for error handling specifically
+const { getStorage } = require('./config/storage');
+const { signedUrls } = require('./middleware/signedUrls');
+const { scheduleMediaSweep } = require('./utils/mediaSweep');
+const { scheduleAuditLogPrune } = require('./utils/auditLog');
+const { scheduleTrashPurge } = require('./utils/trash');
+const { scheduleEventPublishing } = require('./utils/eventPublishing');
+const { scheduleWebhookDeliveries } = require('./utils/webhooks');
+const { scheduleMailQueue } = require('./utils/mailQueue');
+const { scheduleEventReminders } = require('./utils/newsletter');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const eventRoutes = require('./routes/eventRoutes');
+const eventSeriesRoutes = require('./routes/eventSeriesRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const feedRoutes = require('./routes/feedRoutes');
 const teamRoutes = require('./routes/teamRoutes');
+const userRoutes = require('./routes/userRoutes');
+const registrationRoutes = require('./routes/registrationRoutes');
+const certificateRoutes = require('./routes/certificateRoutes');
+const eventCertificateRoutes = require('./routes/eventCertificateRoutes');
+const speakerRoutes = require('./routes/speakerRoutes');
+const academicYearRoutes = require('./routes/academicYearRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
+const verticalRoutes = require('./routes/verticalRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const newsletterRoutes = require('./routes/newsletterRoutes');
+
+const User = require('./models/User');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 const MONGO_URI = process.env.MONGO_URI;
 
+// When deployed behind a proxy (Render, Vercel, nginx), TRUST_PROXY makes req.ip the real client IP,
+// which the rate limiters rely on. Use a hop count (e.g. 1) or 'true'.
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy);
+}
+
 // --- Middleware ---
 app.use(cors()); // Enable CORS for all origins during development
 app.use(express.json()); // Parse JSON request bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded request bodies
+app.use(signedUrls); // Private buckets: hand out signed URLs for stored files (S3_SIGNED_URLS)
 
-// Serve static files from the 'uploads' directory
-// IMPORTANT: Create an 'uploads' folder in your backend root directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve uploaded files when they are stored on local disk (STORAGE_DRIVER=local, see config/storage.js)
+// Every upload gets a new unique file name and is never modified, so browsers may cache it for a year
+const storage = getStorage();
+if (storage.name === 'local') {
+    app.use('/uploads', express.static(storage.directory, { maxAge: '1y', immutable: true }));
+}
 
 const allowedOrigins = [
     'http://localhost:3000',
@@ -33,14 +68,46 @@ const allowedOrigins = [
 
 // --- MongoDB Connection ---
 mongoose.connect(MONGO_URI)
-    .then(() => console.log('MongoDB connected successfully'))
+    .then(() => {
+        console.log('MongoDB connected successfully');
+        // Remove unused uploads periodically (MEDIA_SWEEP_INTERVAL_HOURS, see utils/mediaSweep.js)
+        scheduleMediaSweep();
+        // Drop audit log entries past AUDIT_LOG_RETENTION_DAYS once a day (see utils/auditLog.js)
+        scheduleAuditLogPrune();
+        // Purge events and team members deleted more than TRASH_RETENTION_DAYS ago (see utils/trash.js)
+        scheduleTrashPurge();
+        // Publish scheduled events once their publishAt has passed (see utils/eventPublishing.js)
+        scheduleEventPublishing();
+        // Send webhook deliveries that are due for a retry (see utils/webhooks.js)
+        scheduleWebhookDeliveries();
+        // Send queued emails at MAIL_RATE_PER_MINUTE, retrying failures (see utils/mailQueue.js)
+        scheduleMailQueue();
+        // Queue newsletter reminders for events starting within a day (see utils/newsletter.js)
+        scheduleEventReminders();
+        // Create the first super-admin from CLUB_EMAIL / ADMIN_SECRET on an empty database
+        return User.ensureBootstrapAdmin();
+    })
     .catch(err => console.error('MongoDB connection error:', err));
 
 // --- Routes ---
 // These lines mount your route handlers under specific base paths
 app.use('/api/auth', authRoutes);
 app.use('/api/events', eventRoutes);
+app.use('/api/event-series', eventSeriesRoutes); // Recurring events and their sessions
+app.use('/api/calendar.ics', calendarRoutes); // iCalendar feed
+app.use('/api/feeds', feedRoutes); // RSS, Atom and JSON Feed
+app.use('/api/events/:eventId/certificates', eventCertificateRoutes);
+app.use('/api/events/:eventId', registrationRoutes); // /register and /registrations
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/speakers', speakerRoutes);
 app.use('/api/team-members', teamRoutes);
+app.use('/api/verticals', verticalRoutes);
+app.use('/api/academic-years', academicYearRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/admin/audit', auditRoutes);
+app.use('/api/admin/webhooks', webhookRoutes); // Outbound webhooks and their delivery log
+app.use('/api/newsletter', newsletterRoutes); // Subscriptions and campaigns
 
 // --- NEW TEST ROUTE (for debugging "API not found") ---
 // This route should be directly accessible at http://localhost:5000/test
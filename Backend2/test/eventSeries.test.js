@@ -0,0 +1,128 @@
+// Backend2/test/eventSeries.test.js
+// Sessions created, changed or trashed through their series (utils/eventSeries.js) fire the same
+// Event webhooks as events edited one at a time. Saves are kept in memory and deliveries captured.
+// The public series list (routes/eventSeriesRoutes.js) only counts sessions that aren't in the trash.
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { createSessions, syncSessions, deleteSeries } = require('../utils/eventSeries');
+const eventSeriesRoutes = require('../routes/eventSeriesRoutes');
+const { fakeQuery, startApp } = require('./helpers');
+
+const createSeries = (title = 'Solidity study group') => new EventSeries({
+    title,
+    timezone: 'Asia/Kolkata',
+    recurrence: { frequency: 'weekly', startDate: '2030-01-07', startTime: '18:00', durationMinutes: 90, count: 3 }
+});
+
+// A session as read from the database (so only later changes count as modified)
+const createSession = (series, status, overrides = {}) => Event.hydrate(new Event({
+    eventName: series.title,
+    eventDate: new Date('2030-01-07T12:30:00Z'),
+    timezone: series.timezone,
+    series: series._id,
+    seriesOccurrence: '2030-01-07',
+    status,
+    ...overrides
+}).toObject());
+
+describe('event series webhooks', () => {
+    let deliveries;
+
+    beforeEach((t) => {
+        deliveries = [];
+        t.mock.method(Event.prototype, 'validate', async () => {});
+        t.mock.method(Event.prototype, 'save', async function() {
+            return this;
+        });
+        t.mock.method(Webhook, 'find', () => fakeQuery([{ _id: new mongoose.Types.ObjectId() }]));
+        t.mock.method(WebhookDelivery, 'insertMany', async (docs) => {
+            deliveries.push(...docs);
+            return [];
+        });
+    });
+
+    const firedFor = (type) => deliveries
+        .filter(delivery => delivery.event === type)
+        .map(delivery => delivery.payload.data.event);
+
+    it('announce the sessions of a series created as published', async () => {
+        const sessions = await createSessions(createSeries(), { status: 'published' });
+
+        assert.equal(sessions.length, 3);
+        assert.equal(firedFor('event.created').length, 3);
+        assert.equal(firedFor('event.published').length, 3);
+    });
+
+    it('fire nothing for the sessions of a draft series', async () => {
+        await createSessions(createSeries(), { status: 'draft' });
+        assert.deepEqual(deliveries, []);
+    });
+
+    it('fire event.updated for published sessions renamed with their series', async (t) => {
+        const series = createSeries('Solidity study group');
+        const following = createSession(series, 'published');
+        const overriding = createSession(series, 'published', { eventName: 'Special session', seriesOverrides: ['eventName'] });
+        const draft = createSession(series, 'draft');
+        t.mock.method(Event, 'find', () => fakeQuery([following, overriding, draft]));
+
+        series.title = 'Smart contract study group';
+        const result = await syncSessions(series, { fields: ['eventName'] });
+
+        assert.equal(result.updated, 2);
+        assert.deepEqual(deliveries.map(delivery => delivery.event), ['event.updated']);
+        const [update] = deliveries;
+        assert.equal(update.payload.data.event._id, String(following._id));
+        assert.equal(update.payload.data.event.eventName, 'Smart contract study group');
+        assert.deepEqual(update.payload.data.changedFields, ['eventName']);
+    });
+
+    it('fire event.deleted with the last public version for published sessions of a deleted series', async (t) => {
+        const series = createSeries();
+        const published = createSession(series, 'published');
+        const draft = createSession(series, 'draft');
+        t.mock.method(Event, 'find', () => fakeQuery([published, draft]));
+        t.mock.method(Event, 'updateMany', async () => ({ modifiedCount: 2 }));
+        t.mock.method(EventSeries, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+        assert.equal(await deleteSeries(series), 2);
+        assert.ok(published.deletedAt);
+        assert.deepEqual(deliveries.map(delivery => delivery.event), ['event.deleted']);
+        const [deleted] = firedFor('event.deleted');
+        assert.equal(deleted._id, String(published._id));
+        assert.equal(deleted.status, 'published');
+        assert.equal(deleted.deletedAt, null);
+    });
+});
+
+describe('public event series list', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp('/api/event-series', eventSeriesRoutes);
+    });
+
+    after(() => app.close());
+
+    it('GET / only lists series with a published session that isn\'t trashed', async (t) => {
+        const series = createSeries();
+        t.mock.method(Event, 'distinct', async () => [series._id]);
+        t.mock.method(EventSeries, 'find', () => fakeQuery([series]));
+        t.mock.method(EventSeries, 'countDocuments', () => fakeQuery(1));
+
+        const response = await fetch(app.url);
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(body.data.map(item => item.title), [series.title]);
+        const [field, filter] = Event.distinct.mock.calls[0].arguments;
+        assert.equal(field, 'series');
+        assert.equal(filter.status, 'published');
+        assert.equal(filter.deletedAt, null);
+        assert.ok('deletedAt' in filter);
+    });
+});
@@ -0,0 +1,56 @@
+// Backend2/test/helpers.js
+// Shared by the tests (npm test runs test/*.test.js with node:test). The tests don't use a
+// database: model methods are replaced with t.mock.method() and resolve to canned documents.
+// Mongoose doesn't wait for a connection here, so a query a test didn't expect fails right away.
+const http = require('http');
+const express = require('express');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+// A stand-in for a Mongoose query that resolves to `result`. The chained methods the routes
+// call (populate, sort, ...) return the query itself and change nothing.
+const fakeQuery = (result) => {
+    const query = {
+        exec: async () => result,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    ['populate', 'select', 'sort', 'skip', 'limit', 'lean', 'setOptions', 'session'].forEach(method => {
+        query[method] = () => query;
+    });
+    return query;
+};
+
+// Listens on a free local port. Resolves to { server, url, close }.
+const listen = (server) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        resolve({
+            server,
+            url: `http://127.0.0.1:${port}`,
+            close: () => new Promise(done => {
+                server.closeAllConnections();
+                server.close(done);
+            })
+        });
+    });
+});
+
+// Serves `router` under `mountPath` the way server.js mounts it; `url` includes the mount path
+const startApp = async (mountPath, router) => {
+    const app = express();
+    app.use(express.json());
+    app.use(mountPath, router);
+    const started = await listen(http.createServer(app));
+    return { ...started, url: `${started.url}${mountPath}` };
+};
+
+// A plain HTTP server that hands every request, with its body read into a Buffer, to `handler`
+const startHttpServer = (handler) => listen(http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => handler(req, res, Buffer.concat(chunks)));
+}));
+
+module.exports = { fakeQuery, startApp, startHttpServer };
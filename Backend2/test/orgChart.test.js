@@ -0,0 +1,83 @@
+// Backend2/test/orgChart.test.js
+// Reordering tenures and verticals (utils/orgChart.js) checks the whole order first and writes it
+// with one bulkWrite, without a transaction (standalone MongoDB servers have none).
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const TeamMember = require('../models/TeamMember');
+const Vertical = require('../models/Vertical');
+const { reorderTenures, reorderVerticals } = require('../utils/orgChart');
+const { fakeQuery } = require('./helpers');
+
+const YEAR = '2025-26';
+
+const createMember = (name, tenures) => TeamMember.hydrate(new TeamMember({
+    name,
+    tenures,
+    position: tenures[0].position,
+    academicYear: tenures[0].academicYear,
+    displayOrder: tenures[0].displayOrder
+}).toObject());
+
+describe('reordering', () => {
+    beforeEach((t) => {
+        t.mock.method(mongoose.connection, 'transaction', async () => {
+            throw new Error('Transaction numbers are only allowed on a replica set member or mongos');
+        });
+    });
+
+    it('moves every tenure of the group in one bulkWrite', async (t) => {
+        const president = createMember('asha', [
+            { academicYear: YEAR, position: 'President', displayOrder: 1 },
+            { academicYear: '2024-25', position: 'Developer', displayOrder: 1 }
+        ]);
+        const secretary = createMember('ravi', [{ academicYear: YEAR, position: 'Secretary', displayOrder: 2 }]);
+        t.mock.method(TeamMember, 'find', () => fakeQuery([president, secretary]));
+        t.mock.method(TeamMember, 'bulkWrite', async () => ({}));
+
+        await reorderTenures({ academicYear: YEAR, order: [secretary.tenures[0]._id, president.tenures[0]._id] });
+
+        assert.equal(TeamMember.bulkWrite.mock.callCount(), 1);
+        const [operations] = TeamMember.bulkWrite.mock.calls[0].arguments;
+        const [asha, ravi] = operations.map(operation => operation.updateOne);
+        assert.deepEqual(asha.filter, { _id: president._id });
+        assert.deepEqual(asha.update.$set, {
+            position: 'President',
+            academicYear: YEAR,
+            displayOrder: 2,
+            'tenures.$[t0].displayOrder': 2
+        });
+        assert.deepEqual(asha.arrayFilters, [{ 't0._id': president.tenures[0]._id }]);
+        assert.equal(ravi.update.$set['tenures.$[t0].displayOrder'], 1);
+        assert.equal(ravi.update.$set.displayOrder, 1);
+    });
+
+    it('writes nothing when the order leaves a tenure out', async (t) => {
+        const president = createMember('asha', [{ academicYear: YEAR, position: 'President', displayOrder: 1 }]);
+        const secretary = createMember('ravi', [{ academicYear: YEAR, position: 'Secretary', displayOrder: 2 }]);
+        t.mock.method(TeamMember, 'find', () => fakeQuery([president, secretary]));
+        t.mock.method(TeamMember, 'bulkWrite', async () => ({}));
+
+        await assert.rejects(
+            reorderTenures({ academicYear: YEAR, order: [president.tenures[0]._id] }),
+            /must list every tenure/
+        );
+        assert.equal(TeamMember.bulkWrite.mock.callCount(), 0);
+    });
+
+    it('moves every vertical in one bulkWrite, and none for an incomplete order', async (t) => {
+        const tech = new Vertical({ name: 'Tech' });
+        const design = new Vertical({ name: 'Design' });
+        t.mock.method(Vertical, 'find', () => fakeQuery([tech, design]));
+        t.mock.method(Vertical, 'bulkWrite', async () => ({}));
+
+        await assert.rejects(reorderVerticals([String(tech._id)]), /must list every vertical/);
+        await reorderVerticals([String(design._id), String(tech._id)]);
+
+        assert.equal(Vertical.bulkWrite.mock.callCount(), 1);
+        assert.deepEqual(Vertical.bulkWrite.mock.calls[0].arguments[0], [
+            { updateOne: { filter: { _id: String(design._id) }, update: { $set: { displayOrder: 1 } } } },
+            { updateOne: { filter: { _id: String(tech._id) }, update: { $set: { displayOrder: 2 } } } }
+        ]);
+    });
+});
@@ -0,0 +1,263 @@
+// Backend2/test/storage.test.js
+// The S3 storage driver (config/storage.js) against a stand-in for a MinIO-style server: path-style
+// requests on a local port, objects kept in memory. Also checks how image uploads
+// (utils/images.js, middleware/imageUpload.js) treat a storage that refuses writes, and that private
+// buckets get signed URLs (middleware/signedUrls.js).
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const sharp = require('sharp');
+const { createS3Storage, getStorage, setStorage } = require('../config/storage');
+const { processImage } = require('../utils/images');
+const { processImageUpload } = require('../middleware/imageUpload');
+const { signedUrls } = require('../middleware/signedUrls');
+const { startApp, startHttpServer } = require('./helpers');
+
+const BUCKET = 'club';
+const LIST_PAGE_SIZE = 2;
+
+const xmlError = (res, status, code) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+};
+
+// --- Helper: ListObjectsV2, LIST_PAGE_SIZE objects per page ---
+const listObjects = (objects, query, res) => {
+    const prefix = query.get('prefix') || '';
+    const keys = [...objects.keys()].filter(key => key.startsWith(prefix)).sort();
+    const start = parseInt(query.get('continuation-token') || '0', 10);
+    const page = keys.slice(start, start + LIST_PAGE_SIZE);
+    const truncated = start + LIST_PAGE_SIZE < keys.length;
+    const contents = page.map(key => {
+        const object = objects.get(key);
+        return `<Contents><Key>${key}</Key><LastModified>${object.lastModified.toISOString()}</LastModified><ETag>"etag"</ETag><Size>${object.body.length}</Size><StorageClass>STANDARD</StorageClass></Contents>`;
+    }).join('');
+    res.writeHead(200, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/"><Name>${BUCKET}</Name><Prefix>${prefix}</Prefix><KeyCount>${page.length}</KeyCount><MaxKeys>${LIST_PAGE_SIZE}</MaxKeys><IsTruncated>${truncated}</IsTruncated>${contents}${truncated ? `<NextContinuationToken>${start + LIST_PAGE_SIZE}</NextContinuationToken>` : ''}</ListBucketResult>`);
+};
+
+// A MinIO-style server for one bucket. `state.denyWrites` answers PUTs with 403 AccessDenied.
+const startS3StandIn = async () => {
+    const objects = new Map();
+    const state = { denyWrites: false };
+    const server = await startHttpServer((req, res, body) => {
+        const url = new URL(req.url, 'http://localhost');
+        const [bucket, ...keyParts] = url.pathname.slice(1).split('/');
+        const key = decodeURIComponent(keyParts.join('/'));
+        if (bucket !== BUCKET) return xmlError(res, 404, 'NoSuchBucket');
+
+        if (!key) {
+            if (req.method === 'GET' && url.searchParams.get('list-type') === '2') return listObjects(objects, url.searchParams, res);
+            return xmlError(res, 400, 'InvalidRequest');
+        }
+
+        const object = objects.get(key);
+        switch (req.method) {
+            case 'PUT':
+                if (state.denyWrites) return xmlError(res, 403, 'AccessDenied');
+                objects.set(key, {
+                    body,
+                    contentType: req.headers['content-type'],
+                    cacheControl: req.headers['cache-control'],
+                    lastModified: new Date()
+                });
+                res.writeHead(200, { ETag: '"etag"' });
+                return res.end();
+            case 'GET':
+                if (!object) return xmlError(res, 404, 'NoSuchKey');
+                res.writeHead(200, { 'Content-Type': object.contentType, 'Content-Length': object.body.length, ETag: '"etag"' });
+                return res.end(object.body);
+            case 'HEAD':
+                res.writeHead(object ? 200 : 404, object ? { 'Content-Length': object.body.length } : {});
+                return res.end();
+            case 'DELETE':
+                objects.delete(key);
+                res.writeHead(204);
+                return res.end();
+            default:
+                return xmlError(res, 405, 'MethodNotAllowed');
+        }
+    });
+    return { ...server, objects, state };
+};
+
+describe('S3 storage driver', () => {
+    let s3;
+    let storage;
+    let previousStorage;
+
+    const createStandInStorage = (options = {}) => createS3Storage({
+        bucket: BUCKET,
+        region: 'us-east-1',
+        endpoint: s3.url,
+        forcePathStyle: true,
+        accessKeyId: 'minio',
+        secretAccessKey: 'minio-secret',
+        keyPrefix: 'uploads/',
+        ...options
+    });
+
+    before(async () => {
+        s3 = await startS3StandIn();
+        storage = createStandInStorage();
+        previousStorage = getStorage();
+        setStorage(storage);
+    });
+
+    after(async () => {
+        setStorage(previousStorage);
+        storage.client.destroy();
+        await s3.close();
+    });
+
+    beforeEach(() => {
+        s3.objects.clear();
+        s3.state.denyWrites = false;
+    });
+
+    it('stores, reads, checks and deletes objects under the key prefix', async () => {
+        await storage.put('poster-1.webp', Buffer.from('image bytes'), { contentType: 'image/webp', cacheControl: 'public, max-age=60' });
+
+        const stored = s3.objects.get('uploads/poster-1.webp');
+        assert.equal(stored.body.toString(), 'image bytes');
+        assert.equal(stored.contentType, 'image/webp');
+        assert.equal(stored.cacheControl, 'public, max-age=60');
+
+        assert.equal((await storage.get('poster-1.webp')).toString(), 'image bytes');
+        assert.equal(await storage.exists('poster-1.webp'), true);
+        assert.equal(await storage.exists('missing.webp'), false);
+
+        await storage.delete('poster-1.webp');
+        assert.equal(await storage.exists('poster-1.webp'), false);
+        await storage.delete('poster-1.webp'); // Deleting a missing object is fine
+    });
+
+    it('refuses keys it didn\'t generate', () => {
+        assert.throws(() => storage.put('../secrets.txt', Buffer.from('x')), /Invalid storage key/);
+        assert.throws(() => storage.getUrl('nested/key.webp'), /Invalid storage key/);
+    });
+
+    it('lists every page of objects under the prefix, skipping nested ones', async () => {
+        ['a.webp', 'b.webp', 'c.webp', 'd.webp', 'e.webp'].forEach(key => {
+            s3.objects.set(`uploads/${key}`, { body: Buffer.from(key), lastModified: new Date() });
+        });
+        s3.objects.set('uploads/thumbs/f.webp', { body: Buffer.from('f'), lastModified: new Date() });
+        s3.objects.set('backups/g.webp', { body: Buffer.from('g'), lastModified: new Date() });
+
+        const files = await storage.list();
+        assert.deepEqual(files.map(file => file.key), ['a.webp', 'b.webp', 'c.webp', 'd.webp', 'e.webp']);
+        assert.equal(files[0].size, 6);
+        assert.ok(files[0].lastModified instanceof Date);
+    });
+
+    it('maps public URLs to keys and back', () => {
+        const url = storage.getUrl('poster-1.webp');
+        assert.equal(url, `${s3.url}/${BUCKET}/uploads/poster-1.webp`);
+        assert.equal(storage.keyFromUrl(url), 'poster-1.webp');
+        assert.equal(storage.keyFromUrl('https://example.com/uploads/poster-1.webp'), null);
+        assert.equal(storage.keyFromUrl('/uploads/poster-1.webp'), null);
+    });
+
+    it('stores every variant of an uploaded image', async () => {
+        const png = await sharp({ create: { width: 1600, height: 900, channels: 3, background: '#0056b3' } }).png().toBuffer();
+        const processed = await processImage(png, { prefix: 'poster' });
+
+        const urls = Object.values(processed.variants).flatMap(variant => [variant.webp, variant.fallback]);
+        assert.ok(urls.includes(processed.value));
+        urls.forEach(url => {
+            const object = s3.objects.get(`uploads/${storage.keyFromUrl(url)}`);
+            assert.ok(object, `${url} should be stored`);
+            assert.match(object.contentType, /^image\//);
+            assert.equal(object.cacheControl, 'public, max-age=31536000, immutable');
+        });
+        assert.equal(processed.storedSize, [...s3.objects.values()].reduce((total, object) => total + object.body.length, 0));
+    });
+
+    describe('signed URLs', () => {
+        let signingStorage;
+        let app;
+
+        before(async () => {
+            signingStorage = createStandInStorage({ signedUrls: true, signedUrlTtlSeconds: 120 });
+            const router = express.Router();
+            router.use(signedUrls);
+            router.get('/', (req, res) => res.json({
+                poster: { type: 'upload', value: signingStorage.getUrl('poster-1.jpg'), variants: { card: { webp: signingStorage.getUrl('poster-1-card.webp') } } },
+                photos: [signingStorage.getUrl('poster-1.jpg')],
+                website: 'https://example.com/uploads/poster-1.jpg'
+            }));
+            app = await startApp('/api/poster', router);
+        });
+
+        after(async () => {
+            signingStorage.client.destroy();
+            await app.close();
+        });
+
+        it('read private objects for a limited time', async () => {
+            await storage.put('poster-1.webp', Buffer.from('image bytes'), { contentType: 'image/webp' });
+            const signed = new URL(await signingStorage.getSignedUrl('poster-1.webp'));
+
+            assert.equal(`${signed.origin}${signed.pathname}`, storage.getUrl('poster-1.webp'));
+            assert.equal(signed.searchParams.get('X-Amz-Expires'), '120');
+            assert.ok(signed.searchParams.get('X-Amz-Signature'));
+            assert.equal(new URL(await signingStorage.getSignedUrl('poster-1.webp', { expiresIn: 60 })).searchParams.get('X-Amz-Expires'), '60');
+            assert.equal(await (await fetch(signed)).text(), 'image bytes');
+        });
+
+        it('replace stored URLs in JSON responses only when the driver signs URLs', async (t) => {
+            t.mock.method(signingStorage, 'getSignedUrl', async (key) => `signed:${key}`);
+
+            setStorage(signingStorage);
+            const signedBody = await (await fetch(app.url)).json();
+            setStorage(storage);
+            const publicBody = await (await fetch(app.url)).json();
+
+            assert.deepEqual(signedBody, {
+                poster: { type: 'upload', value: 'signed:poster-1.jpg', variants: { card: { webp: 'signed:poster-1-card.webp' } } },
+                photos: ['signed:poster-1.jpg'],
+                website: 'https://example.com/uploads/poster-1.jpg'
+            });
+            assert.equal(signingStorage.getSignedUrl.mock.callCount(), 2);
+            assert.equal(publicBody.poster.value, storage.getUrl('poster-1.jpg'));
+        });
+    });
+
+    describe('image uploads', () => {
+        // --- Helper: runs the upload middleware on `buffer`; resolves to { status, body } or 'next' ---
+        const upload = (buffer) => new Promise(resolve => {
+            const req = { file: { buffer, fieldname: 'poster', originalname: 'poster.png', size: buffer.length } };
+            const res = {
+                statusCode: 200,
+                status(code) {
+                    this.statusCode = code;
+                    return this;
+                },
+                json(body) {
+                    resolve({ status: this.statusCode, body });
+                    return this;
+                }
+            };
+            processImageUpload(req, res, () => resolve('next'));
+        });
+
+        it('answers 500 without the storage error when the storage refuses writes', async (t) => {
+            t.mock.method(console, 'error', () => {});
+            s3.state.denyWrites = true;
+            const png = await sharp({ create: { width: 20, height: 20, channels: 3, background: '#fff' } }).png().toBuffer();
+
+            const { status, body } = await upload(png);
+            assert.equal(status, 500);
+            assert.equal(body.message, 'Server error saving the uploaded image.');
+            assert.equal(s3.objects.size, 0);
+        });
+
+        it('answers 400 for files that aren\'t images', async (t) => {
+            t.mock.method(console, 'error', () => {});
+            const { status, body } = await upload(Buffer.from('definitely not an image'));
+            assert.equal(status, 400);
+            assert.match(body.message, /^Only images/);
+            assert.equal(s3.objects.size, 0);
+        });
+    });
+});
@@ -0,0 +1,182 @@
+// Backend2/test/teamRoutes.test.js
+// The public team endpoints (routes/teamRoutes.js) only show the contact details a member made
+// public: phoneNumber, telegramLink and linkedinId depend on their is*Public flag and idNumber is
+// never shown.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const TeamMember = require('../models/TeamMember');
+const AcademicYear = require('../models/AcademicYear');
+const Vertical = require('../models/Vertical');
+const teamRoutes = require('../routes/teamRoutes');
+const { fakeQuery, startApp } = require('./helpers');
+
+const CONTACT_FIELDS = ['phoneNumber', 'telegramLink', 'linkedinId'];
+const CURRENT_YEAR = '2025-26';
+
+const tech = new Vertical({ name: 'Tech', displayOrder: 1 });
+
+// --- Helper: a member with every contact field filled in, public or not ---
+const createMember = (name, isPublic, tenures) => new TeamMember({
+    name,
+    idNumber: `ID-${name}`,
+    phoneNumber: '+919876543210',
+    telegramLink: `https://t.me/${name}`,
+    linkedinId: `${name}-linkedin`,
+    isPhoneNumberPublic: isPublic,
+    isTelegramLinkPublic: isPublic,
+    isLinkedinIdPublic: isPublic,
+    tenures,
+    // Normally copied from the latest tenure when the member is validated
+    position: tenures[0].position,
+    academicYear: tenures[0].academicYear,
+    displayOrder: tenures[0].displayOrder
+});
+
+const president = createMember('asha', false, [
+    { academicYear: CURRENT_YEAR, position: 'President', displayOrder: 1 },
+    { academicYear: '2024-25', position: 'Developer', vertical: tech._id }
+]);
+const techLead = createMember('ravi', true, [
+    { academicYear: CURRENT_YEAR, position: 'Tech Lead', vertical: tech._id, isLead: true, displayOrder: 1 }
+]);
+const developer = createMember('meera', false, [
+    { academicYear: CURRENT_YEAR, position: 'Developer', vertical: tech._id, reportsTo: techLead._id, displayOrder: 2 }
+]);
+const alumnus = createMember('kiran', false, [
+    { academicYear: '2023-24', position: 'Treasurer', displayOrder: 3 }
+]);
+
+const assertNoPrivateDetails = (member) => {
+    [...CONTACT_FIELDS, 'idNumber'].forEach(field => {
+        assert.equal(field in member, false, `${member.name} should not show ${field}`);
+    });
+};
+
+const assertPublicDetails = (member) => {
+    CONTACT_FIELDS.forEach(field => assert.ok(member[field], `${member.name} should show ${field}`));
+    assert.equal('idNumber' in member, false, `${member.name} should not show idNumber`);
+};
+
+// --- Helper: answers the member and academic year lookups the public routes make ---
+const stubTeam = (t, members) => {
+    t.mock.method(TeamMember, 'find', () => fakeQuery(members));
+    t.mock.method(TeamMember, 'countDocuments', () => fakeQuery(members.length));
+    t.mock.method(TeamMember, 'findById', id => fakeQuery(members.find(member => member._id.equals(id)) || null));
+    t.mock.method(AcademicYear, 'findCurrent', async () => ({ label: CURRENT_YEAR }));
+    t.mock.method(Vertical, 'find', () => fakeQuery([tech]));
+};
+
+const getJson = async (url) => {
+    const response = await fetch(url);
+    return { status: response.status, body: await response.json() };
+};
+
+describe('public team member routes', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp('/api/team-members', teamRoutes);
+    });
+
+    after(() => app.close());
+
+    it('GET / only shows public contact details', async (t) => {
+        stubTeam(t, [president, techLead]);
+        const { status, body } = await getJson(app.url);
+
+        assert.equal(status, 200);
+        assert.equal(body.pagination.total, 2);
+        const [asha, ravi] = body.data;
+        assertNoPrivateDetails(asha);
+        assertPublicDetails(ravi);
+    });
+
+    it('GET /:id only shows public contact details', async (t) => {
+        stubTeam(t, [president, techLead]);
+
+        const privateMember = await getJson(`${app.url}/${president._id}`);
+        assert.equal(privateMember.status, 200);
+        assert.equal(privateMember.body.name, 'asha');
+        assertNoPrivateDetails(privateMember.body);
+
+        const publicMember = await getJson(`${app.url}/${techLead._id}`);
+        assertPublicDetails(publicMember.body);
+    });
+
+    it('GET /:id answers 404 for an unknown member and 400 for a malformed ID', async (t) => {
+        stubTeam(t, []);
+        t.mock.method(console, 'error', () => {});
+        t.mock.method(TeamMember, 'findById', () => {
+            throw new mongoose.Error.CastError('ObjectId', 'nope', '_id');
+        }, { times: 1 });
+
+        assert.equal((await getJson(`${app.url}/nope`)).status, 400);
+        assert.equal((await getJson(`${app.url}/${new mongoose.Types.ObjectId()}`)).status, 404);
+    });
+
+    it('GET /roster lists the year\'s tenures with public contact details only', async (t) => {
+        stubTeam(t, [president, techLead, developer]);
+        const { status, body } = await getJson(`${app.url}/roster`);
+
+        assert.equal(status, 200);
+        assert.equal(body.academicYear, CURRENT_YEAR);
+        assert.deepEqual(body.data.map(entry => entry.tenure.position), ['President', 'Tech Lead', 'Developer']);
+        const [asha, ravi, meera] = body.data;
+        assertNoPrivateDetails(asha);
+        assertPublicDetails(ravi);
+        assertNoPrivateDetails(meera);
+    });
+
+    it('GET /alumni only shows public contact details', async (t) => {
+        stubTeam(t, [alumnus]);
+        const { status, body } = await getJson(`${app.url}/alumni`);
+
+        assert.equal(status, 200);
+        assert.equal(body.currentAcademicYear, CURRENT_YEAR);
+        assert.equal(body.data.length, 1);
+        assertNoPrivateDetails(body.data[0]);
+        // Only members whose latest tenure is before the current year are alumni
+        const [[filter]] = TeamMember.find.mock.calls.map(call => call.arguments);
+        assert.deepEqual(filter.academicYear, { $lt: CURRENT_YEAR });
+    });
+
+    it('GET /:id/history lists every tenure without private contact details', async (t) => {
+        stubTeam(t, [president]);
+        const { status, body } = await getJson(`${app.url}/${president._id}/history`);
+
+        assert.equal(status, 200);
+        assertNoPrivateDetails(body.member);
+        assert.deepEqual(body.tenures.map(tenure => tenure.academicYear), [CURRENT_YEAR, '2024-25']);
+        assert.equal(body.firstAcademicYear, '2024-25');
+        assert.equal(body.isCurrent, true);
+        assert.equal(body.isAlumni, false);
+    });
+
+    it('GET /org-chart only shows public contact details, at every level', async (t) => {
+        stubTeam(t, [president, techLead, developer]);
+        const { status, body } = await getJson(`${app.url}/org-chart`);
+
+        assert.equal(status, 200);
+        const [asha] = body.leadership;
+        const [techVertical] = body.verticals;
+        const [ravi] = techVertical.leads;
+        const [meera] = ravi.reports;
+
+        assert.equal(asha.name, 'asha');
+        assertNoPrivateDetails(asha);
+        assertPublicDetails(ravi);
+        assert.equal(meera.name, 'meera');
+        assertNoPrivateDetails(meera);
+        assert.deepEqual(techVertical.members, []);
+    });
+
+    it('answers 404 when no academic year is current', async (t) => {
+        stubTeam(t, [president]);
+        t.mock.method(AcademicYear, 'findCurrent', async () => null);
+
+        assert.equal((await getJson(`${app.url}/roster`)).status, 404);
+        assert.equal((await getJson(`${app.url}/org-chart`)).status, 404);
+        assert.equal((await getJson(`${app.url}/alumni`)).status, 404);
+    });
+});
@@ -0,0 +1,268 @@
+// Backend2/test/webhooks.test.js
+// What the webhooks in utils/webhooks.js send. Deliveries are captured where they would be
+// inserted, so nothing is posted unless a test does so itself; the delivery tests post to a
+// receiver on a local port.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const TeamMember = require('../models/TeamMember');
+const Event = require('../models/Event');
+const { triggerChangeWebhooks, sendDelivery, signPayload } = require('../utils/webhooks');
+const { fakeQuery, startHttpServer } = require('./helpers');
+
+const PRIVATE_FIELDS = ['phoneNumber', 'telegramLink', 'linkedinId', 'idNumber'];
+
+// --- Helper: one subscribed webhook; resolves deliveries to [] so none is sent ---
+const captureDeliveries = (t) => {
+    const deliveries = [];
+    t.mock.method(Webhook, 'find', () => fakeQuery([{ _id: new mongoose.Types.ObjectId() }]));
+    t.mock.method(WebhookDelivery, 'insertMany', async (docs) => {
+        deliveries.push(...docs);
+        return [];
+    });
+    return deliveries;
+};
+
+const createMember = (overrides = {}) => new TeamMember({
+    name: 'Asha',
+    idNumber: '21BCE1234',
+    phoneNumber: '+919876543210',
+    telegramLink: 'https://t.me/asha',
+    linkedinId: 'asha-rao',
+    isPhoneNumberPublic: false,
+    isTelegramLinkPublic: false,
+    isLinkedinIdPublic: false,
+    tenures: [{ academicYear: '2025-26', position: 'President' }],
+    position: 'President',
+    academicYear: '2025-26',
+    ...overrides
+});
+
+describe('teamMember webhooks', () => {
+    it('send the public view of the member, without private contact details', async (t) => {
+        const deliveries = captureDeliveries(t);
+        await triggerChangeWebhooks('TeamMember', 'create', null, createMember());
+
+        assert.equal(deliveries.length, 1);
+        const [{ event, payload }] = deliveries;
+        assert.equal(event, 'teamMember.created');
+        assert.equal(payload.type, 'teamMember.created');
+        assert.equal(payload.data.teamMember.name, 'Asha');
+        assert.equal(payload.data.teamMember.position, 'President');
+        PRIVATE_FIELDS.forEach(field => {
+            assert.equal(field in payload.data.teamMember, false, `${field} should not be sent`);
+        });
+    });
+
+    it('send contact details the member made public, but never the ID number', async (t) => {
+        const deliveries = captureDeliveries(t);
+        await triggerChangeWebhooks('TeamMember', 'create', null, createMember({
+            isPhoneNumberPublic: true,
+            isTelegramLinkPublic: true,
+            isLinkedinIdPublic: true
+        }));
+
+        const { teamMember } = deliveries[0].payload.data;
+        assert.equal(teamMember.phoneNumber, '+919876543210');
+        assert.equal(teamMember.telegramLink, 'https://t.me/asha');
+        assert.equal(teamMember.linkedinId, 'asha-rao');
+        assert.equal('idNumber' in teamMember, false);
+    });
+
+    it('list the changed fields on updates without sending the private values', async (t) => {
+        const deliveries = captureDeliveries(t);
+        const member = createMember();
+        const before = member.toObject();
+        member.set({ name: 'Asha Rao', phoneNumber: '+919812345678' });
+        await triggerChangeWebhooks('TeamMember', 'update', before, member);
+
+        const [{ event, payload }] = deliveries;
+        assert.equal(event, 'teamMember.updated');
+        assert.deepEqual([...payload.data.changedFields].sort(), ['name', 'phoneNumber']);
+        assert.equal(payload.data.teamMember.name, 'Asha Rao');
+        assert.equal('phoneNumber' in payload.data.teamMember, false);
+        assert.equal(JSON.stringify(payload).includes('+919812345678'), false);
+    });
+
+    it('fire teamMember.deleted and teamMember.restored', async (t) => {
+        const deliveries = captureDeliveries(t);
+        const member = createMember({ deletedAt: new Date() });
+        await triggerChangeWebhooks('TeamMember', 'delete', null, member);
+        member.deletedAt = null;
+        await triggerChangeWebhooks('TeamMember', 'restore', null, member);
+
+        assert.deepEqual(deliveries.map(delivery => delivery.event), ['teamMember.deleted', 'teamMember.restored']);
+        PRIVATE_FIELDS.forEach(field => assert.equal(field in deliveries[0].payload.data.teamMember, false));
+    });
+});
+
+describe('event webhooks', () => {
+    const createEvent = (status, overrides = {}) => new Event({
+        eventName: 'Intro to Solidity',
+        eventDate: new Date('2026-11-20T12:30:00Z'),
+        status,
+        ...overrides
+    });
+
+    // --- Helper: the webhook types fired for `action` on an event going from `before` to `after` ---
+    const firedTypes = async (t, action, before, after) => {
+        const deliveries = captureDeliveries(t);
+        await triggerChangeWebhooks('Event', action, before && before.toObject(), after);
+        return deliveries.map(delivery => delivery.event);
+    };
+
+    it('fire nothing for drafts and scheduled events', async (t) => {
+        const draft = createEvent('draft');
+        assert.deepEqual(await firedTypes(t, 'create', null, draft), []);
+        assert.deepEqual(await firedTypes(t, 'update', draft, createEvent('scheduled', { _id: draft._id })), []);
+        assert.deepEqual(await firedTypes(t, 'delete', draft, createEvent('draft', { _id: draft._id, deletedAt: new Date() })), []);
+    });
+
+    it('fire event.created and event.published for an event created as published', async (t) => {
+        assert.deepEqual(await firedTypes(t, 'create', null, createEvent('published')), ['event.created', 'event.published']);
+    });
+
+    it('fire event.published when an event goes live', async (t) => {
+        const scheduled = createEvent('scheduled');
+        assert.deepEqual(await firedTypes(t, 'update', scheduled, createEvent('published', { _id: scheduled._id })), ['event.published']);
+    });
+
+    it('fire event.updated with the changed fields for a published event', async (t) => {
+        const deliveries = captureDeliveries(t);
+        const event = createEvent('published');
+        const before = event.toObject();
+        event.eventName = 'Solidity 101';
+        await triggerChangeWebhooks('Event', 'update', before, event);
+
+        assert.deepEqual(deliveries.map(delivery => delivery.event), ['event.updated']);
+        assert.deepEqual(deliveries[0].payload.data.changedFields, ['eventName']);
+        assert.equal(deliveries[0].payload.data.event.eventName, 'Solidity 101');
+    });
+
+    it('fire event.updated when a published event is cancelled or archived', async (t) => {
+        const published = createEvent('published');
+        assert.deepEqual(await firedTypes(t, 'update', published, createEvent('cancelled', { _id: published._id })), ['event.updated']);
+        assert.deepEqual(await firedTypes(t, 'update', published, createEvent('archived', { _id: published._id })), ['event.updated']);
+    });
+
+    it('fire event.deleted with the last public version when a published event is unpublished or deleted', async (t) => {
+        const deliveries = captureDeliveries(t);
+        const published = createEvent('published');
+        const before = published.toObject();
+        await triggerChangeWebhooks('Event', 'update', before, createEvent('draft', { _id: published._id, eventName: 'Draft name' }));
+        await triggerChangeWebhooks('Event', 'delete', before, createEvent('published', { _id: published._id, deletedAt: new Date() }));
+
+        assert.deepEqual(deliveries.map(delivery => delivery.event), ['event.deleted', 'event.deleted']);
+        assert.equal(deliveries[0].payload.data.event.eventName, 'Intro to Solidity');
+        assert.equal(deliveries[0].payload.data.event.status, 'published');
+    });
+
+    it('fire event.restored only for published events', async (t) => {
+        const deleted = createEvent('published', { deletedAt: new Date() });
+        assert.deepEqual(await firedTypes(t, 'restore', deleted, createEvent('published', { _id: deleted._id })), ['event.restored']);
+        const deletedDraft = createEvent('draft', { deletedAt: new Date() });
+        assert.deepEqual(await firedTypes(t, 'restore', deletedDraft, createEvent('draft', { _id: deletedDraft._id })), []);
+    });
+});
+
+describe('webhook deliveries', () => {
+    let receiver;
+    let received;
+    let respond;
+
+    before(async () => {
+        receiver = await startHttpServer((req, res, body) => {
+            received.push({ method: req.method, url: req.url, headers: req.headers, body: body.toString() });
+            respond(res);
+        });
+    });
+
+    after(() => receiver.close());
+
+    // --- Helper: a pending delivery to the receiver, saved in memory only ---
+    const queueDelivery = (t, { path = '/hook', attempts = [] } = {}) => {
+        received = [];
+        const webhook = new Webhook({ name: 'Test receiver', url: `${receiver.url}${path}`, events: ['event.published'], secret: 'whsec_test' });
+        const delivery = new WebhookDelivery({
+            webhook: webhook._id,
+            event: 'event.published',
+            payload: { id: 'delivery-1', type: 'event.published', createdAt: new Date().toISOString(), data: { event: { eventName: 'Intro to Solidity' } } },
+            attempts
+        });
+        t.mock.method(delivery, 'save', async () => delivery);
+        t.mock.method(WebhookDelivery, 'findOneAndUpdate', async () => delivery);
+        t.mock.method(Webhook, 'findById', async () => webhook);
+        t.mock.method(Webhook, 'updateOne', async () => ({ acknowledged: true }));
+        return { webhook, delivery };
+    };
+
+    it('post the payload, signed with the webhook\'s secret', async (t) => {
+        respond = res => res.writeHead(204).end();
+        const { delivery } = queueDelivery(t);
+        const sent = await sendDelivery(delivery._id);
+
+        assert.equal(received.length, 1);
+        const [request] = received;
+        assert.equal(request.method, 'POST');
+        assert.equal(request.url, '/hook');
+        assert.equal(request.headers['content-type'], 'application/json');
+        assert.equal(request.headers['x-webhook-id'], 'delivery-1');
+        assert.equal(request.headers['x-webhook-event'], 'event.published');
+        assert.equal(request.headers['x-webhook-signature'], signPayload('whsec_test', request.headers['x-webhook-timestamp'], request.body));
+        assert.deepEqual(JSON.parse(request.body), delivery.payload);
+
+        assert.equal(sent.status, 'succeeded');
+        assert.equal(sent.attempts[0].responseStatus, 204);
+        assert.ok(sent.deliveredAt);
+        assert.ok(sent.expiresAt);
+        assert.deepEqual(Webhook.updateOne.mock.calls[0].arguments[1], { $set: { lastDeliveryAt: sent.deliveredAt, lastDeliveryStatus: 'succeeded' } });
+    });
+
+    it('retry later when the receiver answers with an error', async (t) => {
+        respond = res => res.writeHead(500).end('Something broke');
+        const { delivery } = queueDelivery(t);
+        const startedAt = Date.now();
+        const sent = await sendDelivery(delivery._id);
+
+        assert.equal(sent.status, 'pending');
+        assert.equal(sent.attempts[0].responseStatus, 500);
+        assert.equal(sent.attempts[0].responseBody, 'Something broke');
+        assert.ok(sent.nextAttemptAt.getTime() >= startedAt + 30 * 1000);
+        assert.equal(Webhook.updateOne.mock.callCount(), 0);
+    });
+
+    it('don\'t follow redirects', async (t) => {
+        respond = res => res.writeHead(302, { Location: '/elsewhere' }).end();
+        const { delivery } = queueDelivery(t);
+        const sent = await sendDelivery(delivery._id);
+
+        assert.equal(received.length, 1);
+        assert.equal(sent.status, 'pending');
+        assert.equal(sent.attempts[0].responseStatus, 302);
+    });
+
+    it('give up after the last attempt', async (t) => {
+        respond = res => res.writeHead(503).end();
+        const earlier = Array.from({ length: 7 }, () => ({ at: new Date(), responseStatus: 503 }));
+        const { delivery } = queueDelivery(t, { attempts: earlier });
+        const sent = await sendDelivery(delivery._id);
+
+        assert.equal(sent.attempts.length, 8);
+        assert.equal(sent.status, 'failed');
+        assert.equal(Webhook.updateOne.mock.calls[0].arguments[1].$set.lastDeliveryStatus, 'failed');
+    });
+
+    it('record an unreachable receiver as a failed attempt', async (t) => {
+        const { delivery, webhook } = queueDelivery(t);
+        const closed = await startHttpServer(() => {});
+        webhook.url = `${closed.url}/hook`;
+        await closed.close();
+        const sent = await sendDelivery(delivery._id);
+
+        assert.equal(sent.status, 'pending');
+        assert.equal(sent.attempts[0].responseStatus, null);
+        assert.ok(sent.attempts[0].error);
+    });
+});
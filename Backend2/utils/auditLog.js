@@ -0,0 +1,137 @@
+// Backend2/utils/auditLog.js
+// Writing and pruning the audit log (models/AuditLog.js). Entries come from middleware/auditTrail.js.
+//
+// Retention: entries older than AUDIT_LOG_RETENTION_DAYS (default 365, 0 keeps them forever) are
+// removed once a day while the server is connected.
+const AuditLog = require('../models/AuditLog');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const TeamMember = require('../models/TeamMember');
+const User = require('../models/User');
+const Media = require('../models/Media');
+const Webhook = require('../models/Webhook');
+const Campaign = require('../models/Campaign');
+const Subscriber = require('../models/Subscriber');
+const Speaker = require('../models/Speaker');
+const Vertical = require('../models/Vertical');
+const AcademicYear = require('../models/AcademicYear');
+const CertificateTemplate = require('../models/CertificateTemplate');
+const Certificate = require('../models/Certificate');
+const Registration = require('../models/Registration');
+const { scheduleJob } = require('./jobRunner');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 365;
+
+// Audited models and the field that names a document in the log
+const AUDITED_MODELS = {
+    Event: { Model: Event, label: 'eventName' },
+    EventSeries: { Model: EventSeries, label: 'title' },
+    TeamMember: { Model: TeamMember, label: 'name' },
+    User: { Model: User, label: 'email' },
+    Media: { Model: Media, label: 'originalName' },
+    Webhook: { Model: Webhook, label: 'name' },
+    Campaign: { Model: Campaign, label: 'subject' },
+    Subscriber: { Model: Subscriber, label: 'email' },
+    Speaker: { Model: Speaker, label: 'name' },
+    Vertical: { Model: Vertical, label: 'name' },
+    AcademicYear: { Model: AcademicYear, label: 'label' },
+    CertificateTemplate: { Model: CertificateTemplate, label: 'name' },
+    Certificate: { Model: Certificate, label: 'verificationId' },
+    Registration: { Model: Registration, label: 'email' }
+};
+
+// Never copied into the log (password/secret hashes, invitation tokens, ...)
+const SECRET_KEY_REGEX = /password|secret|token|otp/i;
+// Bookkeeping that changes on every save and says nothing about what the admin did
+const IGNORED_PATHS = ['__v', 'updatedAt', 'references', 'unreferencedAt'];
+
+const readRetentionDays = () => {
+    const value = parseFloat(process.env.AUDIT_LOG_RETENTION_DAYS);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_RETENTION_DAYS;
+};
+
+// --- Helper: a document as plain JSON values (ObjectIds and dates as strings), secrets redacted ---
+const toAuditSnapshot = (doc) => {
+    if (!doc) return null;
+    return JSON.parse(JSON.stringify(doc), (key, value) => (
+        key && SECRET_KEY_REGEX.test(key) && value !== null && typeof value !== 'object' ? '[redacted]' : value
+    ));
+};
+
+// --- Helper: dotted path -> value for every leaf (arrays are compared as a whole) ---
+const flatten = (value, prefix = '', out = {}) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([key, child]) => flatten(child, prefix ? `${prefix}.${key}` : key, out));
+    } else if (prefix) {
+        out[prefix] = value;
+    }
+    return out;
+};
+
+// The fields that differ between two snapshots, as [{ path, before, after }] sorted by path
+const diffSnapshots = (before, after) => {
+    const beforeFields = flatten(before || {});
+    const afterFields = flatten(after || {});
+    const paths = new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)]);
+    return [...paths]
+        .filter(path => !IGNORED_PATHS.includes(path.split('.')[0]) && path !== '_id')
+        .filter(path => JSON.stringify(beforeFields[path]) !== JSON.stringify(afterFields[path]))
+        .sort()
+        .map(path => ({
+            path,
+            before: beforeFields[path] === undefined ? null : beforeFields[path],
+            after: afterFields[path] === undefined ? null : afterFields[path]
+        }));
+};
+
+// Writes one entry. `before`/`after` are the document (any form) before and after the change;
+// null for creates/deletes and for bulk actions, which describe themselves in `details`.
+const recordAudit = async ({ req, action, resource, documentId = null, before = null, after = null, details, statusCode }) => {
+    const beforeSnapshot = toAuditSnapshot(before);
+    const afterSnapshot = toAuditSnapshot(after);
+    const labelField = AUDITED_MODELS[resource] && AUDITED_MODELS[resource].label;
+    const labelSource = afterSnapshot || beforeSnapshot || {};
+
+    return AuditLog.create({
+        actor: req.user ? { user: req.user.id, name: req.user.name, email: req.user.email, role: req.user.role } : undefined,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        action,
+        resource,
+        documentId,
+        documentLabel: labelField && labelSource[labelField] ? String(labelSource[labelField]) : '',
+        method: req.method,
+        path: req.originalUrl,
+        statusCode,
+        changes: diffSnapshots(beforeSnapshot, afterSnapshot),
+        details
+    });
+};
+
+// Removes entries older than `retentionDays`. Resolves to the number removed.
+const pruneAuditLog = async ({ retentionDays = readRetentionDays() } = {}) => {
+    if (!retentionDays) return 0;
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+    const result = await AuditLog.deleteMany({ createdAt: { $lt: cutoff } }, { retention: true });
+    return result.deletedCount;
+};
+
+// Starts the daily prune. Returns the timer (or null when entries are kept forever); it doesn't keep the process alive.
+const scheduleAuditLogPrune = () => {
+    if (!readRetentionDays()) return null;
+
+    return scheduleJob('Audit log prune', DAY_MS, async () => {
+        const removed = await pruneAuditLog();
+        if (removed > 0) console.log(`Audit log: removed ${removed} entr${removed === 1 ? 'y' : 'ies'} past the retention period.`);
+    });
+};
+
+module.exports = {
+    AUDITED_MODELS,
+    toAuditSnapshot,
+    diffSnapshots,
+    recordAudit,
+    pruneAuditLog,
+    scheduleAuditLogPrune
+};
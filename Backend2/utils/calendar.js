@@ -0,0 +1,118 @@
+// Backend2/utils/calendar.js
+// iCalendar (RFC 5545) output for events: a single event download (GET /api/events/:id/ics) and the
+// subscribable feed (GET /api/calendar.ics). Each event keeps the same UID for life and carries its
+// calendarSequence (bumped by the Event model whenever something shown in a calendar changes), so
+// calendar apps update their copy instead of adding a second one. Cancelled events stay in the feed
+// with STATUS:CANCELLED so subscribers see the cancellation.
+const { describeVenue } = require('./eventLogistics');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const CLUB_NAME = 'The Blockchain Club';
+const PRODUCT_ID = `-//${CLUB_NAME}//Events//EN`;
+const MAX_LINE_OCTETS = 75;
+
+// Statuses that appear in calendars: published events, and cancelled ones that were published before
+const CALENDAR_FILTER = { status: { $in: ['published', 'cancelled'] }, publishedAt: { $ne: null } };
+
+const getEventUrl = (event) => `${FRONTEND_URL}/events/${event._id}`;
+
+const getUidDomain = () => {
+    try {
+        return new URL(FRONTEND_URL).hostname;
+    } catch (e) {
+        return 'localhost';
+    }
+};
+
+// --- Value formatting ---
+
+// TEXT values: backslashes, semicolons, commas and newlines are escaped
+const escapeText = (value) => String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+
+// UTC date-time, e.g. 20250910T120000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space,
+// without splitting a multi-byte character
+const foldLine = (line) => {
+    const chunks = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            chunks.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+};
+
+// --- Components ---
+
+// The VEVENT lines for one event
+const buildVEvent = (event) => {
+    const description = [event.description, `Details: ${getEventUrl(event)}`].filter(Boolean).join('\n\n');
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:event-${event._id}@${getUidDomain()}`,
+        `DTSTAMP:${formatDateTime(event.updatedAt || new Date())}`,
+        `DTSTART:${formatDateTime(event.eventDate)}`
+    ];
+    if (event.eventEndDate) lines.push(`DTEND:${formatDateTime(event.eventEndDate)}`);
+    lines.push(
+        `SEQUENCE:${event.calendarSequence || 0}`,
+        `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+        `SUMMARY:${escapeText(event.status === 'cancelled' ? `Cancelled: ${event.eventName}` : event.eventName)}`,
+        `DESCRIPTION:${escapeText(description)}`
+    );
+    const location = describeVenue(event.venue);
+    if (location) lines.push(`LOCATION:${escapeText(location)}`);
+    lines.push(`URL:${getEventUrl(event)}`);
+    if (process.env.CLUB_EMAIL) {
+        lines.push(`ORGANIZER;CN="${CLUB_NAME}":mailto:${process.env.CLUB_EMAIL}`);
+    }
+    if (event.createdAt) lines.push(`CREATED:${formatDateTime(event.createdAt)}`);
+    if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+// A complete VCALENDAR with the given events, as a string with CRLF line endings.
+// `name` is shown by calendar apps for subscribed feeds.
+const buildCalendar = (events, { name = `${CLUB_NAME} Events` } = {}) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        // How often subscribers should check for changes
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...events.flatMap(buildVEvent),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Sends `calendar` as a text/calendar response; `fileName` makes it a download
+const sendCalendar = (res, calendar, fileName) => {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    if (fileName) {
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    }
+    res.send(calendar);
+};
+
+module.exports = { CALENDAR_FILTER, escapeText, formatDateTime, foldLine, buildVEvent, buildCalendar, sendCalendar };
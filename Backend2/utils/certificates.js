@@ -0,0 +1,222 @@
+// Backend2/utils/certificates.js
+// Certificate rendering (PDF via pdfkit), issuing and emailing.
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Certificate = require('../models/Certificate');
+const CertificateTemplate = require('../models/CertificateTemplate');
+const Registration = require('../models/Registration');
+const { sendMail } = require('../config/mailer');
+const { DEFAULT_TIMEZONE } = require('./eventLogistics');
+const { escapeHtml } = require('./html');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Used when no template exists or is marked as default
+const BUILT_IN_TEMPLATE = {
+    _id: null,
+    name: 'Built-in',
+    title: 'Certificate of Participation',
+    bodyText: 'for participating in {{eventName}} held on {{eventDate}}, featuring {{speakers}}.',
+    footerText: 'The Blockchain Club',
+    signatories: [],
+    primaryColor: '#0056b3',
+    accentColor: '#d4a017'
+};
+
+const getVerificationUrl = (verificationId) => `${FRONTEND_URL}/certificates/verify/${encodeURIComponent(verificationId)}`;
+
+// Resolves the template to use: an explicit id, else the default template, else the built-in one
+const resolveTemplate = async (templateId) => {
+    if (templateId) {
+        const template = await CertificateTemplate.findById(templateId);
+        if (!template) {
+            throw new Error('Certificate template not found.');
+        }
+        return template;
+    }
+    return (await CertificateTemplate.findOne({ isDefault: true })) || BUILT_IN_TEMPLATE;
+};
+
+const formatCertificateDate = (date, timeZone) => new Intl.DateTimeFormat('en-IN', {
+    timeZone: timeZone || DEFAULT_TIMEZONE,
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+}).format(date);
+
+// Replaces {{placeholder}} tokens; unknown placeholders are left as they are
+const fillPlaceholders = (text, certificate) => {
+    const values = {
+        attendeeName: certificate.attendeeName,
+        eventName: certificate.eventName,
+        eventDate: formatCertificateDate(certificate.eventDate, certificate.eventTimezone),
+        speakers: certificate.speakers && certificate.speakers.length ? certificate.speakers.join(', ') : 'our speakers',
+        academicYear: certificate.academicYear || '',
+        verificationId: certificate.verificationId
+    };
+    return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+        Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match);
+};
+
+// Renders a certificate as an A4 landscape PDF; resolves to a Buffer
+const renderCertificatePdf = async (certificate, template = BUILT_IN_TEMPLATE) => {
+    const verificationUrl = getVerificationUrl(certificate.verificationId);
+    const qrPng = await QRCode.toBuffer(verificationUrl, { margin: 1, width: 240 });
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            layout: 'landscape',
+            margin: 0,
+            info: {
+                Title: `${fillPlaceholders(template.title, certificate)} - ${certificate.attendeeName}`,
+                Author: 'The Blockchain Club',
+                Subject: certificate.eventName
+            }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const { width, height } = doc.page;
+        const contentWidth = width - 160;
+
+        // Double border
+        doc.lineWidth(6).strokeColor(template.primaryColor).rect(24, 24, width - 48, height - 48).stroke();
+        doc.lineWidth(1.5).strokeColor(template.accentColor).rect(36, 36, width - 72, height - 72).stroke();
+
+        doc.fillColor(template.primaryColor).font('Helvetica-Bold').fontSize(34)
+            .text(fillPlaceholders(template.title, certificate).toUpperCase(), 80, 90, { width: contentWidth, align: 'center' });
+
+        doc.fillColor('#555555').font('Helvetica').fontSize(15)
+            .text('This is to certify that', 80, 165, { width: contentWidth, align: 'center' });
+
+        doc.fillColor('#222222').font('Helvetica-Bold').fontSize(30)
+            .text(certificate.attendeeName, 80, 200, { width: contentWidth, align: 'center' });
+        doc.lineWidth(1).strokeColor(template.accentColor)
+            .moveTo(width / 2 - 180, 245).lineTo(width / 2 + 180, 245).stroke();
+
+        doc.fillColor('#333333').font('Helvetica').fontSize(15)
+            .text(fillPlaceholders(template.bodyText, certificate), 110, 268, { width: width - 220, align: 'center', lineGap: 4 });
+
+        // Signatories, evenly spaced along the bottom
+        const signatories = template.signatories || [];
+        signatories.forEach((signatory, index) => {
+            const slotWidth = contentWidth / signatories.length;
+            const x = 80 + slotWidth * index;
+            doc.lineWidth(1).strokeColor('#999999').moveTo(x + 30, 405).lineTo(x + slotWidth - 30, 405).stroke();
+            doc.fillColor('#222222').font('Helvetica-Bold').fontSize(12)
+                .text(signatory.name, x, 411, { width: slotWidth, align: 'center' });
+            if (signatory.designation) {
+                doc.fillColor('#666666').font('Helvetica').fontSize(10)
+                    .text(signatory.designation, x, 427, { width: slotWidth, align: 'center' });
+            }
+        });
+
+        // Footer: issuer, verification ID and a QR code linking to the public verification page
+        doc.image(qrPng, width - 150, height - 150, { width: 90 });
+        doc.fillColor('#666666').font('Helvetica').fontSize(9)
+            .text(`Certificate ID: ${certificate.verificationId}`, 60, height - 90)
+            .text(`Verify at ${verificationUrl}`, 60, height - 76)
+            .text(`Issued on ${formatCertificateDate(certificate.issuedAt, certificate.eventTimezone)}`, 60, height - 62);
+        doc.fillColor(template.primaryColor).font('Helvetica-Bold').fontSize(12)
+            .text(fillPlaceholders(template.footerText, certificate), 80, height - 118, { width: contentWidth, align: 'center' });
+
+        doc.end();
+    });
+};
+
+// Creates certificates for the event's checked-in attendees (or the given registrations) who
+// don't have one yet. `event.speakers` must be populated (speaker names are copied onto the certificate).
+// Resolves to { issued: [Certificate], skipped: number }
+const issueCertificates = async (event, { template, registrationIds = null, issuedBy }) => {
+    const filter = { event: event._id, status: 'confirmed', checkedInAt: { $ne: null } };
+    if (registrationIds) {
+        filter._id = { $in: registrationIds };
+    }
+    const attendees = await Registration.find(filter).sort({ name: 1 });
+
+    const alreadyIssued = await Certificate.find({ registration: { $in: attendees.map(a => a._id) } }).select('registration');
+    const issuedFor = new Set(alreadyIssued.map(c => c.registration.toString()));
+
+    const speakers = (event.speakers || []).map(speaker => speaker.name).filter(Boolean);
+    const issued = [];
+
+    for (const attendee of attendees) {
+        if (issuedFor.has(attendee._id.toString())) continue;
+
+        try {
+            const certificate = await Certificate.create({
+                verificationId: Certificate.generateVerificationId(),
+                event: event._id,
+                registration: attendee._id,
+                template: template._id || null,
+                attendeeName: attendee.name,
+                attendeeEmail: attendee.email,
+                eventName: event.eventName,
+                eventDate: event.eventDate,
+                eventTimezone: event.timezone,
+                academicYear: event.academicYear,
+                speakers,
+                issuedBy
+            });
+            issued.push(certificate);
+        } catch (err) {
+            // Issued by a parallel request in the meantime
+            if (err.code !== 11000) throw err;
+        }
+    }
+
+    return { issued, skipped: attendees.length - issued.length };
+};
+
+const sendCertificateEmail = async (certificate, template) => {
+    const pdf = await renderCertificatePdf(certificate, template);
+    const mailOptions = {
+        to: certificate.attendeeEmail,
+        subject: `Your certificate for ${certificate.eventName}`,
+        attachments: [{ filename: `certificate-${certificate.verificationId}.pdf`, content: pdf, contentType: 'application/pdf' }],
+        html: `
+            <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+                <h2 style="color: #0056b3;">Thank you for attending ${escapeHtml(certificate.eventName)}!</h2>
+                <p>Hello ${escapeHtml(certificate.attendeeName)},</p>
+                <p>Your participation certificate is attached to this email.</p>
+                <p>Certificate ID: <strong>${escapeHtml(certificate.verificationId)}</strong><br>
+                Anyone can verify it at <a href="${getVerificationUrl(certificate.verificationId)}" style="color: #0056b3;">${getVerificationUrl(certificate.verificationId)}</a></p>
+                <p>Thank you,</p>
+                <p>The Blockchain Club Team</p>
+            </div>
+        `,
+    };
+    await sendMail(mailOptions);
+};
+
+// Emails certificates one after another (keeps Gmail's sending limits happy) and records the
+// outcome on each certificate. Meant to run in the background after the HTTP response.
+const emailCertificates = async (certificates, template) => {
+    let sent = 0;
+    for (const certificate of certificates) {
+        try {
+            await sendCertificateEmail(certificate, template);
+            await Certificate.updateOne({ _id: certificate._id }, { $set: { emailedAt: new Date() }, $unset: { emailError: 1 } });
+            sent++;
+        } catch (err) {
+            console.error(`Error emailing certificate ${certificate.verificationId}:`, err);
+            await Certificate.updateOne({ _id: certificate._id }, { $set: { emailError: err.message } })
+                .catch(updateErr => console.error('Error recording certificate email failure:', updateErr));
+        }
+    }
+    console.log(`Certificate emails sent: ${sent}/${certificates.length}`);
+    return sent;
+};
+
+module.exports = {
+    BUILT_IN_TEMPLATE,
+    getVerificationUrl,
+    resolveTemplate,
+    fillPlaceholders,
+    renderCertificatePdf,
+    issueCertificates,
+    emailCertificates
+};
@@ -0,0 +1,68 @@
+// Backend2/utils/checkIn.js
+// QR-code check-in: signed per-registration tickets, QR rendering and the atomic check-in itself.
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const Registration = require('../models/Registration');
+
+const CHECK_IN_AUDIENCE = 'event-check-in';
+
+const getSecret = () => process.env.CHECKIN_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// Signed ticket for a registration. It doesn't expire on its own: a ticket stops working
+// as soon as the registration is no longer confirmed.
+const createCheckInToken = (registration) => jwt.sign(
+    { rid: registration._id.toString(), eid: registration.event.toString() },
+    getSecret(),
+    { audience: CHECK_IN_AUDIENCE, noTimestamp: true }
+);
+
+// Returns { registrationId, eventId } or throws an Error with a user-facing message
+const verifyCheckInToken = (token) => {
+    try {
+        const payload = jwt.verify(String(token).trim(), getSecret(), { audience: CHECK_IN_AUDIENCE });
+        return { registrationId: payload.rid, eventId: payload.eid };
+    } catch (err) {
+        throw new Error('Invalid check-in code.');
+    }
+};
+
+// Renders a check-in token as a QR code. format: 'png' (Buffer) or 'svg' (string)
+const renderCheckInQr = (token, format = 'png') => {
+    const options = { errorCorrectionLevel: 'M', margin: 2, width: 320 };
+    if (format === 'svg') {
+        return QRCode.toString(token, { ...options, type: 'svg' });
+    }
+    return QRCode.toBuffer(token, { ...options, type: 'png' });
+};
+
+// Records attendance for a confirmed registration. Scanning someone twice doesn't check them in
+// again; the repeat scan is counted and the original check-in is returned.
+// Resolves to { status: 'checked-in' | 'already-checked-in' | 'not-confirmed', registration }
+const checkInRegistration = async (registration, { by, method }) => {
+    if (registration.status !== 'confirmed') {
+        return { status: 'not-confirmed', registration };
+    }
+
+    const now = new Date();
+    const checkedIn = await Registration.findOneAndUpdate(
+        { _id: registration._id, status: 'confirmed', checkedInAt: null },
+        { $set: { checkedInAt: now, checkedInBy: by, checkInMethod: method, lastScannedAt: now } },
+        { new: true }
+    );
+    if (checkedIn) {
+        return { status: 'checked-in', registration: checkedIn };
+    }
+
+    const duplicate = await Registration.findOneAndUpdate(
+        { _id: registration._id, checkedInAt: { $ne: null } },
+        { $inc: { duplicateScanCount: 1 }, $set: { lastScannedAt: now } },
+        { new: true }
+    );
+    if (!duplicate) {
+        // Cancelled between loading and checking in
+        return { status: 'not-confirmed', registration };
+    }
+    return { status: 'already-checked-in', registration: duplicate };
+};
+
+module.exports = { createCheckInToken, verifyCheckInToken, renderCheckInQr, checkInRegistration };
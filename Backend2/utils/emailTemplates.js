@@ -0,0 +1,151 @@
+// Backend2/utils/emailTemplates.js
+// Newsletter emails (utils/newsletter.js). Every template returns { subject, html, text }: the HTML
+// uses the same simple inline-styled layout as the other club emails, and the plain-text part is
+// for clients that don't show HTML. Newsletter emails end with an unsubscribe link.
+const { describeEventDate, describeVenue } = require('./eventLogistics');
+const { escapeHtml } = require('./html');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const CLUB_NAME = 'The Blockchain Club';
+const MAX_DESCRIPTION_LENGTH = 600;
+
+const getEventUrl = (event) => `${FRONTEND_URL}/events/${event._id}`;
+
+// --- Helper: plain text (blank lines between paragraphs) as HTML paragraphs ---
+const textToHtml = (text) => String(text || '').trim().split(/\n\s*\n/)
+    .filter(Boolean)
+    .map(paragraph => `<p>${escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+
+const truncate = (text, length) => (text && text.length > length ? `${text.slice(0, length).trimEnd()}…` : text || '');
+
+const button = (url, label) => `<p><a href="${escapeHtml(url)}" style="display: inline-block; padding: 10px 18px; background: #0056b3; color: #fff; text-decoration: none; border-radius: 4px;">${escapeHtml(label)}</a></p>`;
+
+// --- Layout ---
+// `unsubscribeUrl` adds the newsletter footer
+const renderEmail = ({ subject, heading = subject, greetingName, bodyHtml, bodyText, unsubscribeUrl }) => {
+    const greeting = greetingName ? `Hello ${greetingName},` : 'Hello,';
+    const footerHtml = unsubscribeUrl
+        ? `<p style="font-size: 12px; color: #777;">You are receiving this because you subscribed to ${CLUB_NAME} newsletter. <a href="${escapeHtml(unsubscribeUrl)}" style="color: #777;">Unsubscribe</a></p>`
+        : '';
+    const footerText = unsubscribeUrl
+        ? `\n\n--\nYou are receiving this because you subscribed to ${CLUB_NAME} newsletter.\nUnsubscribe: ${unsubscribeUrl}`
+        : '';
+
+    return {
+        subject,
+        html: `
+            <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+                <h2 style="color: #0056b3;">${escapeHtml(heading)}</h2>
+                <p>${escapeHtml(greeting)}</p>
+                ${bodyHtml}
+                <p>Thank you,</p>
+                <p>${CLUB_NAME} Team</p>
+                ${footerHtml}
+            </div>
+        `,
+        text: `${greeting}\n\n${bodyText.trim()}\n\nThank you,\n${CLUB_NAME} Team${footerText}\n`
+    };
+};
+
+// --- Helper: the event's name, time, place and speakers (speakers populated with their names) ---
+const eventDetails = (event) => {
+    const when = describeEventDate(event.eventDate, event.timezone);
+    const where = describeVenue(event.venue);
+    const speakers = (event.speakers || []).map(speaker => speaker && speaker.name).filter(Boolean);
+    const lines = [
+        `When: ${when}`,
+        where && `Where: ${where}`,
+        speakers.length > 0 && `Speakers: ${speakers.join(', ')}`
+    ].filter(Boolean);
+
+    return {
+        html: `<p><strong>${escapeHtml(event.eventName)}</strong><br>${lines.map(escapeHtml).join('<br>')}</p>`,
+        text: `${event.eventName}\n${lines.join('\n')}`
+    };
+};
+
+// --- Subscription ---
+
+const subscriptionConfirmation = ({ name, confirmUrl }) => renderEmail({
+    subject: `Confirm your subscription to ${CLUB_NAME} newsletter`,
+    heading: 'Confirm your subscription',
+    greetingName: name,
+    bodyHtml: `
+                <p>Please confirm that you want to receive event announcements and news from ${CLUB_NAME}:</p>
+                ${button(confirmUrl, 'Confirm subscription')}
+                <p>The link is valid for 48 hours. If you didn't sign up, ignore this email and you won't hear from us.</p>`,
+    bodyText: `Please confirm that you want to receive event announcements and news from ${CLUB_NAME}:\n${confirmUrl}\n\nThe link is valid for 48 hours. If you didn't sign up, ignore this email and you won't hear from us.`
+});
+
+// --- Campaigns. Options: { subject, message, name, unsubscribeUrl }; `message` is the admin's intro ---
+
+const eventAnnouncement = (event, { subject, message, name, unsubscribeUrl }) => {
+    const details = eventDetails(event);
+    const description = truncate(event.description, MAX_DESCRIPTION_LENGTH);
+    return renderEmail({
+        subject: subject || `New event: ${event.eventName}`,
+        greetingName: name,
+        bodyHtml: `
+                ${message ? textToHtml(message) : `<p>We have a new event coming up and would love to see you there.</p>`}
+                ${details.html}
+                ${textToHtml(description)}
+                ${button(getEventUrl(event), event.registration && event.registration.enabled ? 'Details and registration' : 'Event details')}`,
+        bodyText: `${message || 'We have a new event coming up and would love to see you there.'}\n\n${details.text}\n\n${description}\n\nDetails: ${getEventUrl(event)}`,
+        unsubscribeUrl
+    });
+};
+
+const eventReminder = (event, { subject, message, name, unsubscribeUrl }) => {
+    const details = eventDetails(event);
+    return renderEmail({
+        subject: subject || `Reminder: ${event.eventName}`,
+        greetingName: name,
+        bodyHtml: `
+                ${message ? textToHtml(message) : '<p>Just a reminder that this event starts soon:</p>'}
+                ${details.html}
+                ${button(getEventUrl(event), 'Event details')}`,
+        bodyText: `${message || 'Just a reminder that this event starts soon:'}\n\n${details.text}\n\nDetails: ${getEventUrl(event)}`,
+        unsubscribeUrl
+    });
+};
+
+const eventReport = (event, { subject, message, name, unsubscribeUrl }) => {
+    if (!event.reportLink) {
+        throw new Error('This event has no report link yet. Add it to the event first.');
+    }
+    return renderEmail({
+        subject: subject || `Event report: ${event.eventName}`,
+        greetingName: name,
+        bodyHtml: `
+                ${message ? textToHtml(message) : `<p>Thanks to everyone who joined us for <strong>${escapeHtml(event.eventName)}</strong>. The event report is now available.</p>`}
+                ${button(event.reportLink, 'Read the report')}`,
+        bodyText: `${message || `Thanks to everyone who joined us for ${event.eventName}. The event report is now available.`}\n\nRead the report: ${event.reportLink}`,
+        unsubscribeUrl
+    });
+};
+
+const customEmail = ({ subject, message, name, unsubscribeUrl }) => renderEmail({
+    subject,
+    greetingName: name,
+    bodyHtml: textToHtml(message),
+    bodyText: message,
+    unsubscribeUrl
+});
+
+// Template per campaign kind (models/Campaign.js); the event kinds take the event first
+const CAMPAIGN_TEMPLATES = {
+    'event-announcement': eventAnnouncement,
+    'event-reminder': eventReminder,
+    'event-report': eventReport,
+    'custom': (event, options) => customEmail(options)
+};
+
+module.exports = {
+    CAMPAIGN_TEMPLATES,
+    subscriptionConfirmation,
+    eventAnnouncement,
+    eventReminder,
+    eventReport,
+    customEmail
+};
@@ -0,0 +1,267 @@
+// Backend2/utils/eventLogistics.js
+// Turns the flat fields sent by the admin panel (form-data or JSON) into the
+// schedule, venue and description values stored on an Event document.
+
+// Timezone used when an event does not specify one (the club is based in India)
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+const VENUE_MODES = ['physical', 'online', 'hybrid'];
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// --- Timezone helpers (built on Intl, so no extra dependency is needed) ---
+const isValidTimezone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+// Returns the wall-clock parts (year, month, day, hour, minute, second) of a date in the given timezone
+const getZonedParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+
+    const result = {};
+    parts.forEach(part => { result[part.type] = part.value; });
+    return result;
+};
+
+// Offset (in ms) between the timezone's wall clock and UTC at the given instant
+const getTimezoneOffset = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    const wallClockAsUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+    return wallClockAsUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// Converts a local date ('YYYY-MM-DD') and time ('HH:MM') in a timezone into a UTC Date
+const zonedTimeToUtc = (dateStr, timeStr, timeZone) => {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const [hour, minute] = timeStr.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Second pass corrects the offset when the first guess lands on the other side of a DST change
+    let utc = wallClock - getTimezoneOffset(new Date(wallClock), timeZone);
+    utc = wallClock - getTimezoneOffset(new Date(utc), timeZone);
+    return new Date(utc);
+};
+
+// Formats a UTC Date as local { date: 'YYYY-MM-DD', time: 'HH:MM' } in a timezone
+const formatInTimezone = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    return { date: `${p.year}-${p.month}-${p.day}`, time: `${p.hour}:${p.minute}` };
+};
+
+// Human-readable date/time for emails and feeds, e.g. "Wednesday, 10 September 2025 at 5:30 pm (Asia/Kolkata)"
+const describeEventDate = (date, timeZone = DEFAULT_TIMEZONE) => new Intl.DateTimeFormat('en-IN', {
+    timeZone,
+    dateStyle: 'full',
+    timeStyle: 'short'
+}).format(date) + ` (${timeZone})`;
+
+// One-line description of an event's venue, e.g. "Room 301, Block A · Online: https://meet..."
+const describeVenue = (venue) => {
+    if (!venue) return '';
+    const place = [venue.room, venue.address].filter(Boolean).join(', ');
+    const parts = [];
+    if (place) parts.push(place);
+    if (venue.meetingUrl) parts.push(`Online: ${venue.meetingUrl}`);
+    return parts.join(' · ');
+};
+
+// True when a 'YYYY-MM-DD' string is a real calendar date (no 2025-02-31 rolling over into March)
+const isCalendarDate = (dateStr) => {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const check = new Date(Date.UTC(year, month - 1, day));
+    return check.getUTCFullYear() === year && check.getUTCMonth() === month - 1 && check.getUTCDate() === day;
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Resolves a date + optional time pair into a Date. `fallback` supplies the missing half
+// (e.g. when only the time of an existing event is being changed).
+const resolveDateTime = (dateInput, timeInput, timeZone, fallback, label) => {
+    const dateStr = isBlank(dateInput) ? fallback && fallback.date : String(dateInput).trim();
+    const timeStr = isBlank(timeInput) ? (fallback && fallback.time) || '00:00' : String(timeInput).trim();
+
+    if (!dateStr) {
+        throw new Error(`${label} date is required.`);
+    }
+
+    // A full ISO timestamp (with time and offset) is taken as-is
+    if (!DATE_ONLY_REGEX.test(dateStr)) {
+        const parsed = new Date(dateStr);
+        if (isNaN(parsed.getTime())) {
+            throw new Error(`${label} date "${dateStr}" is not a valid date.`);
+        }
+        return parsed;
+    }
+
+    if (!isCalendarDate(dateStr)) {
+        throw new Error(`${label} date "${dateStr}" is not a valid date.`);
+    }
+    if (!TIME_REGEX.test(timeStr)) {
+        throw new Error(`${label} time "${timeStr}" must be in HH:MM (24-hour) format.`);
+    }
+
+    return zonedTimeToUtc(dateStr, timeStr, timeZone);
+};
+
+// Parses a single date-time input such as a `datetime-local` value ('2025-09-10T17:30'),
+// a plain date, or a full ISO timestamp. Values without an offset are read in `timeZone`.
+const parseDateTimeInput = (value, timeZone, label) => {
+    const str = String(value).trim();
+    const match = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}))?$/.exec(str);
+    if (match) {
+        return resolveDateTime(match[1], match[2], timeZone, null, label);
+    }
+    return resolveDateTime(str, undefined, timeZone, null, label);
+};
+
+// --- Schedule: eventDate (start), eventEndDate and timezone ---
+const buildEventSchedule = (body, existingEvent = null) => {
+    const { eventDate, eventTime, eventEndDate, eventEndTime } = body;
+    const previousTimezone = (existingEvent && existingEvent.timezone) || DEFAULT_TIMEZONE;
+    const timezone = isBlank(body.timezone) ? previousTimezone : String(body.timezone).trim();
+
+    if (!isValidTimezone(timezone)) {
+        throw new Error(`"${timezone}" is not a valid IANA timezone (e.g. Asia/Kolkata).`);
+    }
+
+    const schedule = { timezone };
+    const timezoneChanged = timezone !== previousTimezone;
+
+    // Existing values are read back as wall-clock time in the zone they were entered in,
+    // so changing only the timezone keeps the same local time and moves the instant.
+    const previousStart = existingEvent && existingEvent.eventDate
+        ? formatInTimezone(existingEvent.eventDate, previousTimezone)
+        : null;
+    const previousEnd = existingEvent && existingEvent.eventEndDate
+        ? formatInTimezone(existingEvent.eventEndDate, previousTimezone)
+        : null;
+
+    if (!existingEvent || !isBlank(eventDate) || !isBlank(eventTime) || timezoneChanged) {
+        schedule.eventDate = resolveDateTime(eventDate, eventTime, timezone, previousStart, 'Event');
+    }
+
+    if (eventEndDate === '' || eventEndDate === null) {
+        schedule.eventEndDate = null; // Explicitly cleared
+    } else if (!isBlank(eventEndDate) || !isBlank(eventEndTime) || (timezoneChanged && previousEnd)) {
+        // An end time on its own refers to the same day as the start
+        const startDay = formatInTimezone(schedule.eventDate || existingEvent.eventDate, timezone);
+        const endFallback = previousEnd && isBlank(eventEndTime) ? previousEnd : { date: startDay.date };
+        schedule.eventEndDate = resolveDateTime(eventEndDate, eventEndTime, timezone, endFallback, 'Event end');
+    }
+
+    return schedule;
+};
+
+// --- Venue: physical / online / hybrid ---
+const inferVenueMode = (venue) => {
+    const hasPlace = !isBlank(venue.room) || !isBlank(venue.address);
+    const hasLink = !isBlank(venue.meetingUrl);
+    if (hasPlace && hasLink) return 'hybrid';
+    if (hasLink) return 'online';
+    return 'physical';
+};
+
+// Accepts either a `venue` JSON object/string or flat fields. The legacy `eventLocation`
+// and `eventLink` fields map onto venue.address and venue.meetingUrl.
+const buildEventVenue = (body, existingEvent = null) => {
+    let input = {};
+    if (body.venue !== undefined && body.venue !== '') {
+        try {
+            input = typeof body.venue === 'string' ? JSON.parse(body.venue) : body.venue;
+        } catch (e) {
+            throw new Error('Invalid venue format. Must be a valid JSON object.');
+        }
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new Error('Invalid venue format. Must be a valid JSON object.');
+        }
+    }
+
+    const provided = {
+        mode: input.mode !== undefined ? input.mode : body.venueMode,
+        room: input.room !== undefined ? input.room : body.venueRoom,
+        address: input.address !== undefined ? input.address
+            : (body.venueAddress !== undefined ? body.venueAddress : body.eventLocation),
+        meetingUrl: input.meetingUrl !== undefined ? input.meetingUrl
+            : (body.meetingUrl !== undefined ? body.meetingUrl : body.eventLink)
+    };
+
+    const hasAnyField = Object.values(provided).some(value => value !== undefined);
+    if (existingEvent && !hasAnyField) {
+        return undefined; // Venue untouched on update
+    }
+
+    const venue = existingEvent && existingEvent.venue
+        ? { room: existingEvent.venue.room, address: existingEvent.venue.address, meetingUrl: existingEvent.venue.meetingUrl }
+        : {};
+
+    ['room', 'address', 'meetingUrl'].forEach(key => {
+        if (provided[key] !== undefined) {
+            venue[key] = isBlank(provided[key]) ? undefined : String(provided[key]).trim();
+        }
+    });
+
+    if (!isBlank(provided.mode)) {
+        const mode = String(provided.mode).trim().toLowerCase();
+        if (!VENUE_MODES.includes(mode)) {
+            throw new Error(`Venue mode must be one of: ${VENUE_MODES.join(', ')}.`);
+        }
+        venue.mode = mode;
+    } else {
+        venue.mode = inferVenueMode(venue);
+    }
+
+    return venue;
+};
+
+// --- Description: `description` is canonical, `eventDescription` is accepted for older clients ---
+const resolveEventDescription = (body) => {
+    if (body.description !== undefined) return body.description;
+    if (body.eventDescription !== undefined) return body.eventDescription;
+    return undefined;
+};
+
+// Builds every logistics field for a create (no existingEvent) or an update.
+// Throws an Error with a user-facing message when the input cannot be interpreted.
+const buildEventLogistics = (body, existingEvent = null) => {
+    const fields = {
+        ...buildEventSchedule(body, existingEvent),
+        venue: buildEventVenue(body, existingEvent),
+        description: resolveEventDescription(body)
+    };
+
+    Object.keys(fields).forEach(key => {
+        if (fields[key] === undefined) delete fields[key];
+    });
+
+    return fields;
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    VENUE_MODES,
+    isValidTimezone,
+    isCalendarDate,
+    zonedTimeToUtc,
+    formatInTimezone,
+    parseDateTimeInput,
+    describeEventDate,
+    describeVenue,
+    buildEventVenue,
+    buildEventLogistics
+};
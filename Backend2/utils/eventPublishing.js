@@ -0,0 +1,43 @@
+// Backend2/utils/eventPublishing.js
+// Scheduled publishing: events with status 'scheduled' go live once their publishAt has passed.
+// Checked every EVENT_PUBLISH_INTERVAL_SECONDS (default 60, 0 disables) while the server is
+// connected, and once at startup for events that came due while it was down. Each event published
+// fires the event.published webhook.
+const Event = require('../models/Event');
+const { scheduleJob } = require('./jobRunner');
+const { toWebhookObject, triggerWebhook } = require('./webhooks');
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+
+const readIntervalSeconds = () => {
+    const value = parseFloat(process.env.EVENT_PUBLISH_INTERVAL_SECONDS);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_INTERVAL_SECONDS;
+};
+
+// Publishes every scheduled event that is due. Resolves to the events that were published.
+const publishDueEvents = async (now = new Date()) => {
+    const due = await Event.find({ status: 'scheduled', publishAt: { $lte: now } }).select('_id');
+    const published = [];
+
+    for (const { _id } of due) {
+        // Conditional, so an event rescheduled or unpublished in the meantime is left alone
+        const event = await Event.findOneAndUpdate(
+            { _id, status: 'scheduled', publishAt: { $lte: now } },
+            [{ $set: { status: 'published', publishedAt: { $ifNull: ['$publishedAt', '$publishAt'] }, publishAt: null } }],
+            { new: true }
+        );
+        if (event) published.push(event);
+    }
+    return published;
+};
+
+// Starts the publishing job. Returns the timer (or null when disabled); it doesn't keep the process alive.
+const scheduleEventPublishing = () => scheduleJob('Scheduled publishing', readIntervalSeconds() * 1000, async () => {
+    const published = await publishDueEvents();
+    published.forEach(event => {
+        console.log(`Published scheduled event "${event.eventName}" (${event._id}).`);
+        triggerWebhook('event.published', { event: toWebhookObject('Event', event) });
+    });
+}, { runOnStart: true });
+
+module.exports = { publishDueEvents, scheduleEventPublishing };
@@ -0,0 +1,465 @@
+// Backend2/utils/eventSeries.js
+// Recurring event series (models/EventSeries.js): reading recurrence input, expanding a rule into
+// occurrence dates and keeping a series' sessions in step with it.
+//
+// Sessions are ordinary Event documents, so every event route works on them. They copy the series
+// fields in SERIES_FIELDS. A session edited on its own ("this session") records what it changed in
+// seriesOverrides, and later edits to the series leave those fields of that session alone.
+// "This and following" splits the series at the session: the earlier sessions stay in the original
+// series, which now ends the day before, and the session and later ones move to a new series that
+// gets the change.
+//
+// Sessions these helpers create, change or move to the trash fire their Event webhooks
+// (utils/webhooks.js) like a single event edited through the event routes does.
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const { RECURRENCE_FREQUENCIES, WEEKDAYS } = require('../models/EventSeries');
+const { zonedTimeToUtc, formatInTimezone } = require('./eventLogistics');
+const { retainImage, releaseImage } = require('./media');
+const { promoteFromWaitlist } = require('./registrations');
+const { triggerChangeWebhooks } = require('./webhooks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SESSIONS = 200;
+const MAX_SPAN_DAYS = 5 * 366;
+
+// Session field -> series field it is inherited from
+const SERIES_FIELDS = {
+    eventName: 'title',
+    description: 'description',
+    speakers: 'speakers',
+    venue: 'venue',
+    poster: 'poster',
+    registration: 'registration'
+};
+// Override recorded when a session is moved away from its occurrence's date/time
+const SCHEDULE_OVERRIDE = 'schedule';
+// How an edit to a session applies: to the session alone, or to it and every later session
+const SERIES_EDIT_SCOPES = ['this', 'following'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// --- Local dates ('YYYY-MM-DD') as day numbers, for stepping through a rule ---
+const toDayNumber = (date) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+};
+const fromDayNumber = (dayNumber) => new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+const weekdayIndex = (dayNumber) => (dayNumber + 3) % 7; // 1970-01-01 was a Thursday; 0 = Monday
+
+const parseWholeNumber = (value, name) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`"${name}" must be a whole number of at least 1.`);
+    }
+    return number;
+};
+
+const parseList = (value, name) => {
+    if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+    const text = String(value).trim();
+    if (text.startsWith('[')) {
+        try {
+            return parseList(JSON.parse(text), name);
+        } catch (e) {
+            throw new Error(`Invalid ${name} format. Must be a JSON array or a comma-separated list.`);
+        }
+    }
+    return text.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+// Reads an RRULE (FREQ, INTERVAL, BYDAY, COUNT and UNTIL are supported), e.g.
+// 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;COUNT=12' or 'RRULE:FREQ=DAILY;UNTIL=20251130'
+const parseRRule = (text) => {
+    const rule = { count: null, until: null };
+    String(text).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+        const [key, value] = part.split('=').map(item => (item || '').trim());
+        if (!value) {
+            throw new Error(`Invalid RRULE part "${part}".`);
+        }
+        switch (key.toUpperCase()) {
+            case 'FREQ':
+                rule.frequency = value.toLowerCase();
+                break;
+            case 'INTERVAL':
+                rule.interval = value;
+                break;
+            case 'BYDAY':
+                rule.byDay = value.split(',');
+                break;
+            case 'COUNT':
+                rule.count = value;
+                break;
+            case 'UNTIL': {
+                const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+                if (!match) throw new Error(`Invalid RRULE UNTIL "${value}".`);
+                rule.until = `${match[1]}-${match[2]}-${match[3]}`;
+                break;
+            }
+            default:
+                throw new Error(`Unsupported RRULE part "${key}". Supported: FREQ, INTERVAL, BYDAY, COUNT, UNTIL.`);
+        }
+    });
+    if (!rule.frequency) {
+        throw new Error('An RRULE needs a FREQ.');
+    }
+    return rule;
+};
+
+// Builds `series.recurrence` from a `recurrence` JSON object/string or flat fields (rrule, frequency,
+// interval, byDay, count, until, startDate, startTime, durationMinutes, exceptions), on top of
+// `current` when updating. Returns undefined on update when nothing was sent. An `rrule` replaces
+// the whole rule; the schema checks the rest.
+const buildRecurrence = (body, current = null) => {
+    let input = body;
+    if (body.recurrence !== undefined && body.recurrence !== '') {
+        try {
+            input = typeof body.recurrence === 'string' ? JSON.parse(body.recurrence) : body.recurrence;
+        } catch (e) {
+            throw new Error('Invalid recurrence format. Must be a valid JSON object.');
+        }
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new Error('Invalid recurrence format. Must be a valid JSON object.');
+        }
+    }
+
+    const keys = ['rrule', 'frequency', 'interval', 'byDay', 'count', 'until', 'startDate', 'startTime', 'durationMinutes', 'exceptions'];
+    if (current && !keys.some(key => input[key] !== undefined)) {
+        return undefined;
+    }
+
+    const recurrence = current ? { ...current } : {};
+    const rule = !isBlank(input.rrule) ? parseRRule(input.rrule) : input;
+
+    if (rule.frequency !== undefined) {
+        const frequency = String(rule.frequency).trim().toLowerCase();
+        if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+            throw new Error(`Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}.`);
+        }
+        recurrence.frequency = frequency;
+    }
+    if (rule.interval !== undefined) {
+        recurrence.interval = isBlank(rule.interval) ? 1 : parseWholeNumber(rule.interval, 'interval');
+    }
+    if (rule.byDay !== undefined) {
+        recurrence.byDay = isBlank(rule.byDay) ? [] : parseList(rule.byDay, 'byDay').map(day => day.toUpperCase());
+    } else if (!isBlank(input.rrule)) {
+        recurrence.byDay = [];
+    }
+    if (rule.count !== undefined) {
+        recurrence.count = isBlank(rule.count) ? null : parseWholeNumber(rule.count, 'count');
+    }
+    if (rule.until !== undefined) {
+        recurrence.until = isBlank(rule.until) ? null : String(rule.until).trim();
+    }
+
+    ['startDate', 'startTime'].forEach(key => {
+        if (input[key] !== undefined) recurrence[key] = String(input[key]).trim();
+    });
+    if (input.durationMinutes !== undefined) {
+        recurrence.durationMinutes = parseWholeNumber(input.durationMinutes, 'durationMinutes');
+    }
+    if (input.exceptions !== undefined) {
+        recurrence.exceptions = isBlank(input.exceptions) ? [] : [...new Set(parseList(input.exceptions, 'exceptions'))].sort();
+    }
+
+    return recurrence;
+};
+
+// The dates ('YYYY-MM-DD') a rule produces, in order, without its exceptions unless withExceptions.
+// Weeks start on Monday, as in RRULE. Throws when the rule produces more than MAX_SESSIONS.
+const getOccurrenceDates = (recurrence, { withExceptions = false } = {}) => {
+    const start = toDayNumber(recurrence.startDate);
+    const until = recurrence.until ? toDayNumber(recurrence.until) : Infinity;
+    const interval = recurrence.interval || 1;
+    const byDay = recurrence.byDay && recurrence.byDay.length > 0
+        ? recurrence.byDay.map(day => WEEKDAYS.indexOf(day))
+        : [weekdayIndex(start)];
+    const exceptions = new Set(recurrence.exceptions || []);
+
+    const dates = [];
+    let matched = 0;
+    for (let day = start; day <= until && (!recurrence.count || matched < recurrence.count); day++) {
+        const offset = day - start;
+        if (offset > MAX_SPAN_DAYS) {
+            throw new Error('A series cannot span more than 5 years.');
+        }
+
+        const matches = recurrence.frequency === 'daily'
+            ? offset % interval === 0
+            : Math.floor((offset + weekdayIndex(start)) / 7) % interval === 0 && byDay.includes(weekdayIndex(day));
+        if (!matches) continue;
+
+        matched++;
+        if (matched > MAX_SESSIONS) {
+            throw new Error(`A series can have at most ${MAX_SESSIONS} sessions.`);
+        }
+        const date = fromDayNumber(day);
+        if (withExceptions || !exceptions.has(date)) dates.push(date);
+    }
+    return dates;
+};
+
+// Start and end of the session on `date`
+const getSessionTimes = (series, date) => {
+    const eventDate = zonedTimeToUtc(date, series.recurrence.startTime, series.timezone);
+    return { eventDate, eventEndDate: new Date(eventDate.getTime() + series.recurrence.durationMinutes * 60 * 1000) };
+};
+
+// --- Helper: a series field as a plain value to copy onto a session ---
+const getSeriesValue = (series, field) => {
+    const value = series.toObject()[SERIES_FIELDS[field]];
+    if (field === 'speakers') return (value || []).map(String);
+    return value;
+};
+
+// --- Helper: copies one inherited field onto a session (registration without its seat count and window) ---
+const applySeriesField = (session, series, field) => {
+    const value = getSeriesValue(series, field);
+    if (field === 'registration') {
+        ['enabled', 'capacity', 'waitlistEnabled'].forEach(key => session.set(`registration.${key}`, value[key]));
+    } else {
+        session.set(field, value);
+    }
+};
+
+// A new (unsaved) session of `series` for the occurrence on `date`
+const buildSession = (series, date, { status = 'draft' } = {}) => {
+    const session = new Event({
+        ...getSessionTimes(series, date),
+        timezone: series.timezone,
+        series: series._id,
+        seriesOccurrence: date,
+        seriesOverrides: [],
+        status
+    });
+    Object.keys(SERIES_FIELDS).forEach(field => applySeriesField(session, series, field));
+    return session;
+};
+
+const sessionRef = (session) => ({ model: 'Event', document: session._id, field: 'poster' });
+const seriesRef = (series) => ({ model: 'EventSeries', document: series._id, field: 'poster' });
+
+// --- Helper: validates every document first, so a bad value saves none of them ---
+const saveAll = async (docs) => {
+    for (const doc of docs) await doc.validate();
+    for (const doc of docs) await doc.save({ validateBeforeSave: false });
+};
+
+// Creates the sessions of a new series (every occurrence, past ones included). Resolves to the sessions.
+const createSessions = async (series, { status } = {}) => {
+    const sessions = getOccurrenceDates(series.recurrence).map(date => buildSession(series, date, { status }));
+    if (sessions.length === 0) {
+        throw new Error('The recurrence rule does not produce any sessions.');
+    }
+    await saveAll(sessions);
+    for (const session of sessions) await retainImage(session.poster, sessionRef(session));
+    await Promise.all(sessions.map(session => triggerChangeWebhooks('Event', 'create', null, session)));
+    return sessions;
+};
+
+// Brings the sessions of `series` in line with it after the series was saved: the inherited `fields`
+// that changed are copied to sessions that don't override them, and when `rescheduled` (rule, time
+// or timezone changed) upcoming sessions are retimed, upcoming sessions the rule no longer produces
+// go to the trash and upcoming occurrences without a session get one. Past sessions keep their
+// dates. `from` limits it to the occurrences from that date on.
+// Resolves to { updated, created, removed } (session counts).
+const syncSessions = async (series, { fields = [], rescheduled = false, from = null, userId = null } = {}) => {
+    const filter = { series: series._id };
+    if (from) filter.seriesOccurrence = { $gte: from };
+    const sessions = await Event.find(filter).sort({ eventDate: 1 });
+    const now = new Date();
+    const dates = rescheduled ? getOccurrenceDates(series.recurrence).filter(date => !from || date >= from) : [];
+
+    const changed = [];
+    const removed = [];
+    const releasedPosters = new Map(); // session -> poster it no longer uses
+    const snapshots = new Map(); // session -> the session before this sync, for its webhooks
+    sessions.forEach(session => {
+        snapshots.set(session, session.toObject());
+        const overrides = session.seriesOverrides || [];
+        if (rescheduled && session.eventDate > now) {
+            if (!dates.includes(session.seriesOccurrence)) {
+                removed.push(session);
+                return;
+            }
+            if (!overrides.includes(SCHEDULE_OVERRIDE)) {
+                session.set({ timezone: series.timezone, ...getSessionTimes(series, session.seriesOccurrence) });
+            }
+        }
+        fields.filter(field => !overrides.includes(field)).forEach(field => {
+            if (field === 'poster') releasedPosters.set(session, session.toObject().poster);
+            applySeriesField(session, series, field);
+        });
+        if (session.isModified()) changed.push(session);
+    });
+
+    let created = [];
+    if (rescheduled) {
+        // Occurrences with a session in the trash are left alone (restoring it brings it back)
+        const taken = new Set(await Event.find({ series: series._id }).setOptions({ withDeleted: true }).distinct('seriesOccurrence'));
+        const status = sessions.some(session => session.status === 'published') ? 'published' : 'draft';
+        created = dates
+            .filter(date => !taken.has(date))
+            .map(date => buildSession(series, date, { status }))
+            .filter(session => session.eventDate > now);
+    }
+
+    await saveAll([...changed, ...created]);
+    for (const session of changed) {
+        if (releasedPosters.has(session)) {
+            await releaseImage(releasedPosters.get(session), sessionRef(session));
+            await retainImage(session.poster, sessionRef(session));
+        }
+        if (fields.includes('registration')) await promoteFromWaitlist(session);
+    }
+    for (const session of created) await retainImage(session.poster, sessionRef(session));
+    for (const session of removed) await session.softDelete(userId);
+
+    await Promise.all([
+        ...changed.map(session => triggerChangeWebhooks('Event', 'update', snapshots.get(session), session)),
+        ...created.map(session => triggerChangeWebhooks('Event', 'create', null, session)),
+        ...removed.map(session => triggerChangeWebhooks('Event', 'delete', snapshots.get(session), session))
+    ]);
+    return { updated: changed.length, created: created.length, removed: removed.length };
+};
+
+// --- Helper: ends `series` the day before `date` and moves the sessions from `date` on to a copy of
+// it that starts on `date`. Resolves to the new series. ---
+const splitSeries = async (series, date) => {
+    const recurrence = series.toObject().recurrence;
+    const earlier = getOccurrenceDates(recurrence, { withExceptions: true }).filter(day => day < date).length;
+
+    const { title, description, speakers, timezone, venue, poster, registration } = series.toObject();
+    const following = new EventSeries({
+        title,
+        description,
+        speakers,
+        timezone,
+        venue,
+        poster,
+        registration,
+        recurrence: {
+            ...recurrence,
+            startDate: date,
+            count: recurrence.count ? recurrence.count - earlier : null,
+            exceptions: recurrence.exceptions.filter(day => day >= date)
+        }
+    });
+    await following.save();
+    await retainImage(following.poster, seriesRef(following));
+
+    series.set({
+        'recurrence.until': fromDayNumber(toDayNumber(date) - 1),
+        'recurrence.count': null,
+        'recurrence.exceptions': recurrence.exceptions.filter(day => day < date)
+    });
+    await series.save();
+
+    // Trashed sessions move too, so restoring one puts it back in the right series
+    await Event.updateMany({ series: series._id, seriesOccurrence: { $gte: date } }, { $set: { series: following._id } });
+    return following;
+};
+
+// Applies an edit made to `session` to it and the sessions after it ("this and following"):
+// `fields` are the inherited fields that were changed and `rescheduled` whether its time moved
+// (the new time of day and duration then apply to the following sessions).
+// Resolves to the series the session is now in.
+const applyToFollowing = async (session, { fields = [], rescheduled = false, userId = null } = {}) => {
+    const series = await EventSeries.findById(session.series);
+    if (!series) return null;
+
+    const date = session.seriesOccurrence;
+    const target = date > series.recurrence.startDate ? await splitSeries(series, date) : series;
+
+    const previousPoster = target.toObject().poster;
+    const sessionValues = session.toObject();
+    fields.forEach(field => {
+        if (field === 'registration') {
+            ['enabled', 'capacity', 'waitlistEnabled'].forEach(key => target.set(`registration.${key}`, sessionValues.registration[key]));
+        } else {
+            target.set(SERIES_FIELDS[field], sessionValues[field]);
+        }
+    });
+    if (rescheduled) {
+        const start = formatInTimezone(session.eventDate, session.timezone);
+        target.set({ timezone: session.timezone, 'recurrence.startTime': start.time });
+        if (session.eventEndDate) {
+            target.set('recurrence.durationMinutes', Math.max(1, Math.round((session.eventEndDate - session.eventDate) / 60000)));
+        }
+    }
+    await target.save();
+    if (fields.includes('poster')) {
+        await releaseImage(previousPoster, seriesRef(target));
+        await retainImage(target.poster, seriesRef(target));
+    }
+
+    // The session and the ones after it take the series' values again, instead of their own
+    const cleared = rescheduled ? [...fields, SCHEDULE_OVERRIDE] : fields;
+    await Event.updateMany(
+        { series: target._id, seriesOccurrence: { $gte: date } },
+        { $pull: { seriesOverrides: { $in: cleared } } }
+    );
+    // Moved to another day: the session itself keeps its own date
+    if (rescheduled && formatInTimezone(session.eventDate, session.timezone).date !== date) {
+        await Event.updateOne({ _id: session._id }, { $addToSet: { seriesOverrides: SCHEDULE_OVERRIDE } });
+    }
+
+    await syncSessions(target, { fields, rescheduled, from: date, userId });
+    return target;
+};
+
+// The inherited fields a (modified, unsaved) session changed, and whether it was moved
+const getSessionChanges = (session) => ({
+    fields: Object.keys(SERIES_FIELDS).filter(field => session.isModified(field)),
+    rescheduled: session.isModified('eventDate') || session.isModified('eventEndDate')
+});
+
+// Records a "this session" edit: the changed fields stop following the series
+const markOverrides = (session, { fields, rescheduled }) => {
+    const overrides = new Set(session.seriesOverrides || []);
+    fields.forEach(field => overrides.add(field));
+    if (rescheduled) overrides.add(SCHEDULE_OVERRIDE);
+    session.seriesOverrides = [...overrides];
+};
+
+// A session moved to the trash is skipped by its series from now on (and taken back when restored)
+const excludeFromSeries = (session) => session.series && EventSeries.updateOne(
+    { _id: session.series },
+    { $addToSet: { 'recurrence.exceptions': session.seriesOccurrence } }
+);
+const includeInSeries = (session) => session.series && EventSeries.updateOne(
+    { _id: session.series },
+    { $pull: { 'recurrence.exceptions': session.seriesOccurrence } }
+);
+
+// Deletes a series: its sessions go to the trash as one-off events and its poster is released
+const deleteSeries = async (series, userId = null) => {
+    const sessions = await Event.find({ series: series._id });
+    const snapshots = sessions.map(session => session.toObject());
+    for (const session of sessions) await session.softDelete(userId);
+    await Promise.all(sessions.map((session, index) => triggerChangeWebhooks('Event', 'delete', snapshots[index], session)));
+    await Event.updateMany(
+        { series: series._id },
+        { $set: { series: null, seriesOccurrence: null }, $unset: { seriesOverrides: 1 } }
+    );
+    await EventSeries.deleteOne({ _id: series._id });
+    await releaseImage(series.poster, seriesRef(series));
+    return sessions.length;
+};
+
+module.exports = {
+    SERIES_FIELDS,
+    SERIES_EDIT_SCOPES,
+    parseRRule,
+    buildRecurrence,
+    getOccurrenceDates,
+    createSessions,
+    syncSessions,
+    applyToFollowing,
+    getSessionChanges,
+    markOverrides,
+    excludeFromSeries,
+    includeInSeries,
+    deleteSeries
+};
@@ -0,0 +1,171 @@
+// Backend2/utils/feeds.js
+// Syndication feeds of published events (routes/feedRoutes.js): RSS 2.0, Atom 1.0 and JSON Feed 1.1.
+// All three are built from the same entries, newest published first. Poster URLs are made absolute
+// against API_URL (or the URL the feed was requested on), since local uploads are stored as paths.
+const crypto = require('crypto');
+const { DEFAULT_TIMEZONE, describeEventDate, describeVenue } = require('./eventLogistics');
+const { escapeHtml } = require('./html');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const FEED_TITLE = 'The Blockchain Club Events';
+const FEED_DESCRIPTION = 'Talks, workshops and meetups organised by The Blockchain Club.';
+
+const IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif' };
+
+const getEventUrl = (event) => `${FRONTEND_URL}/events/${event._id}`;
+
+const toAbsoluteUrl = (value, baseUrl) => {
+    try {
+        return new URL(value, baseUrl).href;
+    } catch (e) {
+        return null;
+    }
+};
+
+// --- Entries: what every format says about one event ---
+// { id, url, title, summary, content, image, imageType, published, updated, speakers: [name], categories, event }
+const toFeedEntry = (event, baseUrl) => {
+    const timezone = event.timezone || DEFAULT_TIMEZONE;
+    const speakers = (event.speakers || []).map(speaker => speaker && speaker.name).filter(Boolean);
+    const when = describeEventDate(event.eventDate, timezone);
+    const where = describeVenue(event.venue);
+    const image = event.poster && event.poster.value ? toAbsoluteUrl(event.poster.value, baseUrl) : null;
+    const extension = image ? (/\.([a-z0-9]+)(?:[?#]|$)/i.exec(new URL(image).pathname) || [])[1] : null;
+
+    const content = [
+        `When: ${when}`,
+        where && `Where: ${where}`,
+        speakers.length > 0 && `Speakers: ${speakers.join(', ')}`,
+        event.description
+    ].filter(Boolean).join('\n\n');
+
+    return {
+        id: getEventUrl(event),
+        url: getEventUrl(event),
+        title: event.eventName,
+        summary: `${when}${where ? ` · ${where}` : ''}`,
+        content,
+        image,
+        imageType: extension ? IMAGE_TYPES[extension.toLowerCase()] : undefined,
+        published: event.publishedAt || event.createdAt,
+        updated: event.updatedAt,
+        speakers,
+        categories: event.academicYear ? [event.academicYear] : [],
+        event: {
+            start: event.eventDate,
+            end: event.eventEndDate || null,
+            timezone,
+            venue: event.venue ? { mode: event.venue.mode, room: event.venue.room, address: event.venue.address, meetingUrl: event.venue.meetingUrl } : null,
+            registration: Boolean(event.registration && event.registration.enabled)
+        }
+    };
+};
+
+// --- Validators: Last-Modified is the newest updatedAt; the ETag also changes when an event
+// leaves the feed (unpublished, deleted) ---
+const getFeedValidators = (events, format) => {
+    const lastModified = events.reduce((latest, event) => (
+        event.updatedAt && (!latest || event.updatedAt > latest) ? event.updatedAt : latest
+    ), null);
+    const hash = crypto.createHash('sha1').update(format);
+    events.forEach(event => hash.update(`|${event._id}:${event.updatedAt ? event.updatedAt.getTime() : ''}`));
+    return { etag: `W/"${hash.digest('base64url')}"`, lastModified: lastModified || new Date(0) };
+};
+
+const textToHtml = (text) => escapeHtml(text).replace(/\n\n/g, '</p><p>').replace(/\n/g, '<br>');
+
+// --- RSS 2.0 ---
+const buildRss = (entries, { feedUrl, updated }) => {
+    const items = entries.map(entry => [
+        '<item>',
+        `<title>${escapeHtml(entry.title)}</title>`,
+        `<link>${escapeHtml(entry.url)}</link>`,
+        `<guid isPermaLink="true">${escapeHtml(entry.id)}</guid>`,
+        `<pubDate>${new Date(entry.published).toUTCString()}</pubDate>`,
+        `<description>${escapeHtml(`<p>${textToHtml(entry.content)}</p>`)}</description>`,
+        ...entry.speakers.map(name => `<dc:creator>${escapeHtml(name)}</dc:creator>`),
+        ...entry.categories.map(category => `<category>${escapeHtml(category)}</category>`),
+        entry.image ? `<media:content url="${escapeHtml(entry.image)}" medium="image"${entry.imageType ? ` type="${entry.imageType}"` : ''}/>` : '',
+        '</item>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">',
+        '<channel>',
+        `<title>${escapeHtml(FEED_TITLE)}</title>`,
+        `<link>${escapeHtml(`${FRONTEND_URL}/events`)}</link>`,
+        `<description>${escapeHtml(FEED_DESCRIPTION)}</description>`,
+        '<language>en</language>',
+        `<lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+        `<atom:link href="${escapeHtml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+        ...items,
+        '</channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+};
+
+// --- Atom 1.0 ---
+const buildAtom = (entries, { feedUrl, updated }) => {
+    const items = entries.map(entry => [
+        '<entry>',
+        `<id>${escapeHtml(entry.id)}</id>`,
+        `<title>${escapeHtml(entry.title)}</title>`,
+        `<link rel="alternate" type="text/html" href="${escapeHtml(entry.url)}"/>`,
+        `<published>${new Date(entry.published).toISOString()}</published>`,
+        `<updated>${new Date(entry.updated || entry.published).toISOString()}</updated>`,
+        ...(entry.speakers.length > 0 ? entry.speakers : ['The Blockchain Club']).map(name => `<author><name>${escapeHtml(name)}</name></author>`),
+        ...entry.categories.map(category => `<category term="${escapeHtml(category)}" label="Academic year ${escapeHtml(category)}"/>`),
+        `<summary type="text">${escapeHtml(entry.summary)}</summary>`,
+        `<content type="html">${escapeHtml(`<p>${textToHtml(entry.content)}</p>`)}</content>`,
+        entry.image ? `<link rel="enclosure" href="${escapeHtml(entry.image)}"${entry.imageType ? ` type="${entry.imageType}"` : ''}/>` : '',
+        '</entry>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">',
+        `<id>${escapeHtml(`${FRONTEND_URL}/events`)}</id>`,
+        `<title>${escapeHtml(FEED_TITLE)}</title>`,
+        `<subtitle>${escapeHtml(FEED_DESCRIPTION)}</subtitle>`,
+        `<updated>${updated.toISOString()}</updated>`,
+        `<link rel="self" type="application/atom+xml" href="${escapeHtml(feedUrl)}"/>`,
+        `<link rel="alternate" type="text/html" href="${escapeHtml(`${FRONTEND_URL}/events`)}"/>`,
+        ...items,
+        '</feed>',
+        ''
+    ].join('\n');
+};
+
+// --- JSON Feed 1.1 (event details for bots in the `_event` extension) ---
+const buildJsonFeed = (entries, { feedUrl }) => JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: FEED_TITLE,
+    home_page_url: `${FRONTEND_URL}/events`,
+    feed_url: feedUrl,
+    description: FEED_DESCRIPTION,
+    language: 'en',
+    items: entries.map(entry => ({
+        id: entry.id,
+        url: entry.url,
+        title: entry.title,
+        summary: entry.summary,
+        content_text: entry.content,
+        image: entry.image || undefined,
+        date_published: new Date(entry.published).toISOString(),
+        date_modified: entry.updated ? new Date(entry.updated).toISOString() : undefined,
+        authors: entry.speakers.length > 0 ? entry.speakers.map(name => ({ name })) : undefined,
+        tags: entry.categories.length > 0 ? entry.categories : undefined,
+        _event: entry.event
+    }))
+}, null, 2);
+
+// Output format by feed file extension
+const FEED_FORMATS = {
+    rss: { contentType: 'application/rss+xml; charset=utf-8', build: buildRss },
+    atom: { contentType: 'application/atom+xml; charset=utf-8', build: buildAtom },
+    json: { contentType: 'application/feed+json; charset=utf-8', build: buildJsonFeed }
+};
+
+module.exports = { FEED_FORMATS, toFeedEntry, getFeedValidators };
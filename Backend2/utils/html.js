@@ -0,0 +1,11 @@
+// Backend2/utils/html.js
+
+// Escapes user-provided text before it is interpolated into an HTML email
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+module.exports = { escapeHtml };
@@ -0,0 +1,150 @@
+// Backend2/utils/images.js
+// Image pipeline for uploaded posters and photos: checks the real file type, auto-orients,
+// strips metadata (EXIF, GPS) and stores resized WebP variants plus a JPEG/PNG fallback
+// in the configured storage (config/storage.js).
+const sharp = require('sharp');
+const crypto = require('crypto');
+const { getStorage } = require('../config/storage');
+
+// Longest edge in pixels; smaller images are never enlarged
+const IMAGE_VARIANTS = {
+    thumbnail: 200,
+    card: 600,
+    full: 1600
+};
+
+// Refuse decompression bombs (a tiny file that decodes to a huge bitmap)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// File names are unique per upload and never reused, so caches may keep them for a year
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+const CONTENT_TYPES = { webp: 'image/webp', jpg: 'image/jpeg', png: 'image/png' };
+
+// Thrown by processImage() when the upload itself is the problem (not an image, or unreadable),
+// so callers can answer 400 for these and 500 for storage failures
+class InvalidImageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidImageError';
+    }
+}
+
+// --- Helper: file type from the first bytes of the file, regardless of its name or mimetype ---
+const detectImageType = (buffer) => {
+    if (!buffer || buffer.length < 12) return null;
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'png';
+    const header = buffer.subarray(0, 6).toString('ascii');
+    if (header === 'GIF87a' || header === 'GIF89a') return 'gif';
+    if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') return 'webp';
+    return null;
+};
+
+// --- Helper: removes a stored file given its public URL; URLs that aren't ours are ignored ---
+// Resolves to true when deleted; failures are logged rather than thrown.
+const deleteStoredFile = async (url) => {
+    const storage = getStorage();
+    const key = storage.keyFromUrl(url);
+    if (!key) return false;
+    try {
+        await storage.delete(key);
+        return true;
+    } catch (err) {
+        console.error('Error deleting stored file:', url, err);
+        return false;
+    }
+};
+
+// --- Helper: all stored URLs of a poster/photo ({ type, value, variants }) ---
+const getImageUrls = (image) => {
+    if (!image || image.type !== 'upload') return [];
+    const urls = new Set([image.value]);
+    const variants = image.variants || {};
+    Object.keys(IMAGE_VARIANTS).forEach(name => {
+        if (variants[name]) {
+            urls.add(variants[name].webp);
+            urls.add(variants[name].fallback);
+        }
+    });
+    return [...urls].filter(Boolean);
+};
+
+// Resizes an uploaded image buffer into every variant and stores the files.
+// Resolves to { value, variants: { thumbnail: { webp, fallback, width, height }, card, full }, storedSize }
+// where `value` (the full-size fallback) keeps working for clients that only read poster.value/photo.value
+// and `storedSize` is the total number of bytes written.
+// Throws an InvalidImageError with a user-facing message when the file isn't a supported image or
+// can't be decoded; anything else (e.g. a storage failure) is thrown as is.
+const processImage = async (buffer, { prefix = 'image' } = {}) => {
+    if (!detectImageType(buffer)) {
+        throw new InvalidImageError('Only images (JPEG, PNG, GIF, WebP) are allowed!');
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch (e) {
+        throw new InvalidImageError('The uploaded image could not be read.');
+    }
+
+    // Transparent images fall back to PNG, everything else to JPEG
+    const fallbackFormat = metadata.hasAlpha ? 'png' : 'jpeg';
+    const fallbackExt = metadata.hasAlpha ? 'png' : 'jpg';
+    const baseName = `${prefix}-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+
+    const storage = getStorage();
+    const written = [];
+    let storedSize = 0;
+    const store = async (key, data) => {
+        await storage.put(key, data, { contentType: CONTENT_TYPES[key.split('.').pop()], cacheControl: CACHE_CONTROL });
+        written.push(storage.getUrl(key));
+        storedSize += data.length;
+        return storage.getUrl(key);
+    };
+
+    const variants = {};
+    try {
+        for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+            // rotate() with no angle applies the EXIF orientation; sharp drops metadata unless asked to keep it
+            const pipeline = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+                .rotate()
+                .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+
+            let webp;
+            let fallback;
+            try {
+                webp = await pipeline.clone().webp({ quality: 80 }).toBuffer({ resolveWithObject: true });
+                fallback = await pipeline.clone()
+                    .toFormat(fallbackFormat, fallbackFormat === 'jpeg' ? { quality: 82, mozjpeg: true } : {})
+                    .toBuffer();
+            } catch (e) {
+                // The header was fine but the image data isn't (e.g. a truncated file)
+                throw new InvalidImageError('The uploaded image could not be read.');
+            }
+
+            variants[name] = {
+                webp: await store(`${baseName}-${name}.webp`, webp.data),
+                fallback: await store(`${baseName}-${name}.${fallbackExt}`, fallback),
+                width: webp.info.width,
+                height: webp.info.height
+            };
+        }
+    } catch (err) {
+        await Promise.all(written.map(deleteStoredFile));
+        throw err;
+    }
+
+    return { value: variants.full.fallback, variants, storedSize };
+};
+
+// Deletes stored files by URL. Never rejects; resolves to the number of files deleted (failures are logged).
+const deleteStoredFiles = async (urls) => {
+    const results = await Promise.all(urls.map(deleteStoredFile));
+    return results.filter(Boolean).length;
+};
+
+// Deletes every file belonging to a stored poster/photo ({ type, value, variants }). Same result as above.
+const deleteImageFiles = (image) => deleteStoredFiles(getImageUrls(image));
+
+module.exports = { IMAGE_VARIANTS, InvalidImageError, detectImageType, getImageUrls, processImage, deleteStoredFiles, deleteImageFiles };
@@ -0,0 +1,31 @@
+// Backend2/utils/jobRunner.js
+// Background jobs that run inside the server process on a fixed interval (the media sweep, the
+// audit log and trash purges, scheduled event publishing). A run that is still going when the next
+// one is due is not overlapped, a failing run is logged and retried on the next tick, and the
+// timers don't keep the process alive.
+
+// Starts `task` every `intervalMs` (and once right away with runOnStart). `name` is used in log
+// messages. Returns the timer, or null when intervalMs is 0 (the job is disabled).
+const scheduleJob = (name, intervalMs, task, { runOnStart = false } = {}) => {
+    if (!intervalMs) return null;
+
+    let running = false;
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await task();
+        } catch (err) {
+            console.error(`${name} failed:`, err);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    if (runOnStart) run();
+    return timer;
+};
+
+module.exports = { scheduleJob };
@@ -0,0 +1,178 @@
+// Backend2/utils/listQuery.js
+// Shared helpers for list endpoints (GET /api/events, GET /api/team-members):
+// reading query-string parameters, sorting, text search and paginated responses.
+//
+// Every parse* helper throws an Error with a user-facing message on bad input,
+// which the routes turn into a 400 response.
+const { DEFAULT_TIMEZONE, isCalendarDate, zonedTimeToUtc } = require('./eventLogistics');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_SEARCH_LENGTH = 200;
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Express parses `?a=1&a=2` into an array; list endpoints only use the first value
+const getParam = (query, name) => {
+    const value = query[name];
+    if (Array.isArray(value)) return value.length ? String(value[0]) : undefined;
+    if (value === undefined || value === null) return undefined;
+    const str = String(value).trim();
+    return str === '' ? undefined : str;
+};
+
+const parseBooleanParam = (value, name) => {
+    if (value === undefined) return undefined;
+    const normalized = value.toLowerCase();
+    if (['true', '1', 'yes'].includes(normalized)) return true;
+    if (['false', '0', 'no'].includes(normalized)) return false;
+    throw new Error(`"${name}" must be true or false.`);
+};
+
+const parseIntegerParam = (value, name, { min = 1, max = Number.MAX_SAFE_INTEGER } = {}) => {
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`"${name}" must be a whole number.`);
+    }
+    const number = parseInt(value, 10);
+    if (number < min || number > max) {
+        throw new Error(`"${name}" must be between ${min} and ${max}.`);
+    }
+    return number;
+};
+
+// Parses a `from`/`to` boundary. A plain date (YYYY-MM-DD) is read in the club's timezone;
+// for `to` it covers the whole day, so ?from=2025-09-01&to=2025-09-30 includes Sept 30th.
+const parseDateParam = (value, name, { endOfDay = false } = {}) => {
+    if (value === undefined) return undefined;
+
+    if (DATE_ONLY_REGEX.test(value)) {
+        if (!isCalendarDate(value)) {
+            throw new Error(`"${name}" is not a valid date.`);
+        }
+        const start = zonedTimeToUtc(value, '00:00', DEFAULT_TIMEZONE);
+        if (isNaN(start.getTime())) {
+            throw new Error(`"${name}" is not a valid date.`);
+        }
+        return endOfDay ? new Date(start.getTime() + 24 * 60 * 60 * 1000 - 1) : start;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`"${name}" is not a valid date.`);
+    }
+    return date;
+};
+
+const parseSearchParam = (value) => {
+    if (value === undefined) return undefined;
+    if (value.length > MAX_SEARCH_LENGTH) {
+        throw new Error(`Search text cannot exceed ${MAX_SEARCH_LENGTH} characters.`);
+    }
+    return value;
+};
+
+// Parses `?sort=-eventDate,eventName` into a Mongo sort object.
+// `allowedFields` maps the public sort key to the document path, e.g. { date: 'eventDate' }.
+// The special key `relevance` sorts by text-search score and is only valid together with `q`.
+const parseSortParam = (value, allowedFields, defaultSort, { hasSearch = false } = {}) => {
+    if (value === undefined) {
+        return hasSearch ? { score: { $meta: 'textScore' }, ...defaultSort } : { ...defaultSort };
+    }
+
+    const sort = {};
+    value.split(',').map(token => token.trim()).filter(Boolean).forEach(token => {
+        const direction = token.startsWith('-') ? -1 : 1;
+        const key = token.replace(/^[-+]/, '');
+
+        if (key === 'relevance') {
+            if (!hasSearch) {
+                throw new Error('Sorting by relevance requires a search query (q).');
+            }
+            sort.score = { $meta: 'textScore' };
+            return;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(allowedFields, key)) {
+            throw new Error(`Cannot sort by "${key}". Allowed: ${Object.keys(allowedFields).concat(hasSearch ? ['relevance'] : []).join(', ')}.`);
+        }
+        sort[allowedFields[key]] = direction;
+    });
+
+    return Object.keys(sort).length ? sort : { ...defaultSort };
+};
+
+// --- Cursors: opaque tokens so clients don't depend on how paging is implemented ---
+const encodeCursor = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Number.isInteger(offset) && offset >= 0) return offset;
+    } catch (e) {
+        // Fall through to the error below
+    }
+    throw new Error('Invalid cursor.');
+};
+
+// Reads `limit` plus either `cursor` (from a previous response) or `page` (1-based)
+const parsePagination = (query, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) => {
+    const limit = parseIntegerParam(getParam(query, 'limit'), 'limit', { min: 1, max: maxLimit }) || defaultLimit;
+    const cursor = getParam(query, 'cursor');
+
+    if (cursor !== undefined) {
+        const offset = decodeCursor(cursor);
+        return { limit, offset, page: Math.floor(offset / limit) + 1 };
+    }
+
+    const page = parseIntegerParam(getParam(query, 'page'), 'page') || 1;
+    return { limit, offset: (page - 1) * limit, page };
+};
+
+// Runs a filtered, sorted, paginated find and wraps the result in the list response envelope:
+// { data: [...], pagination: { total, page, limit, totalPages, nextCursor, prevCursor } }
+// `populate` is passed straight to Query#populate()
+const paginate = async (Model, { filter = {}, sort = {}, pagination, projection = null, populate = null }) => {
+    const { limit, offset, page } = pagination;
+
+    // Text-score sorting needs the score projected; _id keeps the order stable across pages
+    const usesTextScore = Object.values(sort).some(direction => typeof direction === 'object');
+    const finalProjection = usesTextScore ? { ...(projection || {}), score: { $meta: 'textScore' } } : projection;
+    const finalSort = sort._id ? sort : { ...sort, _id: 1 };
+
+    const findQuery = Model.find(filter, finalProjection).sort(finalSort).skip(offset).limit(limit);
+    if (populate) {
+        findQuery.populate(populate);
+    }
+
+    const [data, total] = await Promise.all([
+        findQuery,
+        Model.countDocuments(filter)
+    ]);
+
+    const nextOffset = offset + limit < total ? offset + limit : null;
+    const prevOffset = offset > 0 ? Math.max(0, offset - limit) : null;
+
+    return {
+        data,
+        pagination: {
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+            nextCursor: nextOffset === null ? null : encodeCursor(nextOffset),
+            prevCursor: prevOffset === null ? null : encodeCursor(prevOffset)
+        }
+    };
+};
+
+module.exports = {
+    getParam,
+    parseBooleanParam,
+    parseIntegerParam,
+    parseDateParam,
+    parseSearchParam,
+    parseSortParam,
+    parsePagination,
+    paginate
+};
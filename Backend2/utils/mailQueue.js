@@ -0,0 +1,142 @@
+// Backend2/utils/mailQueue.js
+// The outbox sender: emails queued as EmailMessage documents are sent through the shared mail
+// transport (config/mailer.js), at most MAIL_RATE_PER_MINUTE (default 20) so a campaign doesn't
+// trip the provider's limits. A failed send is retried after 1m, 2m, 4m, ... (at most 1h apart)
+// until MAIL_MAX_ATTEMPTS (default 5) is reached. The queue is checked every
+// MAIL_QUEUE_INTERVAL_SECONDS (default 60, 0 disables) while the server is connected.
+const EmailMessage = require('../models/EmailMessage');
+const Campaign = require('../models/Campaign');
+const { sendMail } = require('../config/mailer');
+const { scheduleJob } = require('./jobRunner');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETRY_BASE_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const SEND_LEASE_MS = 5 * 60 * 1000; // How long a claimed message is left alone by other senders
+const INSERT_CHUNK_SIZE = 500;
+
+const readSetting = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const readRatePerMinute = () => readSetting('MAIL_RATE_PER_MINUTE', 20) || 20;
+const readIntervalSeconds = () => readSetting('MAIL_QUEUE_INTERVAL_SECONDS', 60);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delay before the next attempt once `attemptCount` attempts have failed
+const getRetryDelayMs = (attemptCount) => Math.min(RETRY_BASE_MS * 2 ** (attemptCount - 1), MAX_RETRY_DELAY_MS);
+
+// --- Helper: marks a campaign sent once none of its messages are waiting any more ---
+const completeCampaign = async (campaignId) => {
+    if (await EmailMessage.exists({ campaign: campaignId, status: 'pending' })) return;
+    await Campaign.updateOne({ _id: campaignId, status: 'sending' }, { $set: { status: 'sent', completedAt: new Date() } });
+};
+
+// Makes one attempt at a pending message that is due and records the outcome. The message is
+// claimed first, so two senders never send it twice. Resolves to the updated message, or null
+// when it wasn't pending and due.
+const sendQueuedEmail = async (messageId, now = new Date()) => {
+    const message = await EmailMessage.findOneAndUpdate(
+        { _id: messageId, status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + SEND_LEASE_MS) }, $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!message) return null;
+
+    try {
+        await sendMail({
+            to: message.to,
+            subject: message.subject,
+            html: message.html,
+            text: message.text || undefined,
+            headers: message.headers
+        });
+        message.status = 'sent';
+        message.sentAt = new Date();
+        message.lastError = '';
+    } catch (err) {
+        console.error(`Error sending queued email ${message._id} (attempt ${message.attempts}):`, err.message);
+        message.lastError = err.message;
+        if (message.attempts >= Math.max(1, Math.floor(readSetting('MAIL_MAX_ATTEMPTS', 5)))) {
+            message.status = 'failed';
+        } else {
+            message.nextAttemptAt = new Date(Date.now() + getRetryDelayMs(message.attempts));
+        }
+    }
+    if (message.status !== 'pending') {
+        message.expiresAt = new Date(Date.now() + readSetting('MAIL_LOG_RETENTION_DAYS', 90) * DAY_MS);
+    }
+    await message.save();
+
+    if (message.campaign && message.status !== 'pending') {
+        await completeCampaign(message.campaign);
+    }
+    return message;
+};
+
+// Queues emails: [{ to, subject, html, text, template, headers, campaign, subscriber, priority }].
+// With sendNow the first one is sent right away instead of waiting for the next run (for one-off
+// emails such as confirmations). Resolves to the number queued.
+const queueEmails = async (messages, { sendNow = false } = {}) => {
+    let queued = 0;
+    for (let i = 0; i < messages.length; i += INSERT_CHUNK_SIZE) {
+        const inserted = await EmailMessage.insertMany(messages.slice(i, i + INSERT_CHUNK_SIZE));
+        queued += inserted.length;
+        if (sendNow && i === 0 && inserted.length > 0) {
+            sendQueuedEmail(inserted[0]._id).catch(err => console.error('Error sending queued email:', err));
+        }
+    }
+    return queued;
+};
+
+// Stops queued emails matching `filter` (e.g. { campaign } or { subscriber }) from being sent.
+// Resolves to the number cancelled.
+const cancelQueuedEmails = async (filter) => {
+    const result = await EmailMessage.updateMany(
+        { ...filter, status: 'pending' },
+        { $set: { status: 'cancelled', expiresAt: new Date(Date.now() + readSetting('MAIL_LOG_RETENTION_DAYS', 90) * DAY_MS) } }
+    );
+    return result.modifiedCount;
+};
+
+// Sends what is due, highest priority first, at most MAIL_RATE_PER_MINUTE spread evenly over the
+// queue interval. Resolves to { sent, failed } (failed includes those that will be retried).
+const sendDueEmails = async ({ now = new Date(), intervalSeconds = readIntervalSeconds() || 60 } = {}) => {
+    const ratePerMinute = readRatePerMinute();
+    const limit = Math.max(1, Math.floor(ratePerMinute * intervalSeconds / 60));
+    const spacingMs = 60 * 1000 / ratePerMinute;
+
+    const due = await EmailMessage.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+        .sort({ priority: -1, nextAttemptAt: 1 })
+        .limit(limit)
+        .select('_id');
+
+    const result = { sent: 0, failed: 0 };
+    for (const [index, { _id }] of due.entries()) {
+        if (index > 0) await sleep(spacingMs);
+        const message = await sendQueuedEmail(_id, now);
+        if (message) result[message.status === 'sent' ? 'sent' : 'failed']++;
+    }
+    return result;
+};
+
+// Starts the queue (also sends what was left when the server stopped). Returns the timer (or null
+// when disabled); it doesn't keep the process alive.
+const scheduleMailQueue = () => {
+    const intervalSeconds = readIntervalSeconds();
+    return scheduleJob('Mail queue', intervalSeconds * 1000, async () => {
+        const { sent, failed } = await sendDueEmails({ intervalSeconds });
+        if (sent > 0 || failed > 0) console.log(`Mail queue: ${sent} sent, ${failed} failed.`);
+    }, { runOnStart: true });
+};
+
+module.exports = {
+    getRetryDelayMs,
+    sendQueuedEmail,
+    queueEmails,
+    cancelQueuedEmails,
+    sendDueEmails,
+    scheduleMailQueue
+};
@@ -0,0 +1,136 @@
+// Backend2/utils/media.js
+// Media library bookkeeping. Every upload gets a Media document (models/Media.js); documents that
+// use it (Event.poster, EventSeries.poster, TeamMember.photo, Speaker.photo) store its id in `media` and are listed in
+// Media.references. Releasing the last reference doesn't delete anything by itself: the media
+// sweep (utils/mediaSweep.js) removes media that has been unused for a while.
+//
+// A reference is { model: 'Event', document: <id>, field: 'poster' }.
+const mongoose = require('mongoose');
+const Media = require('../models/Media');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const TeamMember = require('../models/TeamMember');
+const Speaker = require('../models/Speaker');
+const { deleteImageFiles, deleteStoredFiles, detectImageType, getImageUrls } = require('./images');
+
+// Where images are stored, per model, and which field names the document in listings
+const IMAGE_FIELDS = [
+    { Model: Event, field: 'poster', title: 'eventName' },
+    { Model: EventSeries, field: 'poster', title: 'title' },
+    { Model: TeamMember, field: 'photo', title: 'name' },
+    { Model: Speaker, field: 'photo', title: 'name' }
+];
+
+// Records a freshly processed upload ({ value, variants, storedSize } from processImage) in the library
+const createMedia = ({ value, variants, storedSize }, { buffer, originalName, size, uploadedBy } = {}) => {
+    const type = detectImageType(buffer);
+    return Media.create({
+        originalName,
+        mimeType: type ? `image/${type}` : undefined,
+        size,
+        storedSize,
+        width: variants && variants.full ? variants.full.width : undefined,
+        height: variants && variants.full ? variants.full.height : undefined,
+        value,
+        variants,
+        files: getImageUrls({ type: 'upload', value, variants }),
+        uploadedBy
+    });
+};
+
+// The image object for reusing existing library media as a poster/photo.
+// Throws an Error with a user-facing message when the id is invalid or unknown.
+const resolveMediaImage = async (mediaId) => {
+    if (!mongoose.isValidObjectId(mediaId)) {
+        throw new Error('Invalid Media ID format.');
+    }
+    const media = await Media.findById(mediaId);
+    if (!media) {
+        throw new Error('Media not found.');
+    }
+    return media.toImage();
+};
+
+// Marks the image as used by `ref`. Images that aren't library media are ignored.
+const retainImage = async (image, ref) => {
+    if (!image || !image.media) return;
+    try {
+        await Media.updateOne(
+            { _id: image.media },
+            { $addToSet: { references: ref }, $set: { unreferencedAt: null } }
+        );
+    } catch (err) {
+        // The sweep rebuilds references from the documents, so this heals on its next run
+        console.error('Error recording media reference:', err);
+    }
+};
+
+// Called when `ref` stops using the image (replaced or deleted). Library media is kept for the
+// sweep; uploads from before the library existed have no other users and are deleted right away.
+// Never rejects.
+const releaseImage = async (image, ref) => {
+    if (!image || image.type !== 'upload') return;
+    if (!image.media) {
+        await deleteImageFiles(image);
+        return;
+    }
+    try {
+        await Media.updateOne({ _id: image.media }, { $pull: { references: ref } });
+        await Media.updateOne(
+            { _id: image.media, references: { $size: 0 }, unreferencedAt: null },
+            { $set: { unreferencedAt: new Date() } }
+        );
+    } catch (err) {
+        console.error('Error releasing media reference:', err);
+    }
+};
+
+// Throws away a fresh upload that ended up unused (validation failed, document not found...).
+// Media that something references in the meantime is left alone. Never rejects.
+const discardUpload = async (image) => {
+    if (!image) return;
+    if (!image.media) {
+        await deleteImageFiles(image);
+        return;
+    }
+    try {
+        const result = await Media.deleteOne({ _id: image.media, references: { $size: 0 }, pinned: false });
+        if (result.deletedCount === 1) {
+            await deleteImageFiles(image);
+        }
+    } catch (err) {
+        console.error('Error discarding uploaded media:', err);
+    }
+};
+
+// The documents currently using a media entry, read from the documents themselves rather than
+// Media.references: [{ model, document, field, title }]
+const findMediaUsage = async (media) => {
+    const usage = [];
+    for (const { Model, field, title } of IMAGE_FIELDS) {
+        // Documents in the trash still count: their image is only released when they are purged
+        const docs = await Model
+            .find({ $or: [{ [`${field}.media`]: media._id }, { [`${field}.type`]: 'upload', [`${field}.value`]: media.value }] })
+            .setOptions({ withDeleted: true })
+            .select(`${title} deletedAt`);
+        docs.forEach(doc => usage.push({ model: Model.modelName, document: doc._id, field, title: doc[title], inTrash: Boolean(doc.deletedAt) }));
+    }
+    return usage;
+};
+
+// Deletes a library entry and its files. Resolves to the number of files deleted.
+const deleteMedia = async (media) => {
+    await Media.deleteOne({ _id: media._id });
+    return deleteStoredFiles(media.files);
+};
+
+module.exports = {
+    IMAGE_FIELDS,
+    createMedia,
+    resolveMediaImage,
+    retainImage,
+    releaseImage,
+    discardUpload,
+    findMediaUsage,
+    deleteMedia
+};
@@ -0,0 +1,165 @@
+// Backend2/utils/mediaSweep.js
+// Garbage collection for uploads. A sweep:
+//   1. rebuilds every Media document's references from the documents that actually use it
+//      (fixing counts left wrong by failed requests or documents removed outside the API),
+//   2. removes media that nothing has used for the grace period (pinned media is kept),
+//   3. removes stored files that neither a Media document nor any poster/photo knows about
+//      and that are older than the grace period (so uploads in progress are never touched).
+// With dryRun nothing is changed; the report lists what would have been removed.
+//
+// Runs every MEDIA_SWEEP_INTERVAL_HOURS (default 24, 0 disables) once the server is connected,
+// on demand via POST /api/media/sweep and from the command line (npm run media:sweep).
+const Media = require('../models/Media');
+const { getStorage } = require('../config/storage');
+const { getImageUrls, deleteStoredFiles } = require('./images');
+const { IMAGE_FIELDS, findMediaUsage } = require('./media');
+const { scheduleJob } = require('./jobRunner');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_GRACE_HOURS = 24;
+const DEFAULT_INTERVAL_HOURS = 24;
+
+const readHours = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// --- Helper: who uses which media, and every URL any document points at ---
+const collectImageUsage = async () => {
+    const refsByMedia = new Map(); // media id -> [reference]
+    const refsByValue = new Map(); // image value (URL) -> [reference], for images saved without a media id
+    const usedUrls = new Set();
+
+    for (const { Model, field } of IMAGE_FIELDS) {
+        const docs = await Model.collection
+            .find({ [`${field}.type`]: 'upload' }, { projection: { [field]: 1 } })
+            .toArray();
+
+        docs.forEach(doc => {
+            const image = doc[field];
+            const ref = { model: Model.modelName, document: doc._id, field };
+            getImageUrls(image).forEach(url => usedUrls.add(url));
+
+            const [map, key] = image.media ? [refsByMedia, String(image.media)] : [refsByValue, image.value];
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(ref);
+        });
+    }
+    return { refsByMedia, refsByValue, usedUrls };
+};
+
+const referenceKey = (ref) => `${ref.model}:${ref.document}:${ref.field}`;
+
+const sameReferences = (a, b) => {
+    const keysA = a.map(referenceKey).sort();
+    const keysB = b.map(referenceKey).sort();
+    return keysA.length === keysB.length && keysA.every((key, i) => key === keysB[i]);
+};
+
+// Runs one sweep. Resolves to a report:
+// { dryRun, graceHours, startedAt, finishedAt,
+//   media: { scanned, referencesRepaired, removed: [{ id, originalName, value, storedSize, unreferencedAt }] },
+//   files: { scanned, removed: [{ key, url, size, lastModified }] },
+//   freedBytes, errors: [string] }
+const sweepMedia = async ({ dryRun = false, graceHours = readHours('MEDIA_SWEEP_GRACE_HOURS', DEFAULT_GRACE_HOURS) } = {}) => {
+    const startedAt = new Date();
+    const cutoff = new Date(startedAt.getTime() - graceHours * HOUR_MS);
+    const storage = getStorage();
+    const report = {
+        dryRun,
+        graceHours,
+        startedAt,
+        finishedAt: null,
+        media: { scanned: 0, referencesRepaired: 0, removed: [] },
+        files: { scanned: 0, removed: [] },
+        freedBytes: 0,
+        errors: []
+    };
+
+    // 1 + 2: references, then unused media
+    const { refsByMedia, refsByValue, usedUrls } = await collectImageUsage();
+    const knownUrls = new Set(usedUrls);
+
+    for await (const media of Media.find().cursor()) {
+        report.media.scanned++;
+        media.files.forEach(url => knownUrls.add(url));
+
+        const actual = refsByMedia.get(String(media._id)) || refsByValue.get(media.value) || [];
+        let unreferencedAt = media.unreferencedAt;
+        if (!sameReferences(media.references, actual)) {
+            report.media.referencesRepaired++;
+            unreferencedAt = actual.length > 0 ? null : (unreferencedAt || startedAt);
+            if (!dryRun) {
+                await Media.updateOne({ _id: media._id }, { $set: { references: actual, unreferencedAt } });
+            }
+        }
+
+        if (actual.length > 0 || media.pinned || !unreferencedAt || unreferencedAt > cutoff) continue;
+
+        if (!dryRun) {
+            try {
+                // Check again right before deleting: it may have been reused since the usage was collected
+                if ((await findMediaUsage(media)).length > 0) continue;
+                const result = await Media.deleteOne({ _id: media._id, references: { $size: 0 }, pinned: false });
+                if (result.deletedCount !== 1) continue;
+                await deleteStoredFiles(media.files);
+            } catch (err) {
+                report.errors.push(`Media ${media._id}: ${err.message}`);
+                continue;
+            }
+        }
+        report.media.removed.push({
+            id: media._id,
+            originalName: media.originalName,
+            value: media.value,
+            storedSize: media.storedSize,
+            unreferencedAt
+        });
+        report.freedBytes += media.storedSize || 0;
+    }
+
+    // 3: files nobody knows about
+    let files = [];
+    try {
+        files = await storage.list();
+    } catch (err) {
+        report.errors.push(`Listing ${storage.name} storage failed: ${err.message}`);
+    }
+    for (const file of files) {
+        report.files.scanned++;
+        const url = storage.getUrl(file.key);
+        if (knownUrls.has(url) || !file.lastModified || file.lastModified > cutoff) continue;
+
+        if (!dryRun) {
+            try {
+                await storage.delete(file.key);
+            } catch (err) {
+                report.errors.push(`File ${file.key}: ${err.message}`);
+                continue;
+            }
+        }
+        report.files.removed.push({ key: file.key, url, size: file.size, lastModified: file.lastModified });
+        report.freedBytes += file.size || 0;
+    }
+
+    report.finishedAt = new Date();
+    return report;
+};
+
+// One line for the server log
+const summarizeSweep = (report) =>
+    `${report.dryRun ? '[dry run] ' : ''}Media sweep: ${report.media.removed.length} unused media and ` +
+    `${report.files.removed.length} orphaned file(s) ${report.dryRun ? 'would be ' : ''}removed, ` +
+    `${Math.round(report.freedBytes / 1024)} KB, ${report.media.referencesRepaired} reference list(s) repaired` +
+    (report.errors.length ? `, ${report.errors.length} error(s)` : '') + '.';
+
+// Starts the periodic sweep. Returns the timer (or null when disabled); it doesn't keep the process alive.
+const scheduleMediaSweep = ({ intervalHours = readHours('MEDIA_SWEEP_INTERVAL_HOURS', DEFAULT_INTERVAL_HOURS) } = {}) => {
+    return scheduleJob('Media sweep', intervalHours * HOUR_MS, async () => {
+        const report = await sweepMedia();
+        console.log(summarizeSweep(report));
+        report.errors.forEach(error => console.error('Media sweep error:', error));
+    });
+};
+
+module.exports = { sweepMedia, summarizeSweep, scheduleMediaSweep };
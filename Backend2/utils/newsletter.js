@@ -0,0 +1,286 @@
+// Backend2/utils/newsletter.js
+// The newsletter: double opt-in subscriptions, one-click unsubscribe and campaigns
+// (models/Subscriber.js, models/Campaign.js). Emails go through the outbox (utils/mailQueue.js).
+//
+// Links in emails:
+//   confirmation  FRONTEND_URL/newsletter/confirm?token=...      (the page calls POST /api/newsletter/confirm)
+//   unsubscribe   FRONTEND_URL/newsletter/unsubscribe?token=...  (the page calls POST /api/newsletter/unsubscribe)
+// Newsletter emails also carry List-Unsubscribe / List-Unsubscribe-Post headers (RFC 8058) pointing at
+// API_URL/api/newsletter/unsubscribe, so mail clients can unsubscribe in one click. API_URL is the
+// public URL of this API and has no default: campaigns refuse to send without it, as a localhost
+// link would break one-click unsubscribes for every recipient. Unsubscribe tokens are signed with
+// NEWSLETTER_TOKEN_SECRET (or JWT_SECRET) and don't expire.
+//
+// Reminders: published events starting within NEWSLETTER_REMINDER_HOURS (default 24, 0 disables)
+// get an event-reminder campaign automatically, unless they already have one.
+const jwt = require('jsonwebtoken');
+const Subscriber = require('../models/Subscriber');
+const Campaign = require('../models/Campaign');
+const Event = require('../models/Event');
+const { CAMPAIGN_TEMPLATES, subscriptionConfirmation } = require('./emailTemplates');
+const { EVENT_SPEAKERS_POPULATE } = require('./speakers');
+const { queueEmails, cancelQueuedEmails } = require('./mailQueue');
+const { scheduleJob } = require('./jobRunner');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const UNSUBSCRIBE_AUDIENCE = 'newsletter-unsubscribe';
+const CONFIRMATION_PRIORITY = 10;
+const REMINDER_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const getSecret = () => process.env.NEWSLETTER_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const getApiUrl = () => {
+    if (!process.env.API_URL) {
+        throw new Error('API_URL is not set, so newsletter emails would have no working unsubscribe link. Set it to the public URL of the API.');
+    }
+    return process.env.API_URL.replace(/\/+$/, '');
+};
+
+const readReminderHours = () => {
+    const value = parseFloat(process.env.NEWSLETTER_REMINDER_HOURS);
+    return Number.isFinite(value) && value >= 0 ? value : 24;
+};
+
+// --- Unsubscribe links ---
+
+const createUnsubscribeToken = (subscriber) => jwt.sign(
+    { sid: subscriber._id.toString() },
+    getSecret(),
+    { audience: UNSUBSCRIBE_AUDIENCE, noTimestamp: true }
+);
+
+// Returns the subscriber ID or throws an Error with a user-facing message
+const verifyUnsubscribeToken = (token) => {
+    try {
+        return jwt.verify(String(token).trim(), getSecret(), { audience: UNSUBSCRIBE_AUDIENCE }).sid;
+    } catch (err) {
+        throw new Error('Invalid unsubscribe link.');
+    }
+};
+
+// The footer link and the List-Unsubscribe headers for a subscriber
+const getUnsubscribeOptions = (subscriber) => {
+    const apiUrl = getApiUrl();
+    const token = encodeURIComponent(createUnsubscribeToken(subscriber));
+    return {
+        unsubscribeUrl: `${FRONTEND_URL}/newsletter/unsubscribe?token=${token}`,
+        headers: {
+            'List-Unsubscribe': `<${apiUrl}/api/newsletter/unsubscribe?token=${token}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+    };
+};
+
+// --- Subscriptions ---
+
+// Signs `email` up and emails the confirmation link. Already confirmed subscribers are left as
+// they are (no email), so the response can't be used to find out who is subscribed.
+// Resolves to the subscriber.
+const subscribe = async ({ email, name, ip }) => {
+    const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    let subscriber = await Subscriber.findOne({ email: normalizedEmail });
+    if (subscriber && subscriber.status === 'subscribed') {
+        return subscriber;
+    }
+
+    if (!subscriber) {
+        subscriber = new Subscriber({ email: normalizedEmail });
+    }
+    if (name !== undefined) subscriber.name = name;
+    subscriber.status = 'pending';
+    subscriber.requestedAt = new Date();
+    subscriber.requestIp = ip;
+    const token = subscriber.createConfirmation();
+    await subscriber.save();
+
+    const content = subscriptionConfirmation({
+        name: subscriber.name,
+        confirmUrl: `${FRONTEND_URL}/newsletter/confirm?token=${token}`
+    });
+    await queueEmails([{
+        ...content,
+        template: 'subscription-confirmation',
+        to: subscriber.email,
+        subscriber: subscriber._id,
+        priority: CONFIRMATION_PRIORITY
+    }], { sendNow: true });
+    return subscriber;
+};
+
+// Completes the opt-in. Throws an Error with a user-facing message for unknown or expired links.
+// Resolves to the subscriber.
+const confirmSubscription = async (token, { ip } = {}) => {
+    const subscriber = token ? await Subscriber.findByConfirmationToken(token) : null;
+    if (!subscriber) {
+        throw new Error('This confirmation link is invalid or has expired. Please sign up again.');
+    }
+    if (subscriber.status !== 'subscribed') {
+        subscriber.status = 'subscribed';
+        subscriber.subscribedAt = new Date();
+        subscriber.confirmIp = ip;
+        subscriber.unsubscribedAt = null;
+    }
+    subscriber.confirmation = undefined;
+    subscriber.expiresAt = null;
+    await subscriber.save();
+    return subscriber;
+};
+
+// Unsubscribes and drops the newsletter emails still queued for the subscriber. Resolves to the subscriber.
+const unsubscribe = async (subscriber) => {
+    if (subscriber.status !== 'unsubscribed') {
+        subscriber.status = 'unsubscribed';
+        subscriber.unsubscribedAt = new Date();
+        subscriber.confirmation = undefined;
+        subscriber.expiresAt = null;
+        await subscriber.save();
+    }
+    await cancelQueuedEmails({ subscriber: subscriber._id });
+    return subscriber;
+};
+
+// --- Campaigns ---
+
+// The campaign's event with what the templates show (speaker names), or null for custom campaigns.
+// Throws when the event is gone.
+const loadCampaignEvent = async (campaign) => {
+    if (campaign.kind === 'custom') return null;
+    const event = await Event.findById(campaign.event).populate(EVENT_SPEAKERS_POPULATE);
+    if (!event) {
+        throw new Error('The event this campaign is about no longer exists.');
+    }
+    return event;
+};
+
+// Renders the campaign for one recipient ({ email, name }, plus _id for subscribers):
+// { subject, html, text, headers }
+const renderCampaign = (campaign, event, recipient) => {
+    const links = recipient._id ? getUnsubscribeOptions(recipient) : { unsubscribeUrl: null, headers: undefined };
+    const content = CAMPAIGN_TEMPLATES[campaign.kind](event, {
+        subject: campaign.subject,
+        message: campaign.message,
+        name: recipient.name,
+        unsubscribeUrl: links.unsubscribeUrl
+    });
+    return { ...content, headers: links.headers };
+};
+
+// Sends the campaign to every confirmed subscriber: queues one email each and moves the campaign
+// from draft to sending (the mail queue marks it sent once they are all out).
+// Throws an Error with a user-facing message when it can't be sent. Resolves to the campaign.
+const queueCampaign = async (campaign) => {
+    getApiUrl(); // Throws before anything is claimed or queued
+    const event = await loadCampaignEvent(campaign);
+    if (event && event.status !== 'published') {
+        throw new Error('The event has to be published before subscribers are emailed about it.');
+    }
+    renderCampaign(campaign, event, { email: '' }); // Throws for e.g. a report without a report link
+
+    // Claim the draft first, so a double click doesn't send it twice
+    const claimed = await Campaign.findOneAndUpdate(
+        { _id: campaign._id, status: 'draft' },
+        { $set: { status: 'sending', queuedAt: new Date() } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new Error('Only draft campaigns can be sent.');
+    }
+
+    try {
+        const subscribers = await Subscriber.find({ status: 'subscribed' }).select('email name').lean();
+        const messages = subscribers.map(subscriber => ({
+            ...renderCampaign(claimed, event, subscriber),
+            template: claimed.kind,
+            to: subscriber.email,
+            campaign: claimed._id,
+            subscriber: subscriber._id
+        }));
+        claimed.recipientCount = await queueEmails(messages);
+        if (claimed.recipientCount === 0) {
+            claimed.status = 'sent';
+            claimed.completedAt = new Date();
+        }
+        await claimed.save();
+        return claimed;
+    } catch (err) {
+        // Nothing is sent half-way: drop what was queued and leave the campaign as a draft
+        await cancelQueuedEmails({ campaign: claimed._id });
+        await Campaign.updateOne({ _id: claimed._id }, { $set: { status: 'draft', queuedAt: null } });
+        throw err;
+    }
+};
+
+// Sends a copy of the campaign to `email` right away (without an unsubscribe link), for checking it
+const sendTestEmail = async (campaign, email, name) => {
+    const event = await loadCampaignEvent(campaign);
+    const content = renderCampaign(campaign, event, { email, name });
+    await queueEmails([{
+        ...content,
+        subject: `[Test] ${content.subject}`,
+        template: campaign.kind,
+        to: email,
+        priority: CONFIRMATION_PRIORITY
+    }], { sendNow: true });
+};
+
+// --- Event reminders ---
+
+// Queues a reminder campaign for every published event starting within the reminder window that
+// doesn't have one yet. A reminder that can't be sent is logged and left as a draft for an admin.
+// Nothing is created while API_URL is missing, so reminders still go out once it is set.
+// Resolves to the campaigns queued.
+const queueEventReminders = async (now = new Date(), hours = readReminderHours()) => {
+    if (!hours || !process.env.API_URL) return [];
+    const events = await Event.find({
+        status: 'published',
+        eventDate: { $gt: now, $lte: new Date(now.getTime() + hours * HOUR_MS) }
+    }).select('_id');
+    if (events.length === 0) return [];
+
+    const reminded = await Campaign.distinct('event', { kind: 'event-reminder', event: { $in: events.map(event => event._id) } });
+    const remindedIds = new Set(reminded.map(String));
+    const queued = [];
+
+    for (const { _id } of events.filter(event => !remindedIds.has(String(event._id)))) {
+        let campaign;
+        try {
+            campaign = await Campaign.create({ kind: 'event-reminder', event: _id, automatic: true });
+        } catch (err) {
+            if (err.code === 11000) continue; // Another server instance got there first
+            throw err;
+        }
+        try {
+            queued.push(await queueCampaign(campaign));
+        } catch (err) {
+            console.error(`Error queueing the reminder for event ${_id}:`, err);
+        }
+    }
+    return queued;
+};
+
+// Starts the reminder job. Returns the timer (or null when reminders are off); it doesn't keep the process alive.
+const scheduleEventReminders = () => {
+    if (!readReminderHours()) return null;
+    if (!process.env.API_URL) {
+        console.warn('API_URL is not set: event reminders (and other campaigns) will not be sent until it is.');
+    }
+
+    return scheduleJob('Event reminders', REMINDER_CHECK_INTERVAL_MS, async () => {
+        const campaigns = await queueEventReminders();
+        campaigns.forEach(campaign => console.log(`Queued the reminder for event ${campaign.event} to ${campaign.recipientCount} subscriber(s).`));
+    }, { runOnStart: true });
+};
+
+module.exports = {
+    verifyUnsubscribeToken,
+    subscribe,
+    confirmSubscription,
+    unsubscribe,
+    loadCampaignEvent,
+    renderCampaign,
+    queueCampaign,
+    sendTestEmail,
+    queueEventReminders,
+    scheduleEventReminders
+};
@@ -0,0 +1,221 @@
+// Backend2/utils/orgChart.js
+// The team's structure in one academic year: verticals, their leads and who reports to whom.
+// Everything is read from team member tenures (models/TeamMember.js); verticals are in models/Vertical.js.
+const mongoose = require('mongoose');
+const TeamMember = require('../models/TeamMember');
+const Vertical = require('../models/Vertical');
+
+const MAX_REPORTING_DEPTH = 50;
+
+// --- Helper: the ID of a (possibly populated) reference, as a string; '' for none ---
+const refId = (value) => (value ? String(value._id || value) : '');
+
+// Turns the vertical (ID or name) and reportsTo (member ID) of a parsed tenure into ObjectIds.
+// Throws an Error with a user-facing message for unknown verticals and malformed IDs.
+const resolveTenureRefs = async (tenure) => {
+    const resolved = { ...tenure };
+    if (tenure.vertical) {
+        const vertical = await Vertical.findByIdOrName(tenure.vertical);
+        if (!vertical) {
+            throw new Error(`Vertical "${tenure.vertical}" not found.`);
+        }
+        resolved.vertical = vertical._id;
+    }
+    if (tenure.reportsTo && !mongoose.isValidObjectId(tenure.reportsTo)) {
+        throw new Error('Invalid reportsTo member ID format.');
+    }
+    return resolved;
+};
+
+// Checks the reporting lines of a member's tenures before saving: the manager must be another
+// member with a tenure in the same year, and following reportsTo upwards must never lead back
+// to this member. Throws an Error with a user-facing message.
+const checkReportingLines = async (member) => {
+    for (const tenure of member.tenures) {
+        if (!tenure.reportsTo) continue;
+        const { academicYear } = tenure;
+        if (refId(tenure.reportsTo) === String(member._id)) {
+            throw new Error('A member cannot report to themselves.');
+        }
+
+        const manager = await TeamMember.findOne({ _id: tenure.reportsTo }, 'name tenures');
+        if (!manager) {
+            throw new Error('The member this role reports to was not found.');
+        }
+        if (!manager.tenures.some(t => t.academicYear === academicYear)) {
+            throw new Error(`${manager.name} is not on the team in ${academicYear}.`);
+        }
+
+        // Walk up the chain in that year
+        const seen = new Set([String(manager._id)]);
+        let level = [manager];
+        for (let depth = 0; level.length > 0 && depth < MAX_REPORTING_DEPTH; depth++) {
+            const nextIds = [];
+            level.forEach(current => current.tenures
+                .filter(t => t.academicYear === academicYear && t.reportsTo)
+                .forEach(t => nextIds.push(refId(t.reportsTo))));
+            if (nextIds.includes(String(member._id))) {
+                throw new Error(`Reporting to ${manager.name} would create a loop in ${academicYear}.`);
+            }
+            const unseen = [...new Set(nextIds)].filter(id => !seen.has(id));
+            unseen.forEach(id => seen.add(id));
+            level = unseen.length > 0 ? await TeamMember.find({ _id: { $in: unseen } }, 'name tenures') : [];
+        }
+    }
+};
+
+const byOrder = (a, b) => a.tenure.displayOrder - b.tenure.displayOrder || a.name.localeCompare(b.name);
+
+// The org chart of one academic year:
+// { academicYear, leadership: [node], verticals: [{ _id, name, description, displayOrder, leads: [node], members: [node] }] }
+// where a node is the member's public view plus `tenure` and `reports` (the nodes reporting to them).
+// Someone reporting to a person in the same vertical appears under that person; everyone else
+// sits at the top of their vertical (or of leadership, for club-wide roles) and a line across
+// verticals, e.g. a vertical lead reporting to the President, is only in `tenure.reportsTo`.
+// Verticals nobody served in that year are left out.
+const buildOrgChart = async (academicYear) => {
+    const members = await TeamMember.find({ 'tenures.academicYear': academicYear });
+    const verticals = await Vertical.find().sort({ displayOrder: 1, name: 1 });
+
+    const nodes = [];
+    members.forEach(member => {
+        const publicView = member.toPublicJSON();
+        delete publicView.tenures;
+        member.tenures
+            .filter(tenure => tenure.academicYear === academicYear)
+            .forEach(tenure => nodes.push({
+                ...publicView,
+                tenure: {
+                    _id: tenure._id,
+                    position: tenure.position,
+                    vertical: tenure.vertical,
+                    isLead: tenure.isLead,
+                    reportsTo: tenure.reportsTo,
+                    displayOrder: tenure.displayOrder
+                },
+                reports: []
+            }));
+    });
+
+    // A member has at most one tenure per vertical and year, so (member, vertical) finds the manager's node
+    const nodeKey = (memberId, vertical) => `${refId(memberId)}|${refId(vertical)}`;
+    const nodesByKey = new Map(nodes.map(node => [nodeKey(node._id, node.tenure.vertical), node]));
+
+    const parentOf = new Map();
+    nodes.forEach(node => {
+        const parent = node.tenure.reportsTo && nodesByKey.get(nodeKey(node.tenure.reportsTo, node.tenure.vertical));
+        if (parent && parent !== node) parentOf.set(node, parent);
+    });
+    // Lines saved before a loop check (or edited in the database) must not hide anyone
+    nodes.forEach(node => {
+        const chain = new Set([node]);
+        for (let parent = parentOf.get(node); parent; parent = parentOf.get(parent)) {
+            if (chain.has(parent)) {
+                parentOf.delete(node);
+                break;
+            }
+            chain.add(parent);
+        }
+    });
+
+    const leadership = [];
+    const byVertical = new Map(verticals.map(vertical => [String(vertical._id), { leads: [], members: [] }]));
+    nodes.forEach(node => {
+        const parent = parentOf.get(node);
+        if (parent) {
+            parent.reports.push(node);
+            return;
+        }
+        const group = byVertical.get(refId(node.tenure.vertical));
+        if (!group) leadership.push(node);
+        else if (node.tenure.isLead) group.leads.push(node);
+        else group.members.push(node);
+    });
+
+    const sortTree = (list) => {
+        list.sort(byOrder);
+        list.forEach(node => sortTree(node.reports));
+        return list;
+    };
+
+    return {
+        academicYear,
+        leadership: sortTree(leadership),
+        verticals: verticals
+            .map(vertical => ({
+                _id: vertical._id,
+                name: vertical.name,
+                description: vertical.description,
+                displayOrder: vertical.displayOrder,
+                leads: sortTree(byVertical.get(String(vertical._id)).leads),
+                members: sortTree(byVertical.get(String(vertical._id)).members)
+            }))
+            .filter(vertical => nodes.some(node => refId(node.tenure.vertical) === String(vertical._id)))
+    };
+};
+
+// --- Helper: `order` must list exactly the IDs in `expected`, each once ---
+const checkCompleteOrder = (order, expected, what) => {
+    if (!Array.isArray(order) || order.length === 0) {
+        throw new Error('"order" must be a non-empty array of IDs.');
+    }
+    const ids = order.map(String);
+    const expectedIds = new Set(expected.map(String));
+    if (new Set(ids).size !== ids.length || ids.length !== expectedIds.size || ids.some(id => !expectedIds.has(id))) {
+        throw new Error(`"order" must list every ${what} exactly once. Reload and try again.`);
+    }
+};
+
+// Sets the display order of the tenures of one vertical (null: club-wide roles) in one year to
+// their position in `order` (tenure IDs, first = 1). The whole order is checked before anything is
+// written and then saved with one bulkWrite, so an incomplete or stale order moves nothing (no
+// transaction needed, so it works on a standalone MongoDB). Throws an Error with a user-facing
+// message for an incomplete order.
+const reorderTenures = async ({ academicYear, vertical = null, order }) => {
+    const inGroup = (tenure) => tenure.academicYear === academicYear && refId(tenure.vertical) === refId(vertical);
+    const members = await TeamMember.find({
+        tenures: { $elemMatch: { academicYear, vertical: vertical || null } }
+    });
+
+    const tenures = members.flatMap(member => member.tenures.filter(inGroup));
+    checkCompleteOrder(order, tenures.map(tenure => tenure._id), 'tenure of this vertical and year');
+
+    const position = new Map(order.map((id, index) => [String(id), index + 1]));
+    await TeamMember.bulkWrite(members.map(member => {
+        const moved = member.tenures.filter(inGroup);
+        moved.forEach(tenure => {
+            tenure.displayOrder = position.get(String(tenure._id));
+        });
+        // The top-level fields mirror the latest tenure, as the pre-validate hook would set them
+        const [latest] = member.getTenureHistory();
+        const update = { position: latest.position, academicYear: latest.academicYear, displayOrder: latest.displayOrder };
+        moved.forEach((tenure, index) => {
+            update[`tenures.$[t${index}].displayOrder`] = tenure.displayOrder;
+        });
+        return {
+            updateOne: {
+                filter: { _id: member._id },
+                update: { $set: update },
+                arrayFilters: moved.map((tenure, index) => ({ [`t${index}._id`]: tenure._id }))
+            }
+        };
+    }));
+};
+
+// Sets the display order of all verticals to their position in `order` (vertical IDs). Checked in
+// full first and written with one bulkWrite, like reorderTenures.
+const reorderVerticals = async (order) => {
+    const verticals = await Vertical.find({}, '_id');
+    checkCompleteOrder(order, verticals.map(vertical => vertical._id), 'vertical');
+    await Vertical.bulkWrite(order.map((id, index) => ({
+        updateOne: { filter: { _id: id }, update: { $set: { displayOrder: index + 1 } } }
+    })));
+};
+
+module.exports = {
+    resolveTenureRefs,
+    checkReportingLines,
+    buildOrgChart,
+    reorderTenures,
+    reorderVerticals
+};
@@ -0,0 +1,256 @@
+// Backend2/utils/registrations.js
+// Registration (RSVP) logic shared by the registration routes and the event routes:
+// parsing an event's registration settings, atomic seat accounting, waitlist promotion
+// and the registrant emails.
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const { sendMail } = require('../config/mailer');
+const { DEFAULT_TIMEZONE, parseDateTimeInput, describeEventDate, describeVenue } = require('./eventLogistics');
+const { escapeHtml } = require('./html');
+const { createCheckInToken, renderCheckInQr } = require('./checkIn');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const parseBoolean = (value, name) => {
+    if (value === true || value === false) return value;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    throw new Error(`"${name}" must be true or false.`);
+};
+
+// --- Settings: builds `event.registration` from a `registration` JSON object/string or flat fields
+// (registrationEnabled, registrationCapacity, registrationOpensAt, registrationClosesAt, waitlistEnabled).
+// Returns undefined on update when nothing was sent. Never includes `confirmedCount`, which is
+// only ever changed atomically by claimSeat/releaseSeat.
+const buildRegistrationSettings = (body, existingEvent = null, timeZone = DEFAULT_TIMEZONE) => {
+    let input = {};
+    if (body.registration !== undefined && body.registration !== '') {
+        try {
+            input = typeof body.registration === 'string' ? JSON.parse(body.registration) : body.registration;
+        } catch (e) {
+            throw new Error('Invalid registration format. Must be a valid JSON object.');
+        }
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new Error('Invalid registration format. Must be a valid JSON object.');
+        }
+    }
+
+    const provided = {
+        enabled: input.enabled !== undefined ? input.enabled : body.registrationEnabled,
+        capacity: input.capacity !== undefined ? input.capacity : body.registrationCapacity,
+        opensAt: input.opensAt !== undefined ? input.opensAt : body.registrationOpensAt,
+        closesAt: input.closesAt !== undefined ? input.closesAt : body.registrationClosesAt,
+        waitlistEnabled: input.waitlistEnabled !== undefined ? input.waitlistEnabled : body.waitlistEnabled
+    };
+
+    if (!Object.values(provided).some(value => value !== undefined)) {
+        return undefined;
+    }
+
+    const current = existingEvent && existingEvent.registration ? existingEvent.registration : {};
+    const settings = {
+        enabled: Boolean(current.enabled),
+        capacity: current.capacity === undefined ? null : current.capacity,
+        opensAt: current.opensAt || null,
+        closesAt: current.closesAt || null,
+        waitlistEnabled: current.waitlistEnabled === undefined ? true : current.waitlistEnabled
+    };
+
+    if (provided.enabled !== undefined) {
+        settings.enabled = parseBoolean(provided.enabled, 'registrationEnabled');
+    }
+    if (provided.waitlistEnabled !== undefined) {
+        settings.waitlistEnabled = parseBoolean(provided.waitlistEnabled, 'waitlistEnabled');
+    }
+    if (provided.capacity !== undefined) {
+        if (isBlank(provided.capacity)) {
+            settings.capacity = null; // Unlimited
+        } else {
+            const capacity = Number(provided.capacity);
+            if (!Number.isInteger(capacity) || capacity < 1) {
+                throw new Error('Registration capacity must be a whole number of at least 1.');
+            }
+            settings.capacity = capacity;
+        }
+    }
+    if (provided.opensAt !== undefined) {
+        settings.opensAt = isBlank(provided.opensAt) ? null : parseDateTimeInput(provided.opensAt, timeZone, 'Registration open');
+    }
+    if (provided.closesAt !== undefined) {
+        settings.closesAt = isBlank(provided.closesAt) ? null : parseDateTimeInput(provided.closesAt, timeZone, 'Registration close');
+    }
+
+    return settings;
+};
+
+// --- Window: 'disabled' | 'not-open' | 'open' | 'closed' ---
+const getRegistrationState = (event, now = new Date()) => {
+    const registration = event.registration || {};
+    if (!registration.enabled) return 'disabled';
+    if (registration.opensAt && now < registration.opensAt) return 'not-open';
+    const closesAt = registration.closesAt || event.eventDate;
+    if (closesAt && now >= closesAt) return 'closed';
+    return 'open';
+};
+
+// --- Seats ---
+
+// Atomically takes a seat if one is free; resolves to true on success
+const claimSeat = async (eventId) => {
+    const updated = await Event.findOneAndUpdate(
+        {
+            _id: eventId,
+            $or: [
+                { 'registration.capacity': null },
+                { $expr: { $lt: ['$registration.confirmedCount', '$registration.capacity'] } }
+            ]
+        },
+        { $inc: { 'registration.confirmedCount': 1 } },
+        { new: true }
+    );
+    return Boolean(updated);
+};
+
+const releaseSeat = (eventId) => Event.updateOne(
+    { _id: eventId, 'registration.confirmedCount': { $gt: 0 } },
+    { $inc: { 'registration.confirmedCount': -1 } }
+);
+
+// 1-based position of a waitlisted registration
+const getWaitlistPosition = async (registration) => {
+    const ahead = await Registration.countDocuments({
+        event: registration.event,
+        status: 'waitlisted',
+        waitlistedAt: { $lt: registration.waitlistedAt }
+    });
+    return ahead + 1;
+};
+
+// --- Emails ---
+const eventDetailsHtml = (event) => {
+    const venue = describeVenue(event.venue);
+    return `
+                <p><strong>${escapeHtml(event.eventName)}</strong><br>
+                ${escapeHtml(describeEventDate(event.eventDate, event.timezone))}${venue ? `<br>${escapeHtml(venue)}` : ''}</p>`;
+};
+
+const cancelLink = (event, registration, cancelToken) =>
+    `${FRONTEND_URL}/events/${event._id}/cancel-registration?registration=${registration._id}&token=${encodeURIComponent(cancelToken)}`;
+
+// kind: 'confirmed' | 'waitlisted' | 'promoted' | 'cancelled'
+const sendRegistrationEmail = async (kind, event, registration, { cancelToken, waitlistPosition } = {}) => {
+    const subjects = {
+        confirmed: `Registration confirmed: ${event.eventName}`,
+        waitlisted: `You're on the waitlist: ${event.eventName}`,
+        promoted: `A seat opened up - you're confirmed for ${event.eventName}`,
+        cancelled: `Registration cancelled: ${event.eventName}`
+    };
+    const intros = {
+        confirmed: 'Your registration is confirmed. We look forward to seeing you!',
+        waitlisted: `The event is currently full, so you have been added to the waitlist${waitlistPosition ? ` at position <strong>${waitlistPosition}</strong>` : ''}. We will email you if a seat opens up.`,
+        promoted: 'Good news! A seat has opened up and your registration is now <strong>confirmed</strong>.',
+        cancelled: 'Your registration has been cancelled.'
+    };
+
+    // Confirmed registrants get their check-in QR code inline
+    const hasTicket = kind === 'confirmed' || kind === 'promoted';
+    const attachments = hasTicket
+        ? [{ filename: 'check-in-qr.png', content: await renderCheckInQr(createCheckInToken(registration)), cid: 'check-in-qr' }]
+        : [];
+
+    const mailOptions = {
+        to: registration.email,
+        subject: subjects[kind],
+        attachments,
+        html: `
+            <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+                <h2 style="color: #0056b3;">${escapeHtml(subjects[kind])}</h2>
+                <p>Hello ${escapeHtml(registration.name)},</p>
+                <p>${intros[kind]}</p>
+                ${eventDetailsHtml(event)}
+                ${hasTicket
+                    ? '<p>Show this QR code at the entrance to check in:</p><p><img src="cid:check-in-qr" alt="Check-in QR code" width="240" height="240"></p>'
+                    : ''}
+                ${cancelToken && kind !== 'cancelled'
+                    ? `<p>Can't make it? <a href="${cancelLink(event, registration, cancelToken)}" style="color: #0056b3;">Cancel your registration</a> so someone on the waitlist can take your seat.</p>`
+                    : ''}
+                <p>Thank you,</p>
+                <p>The Blockchain Club Team</p>
+            </div>
+        `,
+    };
+
+    await sendMail(mailOptions);
+};
+
+// Emails are best-effort: a failed email must not undo a registration
+const sendRegistrationEmailSafely = (...args) => sendRegistrationEmail(...args)
+    .catch(err => console.error(`Error sending ${args[0]} registration email:`, err));
+
+// --- Waitlist ---
+
+// Moves waitlisted registrations into free seats (oldest first) and emails them.
+// Resolves to the promoted registrations.
+const promoteFromWaitlist = async (event) => {
+    const promoted = [];
+    const findNextWaitlisted = () => Registration.findOne({ event: event._id, status: 'waitlisted' })
+        .sort({ waitlistedAt: 1, _id: 1 });
+
+    let next = await findNextWaitlisted();
+    while (next && await claimSeat(event._id)) {
+        const registration = await Registration.findOneAndUpdate(
+            { _id: next._id, status: 'waitlisted' },
+            { $set: { status: 'confirmed', promotedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!registration) {
+            // Cancelled or promoted by a parallel request; give the seat back and try the next one
+            await releaseSeat(event._id);
+        } else {
+            // The old cancellation link only lived in the waitlist email, so issue a fresh one
+            const cancelToken = registration.createCancelToken();
+            await registration.save();
+
+            promoted.push(registration);
+            sendRegistrationEmailSafely('promoted', event, registration, { cancelToken });
+        }
+
+        next = await findNextWaitlisted();
+    }
+
+    return promoted;
+};
+
+// Cancels a registration, frees its seat and promotes the next person on the waitlist.
+// Resolves to the cancelled registration, or null if it was already cancelled.
+const cancelRegistration = async (event, registration, cancelledBy) => {
+    const previous = await Registration.findOneAndUpdate(
+        { _id: registration._id, status: { $ne: 'cancelled' } },
+        { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy }, $unset: { cancelTokenHash: 1 } }
+    );
+    if (!previous) return null;
+
+    if (previous.status === 'confirmed') {
+        await releaseSeat(event._id);
+        await promoteFromWaitlist(event);
+    }
+
+    const cancelled = await Registration.findById(registration._id);
+    sendRegistrationEmailSafely('cancelled', event, cancelled);
+    return cancelled;
+};
+
+module.exports = {
+    buildRegistrationSettings,
+    getRegistrationState,
+    claimSeat,
+    releaseSeat,
+    getWaitlistPosition,
+    sendRegistrationEmail,
+    sendRegistrationEmailSafely,
+    promoteFromWaitlist,
+    cancelRegistration
+};
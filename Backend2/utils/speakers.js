@@ -0,0 +1,45 @@
+// Backend2/utils/speakers.js
+// Helpers for the speaker references on events.
+const mongoose = require('mongoose');
+const Speaker = require('../models/Speaker');
+
+// Speaker fields embedded in event responses
+const SPEAKER_SUMMARY_FIELDS = 'name photo affiliation socialLinks teamMember';
+
+const EVENT_SPEAKERS_POPULATE = { path: 'speakers', select: SPEAKER_SUMMARY_FIELDS };
+
+// Reads the `speakers` request field: a JSON array (or an array, for JSON bodies) of speaker IDs.
+// Objects with an `_id` are accepted too, so a populated event can be sent back as-is.
+// Throws an Error with a user-facing message when the value is malformed.
+const parseSpeakerIds = (value) => {
+    let list = value;
+    if (typeof list === 'string') {
+        try {
+            list = JSON.parse(list);
+        } catch (e) {
+            throw new Error('Invalid speakers format. Must be a JSON array of speaker IDs.');
+        }
+    }
+    if (!Array.isArray(list)) {
+        throw new Error('Invalid speakers format. Must be a JSON array of speaker IDs.');
+    }
+
+    const ids = list.map(item => String(item && typeof item === 'object' ? item._id : item));
+    if (!ids.every(id => mongoose.isValidObjectId(id))) {
+        throw new Error('Each speaker must be a speaker ID from the speaker directory.');
+    }
+    return ids;
+};
+
+// Makes sure every ID refers to an existing speaker; throws an Error listing the unknown ones
+const assertSpeakersExist = async (ids) => {
+    const unique = [...new Set(ids)];
+    const found = await Speaker.find({ _id: { $in: unique } }).select('_id');
+    const foundIds = new Set(found.map(speaker => speaker._id.toString()));
+    const missing = unique.filter(id => !foundIds.has(id));
+    if (missing.length > 0) {
+        throw new Error(`Unknown speaker ID(s): ${missing.join(', ')}`);
+    }
+};
+
+module.exports = { SPEAKER_SUMMARY_FIELDS, EVENT_SPEAKERS_POPULATE, parseSpeakerIds, assertSpeakersExist };
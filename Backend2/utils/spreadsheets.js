@@ -0,0 +1,105 @@
+// Backend2/utils/spreadsheets.js
+// Reading and writing the CSV/XLSX files used by imports and exports.
+// A sheet read from a file is { headers: [string], rows: [{ row, cells: [string] }] } where `row` is
+// the row number in the file (for error reports) and every cell is trimmed text.
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+
+const SPREADSHEET_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// --- Helper: quotes a value for CSV (RFC 4180) and neutralises spreadsheet formulas ---
+const toCsvValue = (value) => {
+    if (value === undefined || value === null) return '';
+    let str = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Reverses the formula guard above, so exported files can be imported again
+const fromCellText = (text) => {
+    const str = String(text).trim();
+    return /^'[=+\-@]/.test(str) ? str.slice(1) : str;
+};
+
+// --- Helper: plain text of an ExcelJS cell (rich text, hyperlinks and formula results included) ---
+const xlsxCellText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value !== 'object') return String(value);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return xlsxCellText(value.text);
+    if (value.result !== undefined) return xlsxCellText(value.result);
+    return '';
+};
+
+// The format of an uploaded spreadsheet: 'xlsx' (a zip file) or 'csv'
+const detectSpreadsheetType = (buffer, fileName = '') => {
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x504B0304) return 'xlsx';
+    if (/\.xlsx$/i.test(fileName)) return 'xlsx';
+    return 'csv';
+};
+
+// Parses an uploaded CSV or XLSX file (first worksheet). The first row holds the column headers;
+// empty rows are dropped. Throws an Error with a user-facing message when the file can't be read.
+const readSpreadsheet = async (buffer, fileName) => {
+    let table;
+    if (detectSpreadsheetType(buffer, fileName) === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        try {
+            await workbook.xlsx.load(buffer);
+        } catch (e) {
+            throw new Error('The uploaded XLSX file could not be read.');
+        }
+        const sheet = workbook.worksheets[0];
+        if (!sheet) {
+            throw new Error('The uploaded XLSX file has no worksheets.');
+        }
+        table = [];
+        sheet.eachRow({ includeEmpty: true }, (row) => {
+            const cells = [];
+            for (let i = 1; i <= sheet.columnCount; i++) {
+                cells.push(xlsxCellText(row.getCell(i).value));
+            }
+            table.push(cells);
+        });
+    } else {
+        try {
+            table = parse(buffer.toString('utf8').replace(/^\uFEFF/, ''), { relax_column_count: true });
+        } catch (e) {
+            throw new Error(`The uploaded CSV file could not be read: ${e.message}`);
+        }
+    }
+
+    const rows = table
+        .map((cells, index) => ({ row: index + 1, cells: cells.map(fromCellText) }))
+        .filter(({ cells }) => cells.some(cell => cell !== ''));
+    if (rows.length === 0) {
+        throw new Error('The uploaded file is empty.');
+    }
+
+    const [headerRow, ...dataRows] = rows;
+    return { headers: headerRow.cells, rows: dataRows };
+};
+
+// Sends `rows` (arrays of values) under `headers` as a CSV or XLSX download
+const sendSpreadsheet = async (res, { format = 'csv', fileName, sheetName = 'Sheet1', headers, rows }) => {
+    res.set('Content-Type', SPREADSHEET_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet(sheetName);
+        sheet.addRow(headers).font = { bold: true };
+        rows.forEach(row => sheet.addRow(row.map(value => (value === undefined ? null : value))));
+        sheet.columns.forEach(column => { column.width = 20; });
+        return res.send(Buffer.from(await workbook.xlsx.writeBuffer()));
+    }
+
+    const csv = [headers, ...rows].map(row => row.map(toCsvValue).join(',')).join('\r\n');
+    res.send('\uFEFF' + csv); // BOM so Excel opens UTF-8 names correctly
+};
+
+module.exports = { SPREADSHEET_TYPES, toCsvValue, readSpreadsheet, sendSpreadsheet };
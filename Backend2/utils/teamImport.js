@@ -0,0 +1,297 @@
+// Backend2/utils/teamImport.js
+// Bulk import/export of team members (POST /api/team-members/import, GET /api/team-members/export).
+// Rows are validated with the TeamMember schema itself, so the import accepts exactly what the
+// single-member form does. Members are matched on idNumber: a known ID updates that member,
+// anything else creates a new one. Empty cells leave the existing value unchanged.
+// Each row is one tenure (academic year, position, vertical): a member who served several years has
+// one row per year with the same ID number, and a row for a new year adds a tenure. Verticals are
+// given by name and must already exist (routes/verticalRoutes.js). Members the import creates fire
+// the teamMember.created webhook.
+const TeamMember = require('../models/TeamMember');
+const { CONTACT_VISIBILITY_FLAGS } = require('../models/TeamMember');
+const Vertical = require('../models/Vertical');
+const { releaseImage } = require('./media');
+const { triggerChangeWebhooks } = require('./webhooks');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Columns understood by the import, in export order. `aliases` are other header spellings that
+// are recognised without an explicit mapping (compared ignoring case, spaces and punctuation).
+const TEAM_COLUMNS = [
+    { field: 'name', header: 'Name', aliases: ['full name', 'member name'] },
+    { field: 'idNumber', header: 'ID Number', aliases: ['id', 'id no', 'roll number', 'roll no', 'student id'] },
+    { field: 'position', header: 'Position', aliases: ['role', 'designation'] },
+    { field: 'academicYear', header: 'Academic Year', aliases: ['year'] },
+    { field: 'vertical', header: 'Vertical', aliases: ['team', 'department', 'domain'] },
+    { field: 'isLead', header: 'Vertical Lead', aliases: ['lead', 'is lead'] },
+    { field: 'displayOrder', header: 'Display Order', aliases: ['order'] },
+    { field: 'linkedinId', header: 'LinkedIn', aliases: ['linkedin id', 'linkedin url'] },
+    { field: 'isLinkedinIdPublic', header: 'LinkedIn Public', aliases: ['linkedin public', 'show linkedin'] },
+    { field: 'phoneNumber', header: 'Phone Number', aliases: ['phone', 'mobile', 'mobile number'] },
+    { field: 'isPhoneNumberPublic', header: 'Phone Public', aliases: ['phone number public', 'show phone'] },
+    { field: 'telegramLink', header: 'Telegram', aliases: ['telegram link'] },
+    { field: 'isTelegramLinkPublic', header: 'Telegram Public', aliases: ['telegram link public', 'show telegram'] },
+    { field: 'photoUrl', header: 'Photo URL', aliases: ['photo', 'photo link'] }
+];
+
+const BOOLEAN_FIELDS = [...Object.values(CONTACT_VISIBILITY_FLAGS), 'isLead'];
+// Columns that describe the row's tenure rather than the member
+const TENURE_FIELDS = ['academicYear', 'position', 'vertical', 'isLead', 'displayOrder'];
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'public'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'private'];
+
+const normaliseHeader = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// --- Helper: column index per field, from an explicit mapping ({ field: 'Header' }) or the headers ---
+const resolveColumns = (headers, mapping = {}) => {
+    const normalisedHeaders = headers.map(normaliseHeader);
+    const columns = {};
+
+    Object.entries(mapping).forEach(([field, header]) => {
+        if (!TEAM_COLUMNS.some(column => column.field === field)) {
+            throw new Error(`Unknown field "${field}" in the column mapping. Allowed: ${TEAM_COLUMNS.map(c => c.field).join(', ')}.`);
+        }
+        const index = normalisedHeaders.indexOf(normaliseHeader(header));
+        if (index === -1) {
+            throw new Error(`Column "${header}" (mapped to ${field}) is not in the file.`);
+        }
+        columns[field] = index;
+    });
+
+    TEAM_COLUMNS.forEach(({ field, header, aliases }) => {
+        if (columns[field] !== undefined) return;
+        const names = [field, header, ...aliases].map(normaliseHeader);
+        const index = normalisedHeaders.findIndex(name => names.includes(name));
+        if (index !== -1 && !Object.values(columns).includes(index)) {
+            columns[field] = index;
+        }
+    });
+
+    return columns;
+};
+
+// Reads the `mapping` field of an import request (a JSON object, or a JSON string in form-data)
+const parseColumnMapping = (value) => {
+    if (value === undefined || value === '') return {};
+    let mapping = value;
+    if (typeof mapping === 'string') {
+        try {
+            mapping = JSON.parse(mapping);
+        } catch (e) {
+            throw new Error('Column mapping must be a valid JSON object.');
+        }
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw new Error('Column mapping must be a valid JSON object.');
+    }
+    return mapping;
+};
+
+// --- Helper: one spreadsheet row -> TeamMember fields and a tenure (only the cells that have a value) ---
+const parseRowFields = (cells, columns, defaults) => {
+    const fields = {};
+    const tenure = { vertical: null };
+    const errors = [];
+
+    Object.entries(columns).forEach(([field, index]) => {
+        const value = cells[index] === undefined ? '' : cells[index];
+        if (value === '') return;
+
+        const target = TENURE_FIELDS.includes(field) ? tenure : fields;
+        if (BOOLEAN_FIELDS.includes(field)) {
+            const normalised = value.toLowerCase();
+            if (TRUE_VALUES.includes(normalised)) target[field] = true;
+            else if (FALSE_VALUES.includes(normalised)) target[field] = false;
+            else errors.push(`${field} must be yes or no.`);
+        } else if (field === 'vertical') {
+            const vertical = defaults.verticals.get(value.toLowerCase());
+            if (vertical) tenure.vertical = vertical._id;
+            else errors.push(`Vertical "${value}" not found. Add it under verticals first.`);
+        } else if (field === 'displayOrder') {
+            if (/^-?\d+$/.test(value)) tenure.displayOrder = parseInt(value, 10);
+            else errors.push('displayOrder must be a whole number.');
+        } else if (field === 'photoUrl') {
+            if (/^https?:\/\/\S+$/i.test(value)) fields.photo = { type: 'url', value };
+            else errors.push('Photo URL must start with http:// or https://.');
+        } else if (TENURE_FIELDS.includes(field)) {
+            tenure[field] = value;
+        } else {
+            fields[field] = value;
+        }
+    });
+
+    if (!tenure.academicYear && defaults.academicYear) {
+        tenure.academicYear = defaults.academicYear;
+    }
+    return { fields, tenure, errors };
+};
+
+// --- Helper: applies a parsed row to a member ---
+const applyRow = (member, { fields, tenure }) => {
+    member.set(fields);
+    member.setTenure(tenure);
+};
+
+// --- Helper: messages of a Mongoose validation error, or the error itself ---
+const validationMessages = (err) => (err.name === 'ValidationError'
+    ? Object.values(err.errors).map(e => e.message)
+    : [err.message]);
+
+// Validates (and unless dryRun, saves) the rows of an uploaded sheet ({ headers, rows } from
+// utils/spreadsheets.js). Options: mapping ({ field: 'Header' }), academicYear (used for rows
+// without one), dryRun, skipInvalid (save the valid rows even when others have errors).
+// Resolves to { applied, summary: { total, create, update, unchanged, error }, rows: [{ row, action,
+// idNumber, name, errors, warnings }] } where action is create/update/unchanged/error.
+// Throws an Error with a user-facing message when the file as a whole can't be imported.
+const importTeamMembers = async (sheet, { mapping, academicYear, dryRun = false, skipInvalid = false } = {}) => {
+    if (sheet.rows.length > MAX_IMPORT_ROWS) {
+        throw new Error(`A file can contain at most ${MAX_IMPORT_ROWS} members.`);
+    }
+    const columns = resolveColumns(sheet.headers, mapping);
+    ['name', 'position'].forEach(field => {
+        if (columns[field] === undefined) {
+            throw new Error(`No column found for "${field}". Add a column mapping for it.`);
+        }
+    });
+    if (columns.academicYear === undefined && !academicYear) {
+        throw new Error('No academic year column found. Map one or give an academicYear for all rows.');
+    }
+
+    const verticals = new Map((await Vertical.find()).map(vertical => [vertical.name.toLowerCase(), vertical]));
+    const parsed = sheet.rows.map(({ row, cells }) => ({ row, ...parseRowFields(cells, columns, { academicYear, verticals }) }));
+
+    // A member can only have one tenure per academic year and team, so two rows can't share all three
+    const rowsByTenure = new Map();
+    parsed.forEach(entry => {
+        const id = entry.fields.idNumber;
+        if (!id) return;
+        const key = `${id}|${entry.tenure.academicYear}|${entry.tenure.vertical || ''}`;
+        if (rowsByTenure.has(key)) {
+            entry.duplicate = true;
+            entry.errors.push(`ID number ${id} already has a row for ${entry.tenure.academicYear} in this vertical in row ${rowsByTenure.get(key)}.`);
+        } else {
+            rowsByTenure.set(key, entry.row);
+        }
+    });
+
+    const ids = [...new Set(parsed.map(entry => entry.fields.idNumber).filter(Boolean))];
+    // Members in the trash keep their ID number; their rows are refused until they are restored
+    const existing = await TeamMember.find({ idNumber: { $in: ids } }).setOptions({ withDeleted: true });
+    const trashedIds = new Set(existing.filter(member => member.deletedAt).map(member => member.idNumber));
+    parsed
+        .filter(entry => trashedIds.has(entry.fields.idNumber))
+        .forEach(entry => entry.errors.push(`ID number ${entry.fields.idNumber} belongs to a team member in the trash. Restore them first.`));
+    // idNumber -> { member, previousPhoto, results }: rows with the same ID number share one document
+    const targets = new Map(existing.filter(member => !member.deletedAt).map(member => [
+        member.idNumber,
+        { member, previousPhoto: member.toObject().photo, results: [] }
+    ]));
+
+    const results = [];
+    for (const entry of parsed) {
+        const { fields } = entry;
+        const result = {
+            row: entry.row,
+            action: 'create',
+            idNumber: fields.idNumber,
+            name: fields.name,
+            errors: entry.errors,
+            warnings: []
+        };
+        results.push(result);
+
+        // Each row is validated on a copy, so a row with errors leaves the shared member untouched
+        let target = fields.idNumber ? targets.get(fields.idNumber) : null;
+        let candidate;
+        if (target) {
+            const snapshot = target.member.toObject();
+            candidate = target.member.isNew ? new TeamMember(snapshot) : TeamMember.hydrate(snapshot);
+            applyRow(candidate, entry);
+            if (!target.member.isNew) {
+                result.action = candidate.isModified() ? 'update' : 'unchanged';
+            }
+            result.name = candidate.name;
+        } else {
+            candidate = new TeamMember({ ...fields, tenures: [entry.tenure] });
+            if (!fields.idNumber) {
+                result.warnings.push('No ID number: importing this file again will add this member again.');
+            }
+        }
+
+        if (!entry.duplicate) {
+            try {
+                await candidate.validate();
+            } catch (err) {
+                result.errors.push(...validationMessages(err));
+            }
+        }
+        if (result.errors.length > 0) {
+            result.action = 'error';
+            continue;
+        }
+
+        if (!target) {
+            target = { member: candidate, previousPhoto: null, results: [] };
+            if (fields.idNumber) targets.set(fields.idNumber, target);
+            else targets.set(Symbol('member'), target);
+        } else {
+            applyRow(target.member, entry);
+        }
+        target.results.push(result);
+    }
+
+    const summary = { total: results.length, create: 0, update: 0, unchanged: 0, error: 0 };
+    results.forEach(result => { summary[result.action]++; });
+
+    const applied = !dryRun && (summary.error === 0 || skipInvalid);
+    if (applied) {
+        for (const { member, previousPhoto, results: memberResults } of targets.values()) {
+            if (!memberResults.some(result => result.action === 'create' || result.action === 'update')) continue;
+            const created = member.isNew;
+            const photoChanged = !created && member.isModified('photo');
+            try {
+                await member.save();
+            } catch (err) {
+                // e.g. the same ID number saved by someone else since validation
+                memberResults.forEach(result => {
+                    summary[result.action]--;
+                    summary.error++;
+                    result.action = 'error';
+                    result.errors.push(err.code === 11000 ? `ID number ${result.idNumber} already exists.` : validationMessages(err).join(', '));
+                });
+                continue;
+            }
+            if (photoChanged && previousPhoto) {
+                await releaseImage(previousPhoto, { model: 'TeamMember', document: member._id, field: 'photo' });
+            }
+            if (created) triggerChangeWebhooks('TeamMember', 'create', null, member);
+        }
+    }
+
+    return { applied, summary, rows: results };
+};
+
+// Values of one member's tenure (default: the latest) in TEAM_COLUMNS order. The vertical is
+// exported by name, so populate 'tenures.vertical' first. Uploaded photos are left out: their URL
+// can't be imported again, and an empty cell keeps the member's current photo.
+const teamMemberToRow = (member, tenure = member.getTenureHistory()[0] || member) => TEAM_COLUMNS.map(({ field }) => {
+    const source = TENURE_FIELDS.includes(field) ? tenure : member;
+    if (field === 'vertical') {
+        return tenure.vertical && tenure.vertical.name ? tenure.vertical.name : '';
+    }
+    if (field === 'photoUrl') {
+        return member.photo && member.photo.type === 'url' ? member.photo.value : '';
+    }
+    if (BOOLEAN_FIELDS.includes(field)) {
+        return source[field] ? 'yes' : 'no';
+    }
+    return source[field];
+});
+
+module.exports = {
+    TEAM_COLUMNS,
+    MAX_IMPORT_ROWS,
+    parseColumnMapping,
+    importTeamMembers,
+    teamMemberToRow
+};
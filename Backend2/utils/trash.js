@@ -0,0 +1,82 @@
+// Backend2/utils/trash.js
+// Deleted events and team members stay in the trash (models/plugins/softDelete.js) for
+// TRASH_RETENTION_DAYS (default 30, 0 keeps them until purged by hand) and are then purged:
+// removed for good together with what only they used (an event's registrations, their image).
+// Images are only released at that point, so a restored document gets its poster/photo back.
+const Event = require('../models/Event');
+const TeamMember = require('../models/TeamMember');
+const Registration = require('../models/Registration');
+const { releaseImage } = require('./media');
+const { scheduleJob } = require('./jobRunner');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+
+const readRetentionDays = () => {
+    const value = parseFloat(process.env.TRASH_RETENTION_DAYS);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_RETENTION_DAYS;
+};
+
+// --- Helper: what purging one document of each model involves ---
+const purgeEvent = async (event) => {
+    await Event.deleteOne({ _id: event._id });
+    await Registration.deleteMany({ event: event._id });
+    await releaseImage(event.poster, { model: 'Event', document: event._id, field: 'poster' });
+};
+
+const purgeTeamMember = async (member) => {
+    await TeamMember.deleteOne({ _id: member._id });
+    // Whoever reported to them now sits at the top of their vertical
+    await TeamMember.updateMany(
+        { 'tenures.reportsTo': member._id },
+        { $set: { 'tenures.$[tenure].reportsTo': null } },
+        { arrayFilters: [{ 'tenure.reportsTo': member._id }] }
+    );
+    await releaseImage(member.photo, { model: 'TeamMember', document: member._id, field: 'photo' });
+};
+
+const PURGERS = new Map([[Event, purgeEvent], [TeamMember, purgeTeamMember]]);
+
+// Removes a trashed document (Event or TeamMember) and everything that goes with it
+const purgeDocument = (doc) => PURGERS.get(doc.constructor)(doc);
+
+// When a document deleted at `deletedAt` will be purged, or null if the trash is kept
+const getPurgeDate = (deletedAt, retentionDays = readRetentionDays()) => (
+    deletedAt && retentionDays ? new Date(deletedAt.getTime() + retentionDays * DAY_MS) : null
+);
+
+// Purges everything deleted more than `retentionDays` ago. Resolves to { events, teamMembers }
+// (the number purged) and the errors of documents that could not be purged.
+const purgeExpiredTrash = async ({ retentionDays = readRetentionDays() } = {}) => {
+    const report = { events: 0, teamMembers: 0, errors: [] };
+    if (!retentionDays) return report;
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+
+    for (const [Model, key] of [[Event, 'events'], [TeamMember, 'teamMembers']]) {
+        const expired = await Model.find({ deletedAt: { $ne: null, $lt: cutoff } });
+        for (const doc of expired) {
+            try {
+                await purgeDocument(doc);
+                report[key]++;
+            } catch (err) {
+                report.errors.push(`${Model.modelName} ${doc._id}: ${err.message}`);
+            }
+        }
+    }
+    return report;
+};
+
+// Starts the daily purge. Returns the timer (or null when the trash is kept); it doesn't keep the process alive.
+const scheduleTrashPurge = () => {
+    if (!readRetentionDays()) return null;
+
+    return scheduleJob('Trash purge', DAY_MS, async () => {
+        const report = await purgeExpiredTrash();
+        if (report.events || report.teamMembers) {
+            console.log(`Trash: purged ${report.events} event(s) and ${report.teamMembers} team member(s).`);
+        }
+        report.errors.forEach(error => console.error('Trash purge error:', error));
+    });
+};
+
+module.exports = { purgeDocument, getPurgeDate, purgeExpiredTrash, scheduleTrashPurge };
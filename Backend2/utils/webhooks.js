@@ -0,0 +1,271 @@
+// Backend2/utils/webhooks.js
+// Outbound webhooks (models/Webhook.js). triggerWebhook(type, data) queues a delivery
+// (models/WebhookDelivery.js) for every active webhook subscribed to `type` and sends it right
+// away; a failed send is retried by the delivery job with exponential backoff.
+//
+// A delivery is an HTTP POST with a JSON body
+//   { "id": "<uuid>", "type": "event.created", "createdAt": "<ISO date>", "data": { "event": {...} } }
+// and the headers
+//   X-Webhook-Id         the body's id (the same on retries and redeliveries, for dropping duplicates)
+//   X-Webhook-Event      the event type
+//   X-Webhook-Timestamp  when this attempt was sent, in Unix seconds
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the webhook's secret>
+// Receivers should recompute the signature over the raw body, compare it in constant time and
+// reject old timestamps. Any 2xx response counts as delivered; redirects are not followed.
+//
+// Settings: WEBHOOK_TIMEOUT_SECONDS (default 10), WEBHOOK_MAX_ATTEMPTS (default 8, retried 30s,
+// 1m, 2m, ... apart, at most 6h), WEBHOOK_DELIVERY_INTERVAL_SECONDS (how often due retries are
+// sent, default 30, 0 disables) and WEBHOOK_DELIVERY_RETENTION_DAYS (default 30).
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Event = require('../models/Event');
+const TeamMember = require('../models/TeamMember');
+const { toAuditSnapshot, diffSnapshots } = require('./auditLog');
+const { scheduleJob } = require('./jobRunner');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETRY_BASE_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const MAX_RESPONSE_BODY_LENGTH = 500;
+const DUE_BATCH_SIZE = 100;
+
+// Changes that fire webhooks (the routes call triggerChangeWebhooks): resource -> event prefix and
+// the document as subscribers see it (team members only with their public contact details)
+const WEBHOOK_RESOURCES = {
+    Event: { Model: Event, prefix: 'event', toPayload: event => event.toJSON() },
+    TeamMember: { Model: TeamMember, prefix: 'teamMember', toPayload: member => member.toPublicJSON() }
+};
+const ACTION_EVENTS = { create: 'created', update: 'updated', delete: 'deleted', restore: 'restored' };
+
+const readSetting = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const readTimeoutMs = () => (readSetting('WEBHOOK_TIMEOUT_SECONDS', 10) || 10) * 1000;
+const readMaxAttempts = () => Math.max(1, Math.floor(readSetting('WEBHOOK_MAX_ATTEMPTS', 8)));
+
+// --- Signing ---
+
+// The X-Webhook-Signature value for `body` sent at `timestamp` (Unix seconds)
+const signPayload = (secret, timestamp, body) => (
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+);
+
+// Delay before the next attempt once `attemptCount` attempts have failed
+const getRetryDelayMs = (attemptCount) => Math.min(RETRY_BASE_MS * 2 ** (attemptCount - 1), MAX_RETRY_DELAY_MS);
+
+// --- Sending ---
+
+// Makes one attempt at a pending delivery that is due and records the outcome. The delivery is
+// claimed first, so the delivery job and an immediate send never post it twice.
+// Resolves to the updated delivery, or null when it wasn't pending and due.
+const sendDelivery = async (deliveryId, now = new Date()) => {
+    const timeoutMs = readTimeoutMs();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+        { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + timeoutMs + RETRY_BASE_MS) } },
+        { new: true }
+    );
+    if (!delivery) return null;
+
+    const webhook = await Webhook.findById(delivery.webhook);
+    const startedAt = new Date();
+    const attempt = { at: startedAt, responseStatus: null, responseBody: '', error: '' };
+
+    if (!webhook) {
+        attempt.error = 'The webhook was deleted.';
+    } else {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(startedAt.getTime() / 1000);
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'TheBlockchainClub-Webhooks/1.0',
+                    'X-Webhook-Id': delivery.payload.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            attempt.responseStatus = response.status;
+            attempt.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY_LENGTH);
+        } catch (err) {
+            attempt.error = err.name === 'TimeoutError' ? `No response within ${timeoutMs / 1000}s.` : (err.cause && err.cause.message) || err.message;
+        }
+    }
+    attempt.durationMs = Date.now() - startedAt.getTime();
+
+    const succeeded = attempt.responseStatus >= 200 && attempt.responseStatus < 300;
+    delivery.attempts.push(attempt);
+    if (succeeded) {
+        delivery.status = 'succeeded';
+        delivery.deliveredAt = startedAt;
+    } else if (!webhook || delivery.attempts.length >= readMaxAttempts()) {
+        delivery.status = 'failed';
+    } else {
+        delivery.nextAttemptAt = new Date(Date.now() + getRetryDelayMs(delivery.attempts.length));
+    }
+    if (delivery.status !== 'pending') {
+        delivery.expiresAt = new Date(Date.now() + readSetting('WEBHOOK_DELIVERY_RETENTION_DAYS', 30) * DAY_MS);
+    }
+    await delivery.save();
+
+    if (webhook && delivery.status !== 'pending') {
+        await Webhook.updateOne({ _id: webhook._id }, { $set: { lastDeliveryAt: startedAt, lastDeliveryStatus: delivery.status } });
+    }
+    return delivery;
+};
+
+// Sends in the background: failures are recorded on the delivery, anything else is only logged
+const sendInBackground = (delivery) => {
+    sendDelivery(delivery._id).catch(err => console.error(`Error sending webhook delivery ${delivery._id}:`, err));
+};
+
+// Queues `payload` for each of `webhooks` and starts sending them unless `sendNow` is false (the
+// caller sends them itself). Resolves to the deliveries.
+const queueDeliveries = async (webhooks, event, payload, { redeliveryOf = null, sendNow = true } = {}) => {
+    if (webhooks.length === 0) return [];
+    const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+        webhook: webhook._id,
+        event,
+        payload,
+        redeliveryOf
+    })));
+    if (sendNow) deliveries.forEach(sendInBackground);
+    return deliveries;
+};
+
+const buildPayload = (type, data) => ({
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    data
+});
+
+// Queues `type` for every active webhook subscribed to it. Never rejects: a webhook problem must
+// not fail the change that triggered it. Resolves to the deliveries.
+const triggerWebhook = async (type, data) => {
+    try {
+        const webhooks = await Webhook.find({ active: true, events: type }).select('_id');
+        return await queueDeliveries(webhooks, type, buildPayload(type, data));
+    } catch (err) {
+        console.error(`Error queueing ${type} webhooks:`, err);
+        return [];
+    }
+};
+
+// An Event or TeamMember (document or plain object) as it appears in webhook payloads
+const toWebhookObject = (resource, doc) => {
+    const { Model, toPayload } = WEBHOOK_RESOURCES[resource];
+    return JSON.parse(JSON.stringify(toPayload(doc instanceof Model ? doc : Model.hydrate(doc))));
+};
+
+const isPublicEvent = (event) => Boolean(event && event.status === 'published' && !event.deletedAt);
+
+// --- Helper: which event.* webhooks a change fires. Drafts and scheduled events are private, so
+// only events that are or were public fire anything; an event taken down counts as deleted ---
+const getEventWebhookTypes = (action, before, after) => {
+    const wasPublic = isPublicEvent(before);
+    const isPublic = isPublicEvent(after);
+    if (!wasPublic && isPublic) {
+        if (action === 'create') return ['event.created', 'event.published'];
+        return [action === 'restore' ? 'event.restored' : 'event.published'];
+    }
+    if (wasPublic && isPublic) return ['event.updated'];
+    if (wasPublic) {
+        // Cancelled and archived events are still news for subscribers; unpublished ones are gone
+        return action !== 'delete' && ['cancelled', 'archived'].includes(after && after.status) ? ['event.updated'] : ['event.deleted'];
+    }
+    return [];
+};
+
+// The webhooks for a change to an Event or TeamMember (other resources have none). `action` is
+// create, update, delete or restore; `before` and `after` are the document before and after the
+// change, as documents or plain objects (before is needed for events and for updates).
+// Never rejects, like triggerWebhook.
+const triggerChangeWebhooks = async (resource, action, before, after) => {
+    const config = WEBHOOK_RESOURCES[resource];
+    if (!config || !ACTION_EVENTS[action] || !(after || before)) return [];
+
+    const { prefix } = config;
+    const types = resource === 'Event'
+        ? getEventWebhookTypes(action, before, after)
+        : [`${prefix}.${ACTION_EVENTS[action]}`];
+
+    const triggers = types.map(type => {
+        // A deleted event is sent as it was last public, not with changes made while taking it down
+        const doc = type === 'event.deleted' ? before : after || before;
+        let data;
+        try {
+            data = { [prefix]: toWebhookObject(resource, doc) };
+            if (type.endsWith('.updated')) {
+                data.changedFields = diffSnapshots(toAuditSnapshot(before), toAuditSnapshot(after)).map(change => change.path);
+            }
+        } catch (err) {
+            console.error(`Error building ${type} webhook payload:`, err);
+            return [];
+        }
+        return triggerWebhook(type, data);
+    });
+    return (await Promise.all(triggers)).flat();
+};
+
+// Queues a copy of `delivery` (same payload and id) for its webhook and makes the first attempt.
+// Resolves to the new delivery after that attempt.
+const redeliver = async (delivery) => {
+    const [copy] = await queueDeliveries([{ _id: delivery.webhook }], delivery.event, delivery.payload, {
+        redeliveryOf: delivery._id,
+        sendNow: false
+    });
+    return sendDelivery(copy._id);
+};
+
+// Sends a 'ping' to `webhook` regardless of its subscriptions, for checking a receiver is set up.
+// Resolves to the delivery after the first attempt.
+const pingWebhook = async (webhook) => {
+    const payload = buildPayload('ping', { webhook: { _id: String(webhook._id), name: webhook.name, events: webhook.events } });
+    const [delivery] = await queueDeliveries([webhook], 'ping', payload, { sendNow: false });
+    return sendDelivery(delivery._id);
+};
+
+// Makes the next attempt at every pending delivery that is due. Resolves to the number attempted.
+const sendDueDeliveries = async (now = new Date()) => {
+    const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(DUE_BATCH_SIZE)
+        .select('_id');
+    let attempted = 0;
+    for (const { _id } of due) {
+        if (await sendDelivery(_id, now)) attempted++;
+    }
+    return attempted;
+};
+
+// Starts the retry job (also sends what came due while the server was down). Returns the timer
+// (or null when disabled); it doesn't keep the process alive.
+const scheduleWebhookDeliveries = () => scheduleJob(
+    'Webhook deliveries',
+    readSetting('WEBHOOK_DELIVERY_INTERVAL_SECONDS', 30) * 1000,
+    sendDueDeliveries,
+    { runOnStart: true }
+);
+
+module.exports = {
+    signPayload,
+    getRetryDelayMs,
+    sendDelivery,
+    toWebhookObject,
+    triggerWebhook,
+    triggerChangeWebhooks,
+    redeliver,
+    pingWebhook,
+    sendDueDeliveries,
+    scheduleWebhookDeliveries
+};